@@ -0,0 +1,407 @@
+// alert-rules.js - Declarative alert rules evaluated per room
+//
+// A rule is either a `metric` rule, checked against each incoming metrics
+// payload, or an `aggregate` rule, checked against the metrics a room received
+// within a sliding time window. Example rules:
+//
+//   { id: 'low_entropy', type: 'metric', severity: 'warning',
+//     condition: { field: 'entropy', op: 'lt', value: 20 } }
+//
+//   { id: 'weak_wave', type: 'aggregate', severity: 'critical', windowSeconds: 600,
+//     condition: { field: 'entropy', op: 'lt', value: 30 },
+//     aggregate: { type: 'distinct_clients', threshold: 5 } }
+//
+//   { id: 'shared_pattern', type: 'aggregate', severity: 'warning', windowSeconds: 3600,
+//     aggregate: { type: 'same_value', field: 'pattern', threshold: 3 } }
+//
+// Conditions can be combined with { all: [...] } and { any: [...] }. Every rule
+// has a cooldown so the same alert is not raised again until it expires.
+
+const ALERT_SEVERITIES = ['info', 'warning', 'critical']; // lowest to highest
+
+// Breach alert severity by how often the password was seen in the corpus.
+// Override per room with the `breachSeverityTiers` room setting.
+const DEFAULT_BREACH_SEVERITY_TIERS = [
+  { minCount: 1, severity: 'warning' },
+  { minCount: 1000, severity: 'critical' }
+];
+
+// Rule severity that resolves through the room's breach severity tiers
+const BREACH_TIER_SEVERITY = 'breach_tier';
+
+// Metrics fields that never appear in an alert (its value or message), since
+// alerts leave the host through sinks. A reuse fingerprint identifies a
+// password to anyone holding the room key.
+const PRIVATE_FIELDS = ['reuseFingerprint'];
+
+const OPERATORS = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  lt: (a, b) => typeof a === 'number' && a < b,
+  lte: (a, b) => typeof a === 'number' && a <= b,
+  gt: (a, b) => typeof a === 'number' && a > b,
+  gte: (a, b) => typeof a === 'number' && a >= b,
+  in: (a, b) => Array.isArray(b) && b.includes(a),
+  nin: (a, b) => Array.isArray(b) && !b.includes(a),
+  exists: (a, b) => (a !== undefined && a !== null) === b
+};
+
+const AGGREGATE_TYPES = ['count', 'distinct_clients', 'same_value'];
+
+const LIMITS = {
+  MAX_RULES: 50,
+  MAX_CONDITION_DEPTH: 4,
+  MAX_WINDOW_SECONDS: 7 * 24 * 60 * 60,
+  MAX_WINDOW_ENTRIES: 5000,
+  MAX_MESSAGE_LENGTH: 200
+};
+
+const DEFAULT_COOLDOWN_SECONDS = 300;
+
+const DEFAULT_ALERT_RULES = [
+  {
+    id: 'low_entropy',
+    name: 'Very low entropy',
+    type: 'metric',
+    severity: 'warning',
+    condition: { field: 'entropy', op: 'lt', value: 20 },
+    cooldownSeconds: 0,
+    message: 'Client {client} has very low password entropy: {entropy}'
+  },
+  {
+    id: 'breached_password',
+    name: 'Breached password',
+    type: 'metric',
+    severity: BREACH_TIER_SEVERITY,
+    condition: { field: 'breached', op: 'eq', value: true },
+    cooldownSeconds: 0,
+    message: 'Client {client} attempted to use a breached password{breachSeen}!'
+  },
+  {
+    // reuseFingerprint is keyed per room (reuse-fingerprint.js): equal values
+    // mean equal passwords, but the host cannot tell which
+    id: 'password_reuse',
+    name: 'Password reuse',
+    type: 'aggregate',
+    severity: 'warning',
+    windowSeconds: 24 * 60 * 60,
+    aggregate: { type: 'same_value', field: 'reuseFingerprint', threshold: 2 },
+    cooldownSeconds: 3600,
+    message: '{count} clients used the same password in the last {windowMinutes} minutes'
+  }
+];
+
+// ======== Breach Severity Tiers ========
+function validateBreachSeverityTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > 10) return null;
+  const valid = tiers.every(tier => tier &&
+    Number.isSafeInteger(tier.minCount) && tier.minCount >= 1 &&
+    ALERT_SEVERITIES.includes(tier.severity));
+  if (!valid) return null;
+  return tiers
+    .map(tier => ({ minCount: tier.minCount, severity: tier.severity }))
+    .sort((a, b) => a.minCount - b.minCount);
+}
+
+// Severity for a breach count; an unknown count (older clients) gets the top tier.
+function breachSeverity(breachCount, tiers) {
+  const sorted = [...tiers].sort((a, b) => b.minCount - a.minCount);
+  if (breachCount == null) return sorted[0].severity;
+  const tier = sorted.find(t => breachCount >= t.minCount);
+  return tier ? tier.severity : null;
+}
+
+// ======== Validation ========
+function getField(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function validateCondition(condition, errors, depth = 0) {
+  if (!condition || typeof condition !== 'object') {
+    errors.push('condition must be an object');
+    return;
+  }
+  if (depth > LIMITS.MAX_CONDITION_DEPTH) {
+    errors.push(`conditions may be nested at most ${LIMITS.MAX_CONDITION_DEPTH} deep`);
+    return;
+  }
+  const group = condition.all || condition.any;
+  if (group !== undefined) {
+    if (!Array.isArray(group) || group.length === 0) {
+      errors.push('all/any must be a non-empty array of conditions');
+      return;
+    }
+    group.forEach(child => validateCondition(child, errors, depth + 1));
+    return;
+  }
+  if (typeof condition.field !== 'string' || !/^[A-Za-z0-9_.]{1,64}$/.test(condition.field)) {
+    errors.push('condition.field must be a metric field name');
+  }
+  if (!OPERATORS[condition.op]) {
+    errors.push(`condition.op must be one of ${Object.keys(OPERATORS).join(', ')}`);
+  }
+  if (['lt', 'lte', 'gt', 'gte'].includes(condition.op) && typeof condition.value !== 'number') {
+    errors.push(`condition.value must be a number for ${condition.op}`);
+  }
+  if (['in', 'nin'].includes(condition.op) && !Array.isArray(condition.value)) {
+    errors.push(`condition.value must be an array for ${condition.op}`);
+  }
+  if (condition.op === 'exists' && typeof condition.value !== 'boolean') {
+    errors.push('condition.value must be a boolean for exists');
+  }
+}
+
+// Returns { rule, errors }; rule is the normalized copy when valid.
+function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return { rule: null, errors: ['rule must be an object'] };
+
+  if (typeof rule.id !== 'string' || !/^[a-z0-9_-]{1,40}$/.test(rule.id)) {
+    errors.push('id must be 1-40 characters of a-z, 0-9, _ or -');
+  }
+  if (!['metric', 'aggregate'].includes(rule.type)) {
+    errors.push('type must be metric or aggregate');
+  }
+  if (!ALERT_SEVERITIES.includes(rule.severity) && rule.severity !== BREACH_TIER_SEVERITY) {
+    errors.push(`severity must be one of ${[...ALERT_SEVERITIES, BREACH_TIER_SEVERITY].join(', ')}`);
+  }
+  if (rule.condition !== undefined || rule.type === 'metric') {
+    validateCondition(rule.condition, errors);
+  }
+  if (rule.cooldownSeconds !== undefined && !(Number.isFinite(rule.cooldownSeconds) && rule.cooldownSeconds >= 0)) {
+    errors.push('cooldownSeconds must be a non-negative number');
+  }
+  if (rule.message !== undefined && (typeof rule.message !== 'string' || rule.message.length > LIMITS.MAX_MESSAGE_LENGTH)) {
+    errors.push(`message must be a string of at most ${LIMITS.MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  if (rule.type === 'aggregate') {
+    if (!(Number.isFinite(rule.windowSeconds) && rule.windowSeconds > 0 && rule.windowSeconds <= LIMITS.MAX_WINDOW_SECONDS)) {
+      errors.push(`windowSeconds must be between 1 and ${LIMITS.MAX_WINDOW_SECONDS}`);
+    }
+    const aggregate = rule.aggregate || {};
+    if (!AGGREGATE_TYPES.includes(aggregate.type)) {
+      errors.push(`aggregate.type must be one of ${AGGREGATE_TYPES.join(', ')}`);
+    }
+    if (!(Number.isInteger(aggregate.threshold) && aggregate.threshold >= 1)) {
+      errors.push('aggregate.threshold must be a positive integer');
+    }
+    if (aggregate.type === 'same_value' && (typeof aggregate.field !== 'string' || !/^[A-Za-z0-9_.]{1,64}$/.test(aggregate.field))) {
+      errors.push('aggregate.field must be a metric field name');
+    }
+  }
+
+  if (errors.length > 0) return { rule: null, errors };
+
+  return {
+    rule: {
+      id: rule.id,
+      name: typeof rule.name === 'string' ? rule.name.slice(0, 80) : rule.id,
+      type: rule.type,
+      enabled: rule.enabled !== false,
+      severity: rule.severity,
+      ...(rule.condition !== undefined && { condition: rule.condition }),
+      ...(rule.type === 'aggregate' && {
+        windowSeconds: rule.windowSeconds,
+        aggregate: {
+          type: rule.aggregate.type,
+          threshold: rule.aggregate.threshold,
+          ...(rule.aggregate.field && { field: rule.aggregate.field })
+        }
+      }),
+      cooldownSeconds: rule.cooldownSeconds !== undefined ? rule.cooldownSeconds : DEFAULT_COOLDOWN_SECONDS,
+      ...(rule.message !== undefined && { message: rule.message })
+    },
+    errors
+  };
+}
+
+// Validate a full rule list. Returns { rules, errors } with errors prefixed by rule index.
+function validateRules(rules) {
+  if (!Array.isArray(rules)) return { rules: null, errors: ['rules must be an array'] };
+  if (rules.length > LIMITS.MAX_RULES) return { rules: null, errors: [`at most ${LIMITS.MAX_RULES} rules are allowed`] };
+
+  const errors = [];
+  const normalized = [];
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    const result = validateRule(rule);
+    result.errors.forEach(error => errors.push(`rules[${index}]: ${error}`));
+    if (result.rule) {
+      if (ids.has(result.rule.id)) errors.push(`rules[${index}]: duplicate id ${result.rule.id}`);
+      ids.add(result.rule.id);
+      normalized.push(result.rule);
+    }
+  });
+  return errors.length > 0 ? { rules: null, errors } : { rules: normalized, errors };
+}
+
+// ======== Evaluation ========
+function matchesCondition(condition, metrics) {
+  if (!condition) return true;
+  if (condition.all) return condition.all.every(child => matchesCondition(child, metrics));
+  if (condition.any) return condition.any.some(child => matchesCondition(child, metrics));
+  return OPERATORS[condition.op](getField(metrics, condition.field), condition.value);
+}
+
+function publicFields(metrics) {
+  const result = { ...metrics };
+  for (const field of PRIVATE_FIELDS) delete result[field];
+  return result;
+}
+
+function renderMessage(template, values) {
+  return template.replace(/\{([A-Za-z0-9_.]+)\}/g, (placeholder, key) => {
+    const value = getField(values, key);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+class AlertRuleEngine {
+  constructor(rules = DEFAULT_ALERT_RULES) {
+    this.window = []; // { clientId, metrics, ts } within the longest aggregate window
+    this.lastFired = new Map(); // dedup key -> timestamp
+    this.setRules(rules);
+  }
+
+  setRules(rules) {
+    const { rules: normalized, errors } = validateRules(rules);
+    if (!normalized) throw new Error(`Invalid alert rules: ${errors.join('; ')}`);
+    this.rules = normalized;
+    // Keep the cooldowns of rules that still exist; keys start with the rule id
+    const ids = new Set(normalized.map(rule => rule.id));
+    for (const key of this.lastFired.keys()) {
+      if (!ids.has(key.split(':')[0])) this.lastFired.delete(key);
+    }
+    this.maxWindowMs = Math.max(0, ...this.rules
+      .filter(rule => rule.type === 'aggregate')
+      .map(rule => rule.windowSeconds * 1000));
+  }
+
+  // Seed the aggregate window with earlier metrics ({ clientId, metrics, ts },
+  // oldest first), e.g. after a restart, without raising alerts for them.
+  restoreWindow(entries, now = Date.now()) {
+    const cutoff = now - this.maxWindowMs;
+    this.window = entries.filter(entry => entry.ts >= cutoff).slice(-LIMITS.MAX_WINDOW_ENTRIES);
+  }
+
+  // Add metrics to the aggregate window without evaluating any rule, e.g.
+  // metrics another host received for the same room.
+  record(clientId, metrics, now = Date.now()) {
+    this.window.push({ clientId, metrics, ts: now });
+    const cutoff = now - this.maxWindowMs;
+    while (this.window.length > 0 && (this.window[0].ts < cutoff || this.window.length > LIMITS.MAX_WINDOW_ENTRIES)) {
+      this.window.shift();
+    }
+  }
+
+  // Drop a client's metrics from the aggregate window, e.g. when its data is deleted
+  forget(clientId) {
+    this.window = this.window.filter(entry => entry.clientId !== clientId);
+  }
+
+  // Whether `key` is outside its rule's cooldown; records the firing if so.
+  shouldFire(rule, key, now) {
+    const last = this.lastFired.get(key);
+    if (last !== undefined && now - last < rule.cooldownSeconds * 1000) return false;
+    this.lastFired.set(key, now);
+    return true;
+  }
+
+  resolveSeverity(rule, metrics, context) {
+    if (rule.severity !== BREACH_TIER_SEVERITY) return rule.severity;
+    return breachSeverity(metrics.breachCount, context.breachSeverityTiers || DEFAULT_BREACH_SEVERITY_TIERS);
+  }
+
+  // Evaluate every enabled rule for a new metrics payload; returns the alerts to raise.
+  evaluate(clientId, metrics, context = {}, now = Date.now()) {
+    this.record(clientId, metrics, now);
+
+    const alerts = [];
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+      const alert = rule.type === 'metric'
+        ? this.evaluateMetricRule(rule, clientId, metrics, context, now)
+        : this.evaluateAggregateRule(rule, clientId, metrics, context, now);
+      if (alert) alerts.push(alert);
+    }
+    return alerts.sort((a, b) => ALERT_SEVERITIES.indexOf(b.severity) - ALERT_SEVERITIES.indexOf(a.severity));
+  }
+
+  evaluateMetricRule(rule, clientId, metrics, context, now) {
+    if (!matchesCondition(rule.condition, metrics)) return null;
+    const severity = this.resolveSeverity(rule, metrics, context);
+    if (!severity || !this.shouldFire(rule, `${rule.id}:${clientId}`, now)) return null;
+
+    const values = {
+      ...publicFields(metrics),
+      client: clientId.slice(0, 8),
+      breachSeen: metrics.breachCount != null ? ` (seen ${metrics.breachCount.toLocaleString()} times)` : ''
+    };
+    return {
+      type: rule.id,
+      ruleId: rule.id,
+      name: rule.name,
+      severity,
+      clientId,
+      ...(metrics.breachCount != null && { breachCount: metrics.breachCount }),
+      message: renderMessage(rule.message || `${rule.name} (client {client})`, values),
+      ts: now
+    };
+  }
+
+  evaluateAggregateRule(rule, clientId, metrics, context, now) {
+    if (!matchesCondition(rule.condition, metrics)) return null;
+
+    const cutoff = now - rule.windowSeconds * 1000;
+    const inWindow = this.window.filter(entry => entry.ts >= cutoff && matchesCondition(rule.condition, entry.metrics));
+    const { type, threshold, field } = rule.aggregate;
+
+    let matching = inWindow;
+    let dedupKey = rule.id;
+    let value;
+    if (type === 'same_value') {
+      value = getField(metrics, field);
+      if (value === undefined || value === null) return null;
+      matching = inWindow.filter(entry => getField(entry.metrics, field) === value);
+      dedupKey = `${rule.id}:${JSON.stringify(value)}`;
+    }
+
+    const clients = Array.from(new Set(matching.map(entry => entry.clientId)));
+    const count = type === 'count' ? matching.length : clients.length;
+    if (count < threshold) return null;
+
+    const severity = this.resolveSeverity(rule, metrics, context);
+    if (!severity || !this.shouldFire(rule, dedupKey, now)) return null;
+
+    const windowMinutes = Math.round(rule.windowSeconds / 60);
+    if (PRIVATE_FIELDS.includes(field)) value = undefined; // still part of dedupKey
+    const values = { ...publicFields(metrics), client: clientId.slice(0, 8), count, value, windowMinutes };
+    const defaultMessage = type === 'same_value'
+      ? `${rule.name}: {count} clients reported ${field} {value} in the last {windowMinutes} minutes`
+      : `${rule.name}: {count} ${type === 'count' ? 'metrics' : 'clients'} matched in the last {windowMinutes} minutes`;
+
+    return {
+      type: rule.id,
+      ruleId: rule.id,
+      name: rule.name,
+      severity,
+      clients,
+      count,
+      ...(value !== undefined && { value }),
+      message: renderMessage(rule.message || defaultMessage, values),
+      ts: now
+    };
+  }
+}
+
+module.exports = {
+  ALERT_SEVERITIES,
+  DEFAULT_BREACH_SEVERITY_TIERS,
+  DEFAULT_ALERT_RULES,
+  AlertRuleEngine,
+  validateRule,
+  validateRules,
+  validateBreachSeverityTiers,
+  breachSeverity
+};
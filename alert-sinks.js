@@ -0,0 +1,676 @@
+// alert-sinks.js - Outbound alert delivery: signed webhooks, RFC 5424 syslog and SMTP email
+// Stand-in listeners: node alert-sinks.js listen <webhook|syslog|smtp> [port] [--secret SECRET]
+//
+// Sinks are plain config objects, configured globally or per room:
+//
+//   { id: 'soc', type: 'webhook', url: 'https://soc.example/hook', secret: '...' }
+//   { id: 'siem', type: 'syslog', host: '10.0.0.5', port: 514, protocol: 'tcp' }
+//   { id: 'oncall', type: 'email', host: 'smtp.example', port: 587, security: 'starttls',
+//     from: 'metrics@example.com', to: ['oncall@example.com'], username: '...', password: '...' }
+//
+// Each sink receives alerts at or above its `minSeverity` (default critical).
+// Failed deliveries are retried with exponential backoff and every attempt is
+// written to the delivery log.
+
+const crypto = require("crypto");
+const dgram = require("dgram");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+const { ALERT_SEVERITIES } = require("./alert-rules");
+const log = require("./logger").logger.child({ component: 'alert-sinks' });
+
+const SINK_TYPES = ['webhook', 'syslog', 'email'];
+const SECRET_FIELDS = ['secret', 'password'];
+
+const RETRY = {
+  MAX_ATTEMPTS: 5,
+  BASE_DELAY_MS: 2000,
+  MAX_DELAY_MS: 5 * 60 * 1000
+};
+
+const LIMITS = {
+  MAX_SINKS: 20,
+  MAX_QUEUE: 1000,
+  TIMEOUT_MS: 10000
+};
+
+// RFC 5424 severities for our alert severities
+const SYSLOG_SEVERITY = { critical: 2, warning: 4, info: 6 };
+// Example enterprise number reserved for documentation (RFC 5612)
+const SYSLOG_SD_ID = 'alert@32473';
+
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+$/;
+
+// ======== Validation ========
+function isHost(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9.:\-\[\]]{1,253}$/.test(value);
+}
+
+function isPort(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 65535;
+}
+
+// Returns { sink, errors }. `existing` is the stored sink with the same id, whose
+// secrets are kept when the update leaves them out (they are never read back).
+function validateSink(sink, existing) {
+  const errors = [];
+  if (!sink || typeof sink !== 'object') return { sink: null, errors: ['sink must be an object'] };
+
+  if (typeof sink.id !== 'string' || !/^[a-z0-9_-]{1,40}$/.test(sink.id)) {
+    errors.push('id must be 1-40 characters of a-z, 0-9, _ or -');
+  }
+  if (!SINK_TYPES.includes(sink.type)) {
+    errors.push(`type must be one of ${SINK_TYPES.join(', ')}`);
+  }
+  if (sink.minSeverity !== undefined && !ALERT_SEVERITIES.includes(sink.minSeverity)) {
+    errors.push(`minSeverity must be one of ${ALERT_SEVERITIES.join(', ')}`);
+  }
+  if (sink.ruleIds !== undefined && !(Array.isArray(sink.ruleIds) && sink.ruleIds.every(id => typeof id === 'string'))) {
+    errors.push('ruleIds must be an array of rule ids');
+  }
+
+  const merged = { ...sink };
+  if (existing && existing.type === sink.type) {
+    for (const field of SECRET_FIELDS) {
+      if (merged[field] === undefined && existing[field] !== undefined) merged[field] = existing[field];
+    }
+  }
+
+  const normalized = {
+    id: sink.id,
+    type: sink.type,
+    enabled: sink.enabled !== false,
+    minSeverity: sink.minSeverity || 'critical',
+    ...(sink.ruleIds && { ruleIds: sink.ruleIds })
+  };
+
+  if (sink.type === 'webhook') {
+    let url;
+    try {
+      url = new URL(merged.url);
+    } catch {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('url must be an http(s) URL');
+    if (typeof merged.secret !== 'string' || merged.secret.length < 16 || merged.secret.length > 256) {
+      errors.push('secret must be 16-256 characters');
+    }
+    const headers = merged.headers || {};
+    if (typeof headers !== 'object' || Object.keys(headers).length > 10 ||
+        !Object.entries(headers).every(([name, value]) => /^[A-Za-z0-9-]{1,64}$/.test(name) && typeof value === 'string' && !/[\r\n]/.test(value))) {
+      errors.push('headers must be at most 10 string header values');
+    }
+    Object.assign(normalized, { url: merged.url, secret: merged.secret, ...(merged.headers && { headers }) });
+  }
+
+  if (sink.type === 'syslog') {
+    const port = merged.port !== undefined ? merged.port : 514;
+    const protocol = merged.protocol || 'udp';
+    const facility = merged.facility !== undefined ? merged.facility : 10; // security/authorization
+    const appName = merged.appName || 'metrics-host';
+    if (!isHost(merged.host)) errors.push('host must be a hostname or IP address');
+    if (!isPort(port)) errors.push('port must be 1-65535');
+    if (!['udp', 'tcp'].includes(protocol)) errors.push('protocol must be udp or tcp');
+    if (!(Number.isInteger(facility) && facility >= 0 && facility <= 23)) errors.push('facility must be 0-23');
+    if (!/^[\x21-\x7e]{1,48}$/.test(appName)) errors.push('appName must be 1-48 printable ASCII characters');
+    Object.assign(normalized, { host: merged.host, port, protocol, facility, appName });
+  }
+
+  if (sink.type === 'email') {
+    const security = merged.security || 'starttls';
+    const port = merged.port !== undefined ? merged.port : (security === 'tls' ? 465 : 587);
+    if (!isHost(merged.host)) errors.push('host must be a hostname or IP address');
+    if (!isPort(port)) errors.push('port must be 1-65535');
+    if (!['none', 'starttls', 'tls'].includes(security)) errors.push('security must be none, starttls or tls');
+    if (typeof merged.from !== 'string' || !EMAIL_PATTERN.test(merged.from)) errors.push('from must be an email address');
+    if (!Array.isArray(merged.to) || merged.to.length === 0 || merged.to.length > 20 ||
+        !merged.to.every(address => typeof address === 'string' && EMAIL_PATTERN.test(address))) {
+      errors.push('to must be a list of 1-20 email addresses');
+    }
+    if ((merged.username === undefined) !== (merged.password === undefined)) {
+      errors.push('username and password must be set together');
+    }
+    if (merged.username !== undefined && security === 'none') {
+      errors.push('credentials require security starttls or tls');
+    }
+    Object.assign(normalized, {
+      host: merged.host,
+      port,
+      security,
+      from: merged.from,
+      to: merged.to,
+      ...(merged.username !== undefined && { username: String(merged.username), password: String(merged.password) }),
+      ...(merged.allowSelfSigned && { allowSelfSigned: true })
+    });
+  }
+
+  return errors.length > 0 ? { sink: null, errors } : { sink: normalized, errors };
+}
+
+// Validate a full sink list. Returns { sinks, errors } with errors prefixed by sink index.
+function validateSinks(sinks, existingSinks = []) {
+  if (!Array.isArray(sinks)) return { sinks: null, errors: ['sinks must be an array'] };
+  if (sinks.length > LIMITS.MAX_SINKS) return { sinks: null, errors: [`at most ${LIMITS.MAX_SINKS} sinks are allowed`] };
+
+  const errors = [];
+  const normalized = [];
+  const ids = new Set();
+  sinks.forEach((sink, index) => {
+    const existing = sink && existingSinks.find(s => s.id === sink.id);
+    const result = validateSink(sink, existing);
+    result.errors.forEach(error => errors.push(`sinks[${index}]: ${error}`));
+    if (result.sink) {
+      if (ids.has(result.sink.id)) errors.push(`sinks[${index}]: duplicate id ${result.sink.id}`);
+      ids.add(result.sink.id);
+      normalized.push(result.sink);
+    }
+  });
+  return errors.length > 0 ? { sinks: null, errors } : { sinks: normalized, errors };
+}
+
+// Sink config without secrets, for API responses
+function redactSink(sink) {
+  const redacted = { ...sink };
+  for (const field of SECRET_FIELDS) {
+    if (redacted[field] !== undefined) {
+      delete redacted[field];
+      redacted[`${field}Set`] = true;
+    }
+  }
+  return redacted;
+}
+
+function sinkAccepts(sink, alert) {
+  return sink.enabled &&
+    ALERT_SEVERITIES.indexOf(alert.severity) >= ALERT_SEVERITIES.indexOf(sink.minSeverity) &&
+    (!sink.ruleIds || sink.ruleIds.includes(alert.ruleId));
+}
+
+function deliveryError(message, retryable = true) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+// ======== Webhook ========
+function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// For receivers: check X-Alert-Signature against X-Alert-Timestamp and the raw body
+function verifyWebhookSignature(secret, timestamp, body, signature, toleranceSeconds = 300) {
+  if (!timestamp || !signature || Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+  const expected = Buffer.from(signWebhook(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+async function sendWebhook(sink, alert, deliveryId) {
+  const body = JSON.stringify({ event: 'alert', deliveryId, alert });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  let response;
+  try {
+    response = await fetch(sink.url, {
+      method: 'POST',
+      headers: {
+        ...sink.headers,
+        'Content-Type': 'application/json',
+        'User-Agent': 'metrics-host-alerts',
+        'X-Alert-Delivery': deliveryId,
+        'X-Alert-Timestamp': timestamp,
+        'X-Alert-Signature': signWebhook(sink.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(LIMITS.TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw deliveryError(`Webhook request failed: ${error.cause ? error.cause.message : error.message}`);
+  }
+
+  if (response.ok) return `HTTP ${response.status}`;
+  // Client errors will not fix themselves, except timeouts and rate limits
+  const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+  throw deliveryError(`Webhook returned HTTP ${response.status}`, retryable);
+}
+
+// ======== Syslog ========
+function syslogParam(value) {
+  return String(value).replace(/["\\\]]/g, '\\$&');
+}
+
+// RFC 5424: <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [SD-ELEMENT] MSG
+function formatSyslog(sink, alert) {
+  const pri = sink.facility * 8 + SYSLOG_SEVERITY[alert.severity];
+  const timestamp = new Date(alert.createdAt || Date.now()).toISOString();
+  const hostname = os.hostname().replace(/[^\x21-\x7e]/g, '').slice(0, 255) || '-';
+  const msgId = (alert.ruleId || 'alert').replace(/[^\x21-\x7e]/g, '').slice(0, 32);
+  const params = {
+    id: alert.id,
+    room: alert.roomCode,
+    rule: alert.ruleId,
+    severity: alert.severity,
+    client: alert.clientId,
+    count: alert.count
+  };
+  const sd = `[${SYSLOG_SD_ID}` + Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${syslogParam(value)}"`)
+    .join('') + ']';
+  return `<${pri}>1 ${timestamp} ${hostname} ${sink.appName} ${process.pid} ${msgId} ${sd} \uFEFF${alert.message}`;
+}
+
+function sendSyslog(sink, alert) {
+  const message = Buffer.from(formatSyslog(sink, alert), 'utf8');
+
+  if (sink.protocol === 'udp') {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(net.isIPv6(sink.host) ? 'udp6' : 'udp4');
+      socket.send(message, sink.port, sink.host, error => {
+        socket.close();
+        if (error) reject(deliveryError(`Syslog UDP send failed: ${error.message}`));
+        else resolve(`${message.length} bytes via UDP`);
+      });
+    });
+  }
+
+  // TCP uses octet-counting framing (RFC 6587)
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host: sink.host, port: sink.port });
+    socket.setTimeout(LIMITS.TIMEOUT_MS, () => socket.destroy(new Error('timed out')));
+    socket.on('error', error => reject(deliveryError(`Syslog TCP send failed: ${error.message}`)));
+    socket.on('connect', () => {
+      socket.end(Buffer.concat([Buffer.from(`${message.length} `), message]), () => {
+        resolve(`${message.length} bytes via TCP`);
+      });
+    });
+  });
+}
+
+// ======== Email (SMTP) ========
+class SmtpConnection {
+  constructor(socket) {
+    this.responses = [];
+    this.waiters = [];
+    this.attach(socket);
+  }
+
+  // Read replies from `socket`; after STARTTLS the TLS socket replaces the
+  // plain one, which must no longer feed or fail the connection
+  attach(socket) {
+    if (this.socket) this.detach();
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.onData = chunk => this.receive(chunk);
+    this.onError = error => this.fail(error);
+    this.onClose = () => this.fail(new Error('SMTP connection closed'));
+    socket.setTimeout(LIMITS.TIMEOUT_MS, () => socket.destroy(new Error('SMTP timed out')));
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', this.onClose);
+  }
+
+  detach() {
+    this.socket.setTimeout(0);
+    this.socket.removeListener('data', this.onData);
+    this.socket.removeListener('error', this.onError);
+    this.socket.removeListener('close', this.onClose);
+  }
+
+  receive(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.responses.push({ code: parseInt(line.slice(0, 3), 10), lines: this.lines });
+        this.lines = [];
+      }
+    }
+    this.flush();
+  }
+
+  flush() {
+    while (this.waiters.length > 0 && this.responses.length > 0) {
+      this.waiters.shift().resolve(this.responses.shift());
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    while (this.waiters.length > 0) this.waiters.shift().reject(this.error);
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+      this.flush();
+      if (this.error && this.waiters.length > 0) this.fail(this.error);
+    });
+  }
+
+  async command(line, expected) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const response = await this.read();
+    if (!expected.includes(response.code)) {
+      const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+      // 4xx replies are transient, 5xx are permanent
+      throw deliveryError(`SMTP ${shown || 'greeting'} rejected: ${response.lines.join(' ')}`, response.code < 500);
+    }
+    return response;
+  }
+}
+
+function connectSmtp(sink) {
+  const options = { host: sink.host, port: sink.port };
+  return new Promise((resolve, reject) => {
+    const socket = sink.security === 'tls'
+      ? tls.connect({ ...options, servername: sink.host, rejectUnauthorized: !sink.allowSelfSigned })
+      : net.connect(options);
+    socket.once(sink.security === 'tls' ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeSmtp(sink, socket) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: sink.host, rejectUnauthorized: !sink.allowSelfSigned });
+    secure.once('secureConnect', () => resolve(secure));
+    secure.once('error', reject);
+  });
+}
+
+function headerText(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+function formatEmail(sink, alert, deliveryId) {
+  const subject = `[${alert.severity.toUpperCase()}] Room ${alert.roomCode}: ${alert.name || alert.ruleId}`;
+  const body = [
+    alert.message,
+    '',
+    `Severity: ${alert.severity}`,
+    `Room:     ${alert.roomCode}`,
+    `Rule:     ${alert.ruleId}`,
+    ...(alert.clientId ? [`Client:   ${alert.clientId}`] : []),
+    ...(alert.count !== undefined ? [`Count:    ${alert.count}`] : []),
+    `Raised:   ${new Date(alert.createdAt || Date.now()).toISOString()}`,
+    `Alert ID: ${alert.id}`
+  ].join('\r\n');
+
+  const headers = [
+    `From: ${sink.from}`,
+    `To: ${sink.to.join(', ')}`,
+    `Subject: ${headerText(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${deliveryId}@${headerText(os.hostname())}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+
+  // Dot-stuff lines that start with "." so they do not end the DATA section
+  return `${headers.join('\r\n')}\r\n\r\n${body}`
+    .replace(/\r?\n/g, '\r\n')
+    .replace(/^\./gm, '..');
+}
+
+async function sendEmail(sink, alert, deliveryId) {
+  let socket;
+  try {
+    socket = await connectSmtp(sink);
+  } catch (error) {
+    throw deliveryError(`SMTP connection failed: ${error.message}`);
+  }
+
+  const smtp = new SmtpConnection(socket);
+  const helo = os.hostname().replace(/[^A-Za-z0-9.-]/g, '') || 'localhost';
+  try {
+    await smtp.command(null, [220]);
+    let ehlo = await smtp.command(`EHLO ${helo}`, [250]);
+
+    if (sink.security === 'starttls') {
+      if (!ehlo.lines.some(line => /^250[ -]STARTTLS\b/i.test(line))) {
+        throw deliveryError('SMTP server does not offer STARTTLS', false);
+      }
+      await smtp.command('STARTTLS', [220]);
+      smtp.attach(await upgradeSmtp(sink, smtp.socket));
+      ehlo = await smtp.command(`EHLO ${helo}`, [250]);
+    }
+
+    if (sink.username !== undefined) {
+      const credentials = Buffer.from(`\0${sink.username}\0${sink.password}`).toString('base64');
+      await smtp.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await smtp.command(`MAIL FROM:<${sink.from}>`, [250]);
+    for (const recipient of sink.to) {
+      await smtp.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await smtp.command('DATA', [354]);
+    const accepted = await smtp.command(`${formatEmail(sink, alert, deliveryId)}\r\n.`, [250]);
+    smtp.socket.end('QUIT\r\n');
+    return `SMTP ${accepted.lines[accepted.lines.length - 1]}`;
+  } catch (error) {
+    smtp.socket.destroy();
+    if (error.retryable === undefined) error.retryable = true;
+    throw error;
+  }
+}
+
+const SENDERS = {
+  webhook: sendWebhook,
+  syslog: sendSyslog,
+  email: sendEmail
+};
+
+// ======== Dispatcher ========
+class AlertDispatcher {
+  // `deliveries` is the collection that receives the delivery log
+  constructor(deliveries) {
+    this.deliveries = deliveries;
+    this.queue = []; // { sink, alert, deliveryId, attempt, runAt }
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Queue the alerts for every sink that accepts them
+  dispatch(alerts, sinks) {
+    for (const alert of alerts) {
+      for (const sink of sinks) {
+        if (!sinkAccepts(sink, alert)) continue;
+        if (this.queue.length >= LIMITS.MAX_QUEUE) {
+          log.error('Alert delivery queue full, dropping alert', { alertId: alert.id, sinkId: sink.id });
+          continue;
+        }
+        this.queue.push({ sink, alert, deliveryId: crypto.randomUUID(), attempt: 1, runAt: Date.now() });
+      }
+    }
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.running || this.queue.length === 0) return;
+    clearTimeout(this.timer);
+    const next = Math.min(...this.queue.map(job => job.runAt));
+    this.timer = setTimeout(() => this.drain(), Math.max(0, next - Date.now()));
+  }
+
+  async drain() {
+    this.running = true;
+    const now = Date.now();
+    const due = this.queue.filter(job => job.runAt <= now);
+    this.queue = this.queue.filter(job => job.runAt > now);
+
+    await Promise.all(due.map(async job => {
+      const result = await this.deliver(job);
+      if (result.status === 'retrying') {
+        const delay = Math.min(RETRY.BASE_DELAY_MS * 2 ** (job.attempt - 1), RETRY.MAX_DELAY_MS);
+        this.queue.push({ ...job, attempt: job.attempt + 1, runAt: Date.now() + delay });
+      }
+    }));
+
+    this.running = false;
+    this.schedule();
+  }
+
+  // Attempt one delivery and log it; never throws
+  async deliver({ sink, alert, deliveryId, attempt }, retry = true) {
+    const started = Date.now();
+    let status, detail, error;
+    try {
+      detail = await SENDERS[sink.type](sink, alert, deliveryId);
+      status = 'delivered';
+    } catch (err) {
+      error = err.message;
+      status = retry && err.retryable !== false && attempt < RETRY.MAX_ATTEMPTS ? 'retrying' : 'failed';
+    }
+
+    const entry = {
+      deliveryId,
+      alertId: alert.id,
+      roomCode: alert.roomCode,
+      sinkId: sink.id,
+      sinkType: sink.type,
+      scope: sink.scope || null,
+      attempt,
+      status,
+      ...(detail && { detail }),
+      ...(error && { error }),
+      durationMs: Date.now() - started,
+      createdAt: new Date()
+    };
+    if (status === 'failed') {
+      log.error('Alert delivery failed', { alertId: alert.id, sinkId: sink.id, sinkType: sink.type, attempts: attempt, error });
+    }
+
+    try {
+      await this.deliveries.insertOne(entry);
+    } catch (logError) {
+      log.error('Failed to log alert delivery', { alertId: alert.id, error: logError });
+    }
+    return entry;
+  }
+
+  // Deliver a test alert once, without retries
+  test(sink, roomCode = null) {
+    const alert = {
+      id: `test-${Date.now()}`,
+      ruleId: 'sink_test',
+      name: 'Sink test',
+      severity: 'critical',
+      roomCode,
+      message: `Test alert for ${sink.type} sink ${sink.id}`,
+      createdAt: new Date()
+    };
+    return this.deliver({ sink, alert, deliveryId: crypto.randomUUID(), attempt: 1 }, false);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+  }
+}
+
+// ======== Stand-in Listeners ========
+function listenWebhook(port, secret) {
+  http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const signed = secret
+        ? verifyWebhookSignature(secret, req.headers['x-alert-timestamp'], body, req.headers['x-alert-signature'])
+        : null;
+      console.log(`📨 ${req.method} ${req.url} delivery=${req.headers['x-alert-delivery']}` +
+        (signed === null ? '' : signed ? ' ✅ signature valid' : ' ❌ signature invalid'));
+      console.log(body);
+      res.writeHead(signed === false ? 401 : 204).end();
+    });
+  }).listen(port, () => console.log(`🪝 Webhook listener on http://localhost:${port}/`));
+}
+
+function listenSyslog(port) {
+  dgram.createSocket('udp4')
+    .on('message', (message, remote) => console.log(`📨 UDP ${remote.address}: ${message.toString('utf8')}`))
+    .bind(port);
+
+  net.createServer(socket => {
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let match;
+      while ((match = /^(\d+) /.exec(buffer)) && Buffer.byteLength(buffer) >= match[0].length + Number(match[1])) {
+        const frame = Buffer.from(buffer).subarray(match[0].length, match[0].length + Number(match[1])).toString('utf8');
+        console.log(`📨 TCP ${socket.remoteAddress}: ${frame}`);
+        buffer = Buffer.from(buffer).subarray(match[0].length + Number(match[1])).toString('utf8');
+      }
+    });
+  }).listen(port, () => console.log(`📜 Syslog listener on UDP and TCP port ${port}`));
+}
+
+// Accepts any mail without TLS or authentication; use security "none" against it
+function listenSmtp(port) {
+  net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 localhost stand-in SMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data !== null) {
+          if (line === '.') {
+            console.log(`📨 Message:\n${data.join('\n')}\n`);
+            data = null;
+            socket.write('250 OK queued\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO' || verb === 'HELO') socket.write('250 localhost\r\n');
+        else if (verb === 'DATA') { data = []; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+        else {
+          if (verb === 'MAIL' || verb === 'RCPT') console.log(`   ${line}`);
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  }).listen(port, () => console.log(`✉️ SMTP listener on port ${port}`));
+}
+
+if (require.main === module) {
+  const [command, kind, ...args] = process.argv.slice(2);
+  const port = parseInt(args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--secret'), 10);
+  const secretIndex = args.indexOf('--secret');
+  const listeners = {
+    webhook: () => listenWebhook(port || 9000, secretIndex !== -1 ? args[secretIndex + 1] : null),
+    syslog: () => listenSyslog(port || 5514),
+    smtp: () => listenSmtp(port || 2525)
+  };
+  if (command === 'listen' && listeners[kind]) {
+    listeners[kind]();
+  } else {
+    console.error('Usage: node alert-sinks.js listen <webhook|syslog|smtp> [port] [--secret SECRET]');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SINK_TYPES,
+  AlertDispatcher,
+  validateSinks,
+  redactSink,
+  formatSyslog,
+  verifyWebhookSignature
+};
@@ -0,0 +1,359 @@
+// auth.js - Operator accounts, sessions, API tokens and role checks for the metrics host
+// Add an operator: OPERATOR_PASSWORD=... node auth.js add-operator <username> [--role admin|owner|viewer]
+//
+// Roles:
+//   admin  - everything, including operators and global alert sinks
+//   owner  - creates rooms and manages the rooms they own
+//   viewer - read-only access to every room
+//
+// Passwords are hashed with scrypt. Sessions (dashboard logins) and API tokens
+// are random bearer tokens; only their SHA-256 is stored.
+
+const crypto = require("crypto");
+const util = require("util");
+const { MongoClient } = require("mongodb");
+
+const ROLES = ['admin', 'owner', 'viewer'];
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+const AUTH = {
+  SESSION_COOKIE: 'mh_session',
+  SESSION_TTL_MS: 12 * 60 * 60 * 1000, // 12 hours
+  MIN_PASSWORD_LENGTH: 12,
+  MAX_FAILED_LOGINS: 10,
+  LOCKOUT_MS: 15 * 60 * 1000,
+  MAX_API_TOKENS: 20
+};
+
+// ======== Hashing ========
+const scrypt = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keyLength } = SCRYPT;
+  const hash = await scrypt(password, salt, keyLength, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Constant-time comparison of a presented secret against a stored SHA-256
+function secretMatches(secret, storedHash) {
+  if (typeof secret !== 'string' || !storedHash) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(secret), 'hex'), Buffer.from(storedHash, 'hex'));
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // Ignore malformed cookie values
+    }
+  }
+  return cookies;
+}
+
+// Bearer token from the Authorization header, falling back to the session cookie
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return parseCookies(req.headers.cookie)[AUTH.SESSION_COOKIE] || null;
+}
+
+function validateUsername(username) {
+  return typeof username === 'string' && /^[a-z0-9._-]{3,32}$/.test(username);
+}
+
+function validatePassword(password) {
+  return typeof password === 'string' &&
+    password.length >= AUTH.MIN_PASSWORD_LENGTH && password.length <= 256;
+}
+
+// ======== Room Access ========
+function canViewRoom(operator, room) {
+  if (!operator) return false;
+  if (operator.role === 'admin' || operator.role === 'viewer') return true;
+  return !!room && room.owner === operator.username;
+}
+
+function canManageRoom(operator, room) {
+  if (!operator) return false;
+  if (operator.role === 'admin') return true;
+  return operator.role === 'owner' && !!room && room.owner === operator.username;
+}
+
+// ======== Auth Service ========
+class AuthService {
+  constructor(db) {
+    this.operators = db.collection('operators');
+    this.sessions = db.collection('auth_sessions');
+    this.apiTokens = db.collection('api_tokens');
+    this.failedLogins = new Map(); // username -> { count, lockedUntil }
+    this.dummyHash = null;
+  }
+
+  async init() {
+    await this.sessions.createIndex({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
+    await this.sessions.createIndex({ "username": 1 });
+    await this.apiTokens.createIndex({ "username": 1 });
+  }
+
+  static publicOperator(doc) {
+    return {
+      username: doc._id,
+      role: doc.role,
+      disabled: !!doc.disabled,
+      createdAt: doc.createdAt,
+      lastLoginAt: doc.lastLoginAt || null
+    };
+  }
+
+  async countOperators() {
+    return this.operators.countDocuments();
+  }
+
+  async listOperators() {
+    const docs = await this.operators.find().sort({ _id: 1 }).toArray();
+    return docs.map(AuthService.publicOperator);
+  }
+
+  async createOperator(username, password, role) {
+    if (!validateUsername(username)) throw new Error('Username must be 3-32 characters of a-z, 0-9, ., _ or -');
+    if (!validatePassword(password)) throw new Error(`Password must be at least ${AUTH.MIN_PASSWORD_LENGTH} characters`);
+    if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+
+    const doc = { _id: username, passwordHash: await hashPassword(password), role, createdAt: new Date() };
+    try {
+      await this.operators.insertOne(doc);
+    } catch (error) {
+      if (error.code === 11000) throw new Error(`Operator ${username} already exists`);
+      throw error;
+    }
+    return AuthService.publicOperator(doc);
+  }
+
+  // Change role, password or disabled flag. Revokes sessions when access is reduced.
+  async updateOperator(username, { role, password, disabled }) {
+    const update = {};
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+      update.role = role;
+    }
+    if (password !== undefined) {
+      if (!validatePassword(password)) throw new Error(`Password must be at least ${AUTH.MIN_PASSWORD_LENGTH} characters`);
+      update.passwordHash = await hashPassword(password);
+    }
+    if (disabled !== undefined) update.disabled = !!disabled;
+
+    const doc = await this.operators.findOneAndUpdate(
+      { _id: username },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    if (!doc) return null;
+    if (update.role || update.passwordHash || update.disabled) {
+      await this.sessions.deleteMany({ username });
+    }
+    if (update.disabled) {
+      await this.apiTokens.deleteMany({ username });
+    }
+    return AuthService.publicOperator(doc);
+  }
+
+  async deleteOperator(username) {
+    const result = await this.operators.deleteOne({ _id: username });
+    await this.sessions.deleteMany({ username });
+    await this.apiTokens.deleteMany({ username });
+    return result.deletedCount > 0;
+  }
+
+  // Returns { token, expiresAt, operator } or null; locks the account after repeated failures
+  async login(username, password) {
+    const failures = this.failedLogins.get(username);
+    if (failures && failures.lockedUntil > Date.now()) {
+      const error = new Error('Too many failed logins, try again later');
+      error.locked = true;
+      throw error;
+    }
+
+    const doc = validateUsername(username) ? await this.operators.findOne({ _id: username }) : null;
+    // Hash even for unknown users so response time does not reveal which exist
+    if (!this.dummyHash) this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    const valid = await verifyPassword(String(password), doc ? doc.passwordHash : this.dummyHash) && !!doc;
+
+    if (!valid || doc.disabled) {
+      if (this.failedLogins.size > 10000) this.failedLogins.clear();
+      const count = (failures ? failures.count : 0) + 1;
+      this.failedLogins.set(username, {
+        count,
+        lockedUntil: count >= AUTH.MAX_FAILED_LOGINS ? Date.now() + AUTH.LOCKOUT_MS : 0
+      });
+      return null;
+    }
+
+    this.failedLogins.delete(username);
+    const token = generateToken('mhs');
+    const expiresAt = new Date(Date.now() + AUTH.SESSION_TTL_MS);
+    await this.sessions.insertOne({ _id: hashToken(token), username, createdAt: new Date(), expiresAt });
+    await this.operators.updateOne({ _id: username }, { $set: { lastLoginAt: new Date() } });
+    return { token, expiresAt, operator: AuthService.publicOperator(doc) };
+  }
+
+  async logout(token) {
+    await this.sessions.deleteOne({ _id: hashToken(token) });
+  }
+
+  // Operator { username, role, via } for a session or API token, or null
+  async authenticate(token) {
+    if (!token) return null;
+    const id = hashToken(token);
+
+    let username, via;
+    if (token.startsWith('mhs_')) {
+      const session = await this.sessions.findOne({ _id: id });
+      if (!session || session.expiresAt < new Date()) return null;
+      username = session.username;
+      via = 'session';
+    } else if (token.startsWith('mht_')) {
+      const apiToken = await this.apiTokens.findOneAndUpdate(
+        { _id: id },
+        { $set: { lastUsedAt: new Date() } }
+      );
+      if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt < new Date())) return null;
+      username = apiToken.username;
+      via = 'token';
+    } else {
+      return null;
+    }
+
+    const doc = await this.operators.findOne({ _id: username });
+    if (!doc || doc.disabled) return null;
+    return { username, role: doc.role, via };
+  }
+
+  // Returns { token, tokenInfo }; the token itself is only shown here
+  async createApiToken(username, name, expiresInDays) {
+    if (await this.apiTokens.countDocuments({ username }) >= AUTH.MAX_API_TOKENS) {
+      throw new Error(`At most ${AUTH.MAX_API_TOKENS} API tokens per operator`);
+    }
+    const token = generateToken('mht');
+    const doc = {
+      _id: hashToken(token),
+      tokenId: crypto.randomBytes(6).toString('hex'),
+      username,
+      name: String(name || 'API token').slice(0, 64),
+      createdAt: new Date(),
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      lastUsedAt: null
+    };
+    await this.apiTokens.insertOne(doc);
+    const { _id, ...tokenInfo } = doc;
+    return { token, tokenInfo };
+  }
+
+  async listApiTokens(username) {
+    return this.apiTokens
+      .find({ username }, { projection: { _id: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+  }
+
+  async revokeApiToken(username, tokenId) {
+    const result = await this.apiTokens.deleteOne({ username, tokenId });
+    return result.deletedCount > 0;
+  }
+}
+
+// Reject requests without an operator of one of the given roles (any role when none given)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.operator) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    if (roles.length > 0 && !roles.includes(req.operator.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+    next();
+  };
+}
+
+// ======== Operator Command ========
+async function readPassword() {
+  if (process.env.OPERATOR_PASSWORD) return process.env.OPERATOR_PASSWORD;
+  process.stdout.write('Password: ');
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+    if (chunk.includes(10)) break;
+  }
+  return Buffer.concat(chunks).toString('utf8').split(/\r?\n/)[0];
+}
+
+async function runAddOperator(args) {
+  const username = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--role');
+  const roleIndex = args.indexOf('--role');
+  const role = roleIndex !== -1 ? args[roleIndex + 1] : 'admin';
+  if (!username) {
+    console.error('Usage: OPERATOR_PASSWORD=... node auth.js add-operator <username> [--role admin|owner|viewer]');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI || "mongodb://127.0.0.1:27017");
+  await client.connect();
+  const auth = new AuthService(client.db("metrics_host"));
+  const operator = await auth.createOperator(username, await readPassword(), role);
+  console.log(`✅ Created ${operator.role} operator ${operator.username}`);
+  await client.close();
+}
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === 'add-operator') {
+    runAddOperator(args).catch(error => {
+      console.error('❌ Failed to add operator:', error.message);
+      process.exit(1);
+    });
+  } else {
+    console.error('Usage: OPERATOR_PASSWORD=... node auth.js add-operator <username> [--role admin|owner|viewer]');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  ROLES,
+  AUTH,
+  AuthService,
+  requireRole,
+  canViewRoom,
+  canManageRoom,
+  hashToken,
+  secretMatches,
+  tokenFromRequest
+};
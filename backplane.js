@@ -0,0 +1,396 @@
+// backplane.js - Pub/sub backplane connecting metrics-host processes
+// Stand-in server: node backplane.js serve [port]   (Redis-protocol pub/sub only)
+//
+// Every host publishes room events (client joins, metrics, alerts, settings
+// changes) and heartbeats on the backplane and receives everyone else's, so a
+// controller connected to one host sees clients connected to another:
+//
+//   const backplane = createBackplane(process.env.BACKPLANE_URL);
+//   await backplane.connect();
+//   backplane.subscribe('rooms', message => { ... });
+//   await backplane.publish('rooms', { type: 'metrics', ... });
+//
+// Without a URL the in-process backplane is used, which only reaches
+// subscribers in the same process (a single host). redis:// and rediss:// URLs
+// use RedisBackplane, a minimal RESP client that needs nothing but PUBLISH and
+// SUBSCRIBE, so any Redis-compatible server (or `serve` below) works.
+
+const net = require("net");
+const tls = require("tls");
+const { EventEmitter } = require("events");
+const log = require("./logger").logger.child({ component: 'backplane' });
+
+const RECONNECT = {
+  BASE_DELAY_MS: 500,
+  MAX_DELAY_MS: 30000
+};
+
+// ======== In-process ========
+class InProcessBackplane {
+  constructor(emitter = new EventEmitter()) {
+    this.emitter = emitter; // share one emitter to connect hosts in one process
+    this.emitter.setMaxListeners(0);
+    this.handlers = [];
+  }
+
+  async connect() {}
+
+  async publish(channel, message) {
+    const payload = JSON.stringify(message);
+    setImmediate(() => this.emitter.emit(channel, payload));
+  }
+
+  subscribe(channel, handler) {
+    const listener = payload => handler(JSON.parse(payload));
+    this.handlers.push([channel, listener]);
+    this.emitter.on(channel, listener);
+  }
+
+  async close() {
+    for (const [channel, listener] of this.handlers) this.emitter.off(channel, listener);
+    this.handlers = [];
+  }
+}
+
+// ======== RESP ========
+// Array of bulk strings, with numbers as integers
+function encodeArray(items) {
+  const parts = [Buffer.from(`*${items.length}\r\n`)];
+  for (const item of items) {
+    if (typeof item === 'number') {
+      parts.push(Buffer.from(`:${item}\r\n`));
+    } else {
+      const value = Buffer.from(String(item));
+      parts.push(Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n'));
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+function encodeCommand(args) {
+  return encodeArray(args.map(String));
+}
+
+// Incremental RESP parser; feed() returns the complete replies received so far
+class RespParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  feed(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    const replies = [];
+    for (;;) {
+      const result = this.parse(0);
+      if (!result) break;
+      replies.push(result.value);
+      this.buffer = this.buffer.subarray(result.end);
+    }
+    return replies;
+  }
+
+  parse(start) {
+    const lineEnd = this.buffer.indexOf('\r\n', start);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(this.buffer[start]);
+    const line = this.buffer.toString('utf8', start + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, end: next };
+      case '-':
+        return { value: new Error(line), end: next };
+      case ':':
+        return { value: parseInt(line, 10), end: next };
+      case '$': {
+        const length = parseInt(line, 10);
+        if (length === -1) return { value: null, end: next };
+        if (this.buffer.length < next + length + 2) return null;
+        return { value: this.buffer.toString('utf8', next, next + length), end: next + length + 2 };
+      }
+      case '*': {
+        const count = parseInt(line, 10);
+        if (count === -1) return { value: null, end: next };
+        const items = [];
+        let end = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parse(end);
+          if (!item) return null;
+          items.push(item.value);
+          end = item.end;
+        }
+        return { value: items, end };
+      }
+      default:
+        throw new Error(`Unexpected RESP type ${JSON.stringify(type)}`);
+    }
+  }
+}
+
+// One Redis connection that reconnects by itself. `onReady` runs after each
+// (re)connect, before the connection counts as ready; `onPush` gets pub/sub messages.
+class RespConnection {
+  constructor(url, { onReady, onPush } = {}) {
+    this.url = new URL(url);
+    this.onReady = onReady || (async () => {});
+    this.onPush = onPush || (() => {});
+    this.socket = null;
+    this.ready = false;
+    this.closed = false;
+    this.attempt = 0;
+    this.pending = []; // { resolve, reject } awaiting replies, in order
+  }
+
+  // Resolves after the first attempt, successful or not; retries continue in the background
+  connect() {
+    return new Promise((resolve) => {
+      this.open(resolve);
+    });
+  }
+
+  open(onSettled) {
+    const port = parseInt(this.url.port, 10) || 6379;
+    const host = this.url.hostname || '127.0.0.1';
+    const socket = this.url.protocol === 'rediss:'
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    const parser = new RespParser();
+    this.socket = socket;
+
+    socket.on(this.url.protocol === 'rediss:' ? 'secureConnect' : 'connect', async () => {
+      try {
+        if (this.url.password) {
+          const username = decodeURIComponent(this.url.username);
+          const password = decodeURIComponent(this.url.password);
+          await this.raw(username ? ['AUTH', username, password] : ['AUTH', password]);
+        }
+        await this.onReady();
+        this.ready = true;
+        if (this.attempt > 0) log.info('Backplane reconnected', { host, port });
+        this.attempt = 0;
+        onSettled();
+      } catch (error) {
+        log.error('Backplane handshake failed', { host, port, error });
+        socket.destroy();
+      }
+    });
+    socket.on('data', (chunk) => {
+      let replies;
+      try {
+        replies = parser.feed(chunk);
+      } catch (error) {
+        log.error('Backplane protocol error', { host, port, error });
+        socket.destroy();
+        return;
+      }
+      for (const reply of replies) {
+        if (Array.isArray(reply) && reply[0] === 'message') {
+          this.onPush(reply);
+        } else {
+          const waiter = this.pending.shift();
+          if (!waiter) continue;
+          if (reply instanceof Error) waiter.reject(reply);
+          else waiter.resolve(reply);
+        }
+      }
+    });
+    socket.on('error', (error) => {
+      if (this.attempt === 0) log.error('Backplane connection error', { host, port, error });
+    });
+    socket.on('close', () => {
+      this.ready = false;
+      for (const waiter of this.pending.splice(0)) waiter.reject(new Error('Backplane connection closed'));
+      onSettled();
+      if (this.closed) return;
+      const delay = Math.min(RECONNECT.MAX_DELAY_MS, RECONNECT.BASE_DELAY_MS * Math.pow(2, this.attempt++));
+      setTimeout(() => this.open(onSettled), delay);
+    });
+  }
+
+  // Send a command on the socket regardless of readiness (used during the handshake)
+  raw(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  command(args) {
+    if (!this.ready) return Promise.reject(new Error('Backplane not connected'));
+    return this.raw(args);
+  }
+
+  close() {
+    this.closed = true;
+    if (this.socket) this.socket.end(encodeCommand(['QUIT']));
+  }
+}
+
+// ======== Redis ========
+// Publishes on one connection and subscribes on another, as Redis requires.
+// Channel names are prefixed so several deployments can share a server.
+class RedisBackplane {
+  constructor(url, { prefix = 'metrics-host' } = {}) {
+    this.prefix = prefix;
+    this.handlers = new Map(); // channel -> [handler]
+    this.publisher = new RespConnection(url);
+    this.subscriber = new RespConnection(url, {
+      // Subscriptions are lost with the connection, so renew them every time
+      onReady: async () => {
+        for (const channel of this.handlers.keys()) {
+          await this.subscriber.raw(['SUBSCRIBE', this.channelName(channel)]);
+        }
+      },
+      onPush: ([, channel, payload]) => this.dispatch(channel, payload)
+    });
+  }
+
+  channelName(channel) {
+    return `${this.prefix}:${channel}`;
+  }
+
+  async connect() {
+    await Promise.all([this.publisher.connect(), this.subscriber.connect()]);
+  }
+
+  async publish(channel, message) {
+    // Dropped while reconnecting; the connection already logged why
+    if (!this.publisher.ready) return;
+    try {
+      await this.publisher.command(['PUBLISH', this.channelName(channel), JSON.stringify(message)]);
+    } catch (error) {
+      // Pub/sub is fire-and-forget; state that matters is in MongoDB
+      log.warn('Backplane publish failed', { channel, error });
+    }
+  }
+
+  subscribe(channel, handler) {
+    const isNew = !this.handlers.has(channel);
+    if (isNew) this.handlers.set(channel, []);
+    this.handlers.get(channel).push(handler);
+    if (isNew && this.subscriber.ready) {
+      this.subscriber.command(['SUBSCRIBE', this.channelName(channel)])
+        .catch(error => log.warn('Backplane subscribe failed', { channel, error }));
+    }
+  }
+
+  dispatch(channelName, payload) {
+    const channel = channelName.slice(this.prefix.length + 1);
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (error) {
+      log.warn('Ignoring malformed backplane message', { channel });
+      return;
+    }
+    for (const handler of this.handlers.get(channel) || []) {
+      try {
+        handler(message);
+      } catch (error) {
+        log.error('Backplane handler failed', { channel, error });
+      }
+    }
+  }
+
+  async close() {
+    this.publisher.close();
+    this.subscriber.close();
+  }
+}
+
+function createBackplane(url) {
+  if (!url) return new InProcessBackplane();
+  const { protocol } = new URL(url);
+  if (protocol === 'redis:' || protocol === 'rediss:') return new RedisBackplane(url);
+  throw new Error(`Unsupported backplane URL ${url}`);
+}
+
+// ======== Stand-in Server ========
+// Just enough of the Redis protocol for the backplane: PING, AUTH, PUBLISH,
+// SUBSCRIBE, UNSUBSCRIBE and QUIT. For development and tests only.
+function serve(port = 6379) {
+  const subscriptions = new Map(); // channel -> Set(socket)
+
+  const server = net.createServer((socket) => {
+    const parser = new RespParser();
+    const channels = new Set();
+    const reply = (text) => socket.write(text);
+
+    socket.on('data', (chunk) => {
+      let commands;
+      try {
+        commands = parser.feed(chunk);
+      } catch (error) {
+        socket.destroy();
+        return;
+      }
+      for (const [name, ...args] of commands) {
+        switch (String(name).toUpperCase()) {
+          case 'PING':
+            reply('+PONG\r\n');
+            break;
+          case 'AUTH':
+            reply('+OK\r\n');
+            break;
+          case 'PUBLISH': {
+            const [channel, message] = args;
+            const receivers = subscriptions.get(channel) || new Set();
+            const push = encodeArray(['message', channel, message]);
+            for (const receiver of receivers) receiver.write(push);
+            console.log(`📨 ${channel} -> ${receivers.size} subscriber(s)`);
+            reply(`:${receivers.size}\r\n`);
+            break;
+          }
+          case 'SUBSCRIBE':
+            for (const channel of args) {
+              if (!subscriptions.has(channel)) subscriptions.set(channel, new Set());
+              subscriptions.get(channel).add(socket);
+              channels.add(channel);
+              socket.write(encodeArray(['subscribe', channel, channels.size]));
+            }
+            break;
+          case 'UNSUBSCRIBE':
+            for (const channel of args.length > 0 ? args : Array.from(channels)) {
+              if (subscriptions.has(channel)) subscriptions.get(channel).delete(socket);
+              channels.delete(channel);
+              socket.write(encodeArray(['unsubscribe', channel, channels.size]));
+            }
+            break;
+          case 'QUIT':
+            reply('+OK\r\n');
+            socket.end();
+            break;
+          default:
+            reply(`-ERR unknown command '${name}'\r\n`);
+        }
+      }
+    });
+    socket.on('close', () => {
+      for (const channel of channels) {
+        if (subscriptions.has(channel)) subscriptions.get(channel).delete(socket);
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.listen(port, () => console.log(`📡 Backplane server listening on port ${port}`));
+  return server;
+}
+
+module.exports = {
+  InProcessBackplane,
+  RedisBackplane,
+  RespParser,
+  createBackplane,
+  serve
+};
+
+if (require.main === module) {
+  const [command, port] = process.argv.slice(2);
+  if (command !== 'serve') {
+    console.log('Usage: node backplane.js serve [port]');
+    process.exit(1);
+  }
+  serve(parseInt(port, 10) || 6379);
+}
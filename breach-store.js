@@ -0,0 +1,241 @@
+// breach-store.js - Local HIBP-format breach corpus with k-anonymity lookups
+// Import: node breach-store.js import <file-or-directory> [--type sha1|ntlm] [--replace]
+//
+// Hashes are stored by their 5-character prefix, one MongoDB document per
+// prefix holding the "SUFFIX:COUNT" lines exactly as the Pwned Passwords
+// /range/{prefix} API returns them, so serving a range is a single lookup.
+// An import first collects counts in each document's `pending` field and
+// rebuilds the range bodies once at the end; until then lookups see the
+// ranges as they were.
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { MongoClient } = require("mongodb");
+
+const HASH_TYPES = {
+  sha1: { length: 40 },
+  ntlm: { length: 32 }
+};
+
+const PREFIX_LENGTH = 5;
+const FLUSH_EVERY = 5000; // hashes buffered before a bulk write
+const FINALIZE_BATCH = 500; // ranges rebuilt per bulk write
+
+// "SUFFIX:COUNT\r\n" lines -> Map(suffix -> count)
+function parseRange(body) {
+  const counts = new Map();
+  for (const line of body.split('\r\n')) {
+    const [suffix, count] = line.split(':');
+    if (suffix) counts.set(suffix, parseInt(count, 10) || 0);
+  }
+  return counts;
+}
+
+class BreachStore {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  static isValidPrefix(prefix) {
+    return typeof prefix === 'string' && /^[0-9A-Fa-f]{5}$/.test(prefix);
+  }
+
+  static rangeId(hashType, prefix) {
+    return `${hashType}:${prefix.toUpperCase()}`;
+  }
+
+  async init() {
+    await this.collection.createIndex({ hashType: 1 });
+    // Only ranges with pending counts carry `dirty`, so finalize() finds them
+    // without scanning the corpus
+    await this.collection.createIndex({ dirty: 1 }, { sparse: true });
+  }
+
+  // Range body for a prefix ("SUFFIX:COUNT\r\n" lines), empty when unknown.
+  async getRange(prefix, hashType = 'sha1') {
+    const doc = await this.collection.findOne(
+      { _id: BreachStore.rangeId(hashType, prefix) },
+      { projection: { body: 1 } }
+    );
+    return doc ? doc.body : '';
+  }
+
+  // Occurrence count of a full hash, 0 when not in the corpus.
+  async lookup(hash, hashType = 'sha1') {
+    const upper = hash.toUpperCase();
+    const suffix = upper.slice(PREFIX_LENGTH);
+    const body = await this.getRange(upper.slice(0, PREFIX_LENGTH), hashType);
+    for (const line of body.split('\r\n')) {
+      const [lineSuffix, count] = line.split(':');
+      if (lineSuffix === suffix) return parseInt(count, 10) || 0;
+    }
+    return 0;
+  }
+
+  async stats() {
+    const rows = await this.collection.aggregate([
+      { $group: { _id: '$hashType', prefixes: { $sum: 1 }, hashes: { $sum: '$hashCount' } } }
+    ]).toArray();
+    const stats = {};
+    for (const row of rows) {
+      stats[row._id] = { prefixes: row.prefixes, hashes: row.hashes };
+    }
+    return stats;
+  }
+
+  async clear(hashType) {
+    const result = await this.collection.deleteMany({ hashType });
+    return result.deletedCount;
+  }
+
+  // Add buffered counts to their prefix documents' pending counts. Nothing
+  // is read back, so a flush costs the same however often (unsorted input)
+  // or however full (re-imports) the prefixes it touches are.
+  async flush(hashType, buffer) {
+    if (buffer.size === 0) return;
+    const operations = [];
+    for (const [prefix, counts] of buffer) {
+      const pending = {};
+      for (const [suffix, count] of counts) pending[`pending.${suffix}`] = count;
+      operations.push({
+        updateOne: {
+          filter: { _id: BreachStore.rangeId(hashType, prefix) },
+          update: { $max: pending, $set: { dirty: true }, $setOnInsert: { hashType, prefix, body: '', hashCount: 0 } },
+          upsert: true
+        }
+      });
+    }
+    await this.collection.bulkWrite(operations, { ordered: false });
+    buffer.clear();
+  }
+
+  // Merge pending counts into the range bodies, reading and writing each
+  // touched prefix once. A suffix that is already stored keeps the higher
+  // count, so importing a corpus again, or a newer one, neither duplicates
+  // lines nor hashCount. Also completes an import that was interrupted.
+  async finalize(hashType) {
+    const cursor = this.collection.find(
+      { dirty: true, hashType },
+      { projection: { body: 1, pending: 1 } }
+    );
+    let operations = [];
+    const updatedAt = new Date();
+    for await (const doc of cursor) {
+      const merged = parseRange(doc.body || '');
+      for (const [suffix, count] of Object.entries(doc.pending)) {
+        merged.set(suffix, Math.max(count, merged.get(suffix) || 0));
+      }
+      const body = Array.from(merged.keys()).sort().map(suffix => `${suffix}:${merged.get(suffix)}\r\n`).join('');
+      operations.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { body, hashCount: merged.size, updatedAt }, $unset: { pending: '', dirty: '' } }
+        }
+      });
+      if (operations.length >= FINALIZE_BATCH) {
+        await this.collection.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+    if (operations.length > 0) await this.collection.bulkWrite(operations, { ordered: false });
+  }
+
+  // Import a HIBP download: either one file of "HASH:COUNT" lines or a
+  // directory of per-prefix range files ("ABCDE.txt" with "SUFFIX:COUNT").
+  async importPath(source, { hashType = 'sha1', onProgress } = {}) {
+    if (!HASH_TYPES[hashType]) throw new Error(`Unknown hash type: ${hashType}`);
+
+    const totals = { hashes: 0, skipped: 0 };
+    if (!fs.statSync(source).isDirectory()) {
+      await this.importFile(source, { hashType, rangePrefix: null, totals, onProgress });
+    } else {
+      for (const name of fs.readdirSync(source).sort()) {
+        const rangePrefix = name.slice(0, PREFIX_LENGTH);
+        if (!BreachStore.isValidPrefix(rangePrefix)) continue;
+        await this.importFile(path.join(source, name), { hashType, rangePrefix, totals, onProgress });
+      }
+    }
+    await this.finalize(hashType);
+    return totals;
+  }
+
+  async importFile(file, { hashType, rangePrefix, totals, onProgress }) {
+    const expectedLength = HASH_TYPES[hashType].length - (rangePrefix ? PREFIX_LENGTH : 0);
+    const buffer = new Map(); // prefix -> Map(suffix -> count)
+    let buffered = 0;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const rawLine of lines) {
+      const [hashPart, countPart] = rawLine.trim().split(':');
+      const count = parseInt(countPart, 10);
+      if (!hashPart || hashPart.length !== expectedLength || !/^[0-9A-Fa-f]+$/.test(hashPart) || !(count > 0)) {
+        if (rawLine.trim()) totals.skipped++;
+        continue;
+      }
+
+      const hash = ((rangePrefix || '') + hashPart).toUpperCase();
+      const prefix = hash.slice(0, PREFIX_LENGTH);
+      const suffix = hash.slice(PREFIX_LENGTH);
+      if (!buffer.has(prefix)) buffer.set(prefix, new Map());
+      const counts = buffer.get(prefix);
+      counts.set(suffix, Math.max(count, counts.get(suffix) || 0));
+      totals.hashes++;
+
+      if (++buffered >= FLUSH_EVERY) {
+        await this.flush(hashType, buffer);
+        buffered = 0;
+        if (onProgress) onProgress(totals);
+      }
+    }
+
+    await this.flush(hashType, buffer);
+    if (onProgress) onProgress(totals);
+  }
+}
+
+// ======== Import Command ========
+async function runImport(args) {
+  const source = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--type');
+  const typeIndex = args.indexOf('--type');
+  const hashType = typeIndex !== -1 ? args[typeIndex + 1] : 'sha1';
+  if (!source) {
+    console.error('Usage: node breach-store.js import <file-or-directory> [--type sha1|ntlm] [--replace]');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI || "mongodb://127.0.0.1:27017");
+  await client.connect();
+  const store = new BreachStore(client.db("metrics_host").collection("breach_ranges"));
+  await store.init();
+
+  if (args.includes('--replace')) {
+    const removed = await store.clear(hashType);
+    console.log(`🧹 Removed ${removed} existing ${hashType} ranges`);
+  }
+
+  console.log(`📥 Importing ${hashType} hashes from ${source}...`);
+  const started = Date.now();
+  const totals = await store.importPath(source, {
+    hashType,
+    onProgress: ({ hashes }) => process.stdout.write(`\r   ${hashes.toLocaleString()} hashes imported`)
+  });
+  console.log(`\n✅ Imported ${totals.hashes.toLocaleString()} hashes in ${((Date.now() - started) / 1000).toFixed(1)}s` +
+    (totals.skipped ? ` (${totals.skipped} malformed lines skipped)` : ''));
+  await client.close();
+}
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === 'import') {
+    runImport(args).catch(error => {
+      console.error('❌ Import failed:', error);
+      process.exit(1);
+    });
+  } else {
+    console.error('Usage: node breach-store.js import <file-or-directory> [--type sha1|ntlm] [--replace]');
+    process.exit(1);
+  }
+}
+
+module.exports = { BreachStore, HASH_TYPES };
@@ -0,0 +1,385 @@
+// credential-audit.js - Background audits of password and hash exports
+//
+// An upload is one entry per line: a plaintext password, or an unsalted NTLM
+// or SHA-1 hash, optionally preceded by a username ("alice:Summer2024!").
+// pwdump / secretsdump lines ("DOMAIN\alice:1104:<lm>:<nt>:::") are read as
+// NTLM with their username. Each account is checked for
+//
+//   strength   estimated guesses and score (plaintext only)
+//   breach     occurrences in the local breach corpus (breach-store.js)
+//   reuse      other accounts in the upload with the same password
+//   policy     compliance with a password policy (password-policy.js); for
+//              hashes only the breach rule can be decided
+//
+// The entries are kept in memory while the job runs and never written
+// anywhere; only the derived results are stored, per account in
+// audit_results and as a summary on the job.
+
+const crypto = require("crypto");
+const readline = require("readline");
+const PasswordAnalysis = require("./password-analysis");
+const { evaluatePolicy } = require("./password-policy");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: 'credential-audit' });
+
+const FORMATS = {
+  plain: { label: 'Plaintext passwords' },
+  ntlm: { label: 'NTLM hashes', hashLength: 32, corpus: 'ntlm' },
+  sha1: { label: 'SHA-1 hashes', hashLength: 40, corpus: 'sha1' }
+};
+
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const LIMITS = {
+  MAX_ENTRIES: 1000000,
+  MAX_BYTES: 128 * 1024 * 1024,
+  MAX_PASSWORD_LENGTH: 256,
+  MAX_USERNAME_LENGTH: 256,
+  MAX_PAGE_SIZE: 1000
+};
+
+const RESULT_BATCH_SIZE = 1000;
+const YIELD_EVERY = 100; // entries analysed between turns of the event loop
+const PROGRESS_SAVE_INTERVAL = 2000;
+const RANGE_CACHE_SIZE = 10000; // breach corpus prefixes kept per job
+
+const RESULT_FILTERS = {
+  all: {},
+  breached: { breached: true },
+  reused: { reuseCount: { $gt: 1 } },
+  noncompliant: { policyCompliant: false }
+};
+
+const PWDUMP_LINE = /^([^:]*):\d+:[0-9a-fA-F]{32}:([0-9a-fA-F]{32}):::/;
+
+// Validate the upload's query string: format, usernames, delimiter.
+// Returns { options } or { errors }.
+function parseAuditQuery(query = {}) {
+  const errors = [];
+  const format = query.format || 'plain';
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    errors.push(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+  const usernames = query.usernames === 'true' || query.usernames === '1';
+  const delimiter = query.delimiter === undefined ? ':' : query.delimiter;
+  if (![':', ',', ';', ' ', '\t'].includes(delimiter)) {
+    errors.push('delimiter must be one of ":", ",", ";", space or tab');
+  }
+  if (errors.length > 0) return { errors };
+  return { options: { format, usernames, delimiter } };
+}
+
+// { username, secret } for a line, or null when it is not a valid entry
+function parseLine(line, { format, usernames, delimiter }) {
+  if (format === 'ntlm') {
+    const pwdump = line.match(PWDUMP_LINE);
+    if (pwdump) return { username: pwdump[1].slice(0, LIMITS.MAX_USERNAME_LENGTH) || null, secret: pwdump[2].toUpperCase() };
+  }
+  let username = null;
+  let secret = line;
+  if (usernames) {
+    const at = line.indexOf(delimiter);
+    if (at === -1) return null;
+    username = line.slice(0, at).trim().slice(0, LIMITS.MAX_USERNAME_LENGTH) || null;
+    secret = line.slice(at + delimiter.length);
+  }
+  if (format === 'plain') {
+    return secret.length > 0 && secret.length <= LIMITS.MAX_PASSWORD_LENGTH ? { username, secret } : null;
+  }
+  secret = secret.trim();
+  return new RegExp(`^[0-9a-fA-F]{${FORMATS[format].hashLength}}$`).test(secret)
+    ? { username, secret: secret.toUpperCase() }
+    : null;
+}
+
+// Read an upload line by line. Returns { entries, skipped }; throws an error
+// with code 'TOO_LARGE' past LIMITS.MAX_BYTES or LIMITS.MAX_ENTRIES.
+async function readEntries(stream, options) {
+  const entries = [];
+  let skipped = 0;
+  let bytes = 0;
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    bytes += Buffer.byteLength(line) + 1;
+    if (bytes > LIMITS.MAX_BYTES || entries.length >= LIMITS.MAX_ENTRIES) {
+      lines.close();
+      stream.destroy();
+      throw Object.assign(new Error(`Uploads are limited to ${LIMITS.MAX_ENTRIES} entries and ${LIMITS.MAX_BYTES} bytes`), { code: 'TOO_LARGE' });
+    }
+    if (line.trim() === '' || line.startsWith('#')) continue;
+    const entry = parseLine(line, options);
+    if (entry) entries.push(entry);
+    else skipped++;
+  }
+  return { entries, skipped };
+}
+
+// Context words for the strength estimator: the username and its parts
+function usernameWords(username) {
+  if (!username) return [];
+  const parts = username.toLowerCase().split(/[\\@._\-\s]+/);
+  return Array.from(new Set([username.toLowerCase(), ...parts])).filter(word => word.length >= 3);
+}
+
+function sha1Hex(text) {
+  return crypto.createHash('sha1').update(text, 'utf8').digest('hex').toUpperCase();
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+class AuditService {
+  constructor(jobsCollection, resultsCollection, breachStore, { nodeId, retentionDays = 30 } = {}) {
+    this.jobs = jobsCollection;
+    this.results = resultsCollection;
+    this.breachStore = breachStore;
+    this.nodeId = nodeId;
+    this.retentionDays = retentionDays;
+    this.active = new Map(); // jobId -> { processed, cancelled } for jobs on this host
+    this.queue = Promise.resolve(); // one job at a time
+  }
+
+  // Indexes, and jobs this host was running when it stopped marked as failed:
+  // their entries were only in memory
+  async init() {
+    await this.jobs.createIndex({ "owner": 1, "createdAt": -1 });
+    await this.jobs.createIndex({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
+    await this.results.createIndex({ "jobId": 1, "n": 1 });
+    await this.results.createIndex({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
+    await this.jobs.updateMany(
+      { node: this.nodeId, status: { $in: ['queued', 'running'] } },
+      { $set: { status: 'failed', error: 'Interrupted by a restart; upload the file again', finishedAt: new Date() } }
+    );
+  }
+
+  publicJob(doc) {
+    const active = this.active.get(doc._id);
+    return {
+      id: doc._id,
+      owner: doc.owner,
+      status: doc.status,
+      format: doc.format,
+      usernames: doc.usernames,
+      policy: doc.policy,
+      createdAt: doc.createdAt,
+      startedAt: doc.startedAt || null,
+      finishedAt: doc.finishedAt || null,
+      progress: { processed: active ? active.processed : doc.processed, total: doc.total, skipped: doc.skipped },
+      summary: doc.summary || null,
+      ...(doc.error && { error: doc.error })
+    };
+  }
+
+  // Queue a job for `entries` (from readEntries). `policy` is a resolved password policy.
+  async create({ owner, format, usernames, policy, entries, skipped }) {
+    const now = new Date();
+    const doc = {
+      _id: crypto.randomBytes(12).toString('hex'),
+      owner,
+      node: this.nodeId,
+      status: 'queued',
+      format,
+      usernames,
+      policy,
+      total: entries.length,
+      skipped,
+      processed: 0,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + this.retentionDays * 24 * 60 * 60 * 1000)
+    };
+    await this.jobs.insertOne(doc);
+    this.active.set(doc._id, { processed: 0, cancelled: false });
+    this.queue = this.queue.then(() => this.run(doc, entries));
+    return this.publicJob(doc);
+  }
+
+  async list(filter = {}) {
+    const docs = await this.jobs.find(filter).sort({ createdAt: -1 }).limit(100).toArray();
+    return docs.map(doc => this.publicJob(doc));
+  }
+
+  async get(id) {
+    const doc = await this.jobs.findOne({ _id: id });
+    return doc ? this.publicJob(doc) : null;
+  }
+
+  // A page of per-account results, in upload order
+  async accounts(id, { filter = 'all', limit = 100, offset = 0 } = {}) {
+    const query = { jobId: id, ...RESULT_FILTERS[filter] };
+    const [total, accounts] = await Promise.all([
+      this.results.countDocuments(query),
+      this.results.find(query, { projection: { _id: 0, jobId: 0, expiresAt: 0 } })
+        .sort({ n: 1 }).skip(offset).limit(limit).toArray()
+    ]);
+    return { total, accounts };
+  }
+
+  // Stop the job if it is running here, and delete it with its results
+  async remove(id) {
+    const active = this.active.get(id);
+    if (active) active.cancelled = true;
+    await this.results.deleteMany({ jobId: id });
+    const result = await this.jobs.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  }
+
+  async run(doc, entries) {
+    const state = this.active.get(doc._id);
+    if (!state || state.cancelled) {
+      this.active.delete(doc._id);
+      return;
+    }
+    const jobLog = log.child({ jobId: doc._id });
+    try {
+      await this.jobs.updateOne({ _id: doc._id }, { $set: { status: 'running', startedAt: new Date() } });
+      jobLog.info('Audit started', { format: doc.format, entries: entries.length });
+      const summary = await this.analyze(doc, entries, state);
+      if (state.cancelled) {
+        await this.results.deleteMany({ jobId: doc._id });
+        jobLog.info('Audit cancelled');
+        return;
+      }
+      await this.jobs.updateOne({ _id: doc._id }, {
+        $set: { status: 'completed', processed: state.processed, summary, finishedAt: new Date() }
+      });
+      jobLog.info('Audit completed', { accounts: summary.accounts });
+    } catch (error) {
+      jobLog.error('Audit failed', { error });
+      await this.jobs.updateOne({ _id: doc._id }, {
+        $set: { status: 'failed', processed: state.processed, error: error.message, finishedAt: new Date() }
+      }).catch(() => {});
+    } finally {
+      this.active.delete(doc._id);
+    }
+  }
+
+  // Occurrences of `hash` in the corpus; ranges are cached for the job
+  async breachCount(hash, hashType, cache) {
+    const prefix = hash.slice(0, 5);
+    let range = cache.get(prefix);
+    if (!range) {
+      if (cache.size >= RANGE_CACHE_SIZE) cache.clear();
+      const body = await this.breachStore.getRange(prefix, hashType);
+      range = new Map(body.split('\r\n').filter(Boolean).map((line) => {
+        const [suffix, count] = line.split(':');
+        return [suffix, parseInt(count, 10) || 0];
+      }));
+      cache.set(prefix, range);
+    }
+    return range.get(hash.slice(5)) || 0;
+  }
+
+  async analyze(doc, entries, state) {
+    const plain = doc.format === 'plain';
+    const hashType = plain ? 'sha1' : FORMATS[doc.format].corpus;
+    const corpus = (await this.breachStore.stats())[hashType];
+    const breachChecked = !!(corpus && corpus.hashes > 0);
+
+    // Reuse: accounts per password (its SHA-1 for plaintext), kept in memory only
+    const keys = entries.map(entry => (plain ? sha1Hex(entry.secret) : entry.secret));
+    const reuse = new Map();
+    for (const key of keys) reuse.set(key, (reuse.get(key) || 0) + 1);
+    const groups = new Map(); // key -> group number, for passwords shared by several accounts
+
+    const summary = {
+      accounts: entries.length,
+      skipped: doc.skipped,
+      breachChecked,
+      breached: 0,
+      reusedAccounts: 0,
+      reuseGroups: 0,
+      largestReuseGroup: 0,
+      compliant: 0,
+      nonCompliant: 0,
+      violations: {},
+      ...(plain && { scores: [0, 0, 0, 0, 0], averageGuessesLog10: 0 })
+    };
+    const cache = new Map();
+    let batch = [];
+    let lastSave = Date.now();
+    let guessesSum = 0;
+
+    for (let n = 0; n < entries.length; n++) {
+      if (state.cancelled) return summary;
+      const { username, secret } = entries[n];
+      const key = keys[n];
+      const reuseCount = reuse.get(key);
+      if (reuseCount > 1 && !groups.has(key)) {
+        groups.set(key, groups.size + 1);
+        summary.largestReuseGroup = Math.max(summary.largestReuseGroup, reuseCount);
+      }
+
+      const breachCount = breachChecked ? await this.breachCount(key, hashType, cache) : null;
+      const row = {
+        jobId: doc._id,
+        n,
+        username,
+        breached: breachCount === null ? null : breachCount > 0,
+        breachCount,
+        reuseCount,
+        reuseGroup: reuseCount > 1 ? groups.get(key) : null,
+        expiresAt: doc.expiresAt
+      };
+
+      let violations;
+      if (plain) {
+        const analysis = PasswordAnalysis.analyzePassword(secret, { breachCount, userInputs: usernameWords(username) });
+        const result = evaluatePolicy(doc.policy, analysis, { password: secret });
+        violations = Array.from(new Set(result.violations.map(violation => violation.rule)));
+        Object.assign(row, {
+          length: analysis.length,
+          score: analysis.score,
+          guessesLog10: analysis.guessesLog10,
+          time: analysis.time,
+          policyCompliant: result.compliant
+        });
+        summary.scores[analysis.score]++;
+        guessesSum += analysis.guessesLog10;
+      } else {
+        // Only the breach rule can be decided without the password
+        Object.assign(row, { length: null, score: null, guessesLog10: null, time: null });
+        violations = doc.policy.blockBreached && row.breached ? ['breached'] : [];
+        row.policyCompliant = violations.length > 0 ? false : null;
+      }
+      row.policyViolations = violations;
+
+      if (row.breached) summary.breached++;
+      if (reuseCount > 1) summary.reusedAccounts++;
+      if (row.policyCompliant === true) summary.compliant++;
+      if (row.policyCompliant === false) summary.nonCompliant++;
+      for (const rule of violations) summary.violations[rule] = (summary.violations[rule] || 0) + 1;
+
+      batch.push(row);
+      state.processed = n + 1;
+      if (batch.length >= RESULT_BATCH_SIZE) {
+        await this.results.insertMany(batch, { ordered: false });
+        batch = [];
+      }
+      if (Date.now() - lastSave >= PROGRESS_SAVE_INTERVAL) {
+        lastSave = Date.now();
+        // Deleted through another host: stop here as well
+        const saved = await this.jobs.updateOne({ _id: doc._id }, { $set: { processed: state.processed } });
+        if (saved.matchedCount === 0) state.cancelled = true;
+      }
+      if (n % YIELD_EVERY === 0) await yieldToEventLoop();
+    }
+    if (batch.length > 0) await this.results.insertMany(batch, { ordered: false });
+
+    summary.reuseGroups = groups.size;
+    if (plain && entries.length > 0) summary.averageGuessesLog10 = Math.round((guessesSum / entries.length) * 100) / 100;
+    return summary;
+  }
+}
+
+module.exports = {
+  FORMATS,
+  STATUSES,
+  LIMITS,
+  RESULT_FILTERS,
+  parseAuditQuery,
+  parseLine,
+  readEntries,
+  AuditService
+};
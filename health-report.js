@@ -0,0 +1,374 @@
+// health-report.js - Organisation-wide password health report across rooms
+//
+// Compares rooms (one per department, say) over a period and against the
+// period of the same length just before it:
+//
+//   median and average entropy, % breached (of the metrics that were checked),
+//   % under policy (score or length below the policy), most common patterns,
+//   and the change in each since the previous period
+//
+// buildReport() returns the report as plain data (served as JSON) and
+// renderReportHtml() turns it into a standalone HTML page whose print
+// stylesheet doubles as the PDF layout ("Save as PDF" from the browser).
+
+const LIMITS = {
+  DEFAULT_PERIOD_MS: 30 * 24 * 60 * 60 * 1000,
+  MAX_PERIOD_MS: 366 * 24 * 60 * 60 * 1000,
+  MAX_ROOMS: 100,
+  TOP_PATTERNS: 5
+};
+
+const DEFAULT_POLICY = {
+  minScore: 3, // zxcvbn-style score, 0-4
+  minLength: 12
+};
+
+const FORMATS = ['json', 'html', 'print'];
+
+function parseDate(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (isNaN(date.getTime())) {
+    errors.push(`${name} must be an ISO date or a timestamp in milliseconds`);
+    return null;
+  }
+  return date;
+}
+
+// Validate the query string. Returns { options } or { errors }.
+function parseReportQuery(query = {}) {
+  const errors = [];
+  const to = parseDate(query.to, 'to', errors) || new Date();
+  const from = parseDate(query.from, 'from', errors) || new Date(to.getTime() - LIMITS.DEFAULT_PERIOD_MS);
+  if (from >= to) {
+    errors.push('from must be before to');
+  } else if (to - from > LIMITS.MAX_PERIOD_MS) {
+    errors.push('The period can be at most a year');
+  }
+
+  let rooms = null;
+  if (query.rooms) {
+    rooms = String(query.rooms).split(',').map(code => code.trim()).filter(Boolean);
+    if (rooms.length > LIMITS.MAX_ROOMS || rooms.some(code => !/^[A-Za-z0-9]{1,16}$/.test(code))) {
+      errors.push(`rooms must be a comma-separated list of up to ${LIMITS.MAX_ROOMS} room codes`);
+    }
+  }
+
+  const policy = { ...DEFAULT_POLICY };
+  for (const [key, max] of [['minScore', 4], ['minLength', 128]]) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+      errors.push(`${key} must be an integer between 0 and ${max}`);
+    } else {
+      policy[key] = value;
+    }
+  }
+
+  const format = query.format || 'json';
+  if (!FORMATS.includes(format)) errors.push(`format must be one of ${FORMATS.join(', ')}`);
+
+  if (errors.length > 0) return { errors };
+  return { options: { from, to, rooms, policy, format } };
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 10) / 10 : null;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? round(part / whole * 100) : null;
+}
+
+function difference(current, previous) {
+  return current === null || previous === null ? null : round(current - previous);
+}
+
+// Per-room figures for one period, keyed by room code
+async function periodStats(collection, roomCodes, from, to, policy) {
+  const match = { roomCode: { $in: roomCodes }, timestamp: { $gte: from, $lt: to } };
+  const [groups, patterns] = await Promise.all([
+    collection.aggregate([
+      { $match: match },
+      { $sort: { entropy: 1 } },
+      {
+        $group: {
+          _id: '$roomCode',
+          count: { $sum: 1 },
+          clients: { $addToSet: '$clientId' },
+          // Sorted entropies for the median; $median needs MongoDB 7
+          entropies: { $push: '$entropy' },
+          breached: { $sum: { $cond: [{ $eq: ['$breached', true] }, 1, 0] } },
+          checked: { $sum: { $cond: [{ $in: ['$breached', [true, false]] }, 1, 0] } },
+          underPolicy: {
+            $sum: {
+              $cond: [{
+                $or: [
+                  { $lt: [{ $ifNull: ['$score', 0] }, policy.minScore] },
+                  { $lt: [{ $ifNull: ['$length', 0] }, policy.minLength] }
+                ]
+              }, 1, 0]
+            }
+          }
+        }
+      }
+    ], { allowDiskUse: true }).toArray(),
+    collection.aggregate([
+      { $match: match },
+      { $group: { _id: { roomCode: '$roomCode', pattern: '$pattern' }, count: { $sum: 1 } } },
+      { $sort: { count: -1, '_id.pattern': 1 } }
+    ], { allowDiskUse: true }).toArray()
+  ]);
+
+  const stats = new Map();
+  for (const group of groups) {
+    const entropies = group.entropies.filter(value => typeof value === 'number');
+    stats.set(group._id, {
+      count: group.count,
+      clients: group.clients.length,
+      entropies,
+      breached: group.breached,
+      checked: group.checked,
+      underPolicy: group.underPolicy,
+      patterns: []
+    });
+  }
+  for (const { _id, count } of patterns) {
+    const room = stats.get(_id.roomCode);
+    if (room && _id.pattern) room.patterns.push({ pattern: _id.pattern, count });
+  }
+  return stats;
+}
+
+// Figures shown for a room or the whole organisation
+function summarize(stats) {
+  if (!stats || stats.count === 0) return null;
+  const sum = stats.entropies.reduce((total, value) => total + value, 0);
+  return {
+    count: stats.count,
+    clients: stats.clients,
+    medianEntropy: round(median(stats.entropies)),
+    avgEntropy: stats.entropies.length > 0 ? round(sum / stats.entropies.length) : null,
+    breachedPct: percent(stats.breached, stats.checked),
+    checked: stats.checked,
+    underPolicyPct: percent(stats.underPolicy, stats.count),
+    topPatterns: stats.patterns.slice(0, LIMITS.TOP_PATTERNS).map(({ pattern, count }) => ({
+      pattern,
+      count,
+      pct: percent(count, stats.count)
+    }))
+  };
+}
+
+function trend(current, previous) {
+  if (!current || !previous) return null;
+  return {
+    count: current.count - previous.count,
+    medianEntropy: difference(current.medianEntropy, previous.medianEntropy),
+    breachedPct: difference(current.breachedPct, previous.breachedPct),
+    underPolicyPct: difference(current.underPolicyPct, previous.underPolicyPct)
+  };
+}
+
+// Merge per-room stats into organisation-wide stats
+function combine(statsList) {
+  const patterns = new Map();
+  const combined = { count: 0, clients: 0, entropies: [], breached: 0, checked: 0, underPolicy: 0, patterns: [] };
+  for (const stats of statsList) {
+    combined.count += stats.count;
+    combined.clients += stats.clients; // clients are per room, so this sums across rooms
+    combined.entropies.push(...stats.entropies);
+    combined.breached += stats.breached;
+    combined.checked += stats.checked;
+    combined.underPolicy += stats.underPolicy;
+    for (const { pattern, count } of stats.patterns) {
+      patterns.set(pattern, (patterns.get(pattern) || 0) + count);
+    }
+  }
+  combined.entropies.sort((a, b) => a - b);
+  combined.patterns = Array.from(patterns, ([pattern, count]) => ({ pattern, count }))
+    .sort((a, b) => b.count - a.count || a.pattern.localeCompare(b.pattern));
+  return combined;
+}
+
+// Build the report for `roomCodes` (already checked for access);
+// `owners` maps room codes to their owner where known
+async function buildReport(collection, roomCodes, owners, { from, to, policy }) {
+  const previousFrom = new Date(from.getTime() - (to - from));
+  const [current, previous] = await Promise.all([
+    periodStats(collection, roomCodes, from, to, policy),
+    periodStats(collection, roomCodes, previousFrom, from, policy)
+  ]);
+
+  const rooms = roomCodes
+    .filter(code => current.has(code) || previous.has(code))
+    .map(code => {
+      const now = summarize(current.get(code));
+      const before = summarize(previous.get(code));
+      return {
+        roomCode: code,
+        owner: owners.get(code) || null,
+        ...(now || { count: 0 }),
+        previous: before,
+        trend: trend(now, before)
+      };
+    })
+    // Rooms most in need of attention first
+    .sort((a, b) => (b.underPolicyPct ?? -1) - (a.underPolicyPct ?? -1) || a.roomCode.localeCompare(b.roomCode));
+
+  const organisation = summarize(combine(Array.from(current.values())));
+  const organisationBefore = summarize(combine(Array.from(previous.values())));
+  return {
+    generatedAt: new Date(),
+    period: { from, to },
+    previousPeriod: { from: previousFrom, to: from },
+    policy,
+    organisation: organisation && { ...organisation, trend: trend(organisation, organisationBefore) },
+    rooms
+  };
+}
+
+// ======== HTML ========
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function formatValue(value, suffix = '') {
+  return value === null || value === undefined ? '—' : `${value}${suffix}`;
+}
+
+// A change since the previous period; `higherIsBetter` picks the colour
+function formatTrend(value, suffix, higherIsBetter) {
+  if (value === null || value === undefined) return '<span class="trend">new</span>';
+  if (value === 0) return '<span class="trend">±0</span>';
+  const better = higherIsBetter ? value > 0 : value < 0;
+  return `<span class="trend ${better ? 'better' : 'worse'}">${value > 0 ? '▲ +' : '▼ '}${value}${suffix}</span>`;
+}
+
+// Inline bar for a percentage or a value out of `max`
+function bar(value, max, className) {
+  if (value === null || value === undefined) return '';
+  const width = Math.max(0, Math.min(100, value / max * 100));
+  return `<span class="bar ${className}"><span style="width: ${width.toFixed(1)}%"></span></span>`;
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Standalone HTML page; with `print` it opens the print dialog on load
+function renderReportHtml(report, { print = false } = {}) {
+  const org = report.organisation;
+  const maxEntropy = Math.max(1, ...report.rooms.map(room => room.medianEntropy || 0));
+  const period = `${formatDate(report.period.from)} – ${formatDate(report.period.to)}`;
+
+  const roomRows = report.rooms.map(room => `
+        <tr>
+          <td><strong>${escapeHtml(room.roomCode)}</strong><br><small>${escapeHtml(room.owner || '')}</small></td>
+          <td class="num">${room.count}${room.trend ? `<br>${formatTrend(room.trend.count, '', true)}` : ''}</td>
+          <td class="num">${formatValue(room.clients)}</td>
+          <td class="num">${formatValue(room.medianEntropy, ' bits')} ${bar(room.medianEntropy, maxEntropy, 'entropy')}<br>${formatTrend(room.trend && room.trend.medianEntropy, ' bits', true)}</td>
+          <td class="num">${formatValue(room.breachedPct, '%')} ${bar(room.breachedPct, 100, 'breached')}<br>${formatTrend(room.trend && room.trend.breachedPct, ' pts', false)}</td>
+          <td class="num">${formatValue(room.underPolicyPct, '%')} ${bar(room.underPolicyPct, 100, 'policy')}<br>${formatTrend(room.trend && room.trend.underPolicyPct, ' pts', false)}</td>
+          <td>${(room.topPatterns || []).map(p => `<code>${escapeHtml(p.pattern)}</code> ${p.pct}%`).join('<br>') || '—'}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Password Health Report ${escapeHtml(period)}</title>
+  <style>
+    @page { size: A4 landscape; margin: 15mm; }
+    * { box-sizing: border-box; }
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2c3e50; margin: 30px; }
+    h1 { color: #1abc9c; margin-bottom: 5px; }
+    h2 { color: #34495e; border-bottom: 2px solid #1abc9c; padding-bottom: 5px; margin-top: 30px; }
+    .meta { color: #7f8c8d; }
+    .summary { display: grid; grid-template-columns: repeat(4, 1fr); gap: 15px; }
+    .summary div { border: 1px solid #e9ecef; border-left: 4px solid #1abc9c; border-radius: 6px; padding: 12px; }
+    .summary strong { display: block; font-size: 1.6em; }
+    table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+    th, td { padding: 8px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; }
+    th { background: #1abc9c; color: white; }
+    tr { page-break-inside: avoid; }
+    .num { white-space: nowrap; }
+    .trend { font-size: 0.8em; color: #7f8c8d; }
+    .trend.better { color: #27ae60; }
+    .trend.worse { color: #e74c3c; }
+    .bar { display: inline-block; width: 60px; height: 8px; background: #ecf0f1; border-radius: 4px; vertical-align: middle; }
+    .bar span { display: block; height: 100%; border-radius: 4px; }
+    .bar.entropy span { background: #1abc9c; }
+    .bar.breached span { background: #e74c3c; }
+    .bar.policy span { background: #f39c12; }
+    .actions { margin: 15px 0; }
+    .actions button { background: #1abc9c; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; }
+    @media print {
+      body { margin: 0; font-size: 10pt; }
+      .actions { display: none; }
+      th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      .bar, .bar span { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+  </style>
+</head>
+<body>
+  <h1>🔐 Password Health Report</h1>
+  <p class="meta">
+    Period ${escapeHtml(period)}, compared with ${escapeHtml(formatDate(report.previousPeriod.from))} – ${escapeHtml(formatDate(report.previousPeriod.to))}<br>
+    Policy: score at least ${report.policy.minScore} and at least ${report.policy.minLength} characters •
+    Generated ${escapeHtml(new Date(report.generatedAt).toISOString().replace('T', ' ').slice(0, 16))} UTC
+  </p>
+  <p class="actions"><button onclick="window.print()">Print / Save as PDF</button></p>
+
+  <h2>Organisation</h2>
+  ${org ? `
+  <div class="summary">
+    <div><strong>${org.count}</strong>metrics from ${report.rooms.filter(room => room.count > 0).length} rooms ${formatTrend(org.trend && org.trend.count, '', true)}</div>
+    <div><strong>${formatValue(org.medianEntropy, ' bits')}</strong>median entropy ${formatTrend(org.trend && org.trend.medianEntropy, ' bits', true)}</div>
+    <div><strong>${formatValue(org.breachedPct, '%')}</strong>breached (of ${org.checked} checked) ${formatTrend(org.trend && org.trend.breachedPct, ' pts', false)}</div>
+    <div><strong>${formatValue(org.underPolicyPct, '%')}</strong>under policy ${formatTrend(org.trend && org.trend.underPolicyPct, ' pts', false)}</div>
+  </div>
+  <p>Most common patterns: ${org.topPatterns.map(p => `<code>${escapeHtml(p.pattern)}</code> (${p.pct}%)`).join(', ') || '—'}</p>
+  ` : '<p>No metrics in this period.</p>'}
+
+  <h2>Rooms</h2>
+  ${report.rooms.length > 0 ? `
+  <table>
+    <thead>
+      <tr>
+        <th>Room</th>
+        <th>Metrics</th>
+        <th>Clients</th>
+        <th>Median entropy</th>
+        <th>Breached</th>
+        <th>Under policy</th>
+        <th>Top patterns</th>
+      </tr>
+    </thead>
+    <tbody>${roomRows}
+    </tbody>
+  </table>
+  <p class="meta">Changes are against the previous period; rooms are ordered by the share of passwords under policy.</p>
+  ` : '<p>No rooms with metrics in this period.</p>'}
+  ${print ? '<script>window.addEventListener(\'load\', () => window.print());</script>' : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  LIMITS,
+  DEFAULT_POLICY,
+  parseReportQuery,
+  buildReport,
+  renderReportHtml
+};
@@ -0,0 +1,158 @@
+// invitations.js - Signed, expiring, limited-use invitation tokens for room clients
+//
+// A token is "<payload>.<signature>", both base64url: the payload is
+// { v, jti, room, exp } and the signature is its HMAC-SHA256 under the host's
+// invitation key. The signature is checked before any database lookup; the
+// invitation document then tracks uses, the use limit and revocation.
+
+const crypto = require("crypto");
+
+const TOKEN_VERSION = 1;
+
+const LIMITS = {
+  DEFAULT_TTL_MINUTES: 24 * 60,
+  MAX_TTL_MINUTES: 30 * 24 * 60,
+  MAX_USES: 1000,
+  MAX_LABEL_LENGTH: 64
+};
+
+const KEY_ID = 'invitations'; // server_keys document holding the signing key
+
+function sign(key, encodedPayload) {
+  return crypto.createHmac('sha256', key).update(encodedPayload).digest('base64url');
+}
+
+class InvitationService {
+  constructor(collection, keysCollection) {
+    this.collection = collection;
+    this.keysCollection = keysCollection;
+    this.key = null;
+  }
+
+  // Load the signing key: INVITATION_SECRET, else a random key kept in MongoDB
+  async init() {
+    await this.collection.createIndex({ "roomCode": 1 });
+    // Keep expired invitations for a day so failed joins can report "expired"
+    await this.collection.createIndex({ "expiresAt": 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+    if (process.env.INVITATION_SECRET) {
+      this.key = Buffer.from(process.env.INVITATION_SECRET, 'utf8');
+      return;
+    }
+    await this.keysCollection.updateOne(
+      { _id: KEY_ID },
+      { $setOnInsert: { key: crypto.randomBytes(32).toString('base64'), createdAt: new Date() } },
+      { upsert: true }
+    );
+    const doc = await this.keysCollection.findOne({ _id: KEY_ID });
+    this.key = Buffer.from(doc.key, 'base64');
+  }
+
+  static publicInvitation(doc) {
+    return {
+      id: doc._id,
+      roomCode: doc.roomCode,
+      label: doc.label,
+      maxUses: doc.maxUses,
+      uses: doc.uses,
+      expiresAt: doc.expiresAt,
+      createdBy: doc.createdBy,
+      createdAt: doc.createdAt,
+      revoked: !!doc.revoked
+    };
+  }
+
+  // Returns { token, invitation }; throws on invalid options
+  async create(roomCode, { label, maxUses = 1, expiresInMinutes = LIMITS.DEFAULT_TTL_MINUTES, createdBy = null } = {}) {
+    if (!(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= LIMITS.MAX_USES)) {
+      throw new Error(`maxUses must be between 1 and ${LIMITS.MAX_USES}`);
+    }
+    if (!(Number.isFinite(expiresInMinutes) && expiresInMinutes > 0 && expiresInMinutes <= LIMITS.MAX_TTL_MINUTES)) {
+      throw new Error(`expiresInMinutes must be between 1 and ${LIMITS.MAX_TTL_MINUTES}`);
+    }
+    if (label !== undefined && label !== null && typeof label !== 'string') {
+      throw new Error('label must be a string');
+    }
+
+    const jti = crypto.randomBytes(12).toString('base64url');
+    const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    const doc = {
+      _id: jti,
+      roomCode,
+      label: label ? label.replace(/[\r\n<>]/g, '').slice(0, LIMITS.MAX_LABEL_LENGTH) : null,
+      maxUses,
+      uses: 0,
+      expiresAt,
+      createdBy,
+      createdAt: new Date()
+    };
+    await this.collection.insertOne(doc);
+
+    const payload = Buffer.from(JSON.stringify({
+      v: TOKEN_VERSION,
+      jti,
+      room: roomCode,
+      exp: Math.floor(expiresAt.getTime() / 1000)
+    })).toString('base64url');
+    return { token: `${payload}.${sign(this.key, payload)}`, invitation: InvitationService.publicInvitation(doc) };
+  }
+
+  // Decoded payload when the signature and expiry are valid, else null
+  verify(token) {
+    if (typeof token !== 'string' || token.length > 512) return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(this.key, payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (claims.v !== TOKEN_VERSION || claims.exp * 1000 <= Date.now()) return null;
+      return claims;
+    } catch {
+      return null;
+    }
+  }
+
+  // Use up one admission. Returns { invitation } or { error } explaining the refusal.
+  async consume(token) {
+    const claims = this.verify(token);
+    if (!claims) return { error: 'Invalid or expired invitation' };
+
+    const doc = await this.collection.findOneAndUpdate(
+      {
+        _id: claims.jti,
+        roomCode: claims.room,
+        revoked: { $ne: true },
+        expiresAt: { $gt: new Date() },
+        $expr: { $lt: ['$uses', '$maxUses'] }
+      },
+      { $inc: { uses: 1 }, $set: { lastUsedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (doc) return { invitation: InvitationService.publicInvitation(doc) };
+
+    const existing = await this.collection.findOne({ _id: claims.jti });
+    if (!existing) return { error: 'Invitation not found' };
+    if (existing.revoked) return { error: 'Invitation has been revoked' };
+    return { error: 'Invitation has already been used' };
+  }
+
+  async list(roomCode) {
+    const docs = await this.collection.find({ roomCode }).sort({ createdAt: -1 }).toArray();
+    return docs.map(InvitationService.publicInvitation);
+  }
+
+  async revoke(roomCode, id) {
+    const result = await this.collection.updateOne({ _id: id, roomCode }, { $set: { revoked: true } });
+    return result.matchedCount > 0;
+  }
+
+  async revokeAll(roomCode) {
+    await this.collection.updateMany({ roomCode }, { $set: { revoked: true } });
+  }
+}
+
+module.exports = { InvitationService, LIMITS };
@@ -0,0 +1,233 @@
+// logger.js - Structured JSON logging with levels, context fields and sinks
+//
+//   const { logger } = require("./logger");
+//   const log = logger.child({ clientId });       // context repeated on every entry
+//   log.info('Client joined', { roomCode });
+//   log.error('Failed to store metrics', { error });
+//
+// Every entry is one JSON object per line:
+//   {"time":"...","level":"info","service":"metrics-host","msg":"Client joined","clientId":"...","roomCode":"..."}
+// Error values are written as { message, code, stack }. `service` is the name
+// of the script that was started.
+//
+// Configuration (environment):
+//   LOG_LEVEL           debug, info (default), warn or error
+//   LOG_SINKS           comma-separated: stdout (default; JSON lines), pretty
+//                       (readable lines on stdout) and file
+//   LOG_FILE            file sink path (default logs/<service>.log)
+//   LOG_FILE_MAX_BYTES  size at which the file is rotated (default 10 MB)
+//   LOG_FILE_MAX_FILES  rotated files kept as <file>.1 ... <file>.N (default 5)
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULTS = {
+  LEVEL: 'info',
+  SINKS: 'stdout',
+  FILE_MAX_BYTES: 10 * 1024 * 1024,
+  FILE_MAX_FILES: 5
+};
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.stack && { stack: error.stack })
+  };
+}
+
+// JSON.stringify replacer: errors as objects, bigints as strings
+function replacer(key, value) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+// ======== Sinks ========
+class StdoutSink {
+  write(entry, line) {
+    process.stdout.write(line + '\n');
+  }
+}
+
+// `time LEVEL msg key=value ...` for reading in a terminal
+class PrettySink {
+  write(entry) {
+    const { time, level, service, msg, ...fields } = entry;
+    const details = Object.entries(fields).map(([key, value]) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value, replacer);
+      return `${key}=${/\s/.test(text) ? JSON.stringify(text) : text}`;
+    });
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg}${details.length > 0 ? ' ' + details.join(' ') : ''}\n`);
+  }
+}
+
+// Appends to `file`; once it reaches maxBytes it becomes file.1 (file.1
+// becomes file.2, and so on up to maxFiles) and a new file is started.
+// Writes are synchronous so nothing is lost when the process exits.
+class RotatingFileSink {
+  constructor(file, { maxBytes = DEFAULTS.FILE_MAX_BYTES, maxFiles = DEFAULTS.FILE_MAX_FILES } = {}) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.open();
+  }
+
+  open() {
+    this.fd = fs.openSync(this.file, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  rotate() {
+    fs.closeSync(this.fd);
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.file}.${i}`)) fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+    }
+    if (this.maxFiles > 0) fs.renameSync(this.file, `${this.file}.1`);
+    else fs.unlinkSync(this.file);
+    this.open();
+  }
+
+  write(entry, line) {
+    const bytes = Buffer.byteLength(line) + 1;
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      try {
+        this.rotate();
+      } catch (error) {
+        process.stderr.write(`Failed to rotate ${this.file}: ${error.message}\n`);
+      }
+    }
+    try {
+      fs.writeSync(this.fd, line + '\n');
+      this.size += bytes;
+    } catch (error) {
+      process.stderr.write(`Failed to write to ${this.file}: ${error.message}\n`);
+    }
+  }
+
+  close() {
+    fs.closeSync(this.fd);
+  }
+}
+
+// ======== Logger ========
+class Logger {
+  constructor({ level = DEFAULTS.LEVEL, sinks = [new StdoutSink()], context = {} } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+      throw new Error(`Log level must be one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+    this.level = level;
+    this.sinks = sinks;
+    this.context = context;
+  }
+
+  // A logger that adds `context` to every entry; it shares the sinks
+  child(context) {
+    return new Logger({ level: this.level, sinks: this.sinks, context: { ...this.context, ...context } });
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.enabled(level)) return;
+    const entry = { time: new Date().toISOString(), level, ...this.context, msg, ...fields };
+    let line;
+    try {
+      line = JSON.stringify(entry, replacer);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level, ...this.context, msg, logError: error.message });
+    }
+    for (const sink of this.sinks) sink.write(entry, line);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  close() {
+    for (const sink of this.sinks) {
+      if (sink.close) sink.close();
+    }
+  }
+}
+
+// ======== HTTP ========
+// Express middleware: a well-formed incoming X-Request-Id is kept, otherwise
+// one is generated. It is echoed in the response and added to every entry of
+// req.log, and each request is logged once its response is finished, with
+// fields(req) added (e.g. the authenticated user).
+function requestLogging(baseLogger, { fields = () => ({}) } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = baseLogger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const status = res.statusCode;
+      req.log[status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info']('HTTP request', {
+        method: req.method,
+        path: req.path, // without the query string, which can hold tokens
+        status,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+        ...fields(req)
+      });
+    });
+    next();
+  };
+}
+
+function serviceName() {
+  return require.main && require.main.filename ? path.basename(require.main.filename, '.js') : 'node';
+}
+
+// The process logger as configured by the environment
+function fromEnv(env = process.env) {
+  const service = serviceName();
+  const sinks = String(env.LOG_SINKS || DEFAULTS.SINKS).split(',').map(name => name.trim()).filter(Boolean).map((name) => {
+    switch (name) {
+      case 'stdout':
+        return new StdoutSink();
+      case 'pretty':
+        return new PrettySink();
+      case 'file':
+        return new RotatingFileSink(env.LOG_FILE || path.join('logs', `${service}.log`), {
+          maxBytes: parseInt(env.LOG_FILE_MAX_BYTES, 10) || DEFAULTS.FILE_MAX_BYTES,
+          maxFiles: env.LOG_FILE_MAX_FILES !== undefined ? parseInt(env.LOG_FILE_MAX_FILES, 10) : DEFAULTS.FILE_MAX_FILES
+        });
+      default:
+        throw new Error(`Unknown log sink ${name}; use stdout, pretty or file`);
+    }
+  });
+  return new Logger({ level: env.LOG_LEVEL || DEFAULTS.LEVEL, sinks, context: { service } });
+}
+
+module.exports = {
+  LEVELS,
+  Logger,
+  StdoutSink,
+  PrettySink,
+  RotatingFileSink,
+  fromEnv,
+  requestLogging,
+  logger: fromEnv() // shared by every module in the process
+};
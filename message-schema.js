@@ -0,0 +1,237 @@
+// message-schema.js - Schemas and rate limits for incoming WebSocket messages
+//
+// Every message is checked against the schema for its `type` before it is
+// handled. A schema lists the fields the message may carry, who may send it
+// (`roles`, where 'none' means a connection that has not said hello yet).
+// Fields are specs such as
+//
+//   { type: 'string', required: true, maxLength: 64, pattern: /^[A-Z0-9]+$/ }
+//   { type: 'object', fields: { ... } }       // unknown keys are rejected
+//   { type: 'object', maxKeys: 32, fields }   // unknown keys are allowed, up to maxKeys
+//   { type: 'array', maxItems: 50 }
+//
+// Rejections carry one of ERROR_CODES so clients can tell them apart.
+
+const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  NOT_ALLOWED: 'NOT_ALLOWED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  FRAME_TOO_LARGE: 'FRAME_TOO_LARGE',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  INVALID_SETTINGS: 'INVALID_SETTINGS'
+};
+
+const LIMITS = {
+  MAX_PATTERN_LENGTH: 256,
+  MAX_PAYLOAD_KEYS: 32,
+  MAX_ERRORS: 10
+};
+
+const BASE64URL = /^[A-Za-z0-9_-]+$/;
+
+const MESSAGE_SCHEMAS = {
+  hello: {
+    roles: ['none'],
+    fields: {
+      role: { type: 'string', required: true, enum: ['client', 'controller'] },
+      code: { type: 'string', maxLength: 16, pattern: /^[A-Za-z0-9]+$/ },
+      secret: { type: 'string', maxLength: 128 },
+      token: { type: 'string', maxLength: 256 },
+      invite: { type: 'string', maxLength: 512 },
+      clientId: { type: 'string', maxLength: 32, pattern: /^[a-f0-9]+$/ },
+      resumeToken: { type: 'string', maxLength: 64 },
+      fingerprintKey: { type: 'string', maxLength: 128, pattern: BASE64URL } // ECDH public key for the room key
+    }
+  },
+  metrics: {
+    roles: ['client'],
+    fields: {
+      seq: { type: 'integer', min: 1 }, // outbox sequence number, acknowledged by the host
+      payload: {
+        type: 'object',
+        required: true,
+        maxKeys: LIMITS.MAX_PAYLOAD_KEYS, // older schema versions carry extra fields
+        fields: {
+          schemaVersion: { type: 'integer', min: 0 },
+          entropy: { type: 'number' },
+          guesses: { type: 'number' },
+          guessesLog10: { type: 'number' },
+          score: { type: 'integer', min: 0, max: 4 },
+          time: { type: 'string', maxLength: 64 },
+          crackTimes: { type: 'object', maxKeys: 16 },
+          pattern: { type: 'string', required: true, maxLength: LIMITS.MAX_PATTERN_LENGTH },
+          length: { type: 'integer', min: 0 },
+          segments: { type: 'array', maxItems: LIMITS.MAX_PATTERN_LENGTH },
+          breached: { type: 'boolean', nullable: true },
+          breachCount: { type: 'integer', min: 0, nullable: true },
+          reuseFingerprint: { type: 'string', maxLength: 64, pattern: /^[0-9a-f]{8}\.[A-Za-z0-9_-]{22}$/ },
+          ts: { type: ['number', 'string'] }
+        }
+      }
+    }
+  },
+  room_settings: {
+    roles: ['controller'],
+    fields: {
+      settings: {
+        type: 'object',
+        required: true,
+        fields: {
+          maxMetricsHistory: { type: 'integer', min: 1, max: 10000 },
+          enableRealTime: { type: 'boolean' },
+          enableAlerts: { type: 'boolean' },
+          requireInvitation: { type: 'boolean' },
+          breachSeverityTiers: { type: 'array', maxItems: 10 },
+          alertRules: { type: 'array', maxItems: 50 },
+          alertSinks: { type: 'array', maxItems: 20 }
+        }
+      }
+    }
+  },
+  create_invitation: {
+    roles: ['controller'],
+    fields: {
+      label: { type: 'string', maxLength: 64 },
+      maxUses: { type: 'integer', min: 1 },
+      expiresInMinutes: { type: 'number', min: 1 }
+    }
+  },
+  // The room key, wrapped by the controller for one client (reuse-fingerprint.js)
+  fingerprint_key: {
+    roles: ['controller'],
+    fields: {
+      clientId: { type: 'string', required: true, maxLength: 32, pattern: /^[a-f0-9]+$/ },
+      keyId: { type: 'string', required: true, pattern: /^[0-9a-f]{8}$/ },
+      publicKey: { type: 'string', required: true, maxLength: 128, pattern: BASE64URL },
+      iv: { type: 'string', required: true, maxLength: 32, pattern: BASE64URL },
+      ciphertext: { type: 'string', required: true, maxLength: 128, pattern: BASE64URL }
+    }
+  },
+  ping: {
+    roles: ['none', 'client', 'controller'],
+    fields: {
+      timestamp: { type: 'number' }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validateField(value, spec, path, errors) {
+  if (value === null && spec.nullable) return;
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  if (!types.some(type => matchesType(value, type))) {
+    errors.push(`${path} must be ${types.join(' or ')}${spec.nullable ? ' or null' : ''}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path} must be finite`);
+    if (spec.min !== undefined && value < spec.min) errors.push(`${path} must be at least ${spec.min}`);
+    if (spec.max !== undefined && value > spec.max) errors.push(`${path} must be at most ${spec.max}`);
+  } else if (typeof value === 'string') {
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      errors.push(`${path} must be at most ${spec.maxLength} characters`);
+    } else if (spec.pattern && !spec.pattern.test(value)) {
+      errors.push(`${path} has an invalid format`);
+    }
+    if (spec.enum && !spec.enum.includes(value)) errors.push(`${path} must be one of ${spec.enum.join(', ')}`);
+  } else if (Array.isArray(value)) {
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      errors.push(`${path} must have at most ${spec.maxItems} items`);
+    }
+  } else if (typeof value === 'object') {
+    validateObject(value, spec, path, errors);
+  }
+}
+
+function validateObject(object, spec, path, errors) {
+  const fields = spec.fields || {};
+  const keys = Object.keys(object);
+  if (spec.maxKeys !== undefined) {
+    if (keys.length > spec.maxKeys) errors.push(`${path} must have at most ${spec.maxKeys} keys`);
+  } else if (spec.fields) {
+    for (const key of keys) {
+      if (!Object.prototype.hasOwnProperty.call(fields, key)) errors.push(`${path}.${key} is not allowed`);
+    }
+  }
+  for (const [key, fieldSpec] of Object.entries(fields)) {
+    if (object[key] === undefined) {
+      if (fieldSpec.required) errors.push(`${path}.${key} is required`);
+      continue;
+    }
+    validateField(object[key], fieldSpec, `${path}.${key}`, errors);
+  }
+}
+
+// Check a parsed message sent by a connection in `role` ('none' before hello,
+// 'joining' while its hello is being handled, when nothing is accepted).
+// Returns null when the message is acceptable, else { code, message, errors }.
+function validateMessage(message, role) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+    return { code: ERROR_CODES.INVALID_MESSAGE, message: 'Message must be an object with a type', errors: [] };
+  }
+  const schema = Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, message.type) ? MESSAGE_SCHEMAS[message.type] : null;
+  if (!schema) {
+    return { code: ERROR_CODES.UNKNOWN_TYPE, message: 'Unknown message type', errors: [] };
+  }
+  if (!schema.roles.includes(role)) {
+    const when = role === 'none' ? 'before hello' : role === 'joining' ? 'while joining' : `for a ${role}`;
+    return { code: ERROR_CODES.NOT_ALLOWED, message: `${message.type} is not allowed ${when}`, errors: [] };
+  }
+
+  const errors = [];
+  validateObject(message, { fields: { type: { type: 'string' }, ...schema.fields } }, 'message', errors);
+  if (errors.length > 0) {
+    return { code: ERROR_CODES.INVALID_MESSAGE, message: `Invalid ${message.type} message`, errors: errors.slice(0, LIMITS.MAX_ERRORS) };
+  }
+  return null;
+}
+
+// Token bucket: `burst` tokens, refilled at `ratePerSecond`
+class TokenBucket {
+  constructor({ ratePerSecond, burst }) {
+    this.rate = ratePerSecond;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+  }
+
+  // Take `cost` tokens if available; returns false when the caller is over the limit
+  take(cost = 1, now = Date.now()) {
+    this.refill(now);
+    if (this.tokens < cost) return false;
+    this.tokens -= cost;
+    return true;
+  }
+
+  // Milliseconds until `cost` tokens are available again
+  retryAfterMs(cost = 1) {
+    return Math.max(0, Math.ceil((cost - this.tokens) / this.rate * 1000));
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  LIMITS,
+  MESSAGE_SCHEMAS,
+  validateMessage,
+  TokenBucket
+};
@@ -0,0 +1,462 @@
+// metrics-connection.js - Reconnecting client connection to metrics-host.js
+// Browser: <script src="metrics-connection.js"></script>  -> window.MetricsConnection
+// Node:    const MetricsConnection = require("./metrics-connection");
+//          (pass a WebSocket implementation such as the ws package)
+//
+// Metrics are written to an outbox with an increasing sequence number before
+// they are sent, and only leave it once the host acknowledges them. After a
+// dropped connection the client reconnects with exponential backoff, resumes
+// its clientId and resends whatever is still unacknowledged; the host ignores
+// sequence numbers it has already stored, so nothing is counted twice.
+//
+// With reuse-fingerprint.js loaded, the client also asks the room's
+// controller for the room key and can then fingerprint passwords for reuse
+// detection (fingerprint()).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(null, require('./reuse-fingerprint'));
+  } else {
+    root.MetricsConnection = factory(root, root.ReuseFingerprint);
+  }
+})(typeof self !== 'undefined' ? self : this, function (root, ReuseFingerprint) {
+  'use strict';
+
+  const RECONNECT = {
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 30000
+  };
+  const SEND_INTERVAL_MS = 250; // stays under the host's per-connection rate limit
+  const ACK_TIMEOUT_MS = 10000; // reconnect when an ack takes longer than this
+  const OUTBOX_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+  const STATE_KEY = 'metricsConnection';
+
+  // Close reasons after which reconnecting cannot help
+  const FINAL_CLOSE_REASONS = ['Session resumed elsewhere', 'Room deleted', 'Room expired', 'Client data deleted'];
+
+  // Delay before reconnect attempt `attempt` (0-based): doubling, capped, with jitter
+  function backoffDelay(attempt) {
+    const delay = Math.min(RECONNECT.MAX_DELAY_MS, RECONNECT.BASE_DELAY_MS * Math.pow(2, attempt));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  function randomId() {
+    const bytes = new Uint8Array(8);
+    (root && root.crypto ? root.crypto : require('crypto').webcrypto).getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // ======== Outboxes ========
+
+  // Outboxes hold entries under a scope (see MetricsConnection#outboxScope)
+  // and only ever list or send the entries of the scope asked for.
+
+  // Unacknowledged metrics kept in memory; lost when the page goes away
+  class MemoryOutbox {
+    constructor() {
+      this.entries = [];
+    }
+
+    async add(scope, entry) {
+      this.entries.push({ ...entry, scope });
+    }
+
+    async list(scope) {
+      return this.entries.filter(entry => entry.scope === scope);
+    }
+
+    async remove(scope, seq) {
+      this.entries = this.entries.filter(entry => entry.scope !== scope || entry.seq !== seq);
+    }
+
+    async move(from, to) {
+      for (const entry of this.entries) {
+        if (entry.scope === from) entry.scope = to;
+      }
+    }
+
+    async expire() {
+      const cutoff = Date.now() - OUTBOX_MAX_AGE_MS;
+      this.entries = this.entries.filter(entry => entry.createdAt >= cutoff);
+    }
+  }
+
+  // Unacknowledged metrics kept in IndexedDB, so they survive reloads of the
+  // tab. Entries a tab leaves behind (closed before they were acknowledged)
+  // can no longer be sent as their client and expire after OUTBOX_MAX_AGE_MS.
+  class IndexedDbOutbox {
+    constructor(indexedDB) {
+      this.indexedDB = indexedDB;
+      this.db = null;
+    }
+
+    open() {
+      if (!this.db) {
+        this.db = new Promise((resolve, reject) => {
+          const request = this.indexedDB.open('password-metrics', 2);
+          request.onupgradeneeded = (event) => {
+            // Version 1 scoped entries by tab only, so they could be sent
+            // into whatever room the tab joined next; drop them
+            if (event.oldVersion < 2 && request.result.objectStoreNames.contains('outbox')) {
+              request.result.deleteObjectStore('outbox');
+            }
+            request.result.createObjectStore('outbox', { keyPath: ['scope', 'seq'] });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this.db;
+    }
+
+    async run(mode, operation) {
+      const db = await this.open();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction('outbox', mode);
+        const request = operation(transaction.objectStore('outbox'));
+        transaction.oncomplete = () => resolve(request && request.result);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    }
+
+    range(scope) {
+      return IDBKeyRange.bound([scope, 0], [scope, Infinity]);
+    }
+
+    add(scope, entry) {
+      return this.run('readwrite', store => store.put({ ...entry, scope }));
+    }
+
+    list(scope) {
+      return this.run('readonly', store => store.getAll(this.range(scope)));
+    }
+
+    remove(scope, seq) {
+      return this.run('readwrite', store => store.delete([scope, seq]));
+    }
+
+    move(from, to) {
+      return this.run('readwrite', store => {
+        const request = store.openCursor(this.range(from));
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          store.put({ ...cursor.value, scope: to });
+          cursor.delete();
+          cursor.continue();
+        };
+      });
+    }
+
+    // Drop entries too old to be worth sending, whatever their scope
+    expire() {
+      const cutoff = Date.now() - OUTBOX_MAX_AGE_MS;
+      return this.run('readwrite', store => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          if (!(cursor.value.createdAt >= cutoff)) cursor.delete();
+          cursor.continue();
+        };
+      });
+    }
+  }
+
+  // ======== Connection ========
+
+  // options: serverUrl, roomCode, invite, and optionally WebSocket, outbox,
+  // storage (for the tab state, default sessionStorage) and the handlers
+  // onStatus(status, detail), onMessage(message), onQueueChange(pending).
+  // status is 'connecting', 'connected', 'reconnecting' or 'disconnected'.
+  class MetricsConnection {
+    constructor(options) {
+      this.serverUrl = options.serverUrl;
+      this.roomCode = options.roomCode || null;
+      this.invite = options.invite || null;
+      this.WebSocket = options.WebSocket || (root && root.WebSocket);
+      this.storage = options.storage !== undefined ? options.storage : (root && root.sessionStorage) || null;
+      this.onStatus = options.onStatus || (() => {});
+      this.onMessage = options.onMessage || (() => {});
+      this.onQueueChange = options.onQueueChange || (() => {});
+
+      this.state = this.loadState();
+      this.outbox = options.outbox || (root && root.indexedDB
+        ? new IndexedDbOutbox(root.indexedDB)
+        : new MemoryOutbox());
+
+      this.ws = null;
+      const resume = this.roomCode && this.resumeFields();
+      this.clientId = resume ? resume.clientId : null;
+      this.outboxReady = this.outbox.expire().catch(error => console.error('Failed to expire the outbox:', error));
+      this.joined = false;
+      this.stopped = true;
+      this.attempt = 0;
+      this.handshakeError = null;
+      this.inFlight = null; // seq awaiting an ack
+      this.pausedUntil = 0;
+      this.reconnectTimer = null;
+      this.sendTimer = null;
+      this.ackTimer = null;
+      this.keyPair = null; // for receiving the room key, kept for the connection's lifetime
+      this.roomKey = null; // { keyId, key } from the controller
+    }
+
+    // Per-tab state: a tab id for the outbox, the last sequence number used
+    // and how to resume the last room joined
+    loadState() {
+      let state = null;
+      try {
+        state = this.storage && JSON.parse(this.storage.getItem(STATE_KEY));
+      } catch (error) {
+        state = null;
+      }
+      return state && state.tabId ? state : { tabId: randomId(), seq: 0, resume: null };
+    }
+
+    saveState() {
+      if (!this.storage) return;
+      try {
+        this.storage.setItem(STATE_KEY, JSON.stringify(this.state));
+      } catch (error) {
+        console.warn('Failed to save connection state:', error);
+      }
+    }
+
+    resumeFields() {
+      const resume = this.state.resume;
+      return resume && resume.serverUrl === this.serverUrl && resume.roomCode === this.roomCode
+        ? { clientId: resume.clientId, resumeToken: resume.resumeToken }
+        : null;
+    }
+
+    // Queued metrics belong to the client that produced them in one room:
+    // they are never sent into another room or as another client. Before the
+    // first room_info they are held under the tab id.
+    outboxScope() {
+      return this.clientId
+        ? JSON.stringify([this.serverUrl, this.roomCode, this.clientId])
+        : `tab:${this.state.tabId}`;
+    }
+
+    connect() {
+      this.stopped = false;
+      this.open();
+      this.notifyQueue();
+    }
+
+    // Disconnect for good; queued metrics stay in the outbox
+    close() {
+      this.stopped = true;
+      clearTimeout(this.reconnectTimer);
+      this.clearSendTimers();
+      if (this.ws) {
+        this.ws.close(1000, 'Client disconnected');
+      } else {
+        this.onStatus('disconnected');
+      }
+    }
+
+    open() {
+      this.joined = false;
+      this.handshakeError = null;
+      this.onStatus(this.attempt === 0 ? 'connecting' : 'reconnecting', { attempt: this.attempt });
+
+      const ws = new this.WebSocket(this.serverUrl);
+      this.ws = ws;
+      ws.onopen = async () => {
+        const resume = this.roomCode && this.resumeFields();
+        const fingerprintKey = await this.fingerprintPublicKey();
+        if (ws.readyState !== ws.OPEN) return;
+        ws.send(JSON.stringify({
+          type: 'hello',
+          role: 'client',
+          ...(this.roomCode && { code: this.roomCode }),
+          ...(this.invite && { invite: this.invite }), // only used when resuming fails
+          ...resume,
+          ...(fingerprintKey && { fingerprintKey })
+        }));
+      };
+      ws.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          console.error('Failed to parse message:', error);
+          return;
+        }
+        this.handleMessage(message);
+      };
+      ws.onclose = (event) => this.handleClose(event);
+      ws.onerror = () => {
+        // onclose follows and decides whether to reconnect
+      };
+    }
+
+    handleMessage(message) {
+      if (message.type === 'room_info') {
+        this.joined = true;
+        this.attempt = 0;
+        const previous = this.outboxScope();
+        // Carry over what was queued before joining, or under an earlier
+        // clientId in this room when resuming failed; another room's stay put
+        const carry = !this.clientId || this.roomCode === message.roomCode;
+        this.clientId = message.clientId;
+        this.roomCode = message.roomCode;
+        const scope = this.outboxScope();
+        if (carry && scope !== previous) {
+          this.outboxReady = this.outboxReady
+            .then(() => this.outbox.move(previous, scope))
+            .catch(error => console.error('Failed to move queued metrics:', error));
+        }
+        if (message.resumeToken) {
+          this.state.resume = {
+            serverUrl: this.serverUrl,
+            roomCode: message.roomCode,
+            clientId: message.clientId,
+            resumeToken: message.resumeToken
+          };
+          this.saveState();
+        }
+        this.onStatus('connected', { clientId: message.clientId, roomCode: message.roomCode, resumed: !!message.resumed });
+        this.scheduleSend(0);
+      } else if (message.type === 'fingerprint_key') {
+        this.receiveRoomKey(message);
+      } else if (message.type === 'ack' && message.seq === this.inFlight) {
+        this.acknowledge(message.seq);
+      } else if (message.type === 'error') {
+        if (!this.joined) {
+          this.handshakeError = message;
+        } else if (message.code === 'RATE_LIMITED') {
+          // The message was dropped unread; send it again once allowed
+          this.inFlight = null;
+          clearTimeout(this.ackTimer);
+          this.pausedUntil = Date.now() + (message.retryAfterMs || SEND_INTERVAL_MS);
+          this.scheduleSend(this.pausedUntil - Date.now());
+        } else if (message.seq !== undefined && message.seq === this.inFlight) {
+          // Rejected for good (e.g. an invalid payload): resending cannot help
+          this.acknowledge(message.seq);
+        }
+      }
+      this.onMessage(message);
+    }
+
+    handleClose(event) {
+      this.ws = null;
+      this.clearSendTimers();
+      const wasJoined = this.joined;
+      this.joined = false;
+
+      const final = this.stopped ||
+        (!wasJoined && this.handshakeError) ||
+        event.code === 1008 ||
+        FINAL_CLOSE_REASONS.includes(event.reason);
+      if (final) {
+        this.stopped = true;
+        this.onStatus('disconnected', {
+          code: event.code,
+          reason: event.reason,
+          ...(this.handshakeError && { error: this.handshakeError })
+        });
+        return;
+      }
+
+      const delay = backoffDelay(this.attempt++);
+      this.onStatus('reconnecting', { attempt: this.attempt, delay });
+      this.reconnectTimer = setTimeout(() => this.open(), delay);
+    }
+
+    // Queue a metrics payload; it is sent now or after the next reconnect.
+    // Resolves with its sequence number once it is safely in the outbox.
+    async sendMetrics(payload) {
+      this.state.seq += 1;
+      this.saveState();
+      const seq = this.state.seq;
+      await this.outboxReady;
+      await this.outbox.add(this.outboxScope(), { seq, payload, createdAt: Date.now() });
+      this.notifyQueue();
+      this.scheduleSend(0);
+      return seq;
+    }
+
+    async acknowledge(seq) {
+      this.inFlight = null;
+      clearTimeout(this.ackTimer);
+      await this.outbox.remove(this.outboxScope(), seq);
+      this.notifyQueue();
+      this.scheduleSend(SEND_INTERVAL_MS);
+    }
+
+    scheduleSend(delay) {
+      if (this.sendTimer || this.inFlight !== null) return;
+      this.sendTimer = setTimeout(() => {
+        this.sendTimer = null;
+        this.sendNext().catch(error => console.error('Failed to send queued metrics:', error));
+      }, Math.max(delay, this.pausedUntil - Date.now(), 0));
+    }
+
+    // Send the oldest unacknowledged entry, one at a time so acks stay in order
+    async sendNext() {
+      if (!this.joined || this.inFlight !== null) return;
+      await this.outboxReady;
+      const [entry] = (await this.outbox.list(this.outboxScope())).sort((a, b) => a.seq - b.seq);
+      if (!entry || !this.joined || this.inFlight !== null) return;
+
+      this.inFlight = entry.seq;
+      this.ws.send(JSON.stringify({ type: 'metrics', seq: entry.seq, payload: entry.payload }));
+      this.ackTimer = setTimeout(() => {
+        // No ack: assume the connection is dead and let the reconnect resend
+        if (this.ws) this.ws.close(4000, 'Ack timeout');
+      }, ACK_TIMEOUT_MS);
+    }
+
+    clearSendTimers() {
+      clearTimeout(this.sendTimer);
+      clearTimeout(this.ackTimer);
+      this.sendTimer = null;
+      this.inFlight = null;
+    }
+
+    // Public half of the key pair the controller wraps the room key for;
+    // null when reuse-fingerprint.js or WebCrypto is unavailable
+    async fingerprintPublicKey() {
+      if (!ReuseFingerprint) return null;
+      try {
+        if (!this.keyPair) this.keyPair = await ReuseFingerprint.generateKeyPair();
+        return await ReuseFingerprint.exportPublicKey(this.keyPair);
+      } catch (error) {
+        console.warn('Password reuse fingerprints unavailable:', error);
+        return null;
+      }
+    }
+
+    async receiveRoomKey(message) {
+      try {
+        this.roomKey = await ReuseFingerprint.unwrapRoomKey(message, this.keyPair);
+      } catch (error) {
+        console.error('Failed to unwrap the room key:', error);
+      }
+    }
+
+    // Reuse fingerprint of a password under the room key, null until the
+    // controller has sent it. Add it to the metrics as reuseFingerprint.
+    async fingerprint(password) {
+      return this.roomKey ? ReuseFingerprint.fingerprint(this.roomKey, password) : null;
+    }
+
+    async notifyQueue() {
+      try {
+        await this.outboxReady;
+        this.onQueueChange((await this.outbox.list(this.outboxScope())).length);
+      } catch (error) {
+        console.error('Failed to read the outbox:', error);
+      }
+    }
+  }
+
+  MetricsConnection.MemoryOutbox = MemoryOutbox;
+  MetricsConnection.IndexedDbOutbox = IndexedDbOutbox;
+  MetricsConnection.backoffDelay = backoffDelay;
+
+  return MetricsConnection;
+});
@@ -0,0 +1,206 @@
+// metrics-export.js - Streaming export of stored metrics as CSV, NDJSON or Parquet
+//
+// Rows are read from a MongoDB cursor and written to the response one at a
+// time (Parquet: one row group at a time), waiting for the client to keep up,
+// so a large room never has to fit in memory.
+//
+//   const { options, errors } = parseExportQuery(req.query);
+//   await streamMetrics(collection.find(filter).sort({ timestamp: 1 }), res, options);
+
+const parquet = require("parquetjs-lite");
+
+// Exportable columns and their Parquet types. Nested values (crackTimes,
+// segments, discrepancies, policyViolations) stay objects in NDJSON and
+// become JSON text in CSV and Parquet.
+const COLUMNS = {
+  timestamp: { parquet: 'TIMESTAMP_MILLIS' },
+  roomCode: { parquet: 'UTF8' },
+  clientId: { parquet: 'UTF8' },
+  seq: { parquet: 'INT64' },
+  schemaVersion: { parquet: 'INT64' },
+  entropy: { parquet: 'DOUBLE' },
+  guesses: { parquet: 'DOUBLE' },
+  guessesLog10: { parquet: 'DOUBLE' },
+  score: { parquet: 'INT64' },
+  time: { parquet: 'UTF8' },
+  pattern: { parquet: 'UTF8' },
+  length: { parquet: 'INT64' },
+  breached: { parquet: 'BOOLEAN' },
+  breachCount: { parquet: 'INT64' },
+  crackTimes: { parquet: 'UTF8', json: true },
+  segments: { parquet: 'UTF8', json: true },
+  discrepancies: { parquet: 'UTF8', json: true },
+  policyCompliant: { parquet: 'BOOLEAN' },
+  policyViolations: { parquet: 'UTF8', json: true },
+  ip: { parquet: 'UTF8' },
+  userAgent: { parquet: 'UTF8' }
+};
+
+const CLIENT_INFO_COLUMNS = ['ip', 'userAgent'];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+
+const PARQUET_ROW_GROUP_SIZE = 1000;
+
+function parseDate(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (isNaN(date.getTime())) {
+    errors.push(`${name} must be an ISO date or a timestamp in milliseconds`);
+    return null;
+  }
+  return date;
+}
+
+// Validate the query string: format, from, to, clientId, columns (comma-separated)
+// and stripClientInfo (drops ip and userAgent). Returns { options } or { errors }.
+function parseExportQuery(query = {}) {
+  const errors = [];
+  const format = query.format || 'csv';
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    errors.push(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const from = parseDate(query.from, 'from', errors);
+  const to = parseDate(query.to, 'to', errors);
+  if (from && to && from >= to) errors.push('from must be before to');
+
+  const clientId = query.clientId || null;
+  if (clientId !== null && !/^[a-f0-9]{1,32}$/.test(clientId)) {
+    errors.push('clientId has an invalid format');
+  }
+
+  let columns = Object.keys(COLUMNS);
+  if (query.columns) {
+    columns = String(query.columns).split(',').map(column => column.trim()).filter(Boolean);
+    const unknown = columns.filter(column => !Object.prototype.hasOwnProperty.call(COLUMNS, column));
+    if (unknown.length > 0) errors.push(`Unknown columns: ${unknown.join(', ')}`);
+  }
+  if (query.stripClientInfo === 'true' || query.stripClientInfo === '1') {
+    columns = columns.filter(column => !CLIENT_INFO_COLUMNS.includes(column));
+  }
+  columns = Array.from(new Set(columns));
+  if (columns.length === 0) errors.push('No columns selected');
+
+  if (errors.length > 0) return { errors };
+  return { options: { format, from, to, clientId, columns } };
+}
+
+// MongoDB filter for the options, on top of `base` (e.g. the room)
+function exportFilter(base, { from, to, clientId }) {
+  return {
+    ...base,
+    ...((from || to) && {
+      timestamp: {
+        ...(from && { $gte: from }),
+        ...(to && { $lt: to })
+      }
+    }),
+    ...(clientId && { clientId })
+  };
+}
+
+function exportProjection(columns) {
+  return Object.fromEntries([['_id', 0], ...columns.map(column => [column, 1])]);
+}
+
+function exportFilename(name, format) {
+  return `metrics-${name}-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+}
+
+// Row values for the selected columns; `flat` turns nested values into JSON text
+function toRow(doc, columns, flat) {
+  const row = {};
+  for (const column of columns) {
+    let value = doc[column];
+    if (value === undefined) value = null;
+    if (flat && value !== null && COLUMNS[column].json) value = JSON.stringify(value);
+    row[column] = value;
+  }
+  return row;
+}
+
+function csvValue(value) {
+  if (value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep spreadsheets from treating text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write, then wait while the response's buffer is full (or until the client goes away)
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+async function streamText(cursor, res, { format, columns }, isClosed) {
+  if (format === 'csv') await write(res, columns.join(',') + '\r\n');
+  for await (const doc of cursor) {
+    if (isClosed()) break;
+    const row = toRow(doc, columns, format === 'csv');
+    await write(res, format === 'csv'
+      ? columns.map(column => csvValue(row[column])).join(',') + '\r\n'
+      : JSON.stringify(row) + '\n');
+  }
+  res.end();
+}
+
+async function streamParquet(cursor, res, { columns }, isClosed) {
+  const schema = new parquet.ParquetSchema(Object.fromEntries(
+    columns.map(column => [column, { type: COLUMNS[column].parquet, optional: true }])
+  ));
+  // The writer waits for each row group to be flushed before taking more rows
+  const writer = await parquet.ParquetWriter.openStream(schema, res, { rowGroupSize: PARQUET_ROW_GROUP_SIZE });
+  for await (const doc of cursor) {
+    if (isClosed()) break;
+    const row = toRow(doc, columns, true);
+    // Optional fields without a value are left out of the row
+    for (const column of columns) {
+      if (row[column] === null) delete row[column];
+    }
+    await writer.appendRow(row);
+  }
+  if (isClosed()) return;
+  await writer.close(); // writes the footer and ends the response
+}
+
+// Stream `cursor` to `res` in options.format; response headers must already be set
+async function streamMetrics(cursor, res, options) {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  try {
+    if (options.format === 'parquet') {
+      await streamParquet(cursor, res, options, () => closed);
+    } else {
+      await streamText(cursor, res, options, () => closed);
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+module.exports = {
+  COLUMNS,
+  CLIENT_INFO_COLUMNS,
+  FORMATS,
+  parseExportQuery,
+  exportFilter,
+  exportProjection,
+  exportFilename,
+  streamMetrics
+};
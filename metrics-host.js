@@ -4,10 +4,64 @@
 const express = require("express");
 const http = require("http");
 const WebSocket = require("ws");
-const { MongoClient } = require("mongodb");
+const { MongoClient, ObjectId } = require("mongodb");
 const os = require("os");
 const crypto = require("crypto");
 const path = require("path");
+const QRCode = require("qrcode");
+const PasswordAnalysis = require("./password-analysis");
+const { resolvePolicy, validatePolicy, evaluatePolicy } = require("./password-policy");
+const PasswordGenerator = require("./password-generator");
+const {
+  FORMATS: AUDIT_FORMATS,
+  RESULT_FILTERS: AUDIT_RESULT_FILTERS,
+  LIMITS: AUDIT_LIMITS,
+  parseAuditQuery,
+  readEntries,
+  AuditService
+} = require("./credential-audit");
+const { BreachStore } = require("./breach-store");
+const {
+  ALERT_SEVERITIES,
+  DEFAULT_BREACH_SEVERITY_TIERS,
+  DEFAULT_ALERT_RULES,
+  AlertRuleEngine,
+  validateRules,
+  validateBreachSeverityTiers
+} = require("./alert-rules");
+const { AlertDispatcher, validateSinks, redactSink } = require("./alert-sinks");
+const {
+  AUTH,
+  AuthService,
+  requireRole,
+  canViewRoom,
+  canManageRoom,
+  hashToken,
+  secretMatches,
+  tokenFromRequest
+} = require("./auth");
+const { InvitationService } = require("./invitations");
+const { ERROR_CODES, MESSAGE_SCHEMAS, validateMessage, TokenBucket } = require("./message-schema");
+const { createBackplane } = require("./backplane");
+const { parseAnalyticsQuery, roomAnalytics } = require("./room-analytics");
+const { parseReportQuery, buildReport, renderReportHtml } = require("./health-report");
+const {
+  FORMATS: EXPORT_FORMATS,
+  parseExportQuery,
+  exportFilter,
+  exportProjection,
+  exportFilename,
+  streamMetrics
+} = require("./metrics-export");
+const {
+  applyPrivacy,
+  mergePolicies,
+  policyFromEnv,
+  validatePrivacySettings,
+  loadHashKey
+} = require("./privacy");
+const { Registry, negotiateFormat, contentType } = require("./prometheus");
+const { logger, requestLogging } = require("./logger");
 
 // ======== Configuration ========
 const CONFIG = {
@@ -16,35 +70,115 @@ const CONFIG = {
   DATABASE: "metrics_host",
   COLLECTION: "client_metrics",
   SESSIONS: "client_sessions",
+  BREACH_RANGES: "breach_ranges",
+  ALERT_RULES: "alert_rules",
+  ALERTS: "alerts",
+  ALERT_SINKS: "alert_sinks",
+  ALERT_DELIVERIES: "alert_deliveries",
+  ALERT_DELIVERY_RETENTION_DAYS: 30,
+  INVITATIONS: "invitations",
+  ROOM_CLIENTS: "room_clients",
+  SERVER_KEYS: "server_keys",
+  AUDIT_JOBS: "audit_jobs",
+  AUDIT_RESULTS: "audit_results",
+  AUDIT_RETENTION_DAYS: 30, // jobs and their per-account results
   MAX_CLIENTS_PER_ROOM: 50,
   METRICS_RETENTION_DAYS: 30,
+  ALERT_RETENTION_DAYS: 90, // resolved alerts only
+  MAX_ALERT_REPLAY: 200, // unacknowledged alerts replayed to a joining controller
   CLEANUP_INTERVAL: 24 * 60 * 60 * 1000, // 24 hours
+  ROOM_TTL: 24 * 60 * 60 * 1000, // 24 hours since the last activity
+  ROOM_TOUCH_INTERVAL: 60 * 1000, // how often activity pushes the stored expiry forward
+  ROOM_EXPIRY_CHECK_INTERVAL: 60 * 1000,
   AUTH_TIMEOUT: 30000, // 30 seconds
-  HEARTBEAT_INTERVAL: 30000 // 30 seconds
+  HEARTBEAT_INTERVAL: 30000, // 30 seconds
+  MAX_FRAME_BYTES: 64 * 1024, // larger WebSocket frames close the connection
+  RATE_LIMITS: {
+    CONNECTION: { ratePerSecond: 5, burst: 20 },
+    ROOM: { ratePerSecond: 50, burst: 200 } // shared by everyone in the room
+  },
+  MAX_REJECTED_MESSAGES: 50, // per connection, before it is closed
+  BACKPLANE_URL: process.env.BACKPLANE_URL || null, // redis://... to share rooms with other hosts
+  NODE_ID: process.env.NODE_ID || `${os.hostname()}-${crypto.randomBytes(3).toString('hex')}`,
+  NODE_HEARTBEAT_INTERVAL: 5000,
+  NODE_TIMEOUT: 15000 // hosts silent for this long drop out of the cluster view
 };
 
+// Client details a privacy policy may remove from stored metrics (the IP is
+// governed by the policy's ipMode). The host policy comes from PRIVACY_IP_MODE
+// and PRIVACY_REDACT_FIELDS; rooms can make it stricter.
+const REDACTABLE_FIELDS = ['userAgent', 'segments', 'discrepancies'];
+const HOST_PRIVACY = policyFromEnv(process.env, { redactable: REDACTABLE_FIELDS });
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Password policy for rooms that do not set their own (PASSWORD_POLICY_PROFILE,
+// default nist-800-63b)
+const HOST_PASSWORD_POLICY = (() => {
+  const { policy, errors } = validatePolicy({ profile: process.env.PASSWORD_POLICY_PROFILE || undefined });
+  if (!policy) throw new Error(`PASSWORD_POLICY_PROFILE: ${errors.join('; ')}`);
+  return policy;
+})();
+
 // ======== MongoDB Setup ========
-let db, metricsCollection, sessionsCollection;
+let db, metricsCollection, sessionsCollection, alertRulesCollection, alertsCollection, breachStore;
+let alertSinksCollection, alertDeliveriesCollection, alertDispatcher;
+let globalAlertSinks = [];
+let authService, invitationService, roomClientsCollection, auditService;
+let privacyKey = null; // IP hashing key
+const GLOBAL_SINK_SCOPE = '*'; // alert_sinks document holding the global sinks
 
 async function connectDB() {
   try {
-    const client = new MongoClient(CONFIG.MONGODB_URI);
+    const client = new MongoClient(CONFIG.MONGODB_URI, { monitorCommands: true });
+    monitorWrites(client);
     await client.connect();
     db = client.db(CONFIG.DATABASE);
     metricsCollection = db.collection(CONFIG.COLLECTION);
     sessionsCollection = db.collection(CONFIG.SESSIONS);
+    alertRulesCollection = db.collection(CONFIG.ALERT_RULES);
+    alertsCollection = db.collection(CONFIG.ALERTS);
+    alertSinksCollection = db.collection(CONFIG.ALERT_SINKS);
+    alertDeliveriesCollection = db.collection(CONFIG.ALERT_DELIVERIES);
+    alertDispatcher = new AlertDispatcher(alertDeliveriesCollection);
+    breachStore = new BreachStore(db.collection(CONFIG.BREACH_RANGES));
+    authService = new AuthService(db);
+    invitationService = new InvitationService(db.collection(CONFIG.INVITATIONS), db.collection(CONFIG.SERVER_KEYS));
+    roomClientsCollection = db.collection(CONFIG.ROOM_CLIENTS);
+    auditService = new AuditService(db.collection(CONFIG.AUDIT_JOBS), db.collection(CONFIG.AUDIT_RESULTS), breachStore, {
+      nodeId: CONFIG.NODE_ID,
+      retentionDays: CONFIG.AUDIT_RETENTION_DAYS
+    });
     
     // Create indexes for performance
     await metricsCollection.createIndex({ "timestamp": -1 });
     await metricsCollection.createIndex({ "clientId": 1 });
     await metricsCollection.createIndex({ "roomCode": 1 });
+    // Only set for rooms with their own retention; the rest follow METRICS_RETENTION_DAYS
+    await metricsCollection.createIndex({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
     await sessionsCollection.createIndex({ "roomCode": 1 });
     await sessionsCollection.createIndex({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
+    await roomClientsCollection.createIndex({ "roomCode": 1 });
+    await roomClientsCollection.createIndex({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
+    await alertsCollection.createIndex({ "roomCode": 1, "createdAt": -1 });
+    await alertsCollection.createIndex({ "status": 1, "createdAt": -1 });
+    await alertDeliveriesCollection.createIndex({ "alertId": 1 });
+    await alertDeliveriesCollection.createIndex({ "roomCode": 1, "createdAt": -1 });
+    await alertDeliveriesCollection.createIndex(
+      { "createdAt": 1 },
+      { expireAfterSeconds: CONFIG.ALERT_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+    );
+    await breachStore.init();
+    await authService.init();
+    await invitationService.init();
+    await auditService.init();
+    privacyKey = await loadHashKey(db.collection(CONFIG.SERVER_KEYS));
+    
+    await loadGlobalAlertSinks();
     
-    console.log("✅ Connected to MongoDB");
+    logger.info('Connected to MongoDB', { database: CONFIG.DATABASE });
     return true;
   } catch (error) {
-    console.error("❌ MongoDB connection failed:", error);
+    logger.error('MongoDB connection failed', { error });
     return false;
   }
 }
@@ -70,6 +204,69 @@ function generateClientId() {
   return crypto.randomBytes(8).toString('hex');
 }
 
+// Secret a controller presents to join its room; the client join code is not enough
+function generateControllerSecret() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+// Remember a client so it can rejoin as the same clientId; returns its resume token.
+// Registrations expire with the room.
+async function registerClient(room, clientId, invitation) {
+  if (!roomClientsCollection) return null;
+  const resumeToken = crypto.randomBytes(24).toString('base64url');
+  try {
+    await roomClientsCollection.insertOne({
+      _id: clientId,
+      roomCode: room.code,
+      resumeTokenHash: hashToken(resumeToken),
+      invitationId: invitation ? invitation.id : null,
+      createdAt: new Date(),
+      lastSeenAt: new Date(),
+      expiresAt: new Date(room.expiresAt)
+    });
+    return resumeToken;
+  } catch (error) {
+    logger.error('Failed to register client', { roomCode: room.code, clientId, error });
+    return null;
+  }
+}
+
+// The registered client behind a clientId/resumeToken pair in this room, or null
+async function resumeClient(room, clientId, resumeToken) {
+  if (!roomClientsCollection) return null;
+  try {
+    const doc = await roomClientsCollection.findOne({ _id: clientId, roomCode: room.code });
+    if (!doc || !secretMatches(resumeToken, doc.resumeTokenHash)) return null;
+    await roomClientsCollection.updateOne({ _id: clientId }, { $set: { lastSeenAt: new Date() } });
+    return doc;
+  } catch (error) {
+    logger.error('Failed to resume client', { roomCode: room.code, clientId, error });
+    return null;
+  }
+}
+
+// Mint an invitation and render its join link (to the metrics client page) as a QR code
+async function createInvitation(room, options, baseUrl) {
+  const { token, invitation } = await invitationService.create(room.code, options);
+  const link = `${baseUrl}/client?invite=${encodeURIComponent(token)}`;
+  const qrSvg = await QRCode.toString(link, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+  return { token, link, qrSvg, invitation };
+}
+
+// Alert document as returned to controllers and the REST API
+function serializeAlert(doc) {
+  const { _id, ...alert } = doc;
+  return { id: _id.toString(), ...alert };
+}
+
+// Metrics as forwarded to a controller: the stored connection details (IP
+// address and user agent, as far as the privacy policy keeps them) stay on
+// the host and in its API, which checks who may read them
+function controllerPayload(metrics) {
+  const { ip, userAgent, ...payload } = metrics;
+  return payload;
+}
+
 function sanitizeInput(input) {
   if (typeof input !== 'string') return '';
   return input.replace(/[<>\"'&]/g, '').substring(0, 100);
@@ -77,33 +274,179 @@ function sanitizeInput(input) {
 
 // ======== Room Management ========
 class MetricsRoom {
-  constructor(code) {
+  constructor(code, owner, controllerSecretHash) {
     this.code = code;
+    this.owner = owner; // operator username
+    this.controllerSecretHash = controllerSecretHash;
     this.controller = null;
     this.clients = new Map(); // clientId -> WebSocket
     this.metrics = []; // Recent metrics for this room
     this.createdAt = Date.now();
     this.lastActivity = Date.now();
+    this.expiresAt = this.lastActivity + CONFIG.ROOM_TTL; // same expiry as the sessions document
+    this.expiryPersistedAt = this.lastActivity;
     this.settings = {
       maxMetricsHistory: 1000,
       enableRealTime: true,
-      enableAlerts: true
+      enableAlerts: true,
+      requireInvitation: true, // clients need an invitation token, not just the room code
+      breachSeverityTiers: DEFAULT_BREACH_SEVERITY_TIERS
+    };
+    this.alertEngine = new AlertRuleEngine(DEFAULT_ALERT_RULES);
+    this.alertSinks = [];
+    this.rateLimiter = new TokenBucket(CONFIG.RATE_LIMITS.ROOM);
+    this.lastSeqs = new Map(); // clientId -> highest metrics seq stored, for de-duplication
+  }
+
+  // Rebuild a room from its sessions document, with its settings, alert
+  // configuration and recent metrics
+  static async restore(session) {
+    const room = new MetricsRoom(session.roomCode, session.owner, session.controllerSecretHash);
+    room.createdAt = session.createdAt.getTime();
+    room.lastActivity = (session.lastActivity || session.createdAt).getTime();
+    room.expiresAt = session.expiresAt.getTime();
+    room.expiryPersistedAt = Date.now();
+    room.settings = { ...room.settings, ...session.settings };
+    
+    const [rules, sinks, metrics] = await Promise.all([
+      alertRulesCollection.findOne({ _id: room.code }),
+      alertSinksCollection.findOne({ _id: room.code }),
+      metricsCollection
+        .find({ roomCode: room.code })
+        .sort({ timestamp: -1 })
+        .limit(room.settings.maxMetricsHistory)
+        .toArray()
+    ]);
+    if (rules) room.alertEngine.setRules(rules.rules);
+    if (sinks) room.alertSinks = sinks.sinks;
+    room.metrics = metrics.reverse();
+    room.alertEngine.restoreWindow(room.metrics.map(entry => ({
+      clientId: entry.clientId,
+      metrics: entry,
+      ts: entry.receivedAt
+    })));
+    return room;
+  }
+
+  // Record activity and push the room's expiry forward, in memory and
+  // (at most every ROOM_TOUCH_INTERVAL) in the sessions TTL index
+  touch() {
+    const now = Date.now();
+    this.lastActivity = now;
+    this.expiresAt = now + CONFIG.ROOM_TTL;
+    if (!sessionsCollection || now - this.expiryPersistedAt < CONFIG.ROOM_TOUCH_INTERVAL) return;
+    this.expiryPersistedAt = now;
+    const expiresAt = new Date(this.expiresAt);
+    Promise.all([
+      sessionsCollection.updateOne({ roomCode: this.code }, { $set: { expiresAt, lastActivity: new Date(now) } }),
+      roomClientsCollection.updateMany({ roomCode: this.code }, { $set: { expiresAt } })
+    ]).catch(error => logger.error('Failed to update room expiry', { roomCode: this.code, error }));
+  }
+
+  // Whether a client's metrics sequence number was already stored (a resend)
+  isDuplicate(clientId, seq) {
+    return seq <= (this.lastSeqs.get(clientId) || 0);
+  }
+
+  // Record a stored sequence number; kept with the client's registration so
+  // resends are still recognised after a restart
+  async recordSeq(clientId, seq) {
+    this.lastSeqs.set(clientId, Math.max(seq, this.lastSeqs.get(clientId) || 0));
+    if (!roomClientsCollection) return;
+    try {
+      await roomClientsCollection.updateOne({ _id: clientId }, { $max: { lastSeq: seq } });
+    } catch (error) {
+      logger.error('Failed to record metrics sequence', { roomCode: this.code, clientId, seq, error });
+    }
+  }
+
+  // The host privacy policy with this room's additions
+  privacyPolicy() {
+    return mergePolicies(HOST_PRIVACY, this.settings.privacy);
+  }
+
+  // A client's metrics record as the privacy policy allows it to be stored
+  protectClientInfo(record) {
+    return applyPrivacy(record, this.privacyPolicy(), privacyKey);
+  }
+
+  // Privacy and retention in effect, and what the room itself sets
+  privacyStatus() {
+    return {
+      ...this.privacyPolicy(),
+      retentionDays: this.settings.retentionDays || CONFIG.METRICS_RETENTION_DAYS,
+      host: { ...HOST_PRIVACY, retentionDays: CONFIG.METRICS_RETENTION_DAYS },
+      room: { ...this.settings.privacy, retentionDays: this.settings.retentionDays || null }
+    };
+  }
+
+  // The password policy in effect: the room's own, else the host default
+  passwordPolicy() {
+    return resolvePolicy(this.settings.passwordPolicy || HOST_PASSWORD_POLICY);
+  }
+
+  // Compliance fields stored with every metrics row. The host never sees the
+  // password, so blocklisted terms are not checked here.
+  checkPolicy(metrics) {
+    const { compliant, violations } = evaluatePolicy(this.passwordPolicy(), metrics);
+    return {
+      policyCompliant: compliant,
+      policyViolations: Array.from(new Set(violations.map(violation => violation.rule)))
     };
   }
 
-  addClient(clientId, ws, role) {
+  // Re-date the room's stored metrics after its retention changed
+  async applyRetention() {
+    const days = this.settings.retentionDays;
+    await metricsCollection.updateMany(
+      { roomCode: this.code },
+      days
+        ? [{ $set: { expiresAt: { $add: ['$timestamp', days * DAY_MS] } } }]
+        : { $unset: { expiresAt: '' } }
+    );
+  }
+
+  // Drop a client from memory and disconnect it, once its data is deleted
+  forgetClient(clientId) {
+    const ws = this.clients.get(clientId);
+    if (ws) ws.close(1000, 'Client data deleted');
+    this.metrics = this.metrics.filter(entry => entry.clientId !== clientId);
+    this.lastSeqs.delete(clientId);
+    this.alertEngine.forget(clientId);
+  }
+
+  // Persist the room settings so they survive a restart
+  async saveSettings() {
+    if (!sessionsCollection) return;
+    await sessionsCollection.updateOne({ roomCode: this.code }, { $set: { settings: this.settings } });
+  }
+
+  // Close every connection, e.g. when the room is deleted or expires
+  closeConnections(code = 1000, reason = '') {
+    if (this.controller) {
+      this.controller.close(code, reason);
+    }
+    for (const client of this.clients.values()) {
+      client.close(code, reason);
+    }
+  }
+
+  addClient(clientId, ws, role, { invitation = null, resumeToken = null, resumed = false, fingerprintKey = null, operator = null } = {}) {
     if (role === 'controller') {
       this.controller = ws;
       ws.roomCode = this.code;
       ws.clientId = clientId;
       ws.role = 'controller';
+      ws.operator = operator; // null when joined with the controller secret
     } else {
       this.clients.set(clientId, ws);
       ws.roomCode = this.code;
       ws.clientId = clientId;
       ws.role = 'client';
+      ws.fingerprintKey = fingerprintKey;
     }
-    this.lastActivity = Date.now();
+    this.touch();
+    scheduleNodeHeartbeat();
     
     // Send room info to new client
     this.sendToClient(ws, {
@@ -111,40 +454,50 @@ class MetricsRoom {
       roomCode: this.code,
       clientId: clientId,
       role: role,
-      clientCount: this.clients.size,
-      controllerConnected: !!this.controller
+      clientCount: this.clientCount(),
+      controllerConnected: this.controllerConnected(),
+      ...(resumeToken && { resumeToken }),
+      ...(resumed && { resumed })
     });
     
     // Notify controller about new client
-    if (role === 'client' && this.controller) {
-      this.sendToClient(this.controller, {
+    if (role === 'client') {
+      this.sendToController({
         type: 'client_joined',
         clientId: clientId,
-        clientCount: this.clients.size
+        clientCount: this.clientCount(),
+        ...(invitation && { invitation: { id: invitation.id, label: invitation.label } }),
+        ...(resumed && { resumed }),
+        ...(fingerprintKey && { fingerprintKey }) // the controller answers with the wrapped room key
       });
     }
     
-    console.log(`📱 ${role} joined room ${this.code} (${clientId.slice(0, 8)}...)`);
+    logger.info(resumed ? 'Resumed in room' : 'Joined room', { roomCode: this.code, clientId, role });
   }
 
-  removeClient(clientId, role) {
+  // Returns false when `ws` was already replaced, e.g. by a resumed connection
+  removeClient(clientId, role, ws) {
     if (role === 'controller') {
+      if (this.controller !== ws) return false;
       this.controller = null;
     } else {
+      if (this.clients.get(clientId) !== ws) return false;
       this.clients.delete(clientId);
     }
-    this.lastActivity = Date.now();
+    this.touch();
+    scheduleNodeHeartbeat();
     
-    // Notify remaining clients
-    if (role === 'client' && this.controller) {
-      this.sendToClient(this.controller, {
+    // Notify controller
+    if (role === 'client') {
+      this.sendToController({
         type: 'client_left',
         clientId: clientId,
-        clientCount: this.clients.size
+        clientCount: this.clientCount()
       });
     }
     
-    console.log(`👋 ${role} left room ${this.code} (${clientId.slice(0, 8)}...)`);
+    logger.info('Left room', { roomCode: this.code, clientId, role });
+    return true;
   }
 
   broadcastToClients(message, excludeClient = null) {
@@ -155,9 +508,32 @@ class MetricsRoom {
     }
   }
 
+  // A client may be connected to another host; that host delivers it then
+  sendToRoomClient(clientId, message) {
+    const ws = this.clients.get(clientId);
+    if (ws) {
+      this.sendToClient(ws, message);
+    } else {
+      publishRoomEvent(this.code, 'client', { clientId, message });
+    }
+  }
+
+  // Ask the controller for the room key on behalf of the clients connected
+  // here that can take one, e.g. when the controller (re)connects
+  requestRoomKeys() {
+    const clients = Array.from(this.clients, ([clientId, ws]) => ({ clientId, fingerprintKey: ws.fingerprintKey }))
+      .filter(client => client.fingerprintKey);
+    if (clients.length > 0) {
+      this.sendToController({ type: 'fingerprint_key_requests', clients });
+    }
+  }
+
+  // The controller may be connected to another host; that host delivers it then
   sendToController(message) {
     if (this.controller && this.controller.readyState === WebSocket.OPEN) {
       this.sendToClient(this.controller, message);
+    } else {
+      publishRoomEvent(this.code, 'controller', { message });
     }
   }
 
@@ -167,17 +543,19 @@ class MetricsRoom {
         ws.send(JSON.stringify(message));
       }
     } catch (error) {
-      console.error("Failed to send message to client:", error);
+      logger.error('Failed to send message', { roomCode: this.code, clientId: ws.clientId, type: message.type, error });
     }
   }
 
   addMetrics(clientId, metrics) {
+    const receivedAt = Date.now();
     const metricEntry = {
       ...metrics,
       clientId,
       roomCode: this.code,
-      timestamp: new Date(),
-      receivedAt: Date.now()
+      timestamp: new Date(receivedAt),
+      receivedAt,
+      ...(this.settings.retentionDays && { expiresAt: new Date(receivedAt + this.settings.retentionDays * DAY_MS) })
     };
     
     this.metrics.push(metricEntry);
@@ -187,209 +565,1852 @@ class MetricsRoom {
       this.metrics = this.metrics.slice(-this.settings.maxMetricsHistory);
     }
     
-    this.lastActivity = Date.now();
+    this.touch();
     
     // Store in database
     this.storeMetrics(metricEntry);
     
-    // Forward to controller
-    this.sendToController({
-      type: 'metrics',
-      from: clientId,
-      payload: metrics,
-      timestamp: metricEntry.timestamp
-    });
+    // Forward to controller; other hosts add it to their history and
+    // forward it to their controller
+    if (this.controller) {
+      this.sendToClient(this.controller, {
+        type: 'metrics',
+        from: clientId,
+        payload: controllerPayload(metrics),
+        timestamp: metricEntry.timestamp
+      });
+    }
+    publishRoomEvent(this.code, 'metrics', { entry: metricEntry });
     
     // Check for alerts
     this.checkAlerts(clientId, metrics);
   }
 
+  // Metrics a client connected to another host sent; that host stored them
+  // and evaluated the alert rules
+  addRemoteMetrics(entry) {
+    const metricEntry = { ...entry, timestamp: new Date(entry.timestamp) };
+    const { clientId, roomCode, timestamp, receivedAt, ...metrics } = metricEntry;
+    this.metrics.push(metricEntry);
+    if (this.metrics.length > this.settings.maxMetricsHistory) {
+      this.metrics = this.metrics.slice(-this.settings.maxMetricsHistory);
+    }
+    this.lastActivity = Date.now();
+    this.expiresAt = this.lastActivity + CONFIG.ROOM_TTL;
+    this.alertEngine.record(clientId, metricEntry, receivedAt);
+    
+    if (this.controller) {
+      this.sendToClient(this.controller, {
+        type: 'metrics',
+        from: clientId,
+        payload: controllerPayload(metrics),
+        timestamp
+      });
+    }
+  }
+
+  // Reload settings, alert rules and sinks another host changed
+  async reload() {
+    const [session, rules, sinks] = await Promise.all([
+      sessionsCollection.findOne({ roomCode: this.code }),
+      alertRulesCollection.findOne({ _id: this.code }),
+      alertSinksCollection.findOne({ _id: this.code })
+    ]);
+    if (session) this.settings = { ...this.settings, ...session.settings };
+    // Reloads follow any change to the room; leave the engine alone unless
+    // its rules are among them
+    const nextRules = rules ? rules.rules : DEFAULT_ALERT_RULES;
+    const normalized = validateRules(nextRules).rules;
+    if (!normalized || JSON.stringify(normalized) !== JSON.stringify(this.alertEngine.rules)) {
+      this.alertEngine.setRules(nextRules);
+    }
+    this.alertSinks = sinks ? sinks.sinks : [];
+  }
+
+  // Clients connected here and, as of their last heartbeat, to other hosts
+  clientCount() {
+    return this.clients.size + remoteRoomStats(this.code).reduce((sum, stats) => sum + stats.clientCount, 0);
+  }
+
+  controllerConnected() {
+    return !!this.controller || remoteRoomStats(this.code).some(stats => stats.controllerConnected);
+  }
+
   async storeMetrics(metricEntry) {
     try {
       await metricsCollection.insertOne(metricEntry);
     } catch (error) {
-      console.error("Failed to store metrics:", error);
+      logger.error('Failed to store metrics', { roomCode: this.code, clientId: metricEntry.clientId, error });
     }
   }
 
-  checkAlerts(clientId, metrics) {
+  async checkAlerts(clientId, metrics) {
     if (!this.settings.enableAlerts) return;
     
-    const alerts = [];
+    // Alerts come back from the rule engine most severe first
+    const alerts = this.alertEngine.evaluate(clientId, metrics, {
+      breachSeverityTiers: this.settings.breachSeverityTiers
+    });
+    if (alerts.length === 0) return;
+    for (const alert of alerts) alertsRaised.inc({ severity: alert.severity });
     
-    // Check for suspicious patterns
-    if (metrics.entropy < 20) {
-      alerts.push({
-        type: 'low_entropy',
-        severity: 'warning',
-        message: `Client ${clientId.slice(0, 8)} has very low password entropy: ${metrics.entropy}`
-      });
-    }
+    const stored = await this.storeAlerts(alerts);
+    this.sendToController({
+      type: 'alerts',
+      alerts: stored
+    });
     
-    if (metrics.breached) {
-      alerts.push({
-        type: 'breached_password',
-        severity: 'critical',
-        message: `Client ${clientId.slice(0, 8)} attempted to use a breached password!`
-      });
+    // Push alerts out to the global and room sinks
+    if (!alertDispatcher) return;
+    alertDispatcher.dispatch(stored, [
+      ...globalAlertSinks.map(sink => ({ ...sink, scope: 'global' })),
+      ...this.alertSinks.map(sink => ({ ...sink, scope: 'room' }))
+    ]);
+  }
+
+  // Persist new alerts so they survive without a connected controller
+  async storeAlerts(alerts) {
+    const docs = alerts.map(({ ts, ...alert }) => ({
+      _id: new ObjectId(),
+      ...alert,
+      roomCode: this.code,
+      owner: this.owner,
+      status: 'open',
+      createdAt: new Date(ts)
+    }));
+    try {
+      await alertsCollection.insertMany(docs);
+    } catch (error) {
+      logger.error('Failed to store alerts', { roomCode: this.code, error });
     }
-    
-    // Send alerts to controller
-    if (alerts.length > 0) {
-      this.sendToController({
-        type: 'alerts',
-        alerts: alerts
-      });
+    return docs.map(serializeAlert);
+  }
+
+  // Send the room's unacknowledged alerts to a controller that just joined
+  async replayAlerts(ws) {
+    try {
+      const docs = await alertsCollection
+        .find({ roomCode: this.code, status: 'open' })
+        .sort({ createdAt: -1 })
+        .limit(CONFIG.MAX_ALERT_REPLAY)
+        .toArray();
+      if (docs.length > 0) {
+        this.sendToClient(ws, {
+          type: 'alerts',
+          alerts: docs.map(serializeAlert),
+          replay: true
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to replay alerts', { roomCode: this.code, error });
     }
   }
 
+  // Replace the room's alert rules and persist them
+  async setAlertRules(rules) {
+    this.alertEngine.setRules(rules);
+    if (alertRulesCollection) {
+      await alertRulesCollection.updateOne(
+        { _id: this.code },
+        { $set: { rules: this.alertEngine.rules, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+    return this.alertEngine.rules;
+  }
+
+  // Replace the room's alert sinks (already validated) and persist them
+  async setAlertSinks(sinks) {
+    this.alertSinks = sinks;
+    await alertSinksCollection.updateOne(
+      { _id: this.code },
+      { $set: { sinks, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    return sinks.map(redactSink);
+  }
+
   getStats() {
     return {
       roomCode: this.code,
+      owner: this.owner,
       clientCount: this.clients.size,
       controllerConnected: !!this.controller,
       metricsCount: this.metrics.length,
       createdAt: this.createdAt,
       lastActivity: this.lastActivity,
+      expiresAt: this.expiresAt,
       uptime: Date.now() - this.createdAt
     };
   }
 }
 
-// ======== Global State ========
-const rooms = new Map(); // roomCode -> MetricsRoom
-const clientSessions = new Map(); // clientId -> session info
+// ======== Global State ========
+const rooms = new Map(); // roomCode -> MetricsRoom
+const clientSessions = new Map(); // clientId -> session info
+const rejectedMessages = { total: 0, byCode: {}, byType: {} }; // since startup, shown in /api/info
+
+function recordRejection(code, type) {
+  rejectedMessages.total++;
+  rejectedMessages.byCode[code] = (rejectedMessages.byCode[code] || 0) + 1;
+  // Only count known types, so clients cannot grow the map with made-up ones
+  const key = Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, type) ? type : 'other';
+  rejectedMessages.byType[key] = (rejectedMessages.byType[key] || 0) + 1;
+  wsMessagesRejected.inc({ code, type: key });
+}
+
+// ======== Monitoring ========
+// Scraped by Prometheus at /metrics. Counters count since startup; gauges are
+// read from the host's state (and open alerts from MongoDB) on every scrape.
+const monitoring = new Registry();
+
+monitoring.gauge({
+  name: 'metrics_host_info',
+  help: 'Host identity; always 1',
+  labelNames: ['node', 'schema_version'],
+  collect: gauge => gauge.set({ node: CONFIG.NODE_ID, schema_version: PasswordAnalysis.SCHEMA_VERSION }, 1)
+});
+monitoring.gauge({
+  name: 'process_start_time_seconds',
+  help: 'Start time of the process since the Unix epoch in seconds',
+  collect: gauge => gauge.set({}, Math.round(Date.now() / 1000 - process.uptime()))
+});
+monitoring.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage().rss)
+});
+monitoring.gauge({
+  name: 'nodejs_heap_size_used_bytes',
+  help: 'Used V8 heap size in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage().heapUsed)
+});
+
+monitoring.gauge({
+  name: 'metrics_host_ws_connections',
+  help: 'Open WebSocket connections on this host, by role (pending: not yet in a room)',
+  labelNames: ['role'],
+  collect: (gauge) => {
+    const counts = { client: 0, controller: 0, pending: 0 };
+    for (const ws of wss.clients) counts[ws.role || 'pending']++;
+    for (const [role, count] of Object.entries(counts)) gauge.set({ role }, count);
+  }
+});
+const wsMessagesReceived = monitoring.counter({
+  name: 'metrics_host_ws_messages_received',
+  help: 'Valid WebSocket messages received, by type',
+  labelNames: ['type']
+});
+const wsMessagesRejected = monitoring.counter({
+  name: 'metrics_host_ws_messages_rejected',
+  help: 'Rejected WebSocket messages, by error code and message type',
+  labelNames: ['code', 'type']
+});
+
+monitoring.gauge({
+  name: 'metrics_host_rooms',
+  help: 'Rooms held in memory on this host',
+  collect: gauge => gauge.set({}, rooms.size)
+});
+monitoring.gauge({
+  name: 'metrics_host_cluster_nodes',
+  help: 'Hosts in the cluster view, this one included',
+  collect: gauge => gauge.set({}, remoteNodes.size + 1)
+});
+
+// Per room, over its recent metrics (up to maxMetricsHistory)
+function collectRoomGauge(value) {
+  return (gauge) => {
+    for (const room of rooms.values()) {
+      const result = value(room);
+      if (result !== null) gauge.set({ room: room.code }, result);
+    }
+  };
+}
+monitoring.gauge({
+  name: 'metrics_host_room_clients',
+  help: 'Clients connected to a room on this host',
+  labelNames: ['room'],
+  collect: collectRoomGauge(room => room.clients.size)
+});
+monitoring.gauge({
+  name: 'metrics_host_room_recent_metrics',
+  help: 'Recent metrics held for a room',
+  labelNames: ['room'],
+  collect: collectRoomGauge(room => room.metrics.length)
+});
+monitoring.gauge({
+  name: 'metrics_host_room_average_entropy_bits',
+  help: 'Average entropy of a room\'s recent metrics',
+  labelNames: ['room'],
+  collect: collectRoomGauge((room) => {
+    const values = room.metrics.filter(entry => typeof entry.entropy === 'number');
+    return values.length > 0 ? values.reduce((sum, entry) => sum + entry.entropy, 0) / values.length : null;
+  })
+});
+monitoring.gauge({
+  name: 'metrics_host_room_breach_rate',
+  help: 'Share of a room\'s recent breach-checked metrics that were breached',
+  labelNames: ['room'],
+  collect: collectRoomGauge((room) => {
+    const checked = room.metrics.filter(entry => typeof entry.breached === 'boolean');
+    return checked.length > 0 ? checked.filter(entry => entry.breached).length / checked.length : null;
+  })
+});
+
+const alertsRaised = monitoring.counter({
+  name: 'metrics_host_alerts_raised',
+  help: 'Alerts raised on this host, by severity',
+  labelNames: ['severity']
+});
+monitoring.gauge({
+  name: 'metrics_host_alerts_open',
+  help: 'Open alerts across the cluster, by severity',
+  labelNames: ['severity'],
+  collect: async (gauge) => {
+    if (!alertsCollection) return;
+    for (const severity of ALERT_SEVERITIES) gauge.set({ severity }, 0);
+    const counts = await alertsCollection.aggregate([
+      { $match: { status: 'open' } },
+      { $group: { _id: '$severity', count: { $sum: 1 } } }
+    ]).toArray();
+    for (const { _id, count } of counts) gauge.set({ severity: _id }, count);
+  }
+});
+
+const mongoWriteDuration = monitoring.histogram({
+  name: 'metrics_host_mongodb_write_duration_seconds',
+  help: 'Duration of MongoDB write commands, by collection and command',
+  labelNames: ['collection', 'operation'],
+  buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+});
+const mongoWriteFailures = monitoring.counter({
+  name: 'metrics_host_mongodb_write_failures',
+  help: 'MongoDB write commands that failed or reported write errors, by collection and command',
+  labelNames: ['collection', 'operation']
+});
+
+// Time every write command through the driver's command monitoring events
+const WRITE_COMMANDS = ['insert', 'update', 'delete', 'findAndModify'];
+function monitorWrites(client) {
+  const started = new Map(); // requestId -> labels
+  client.on('commandStarted', (event) => {
+    if (!WRITE_COMMANDS.includes(event.commandName)) return;
+    started.set(event.requestId, { collection: String(event.command[event.commandName]), operation: event.commandName });
+  });
+  client.on('commandSucceeded', (event) => {
+    const labels = started.get(event.requestId);
+    if (!labels) return;
+    started.delete(event.requestId);
+    mongoWriteDuration.observe(labels, event.duration / 1000);
+    if (event.reply && (event.reply.writeErrors || event.reply.writeConcernError)) mongoWriteFailures.inc(labels);
+  });
+  client.on('commandFailed', (event) => {
+    const labels = started.get(event.requestId);
+    if (!labels) return;
+    started.delete(event.requestId);
+    mongoWriteDuration.observe(labels, event.duration / 1000);
+    mongoWriteFailures.inc(labels);
+  });
+}
+
+// ======== Cluster ========
+// Hosts sharing a backplane exchange room events on the 'rooms' channel and
+// heartbeats with their per-room counts on the 'nodes' channel. Room state
+// that must survive is in MongoDB; the backplane only carries live traffic.
+const backplane = createBackplane(CONFIG.BACKPLANE_URL);
+const remoteNodes = new Map(); // nodeId -> { rooms: { roomCode -> stats }, lastSeen }
+
+function publishRoomEvent(roomCode, type, details = {}) {
+  backplane.publish('rooms', { node: CONFIG.NODE_ID, type, roomCode, ...details });
+}
+
+// Per-host stats for a room from the other hosts' latest heartbeats
+function remoteRoomStats(roomCode) {
+  const stats = [];
+  for (const [nodeId, node] of remoteNodes) {
+    if (node.rooms[roomCode]) stats.push({ nodeId, ...node.rooms[roomCode] });
+  }
+  return stats;
+}
+
+// Codes of the rooms held here or with connections on another host
+function clusterRoomCodes() {
+  const roomCodes = new Set(rooms.keys());
+  for (const node of remoteNodes.values()) {
+    Object.keys(node.rooms).forEach(code => roomCodes.add(code));
+  }
+  return roomCodes;
+}
+
+// Room stats across the cluster: `local` is this host's room, if it has it
+function clusterRoomStats(roomCode, local) {
+  const remote = remoteRoomStats(roomCode);
+  const base = local ? local.getStats() : { ...remote[0] };
+  delete base.nodeId;
+  const nodes = [
+    ...(local ? [{ nodeId: CONFIG.NODE_ID, clientCount: local.clients.size, controllerConnected: !!local.controller }] : []),
+    ...remote.map(({ nodeId, clientCount, controllerConnected }) => ({ nodeId, clientCount, controllerConnected }))
+  ];
+  return {
+    ...base,
+    clientCount: nodes.reduce((sum, node) => sum + node.clientCount, 0),
+    controllerConnected: nodes.some(node => node.controllerConnected),
+    lastActivity: Math.max(base.lastActivity, ...remote.map(stats => stats.lastActivity)),
+    nodes
+  };
+}
+
+// A room in memory, or loaded from MongoDB when another host created it
+async function loadRoom(roomCode) {
+  if (rooms.has(roomCode) || !sessionsCollection) return rooms.get(roomCode) || null;
+  const session = await sessionsCollection.findOne({ roomCode, expiresAt: { $gt: new Date() } });
+  if (!session) return null;
+  const room = await MetricsRoom.restore(session);
+  if (!rooms.has(roomCode)) rooms.set(roomCode, room);
+  return rooms.get(roomCode);
+}
+
+async function handleRoomEvent(event) {
+  if (event.node === CONFIG.NODE_ID) return;
+  if (event.type === 'created') {
+    await loadRoom(event.roomCode);
+    return;
+  }
+  if (event.type === 'client_deleted') {
+    forgetClient(event.clientId);
+    return;
+  }
+  if (event.type === 'global_sinks_changed') {
+    await loadGlobalAlertSinks();
+    return;
+  }
+  
+  const room = rooms.get(event.roomCode);
+  if (!room) return;
+  switch (event.type) {
+    case 'metrics':
+      room.addRemoteMetrics(event.entry);
+      break;
+    case 'controller':
+      if (room.controller) room.sendToClient(room.controller, event.message);
+      break;
+    case 'client': {
+      const client = room.clients.get(event.clientId);
+      if (client) room.sendToClient(client, event.message);
+      break;
+    }
+    case 'controller_joined':
+      room.requestRoomKeys();
+      break;
+    case 'client_resumed': {
+      // The client reconnected to another host
+      const previous = room.clients.get(event.clientId);
+      if (previous) previous.close(1000, 'Session resumed elsewhere');
+      break;
+    }
+    case 'changed':
+      await room.reload();
+      break;
+    case 'deleted':
+      room.closeConnections(1000, 'Room deleted');
+      rooms.delete(room.code);
+      break;
+  }
+}
+
+function sendNodeHeartbeat() {
+  const roomStats = {};
+  for (const room of rooms.values()) {
+    if (room.clients.size === 0 && !room.controller) continue;
+    roomStats[room.code] = {
+      roomCode: room.code,
+      owner: room.owner,
+      clientCount: room.clients.size,
+      controllerConnected: !!room.controller,
+      metricsCount: room.metrics.length,
+      createdAt: room.createdAt,
+      lastActivity: room.lastActivity,
+      expiresAt: room.expiresAt
+    };
+  }
+  backplane.publish('nodes', { node: CONFIG.NODE_ID, rooms: roomStats });
+  
+  const cutoff = Date.now() - CONFIG.NODE_TIMEOUT;
+  for (const [nodeId, node] of remoteNodes) {
+    if (node.lastSeen < cutoff) remoteNodes.delete(nodeId);
+  }
+}
+
+// Share changed counts soon rather than at the next regular heartbeat
+let pendingHeartbeat = null;
+function scheduleNodeHeartbeat() {
+  if (pendingHeartbeat) return;
+  pendingHeartbeat = setTimeout(() => {
+    pendingHeartbeat = null;
+    sendNodeHeartbeat();
+  }, 200);
+}
+
+function handleNodeHeartbeat(heartbeat) {
+  if (heartbeat.node === CONFIG.NODE_ID) return;
+  if (heartbeat.leaving) {
+    remoteNodes.delete(heartbeat.node);
+  } else {
+    remoteNodes.set(heartbeat.node, { rooms: heartbeat.rooms || {}, lastSeen: Date.now() });
+  }
+}
+
+backplane.subscribe('rooms', (event) => {
+  handleRoomEvent(event).catch((error) => {
+    logger.error('Failed to handle room event', { type: event.type, roomCode: event.roomCode, node: event.node, error });
+  });
+});
+backplane.subscribe('nodes', handleNodeHeartbeat);
+
+// ======== Express App Setup ========
+const app = express();
+
+// Request IDs and an access log entry per request (req.log carries the ID)
+app.use(requestLogging(logger, {
+  fields: req => (req.operator ? { operator: req.operator.username } : {})
+}));
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Identify the operator behind a session cookie or bearer token (req.operator)
+app.use(async (req, res, next) => {
+  req.operator = authService ? await authService.authenticate(tokenFromRequest(req)) : null;
+  next();
+});
+
+// Prometheus scrape endpoint; OpenMetrics when the scraper asks for it
+app.get('/metrics', requireRole(), async (req, res) => {
+  const format = negotiateFormat(req.get('accept'));
+  try {
+    res.type(contentType(format)).send(await monitoring.expose(format));
+  } catch (error) {
+    res.status(500).type('text/plain').send(`Failed to collect metrics: ${error.message}\n`);
+  }
+});
+
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'dashboard.html'));
+});
+
+// Metrics client page, the target of invitation links
+app.get('/client', (req, res) => {
+  res.sendFile(path.join(__dirname, 'metrics-client.html'));
+});
+
+// Shared analysis libraries, so pages served by the host use the same version
+const SHARED_SCRIPTS = ['password-wordlist.js', 'password-strength.js', 'password-analysis.js', 'reuse-fingerprint.js', 'metrics-connection.js'];
+for (const script of SHARED_SCRIPTS) {
+  app.get(`/${script}`, (req, res) => {
+    res.sendFile(path.join(__dirname, script));
+  });
+}
+
+// ======== Breach Range API (k-anonymity) ========
+
+// Same contract as https://api.pwnedpasswords.com/range/{prefix}, served from
+// the locally imported corpus. Pages on other origins may call it directly.
+app.get('/range/:prefix', async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  const { prefix } = req.params;
+  const hashType = req.query.mode === 'ntlm' ? 'ntlm' : 'sha1';
+  
+  if (!BreachStore.isValidPrefix(prefix)) {
+    return res.status(400).type('text/plain').send('The hash prefix was not in a valid format');
+  }
+  if (!breachStore) {
+    return res.status(503).type('text/plain').send('Breach corpus unavailable');
+  }
+  
+  try {
+    const body = await breachStore.getRange(prefix, hashType);
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type('text/plain').send(body);
+  } catch (error) {
+    req.log.error('Breach range lookup failed', { error });
+    res.status(500).type('text/plain').send('Breach range lookup failed');
+  }
+});
+
+// ======== Access Control ========
+// Resolve :roomCode into req.room and check the operator may view or manage it.
+// With allowClosed, rooms no longer in memory are checked against their session record.
+function roomAccess(level, { allowClosed = false } = {}) {
+  return async (req, res, next) => {
+    if (!req.operator) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    let room = await loadRoom(req.params.roomCode);
+    if (!room && allowClosed) {
+      const session = await sessionsCollection.findOne({ roomCode: req.params.roomCode });
+      room = session ? { code: session.roomCode, owner: session.owner } : null;
+    }
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+    
+    const allowed = level === 'manage' ? canManageRoom(req.operator, room) : canViewRoom(req.operator, room);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+    
+    req.room = room;
+    next();
+  };
+}
+
+// ======== Auth Endpoints ========
+app.post('/api/auth/login', async (req, res) => {
+  if (!authService) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database not connected'
+    });
+  }
+  
+  const { username, password } = req.body || {};
+  try {
+    const session = await authService.login(username, password);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+    
+    res.cookie(AUTH.SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: AUTH.SESSION_TTL_MS
+    });
+    res.json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      operator: session.operator
+    });
+  } catch (error) {
+    res.status(error.locked ? 429 : 500).json({
+      success: false,
+      message: error.locked ? error.message : 'Login failed',
+      ...(!error.locked && { error: error.message })
+    });
+  }
+});
+
+app.post('/api/auth/logout', requireRole(), async (req, res) => {
+  if (req.operator.via === 'session') {
+    await authService.logout(tokenFromRequest(req));
+  }
+  res.clearCookie(AUTH.SESSION_COOKIE);
+  res.json({
+    success: true,
+    message: 'Logged out'
+  });
+});
+
+app.get('/api/auth/me', requireRole(), (req, res) => {
+  res.json({
+    success: true,
+    operator: req.operator
+  });
+});
+
+// API tokens for scripts and integrations, acting as the operator who created them
+app.get('/api/auth/tokens', requireRole(), async (req, res) => {
+  res.json({
+    success: true,
+    tokens: await authService.listApiTokens(req.operator.username)
+  });
+});
+
+app.post('/api/auth/tokens', requireRole(), async (req, res) => {
+  const { name, expiresInDays } = req.body || {};
+  if (expiresInDays !== undefined && !(Number.isFinite(expiresInDays) && expiresInDays > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'expiresInDays must be a positive number'
+    });
+  }
+  
+  try {
+    const { token, tokenInfo } = await authService.createApiToken(req.operator.username, name, expiresInDays);
+    res.json({
+      success: true,
+      token,
+      tokenInfo,
+      message: 'Store this token now; it cannot be shown again'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/auth/tokens/:tokenId', requireRole(), async (req, res) => {
+  const revoked = await authService.revokeApiToken(req.operator.username, req.params.tokenId);
+  res.status(revoked ? 200 : 404).json({
+    success: revoked,
+    message: revoked ? 'Token revoked' : 'Token not found'
+  });
+});
+
+// ======== Operator Management (admin) ========
+app.get('/api/operators', requireRole('admin'), async (req, res) => {
+  res.json({
+    success: true,
+    operators: await authService.listOperators()
+  });
+});
+
+app.post('/api/operators', requireRole('admin'), async (req, res) => {
+  const { username, password, role } = req.body || {};
+  try {
+    res.json({
+      success: true,
+      operator: await authService.createOperator(username, password, role),
+      message: 'Operator created'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.patch('/api/operators/:username', requireRole('admin'), async (req, res) => {
+  const { role, password, disabled } = req.body || {};
+  if (req.params.username === req.operator.username && (role !== undefined && role !== 'admin' || disabled)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Admins cannot demote or disable themselves'
+    });
+  }
+  
+  try {
+    const operator = await authService.updateOperator(req.params.username, { role, password, disabled });
+    res.status(operator ? 200 : 404).json({
+      success: !!operator,
+      ...(operator ? { operator, message: 'Operator updated' } : { message: 'Operator not found' })
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/operators/:username', requireRole('admin'), async (req, res) => {
+  if (req.params.username === req.operator.username) {
+    return res.status(400).json({
+      success: false,
+      message: 'Admins cannot delete themselves'
+    });
+  }
+  
+  const deleted = await authService.deleteOperator(req.params.username);
+  res.status(deleted ? 200 : 404).json({
+    success: deleted,
+    message: deleted ? 'Operator deleted' : 'Operator not found'
+  });
+});
+
+// ======== API Endpoints ========
+
+// Get server info
+app.get('/api/info', requireRole(), (req, res) => {
+  const roomCodes = clusterRoomCodes();
+  const nodes = [
+    { nodeId: CONFIG.NODE_ID, rooms: rooms.size, clients: Array.from(rooms.values()).reduce((sum, room) => sum + room.clients.size, 0) },
+    ...Array.from(remoteNodes, ([nodeId, node]) => ({
+      nodeId,
+      rooms: Object.keys(node.rooms).length,
+      clients: Object.values(node.rooms).reduce((sum, stats) => sum + stats.clientCount, 0),
+      lastSeen: node.lastSeen
+    }))
+  ];
+  res.json({
+    server: 'Metrics Host Server',
+    version: '1.0.0',
+    metricsSchemaVersion: PasswordAnalysis.SCHEMA_VERSION,
+    uptime: process.uptime(),
+    rooms: roomCodes.size,
+    totalClients: nodes.reduce((sum, node) => sum + node.clients, 0),
+    cluster: {
+      nodeId: CONFIG.NODE_ID,
+      backplane: CONFIG.BACKPLANE_URL ? 'redis' : 'in-process',
+      nodes
+    },
+    wsUrl: `ws://${getLocalIp()}:${CONFIG.PORT}`,
+    localUrl: `ws://localhost:${CONFIG.PORT}`,
+    limits: {
+      maxFrameBytes: CONFIG.MAX_FRAME_BYTES,
+      rateLimits: CONFIG.RATE_LIMITS
+    },
+    rejectedMessages
+  });
+});
+
+// Get breach corpus statistics
+app.get('/api/breaches', requireRole(), async (req, res) => {
+  try {
+    if (!breachStore) throw new Error('Database not connected');
+    res.json({
+      success: true,
+      corpus: await breachStore.stats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch breach corpus statistics',
+      error: error.message
+    });
+  }
+});
+
+// Create new room
+app.post('/api/rooms', requireRole('admin', 'owner'), async (req, res) => {
+  try {
+    const roomCode = generateRoomCode();
+    const controllerSecret = generateControllerSecret();
+    const room = new MetricsRoom(roomCode, req.operator.username, hashToken(controllerSecret));
+    rooms.set(roomCode, room);
+    
+    // Store room session
+    await sessionsCollection.insertOne({
+      roomCode,
+      owner: room.owner,
+      controllerSecretHash: room.controllerSecretHash,
+      settings: room.settings,
+      createdAt: new Date(room.createdAt),
+      lastActivity: new Date(room.lastActivity),
+      expiresAt: new Date(room.expiresAt)
+    });
+    publishRoomEvent(roomCode, 'created');
+    
+    res.json({
+      success: true,
+      roomCode,
+      controllerSecret, // only returned here
+      message: 'Room created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create room',
+      error: error.message
+    });
+  }
+});
+
+// Get room statistics
+app.get('/api/rooms/:roomCode/stats', roomAccess('view'), (req, res) => {
+  const room = req.room;
+  res.json({
+    success: true,
+    stats: clusterRoomStats(room.code, room)
+  });
+});
+
+// Get room metrics history
+app.get('/api/rooms/:roomCode/metrics', roomAccess('view', { allowClosed: true }), async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.query;
+    const metrics = await metricsCollection
+      .find({ roomCode: req.params.roomCode })
+      .sort({ timestamp: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset))
+      .toArray();
+    
+    res.json({
+      success: true,
+      metrics,
+      count: metrics.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch metrics',
+      error: error.message
+    });
+  }
+});
+
+// Get aggregated room metrics. Filters: from, to, clientId; options: interval
+// (minute, hour, day), entropyBinSize, topPatterns
+app.get('/api/rooms/:roomCode/analytics', roomAccess('view', { allowClosed: true }), async (req, res) => {
+  const { options, errors } = parseAnalyticsQuery(req.query);
+  if (!options) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid analytics query',
+      errors
+    });
+  }
+  
+  try {
+    res.json({
+      success: true,
+      analytics: await roomAnalytics(metricsCollection, req.params.roomCode, options)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute analytics',
+      error: error.message
+    });
+  }
+});
+
+// Stream metrics matching `base` and the export query as an attachment
+async function sendExport(req, res, base, name) {
+  const { options, errors } = parseExportQuery(req.query);
+  if (!options) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid export query',
+      errors
+    });
+  }
+  if (!metricsCollection) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to export metrics',
+      error: 'Database not connected'
+    });
+  }
+  
+  const cursor = metricsCollection
+    .find(exportFilter(base, options), { projection: exportProjection(options.columns) })
+    .sort({ timestamp: 1 });
+  res.attachment(exportFilename(name, options.format));
+  res.type(EXPORT_FORMATS[options.format].contentType);
+  try {
+    await streamMetrics(cursor, res, options);
+  } catch (error) {
+    // Headers are gone by now; cut the download short so it is not mistaken for complete
+    req.log.error('Metrics export failed', { error });
+    res.destroy(error);
+  }
+}
+
+// Export room metrics. Query: format (csv, ndjson, parquet), from, to,
+// clientId, columns, stripClientInfo
+app.get('/api/rooms/:roomCode/export', roomAccess('view', { allowClosed: true }), (req, res) => {
+  sendExport(req, res, { roomCode: req.params.roomCode }, req.params.roomCode);
+});
+
+// Delete room
+app.delete('/api/rooms/:roomCode', roomAccess('manage'), async (req, res) => {
+  try {
+    const room = req.room;
+    
+    // Close all connections
+    room.closeConnections(1000, 'Room deleted');
+    
+    // Remove from memory
+    rooms.delete(req.params.roomCode);
+    
+    // Clean up database
+    await sessionsCollection.deleteOne({ roomCode: req.params.roomCode });
+    await alertRulesCollection.deleteOne({ _id: req.params.roomCode });
+    await alertSinksCollection.deleteOne({ _id: req.params.roomCode });
+    await invitationService.revokeAll(req.params.roomCode);
+    await roomClientsCollection.deleteMany({ roomCode: req.params.roomCode });
+    publishRoomEvent(req.params.roomCode, 'deleted');
+    
+    res.json({
+      success: true,
+      message: 'Room deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete room',
+      error: error.message
+    });
+  }
+});
+
+// Get room alert rules
+app.get('/api/rooms/:roomCode/alert-rules', roomAccess('view'), (req, res) => {
+  const room = req.room;
+  res.json({
+    success: true,
+    rules: room.alertEngine.rules
+  });
+});
+
+// Replace room alert rules
+app.put('/api/rooms/:roomCode/alert-rules', roomAccess('manage'), async (req, res) => {
+  const room = req.room;
+  const { rules, errors } = validateRules(req.body && req.body.rules);
+  if (!rules) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid alert rules',
+      errors
+    });
+  }
+  
+  try {
+    const saved = await room.setAlertRules(rules);
+    publishRoomEvent(room.code, 'changed');
+    res.json({
+      success: true,
+      rules: saved,
+      message: 'Alert rules updated'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save alert rules',
+      error: error.message
+    });
+  }
+});
+
+// Reset room alert rules to the defaults
+app.delete('/api/rooms/:roomCode/alert-rules', roomAccess('manage'), async (req, res) => {
+  const room = req.room;
+  try {
+    room.alertEngine.setRules(DEFAULT_ALERT_RULES);
+    await alertRulesCollection.deleteOne({ _id: room.code });
+    publishRoomEvent(room.code, 'changed');
+    res.json({
+      success: true,
+      rules: room.alertEngine.rules,
+      message: 'Alert rules reset to defaults'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset alert rules',
+      error: error.message
+    });
+  }
+});
+
+// ======== Alert History ========
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// List alerts, newest first. Filters: roomCode, status, severity, ruleId, since, until
+app.get('/api/alerts', requireRole(), async (req, res) => {
+  try {
+    const { roomCode, status, severity, ruleId, since, until, limit = 100, offset = 0 } = req.query;
+    const filter = {};
+    if (req.operator.role === 'owner') filter.owner = req.operator.username;
+    if (roomCode) filter.roomCode = String(roomCode);
+    if (status) filter.status = { $in: String(status).split(',').filter(s => ALERT_STATUSES.includes(s)) };
+    if (severity) filter.severity = { $in: String(severity).split(',').filter(s => ALERT_SEVERITIES.includes(s)) };
+    if (ruleId) filter.ruleId = String(ruleId);
+    if (since || until) {
+      filter.createdAt = {};
+      if (since) filter.createdAt.$gte = new Date(isNaN(since) ? since : Number(since));
+      if (until) filter.createdAt.$lt = new Date(isNaN(until) ? until : Number(until));
+    }
+    
+    const [alerts, total] = await Promise.all([
+      alertsCollection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip(parseInt(offset) || 0)
+        .limit(Math.min(parseInt(limit) || 100, 1000))
+        .toArray(),
+      alertsCollection.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      alerts: alerts.map(serializeAlert),
+      count: alerts.length,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch alerts',
+      error: error.message
+    });
+  }
+});
+
+// Move an alert forward: open -> acknowledged -> resolved
+async function updateAlertStatus(req, res, status) {
+  if (!ObjectId.isValid(req.params.alertId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid alert id'
+    });
+  }
+  
+  try {
+    const existing = await alertsCollection.findOne({ _id: new ObjectId(req.params.alertId) });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+    if (!canManageRoom(req.operator, { owner: existing.owner })) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+    
+    const fromStatuses = status === 'acknowledged' ? ['open'] : ['open', 'acknowledged'];
+    const by = req.operator.username;
+    const note = sanitizeInput(req.body && req.body.note) || null;
+    const now = new Date();
+    const update = status === 'acknowledged'
+      ? { status, acknowledgedAt: now, acknowledgedBy: by }
+      : { status, resolvedAt: now, resolvedBy: by };
+    if (note) update[status === 'acknowledged' ? 'acknowledgeNote' : 'resolveNote'] = note;
+    
+    const result = await alertsCollection.findOneAndUpdate(
+      { _id: new ObjectId(req.params.alertId), status: { $in: fromStatuses } },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: `Alert cannot be ${status} from its current status`
+      });
+    }
+    
+    const alert = serializeAlert(result);
+    const message = { type: 'alert_updated', alert };
+    // The room may only be loaded on the host its controller is connected to
+    const room = rooms.get(alert.roomCode);
+    if (room) {
+      room.sendToController(message);
+    } else {
+      publishRoomEvent(alert.roomCode, 'controller', { message });
+    }
+    
+    res.json({
+      success: true,
+      alert,
+      message: `Alert ${status}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update alert',
+      error: error.message
+    });
+  }
+}
+
+app.post('/api/alerts/:alertId/acknowledge', requireRole('admin', 'owner'), (req, res) => updateAlertStatus(req, res, 'acknowledged'));
+app.post('/api/alerts/:alertId/resolve', requireRole('admin', 'owner'), (req, res) => updateAlertStatus(req, res, 'resolved'));
+
+// ======== Alert Sinks ========
+async function loadGlobalAlertSinks() {
+  const globalSinks = await alertSinksCollection.findOne({ _id: GLOBAL_SINK_SCOPE });
+  globalAlertSinks = globalSinks ? globalSinks.sinks : [];
+}
+
+// Deliver a test alert to one sink and report the outcome. Only the status is
+// returned: the error and detail, which would tell a closed port from a
+// filtered one, stay in the admin-only delivery log.
+async function sendSinkTest(res, sinks, sinkId, roomCode) {
+  const sink = sinks.find(s => s.id === sinkId);
+  if (!sink) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sink not found'
+    });
+  }
+  
+  const { deliveryId, sinkType, status } = await alertDispatcher.test({ ...sink, scope: roomCode ? 'room' : 'global' }, roomCode);
+  res.status(status === 'delivered' ? 200 : 502).json({
+    success: status === 'delivered',
+    delivery: { deliveryId, sinkId, sinkType, status },
+    message: status === 'delivered' ? 'Test alert delivered' : 'Test alert delivery failed'
+  });
+}
+
+// Get global alert sinks
+app.get('/api/alert-sinks', requireRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    sinks: globalAlertSinks.map(redactSink)
+  });
+});
+
+// Replace global alert sinks; omitted secrets keep their stored value
+app.put('/api/alert-sinks', requireRole('admin'), async (req, res) => {
+  const { sinks, errors } = validateSinks(req.body && req.body.sinks, globalAlertSinks);
+  if (!sinks) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid alert sinks',
+      errors
+    });
+  }
+  
+  try {
+    await alertSinksCollection.updateOne(
+      { _id: GLOBAL_SINK_SCOPE },
+      { $set: { sinks, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    globalAlertSinks = sinks;
+    publishRoomEvent(null, 'global_sinks_changed');
+    res.json({
+      success: true,
+      sinks: sinks.map(redactSink),
+      message: 'Alert sinks updated'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save alert sinks',
+      error: error.message
+    });
+  }
+});
+
+// Send a test alert to a global sink
+app.post('/api/alert-sinks/:sinkId/test', requireRole('admin'), (req, res) => sendSinkTest(res, globalAlertSinks, req.params.sinkId, null));
+
+// Get room alert sinks
+app.get('/api/rooms/:roomCode/alert-sinks', roomAccess('manage'), (req, res) => {
+  const room = req.room;
+  res.json({
+    success: true,
+    sinks: room.alertSinks.map(redactSink)
+  });
+});
+
+// Replace room alert sinks
+app.put('/api/rooms/:roomCode/alert-sinks', roomAccess('manage'), async (req, res) => {
+  const room = req.room;
+  const { sinks, errors } = validateSinks(req.body && req.body.sinks, room.alertSinks);
+  if (!sinks) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid alert sinks',
+      errors
+    });
+  }
+  
+  try {
+    const saved = await room.setAlertSinks(sinks);
+    publishRoomEvent(room.code, 'changed');
+    res.json({
+      success: true,
+      sinks: saved,
+      message: 'Alert sinks updated'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save alert sinks',
+      error: error.message
+    });
+  }
+});
+
+// Send a test alert to a room sink
+app.post('/api/rooms/:roomCode/alert-sinks/:sinkId/test', roomAccess('manage'), (req, res) => {
+  sendSinkTest(res, req.room.alertSinks, req.params.sinkId, req.room.code);
+});
+
+// Delivery log, newest first. Filters: roomCode, alertId, sinkId, status
+app.get('/api/alert-deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const { roomCode, alertId, sinkId, status, limit = 100, offset = 0 } = req.query;
+    const filter = {};
+    if (roomCode) filter.roomCode = String(roomCode);
+    if (alertId) filter.alertId = String(alertId);
+    if (sinkId) filter.sinkId = String(sinkId);
+    if (status) filter.status = String(status);
+    
+    const deliveries = await alertDeliveriesCollection
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset) || 0)
+      .limit(Math.min(parseInt(limit) || 100, 1000))
+      .toArray();
+    
+    res.json({
+      success: true,
+      deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch alert deliveries',
+      error: error.message
+    });
+  }
+});
+
+// ======== Invitations ========
+// List a room's invitations (tokens themselves are not stored)
+app.get('/api/rooms/:roomCode/invitations', roomAccess('manage'), async (req, res) => {
+  res.json({
+    success: true,
+    invitations: await invitationService.list(req.room.code)
+  });
+});
+
+// Mint an invitation: { label, maxUses, expiresInMinutes }
+app.post('/api/rooms/:roomCode/invitations', roomAccess('manage'), async (req, res) => {
+  const { label, maxUses, expiresInMinutes } = req.body || {};
+  try {
+    const created = await createInvitation(req.room, {
+      label,
+      maxUses,
+      expiresInMinutes,
+      createdBy: req.operator.username
+    }, `${req.protocol}://${req.get('host')}`);
+    res.json({
+      success: true,
+      ...created,
+      message: 'Invitation created'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Revoke an invitation
+app.delete('/api/rooms/:roomCode/invitations/:invitationId', roomAccess('manage'), async (req, res) => {
+  const revoked = await invitationService.revoke(req.room.code, req.params.invitationId);
+  res.status(revoked ? 200 : 404).json({
+    success: revoked,
+    message: revoked ? 'Invitation revoked' : 'Invitation not found'
+  });
+});
+
+// ======== Privacy ========
+// A room's privacy policy and retention, as in effect and as set on the room
+app.get('/api/rooms/:roomCode/privacy', roomAccess('view'), (req, res) => {
+  res.json({
+    success: true,
+    privacy: req.room.privacyStatus()
+  });
+});
+
+// Change a room's privacy settings: { ipMode, redact, retentionDays }; null
+// returns a setting to the host default. ipMode and redact can only add to
+// the host policy. New retention applies to the metrics already stored.
+app.put('/api/rooms/:roomCode/privacy', roomAccess('manage'), async (req, res) => {
+  const room = req.room;
+  const { settings, errors } = validatePrivacySettings(req.body, { redactable: REDACTABLE_FIELDS });
+  if (!settings) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid privacy settings',
+      errors
+    });
+  }
+  
+  try {
+    const privacy = { ...room.settings.privacy };
+    for (const key of ['ipMode', 'redact']) {
+      if (settings[key] === null) delete privacy[key];
+      else if (settings[key] !== undefined) privacy[key] = settings[key];
+    }
+    room.settings = { ...room.settings, privacy };
+    if (settings.retentionDays !== undefined) {
+      room.settings.retentionDays = settings.retentionDays;
+      await room.applyRetention();
+    }
+    await room.saveSettings();
+    publishRoomEvent(room.code, 'changed');
+    res.json({
+      success: true,
+      privacy: room.privacyStatus(),
+      message: 'Privacy settings updated'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save privacy settings',
+      error: error.message
+    });
+  }
+});
+
+// A room's password policy: what the room sets, and every rule in effect
+app.get('/api/rooms/:roomCode/password-policy', roomAccess('view'), (req, res) => {
+  res.json({
+    success: true,
+    policy: req.room.passwordPolicy(),
+    room: req.room.settings.passwordPolicy || null
+  });
+});
+
+// Set a room's password policy: { profile, ...overrides } (see
+// password-policy.js). Applies to metrics received from now on; stored rows
+// keep the verdict they were given.
+app.put('/api/rooms/:roomCode/password-policy', roomAccess('manage'), async (req, res) => {
+  const { policy, errors } = validatePolicy(req.body);
+  if (!policy) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid password policy',
+      errors
+    });
+  }
+  await setPasswordPolicy(req.room, policy, res);
+});
+
+// Return a room to the host's password policy
+app.delete('/api/rooms/:roomCode/password-policy', roomAccess('manage'), async (req, res) => {
+  await setPasswordPolicy(req.room, null, res);
+});
+
+async function setPasswordPolicy(room, policy, res) {
+  try {
+    room.settings = { ...room.settings, passwordPolicy: policy };
+    await room.saveSettings();
+    publishRoomEvent(room.code, 'changed');
+    res.json({
+      success: true,
+      policy: room.passwordPolicy(),
+      room: policy,
+      message: 'Password policy updated'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save password policy',
+      error: error.message
+    });
+  }
+}
+
+// Disconnect a client and drop it from every room held here
+function forgetClient(clientId) {
+  for (const room of rooms.values()) room.forgetClient(clientId);
+  clientSessions.delete(clientId);
+}
 
-// ======== Express App Setup ========
-const app = express();
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+function validClientId(req, res) {
+  if (/^[a-f0-9]{1,32}$/.test(req.params.clientId)) return true;
+  res.status(400).json({
+    success: false,
+    message: 'clientId has an invalid format'
+  });
+  return false;
+}
 
-// ======== API Endpoints ========
+// Alerts about a client: its own, and aggregate alerts listing it in `clients`
+function clientAlertFilter(clientId) {
+  return { $or: [{ clientId }, { clients: clientId }] };
+}
 
-// Get server info
-app.get('/api/info', (req, res) => {
-  res.json({
-    server: 'Metrics Host Server',
-    version: '1.0.0',
-    uptime: process.uptime(),
-    rooms: rooms.size,
-    totalClients: Array.from(rooms.values()).reduce((sum, room) => sum + room.clients.size, 0),
-    wsUrl: `ws://${getLocalIp()}:${CONFIG.PORT}`,
-    localUrl: `ws://localhost:${CONFIG.PORT}`
-  });
-});
+// An alert as exported for one client. Aggregate alerts also describe other
+// clients, so only the requesting client is listed and the message, which
+// may be rendered from another client's metrics, is left out.
+function exportAlert(doc, clientId) {
+  const alert = serializeAlert(doc);
+  if (alert.clientId === clientId) return alert;
+  const { clients, message, ...rest } = alert;
+  return { ...rest, clients: [clientId] };
+}
 
-// Create new room
-app.post('/api/rooms', async (req, res) => {
+// Everything stored about a client, across rooms, for a data-subject request
+app.get('/api/clients/:clientId/data', requireRole('admin'), async (req, res) => {
+  if (!validClientId(req, res)) return;
+  const { clientId } = req.params;
   try {
-    const roomCode = generateRoomCode();
-    const room = new MetricsRoom(roomCode);
-    rooms.set(roomCode, room);
+    const [registration, metrics, alerts] = await Promise.all([
+      roomClientsCollection.findOne({ _id: clientId }, { projection: { resumeTokenHash: 0 } }),
+      metricsCollection.find({ clientId }, { projection: { _id: 0 } }).sort({ timestamp: 1 }).toArray(),
+      alertsCollection.find(clientAlertFilter(clientId)).sort({ createdAt: 1 }).toArray()
+    ]);
+    const alertDeliveries = alerts.length > 0
+      ? await alertDeliveriesCollection
+        .find({ alertId: { $in: alerts.map(alert => alert._id.toString()) } }, { projection: { _id: 0 } })
+        .sort({ createdAt: 1 })
+        .toArray()
+      : [];
     
-    // Store room session
-    await sessionsCollection.insertOne({
-      roomCode,
-      createdAt: new Date(),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+    res.attachment(`client-${clientId}.json`);
+    res.json({
+      success: true,
+      clientId,
+      exportedAt: new Date(),
+      registration,
+      metrics,
+      alerts: alerts.map(alert => exportAlert(alert, clientId)),
+      alertDeliveries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export client data',
+      error: error.message
     });
+  }
+});
+
+// Erase a client: its metrics, alerts and their deliveries, and its
+// registration. Aggregate alerts that name the client are erased whole, since
+// their count and message still describe it. A connected client is
+// disconnected first, on every host.
+app.delete('/api/clients/:clientId/data', requireRole('admin'), async (req, res) => {
+  if (!validClientId(req, res)) return;
+  const { clientId } = req.params;
+  try {
+    forgetClient(clientId);
+    publishRoomEvent(null, 'client_deleted', { clientId });
+    
+    const alertFilter = clientAlertFilter(clientId);
+    const alertIds = (await alertsCollection.find(alertFilter, { projection: { _id: 1 } }).toArray())
+      .map(alert => alert._id.toString());
+    const [metrics, alerts, alertDeliveries, registration] = await Promise.all([
+      metricsCollection.deleteMany({ clientId }),
+      alertsCollection.deleteMany(alertFilter),
+      alertDeliveriesCollection.deleteMany({ alertId: { $in: alertIds } }),
+      roomClientsCollection.deleteOne({ _id: clientId })
+    ]);
+    const deleted = {
+      metrics: metrics.deletedCount,
+      alerts: alerts.deletedCount,
+      alertDeliveries: alertDeliveries.deletedCount,
+      registration: registration.deletedCount > 0
+    };
+    req.log.info('Deleted client data', { clientId, operator: req.operator.username, deleted });
     
     res.json({
       success: true,
-      roomCode,
-      message: 'Room created successfully'
+      deleted,
+      message: 'Client data deleted'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to create room',
+      message: 'Failed to delete client data',
       error: error.message
     });
   }
 });
 
-// Get room statistics
-app.get('/api/rooms/:roomCode/stats', (req, res) => {
-  const room = rooms.get(req.params.roomCode);
-  if (!room) {
-    return res.status(404).json({
+// Export metrics from every room the operator may view (or those in `rooms`),
+// with the same query as the room export
+app.get('/api/metrics/export', requireRole(), async (req, res) => {
+  const requested = req.query.rooms ? String(req.query.rooms).split(',').map(code => code.trim()).filter(Boolean) : null;
+  if (requested && requested.some(code => !/^[A-Za-z0-9]{1,16}$/.test(code))) {
+    return res.status(400).json({
       success: false,
-      message: 'Room not found'
+      message: 'Invalid export query',
+      errors: ['rooms must be a comma-separated list of room codes']
     });
   }
-  
-  res.json({
-    success: true,
-    stats: room.getStats()
-  });
+  let base = requested ? { roomCode: { $in: requested } } : {};
+  // Owners only see their own rooms, which the sessions know
+  if (!canViewRoom(req.operator, { owner: null })) {
+    try {
+      const sessions = await sessionsCollection.find({ owner: req.operator.username }).toArray();
+      const own = sessions.map(session => session.roomCode).filter(code => !requested || requested.includes(code));
+      base = { roomCode: { $in: own } };
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export metrics',
+        error: error.message
+      });
+    }
+  }
+  sendExport(req, res, base, requested && requested.length === 1 ? requested[0] : 'all');
 });
 
-// Get room metrics history
-app.get('/api/rooms/:roomCode/metrics', async (req, res) => {
+// ======== Password Generator ========
+// Generated passwords for provisioning scripts; the query takes the options
+// of password-generator.js (mode, length, classes, words, separator,
+// excludeAmbiguous) and count (default 1). The passwords are not logged or stored.
+function sendGenerated(req, res, policy) {
+  const { count: countParam, profile, ...query } = req.query;
+  const { options, errors = [] } = PasswordGenerator.parseOptions({ ...query, policy });
+  const count = countParam === undefined ? 1 : Number(countParam);
+  if (!(Number.isInteger(count) && count >= 1 && count <= PasswordGenerator.LIMITS.MAX_COUNT)) {
+    errors.push(`count must be an integer between 1 and ${PasswordGenerator.LIMITS.MAX_COUNT}`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid generator options',
+      errors
+    });
+  }
+  
   try {
-    const { limit = 100, offset = 0 } = req.query;
-    const metrics = await metricsCollection
-      .find({ roomCode: req.params.roomCode })
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(parseInt(offset))
-      .toArray();
-    
+    const passwords = Array.from({ length: count }, () => PasswordGenerator.generate(options));
+    res.set('Cache-Control', 'no-store');
     res.json({
       success: true,
-      metrics,
-      count: metrics.length
+      mode: options.mode,
+      ...(options.mode === 'policy' && { policy: policy.profile }),
+      entropyBits: passwords[0].entropyBits,
+      passwords: passwords.map(generated => generated.password)
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch metrics',
+      message: 'Failed to generate passwords',
       error: error.message
     });
   }
+}
+
+// mode=policy follows `profile`, else the host's password policy
+app.get('/api/generate', requireRole(), (req, res) => {
+  const { policy, errors } = validatePolicy({ ...HOST_PASSWORD_POLICY, ...(req.query.profile && { profile: req.query.profile }) });
+  if (!policy) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid generator options',
+      errors
+    });
+  }
+  sendGenerated(req, res, resolvePolicy(policy));
 });
 
-// Delete room
-app.delete('/api/rooms/:roomCode', async (req, res) => {
-  try {
-    const room = rooms.get(req.params.roomCode);
-    if (!room) {
+// mode=policy follows the room's password policy
+app.get('/api/rooms/:roomCode/generate', roomAccess('view'), (req, res) => {
+  sendGenerated(req, res, req.room.passwordPolicy());
+});
+
+// ======== Credential Audits ========
+// Audit a password or hash export as a background job. The upload is the raw
+// request body (text/plain or application/octet-stream), one entry per line;
+// the query takes format (plain, ntlm, sha1), usernames, delimiter and
+// profile (password policy, default the host's). Only derived results are kept.
+function auditAccess(req, res, next) {
+  if (!auditService) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database not connected'
+    });
+  }
+  auditService.get(req.params.jobId).then((job) => {
+    if (!job) {
       return res.status(404).json({
         success: false,
-        message: 'Room not found'
+        message: 'Audit not found'
       });
     }
-    
-    // Close all connections
-    if (room.controller) {
-      room.controller.close();
+    if (req.operator.role !== 'admin' && job.owner !== req.operator.username) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+    req.audit = job;
+    next();
+  }).catch(next);
+}
+
+app.post('/api/audits', requireRole('admin', 'owner'), async (req, res) => {
+  const { options, errors = [] } = parseAuditQuery(req.query);
+  const { policy, errors: policyErrors } = validatePolicy({ ...HOST_PASSWORD_POLICY, ...(req.query.profile && { profile: req.query.profile }) });
+  if (!policy) errors.push(...policyErrors);
+  if (!req.is('text/plain') && !req.is('application/octet-stream')) {
+    errors.push('Upload the file as text/plain or application/octet-stream');
+  }
+  if (Number(req.get('content-length')) > AUDIT_LIMITS.MAX_BYTES) {
+    return res.status(413).json({
+      success: false,
+      message: `Uploads are limited to ${AUDIT_LIMITS.MAX_BYTES} bytes`
+    });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid audit request',
+      errors
+    });
+  }
+  
+  try {
+    if (!auditService) throw new Error('Database not connected');
+    const { entries, skipped } = await readEntries(req, options);
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No valid entries in the upload (${skipped} lines skipped)`
+      });
     }
-    for (const [clientId, client] of room.clients) {
-      client.close();
+    const job = await auditService.create({
+      owner: req.operator.username,
+      format: options.format,
+      usernames: options.usernames,
+      policy: resolvePolicy(policy),
+      entries,
+      skipped
+    });
+    req.log.info('Audit queued', { jobId: job.id, format: job.format, entries: entries.length });
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    if (error.code === 'TOO_LARGE') {
+      return res.status(413).json({
+        success: false,
+        message: error.message
+      });
     }
-    
-    // Remove from memory
-    rooms.delete(req.params.roomCode);
-    
-    // Clean up database
-    await sessionsCollection.deleteOne({ roomCode: req.params.roomCode });
-    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start audit',
+      error: error.message
+    });
+  }
+});
+
+// Admins see every audit, owners their own
+app.get('/api/audits', requireRole('admin', 'owner'), async (req, res) => {
+  try {
+    if (!auditService) throw new Error('Database not connected');
+    const jobs = await auditService.list(req.operator.role === 'admin' ? {} : { owner: req.operator.username });
     res.json({
       success: true,
-      message: 'Room deleted successfully'
+      formats: Object.keys(AUDIT_FORMATS),
+      jobs
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to delete room',
+      message: 'Failed to fetch audits',
+      error: error.message
+    });
+  }
+});
+
+// Status, progress and (once completed) the summary
+app.get('/api/audits/:jobId', requireRole('admin', 'owner'), auditAccess, (req, res) => {
+  res.json({ success: true, job: req.audit });
+});
+
+// Per-account results. Query: filter (all, breached, reused, noncompliant), limit, offset
+app.get('/api/audits/:jobId/accounts', requireRole('admin', 'owner'), auditAccess, async (req, res) => {
+  const filter = req.query.filter || 'all';
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  const errors = [];
+  if (!Object.prototype.hasOwnProperty.call(AUDIT_RESULT_FILTERS, filter)) {
+    errors.push(`filter must be one of ${Object.keys(AUDIT_RESULT_FILTERS).join(', ')}`);
+  }
+  if (!(Number.isInteger(limit) && limit >= 1 && limit <= AUDIT_LIMITS.MAX_PAGE_SIZE)) {
+    errors.push(`limit must be an integer between 1 and ${AUDIT_LIMITS.MAX_PAGE_SIZE}`);
+  }
+  if (!(Number.isInteger(offset) && offset >= 0)) errors.push('offset must be a non-negative integer');
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query',
+      errors
+    });
+  }
+  
+  try {
+    const { total, accounts } = await auditService.accounts(req.audit.id, { filter, limit, offset });
+    res.json({ success: true, filter, total, offset, accounts });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit results',
+      error: error.message
+    });
+  }
+});
+
+// Cancels the audit if it is still running
+app.delete('/api/audits/:jobId', requireRole('admin', 'owner'), auditAccess, async (req, res) => {
+  try {
+    await auditService.remove(req.audit.id);
+    req.log.info('Audit deleted', { jobId: req.audit.id });
+    res.json({ success: true, message: 'Audit deleted' });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete audit',
       error: error.message
     });
   }
 });
 
-// Get all rooms
-app.get('/api/rooms', (req, res) => {
-  const roomList = Array.from(rooms.values()).map(room => room.getStats());
+// ======== Reports ========
+// Compare the rooms the operator may view over a period. Query: from, to,
+// rooms (comma-separated codes), minScore, minLength, format (json, html, print)
+app.get('/api/reports/password-health', requireRole(), async (req, res) => {
+  const { options, errors } = parseReportQuery(req.query);
+  if (!options) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid report query',
+      errors
+    });
+  }
+  
+  try {
+    if (!metricsCollection) throw new Error('Database not connected');
+    // Rooms may have expired while their metrics are still kept, so take
+    // room codes from the metrics as well as from the sessions
+    const previousFrom = new Date(options.from.getTime() - (options.to - options.from));
+    const [sessions, metricRooms] = await Promise.all([
+      sessionsCollection.find(options.rooms ? { roomCode: { $in: options.rooms } } : {}).toArray(),
+      options.rooms ? [] : metricsCollection.distinct('roomCode', { timestamp: { $gte: previousFrom, $lt: options.to } })
+    ]);
+    const owners = new Map(sessions.map(session => [session.roomCode, session.owner]));
+    const roomCodes = Array.from(new Set([...(options.rooms || []), ...owners.keys(), ...metricRooms]))
+      .filter(code => canViewRoom(req.operator, { owner: owners.get(code) || null }));
+    
+    const report = await buildReport(metricsCollection, roomCodes, owners, options);
+    if (options.format === 'json') {
+      return res.json({ success: true, report });
+    }
+    if (options.format === 'html') {
+      res.attachment(`password-health-${report.period.to.toISOString().slice(0, 10)}.html`);
+    }
+    res.type('html').send(renderReportHtml(report, { print: options.format === 'print' }));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build report',
+      error: error.message
+    });
+  }
+});
+
+// Get all rooms, across every host in the cluster
+app.get('/api/rooms', requireRole(), (req, res) => {
+  const roomCodes = clusterRoomCodes();
+  const roomList = Array.from(roomCodes, code => clusterRoomStats(code, rooms.get(code)))
+    .filter(stats => canViewRoom(req.operator, stats));
   res.json({
     success: true,
     rooms: roomList,
@@ -399,19 +2420,39 @@ app.get('/api/rooms', (req, res) => {
 
 // ======== WebSocket Server ========
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, maxPayload: CONFIG.MAX_FRAME_BYTES });
 
 wss.on('connection', (ws, req) => {
-  const clientId = generateClientId();
+  let clientId = generateClientId(); // replaced by the earlier one when a client resumes
+  let log = logger.child({ clientId }); // the clientId correlates everything about the connection
   let room = null;
+  let joining = false; // a hello is being handled; set before its first await
   let authTimeout = null;
+  let rejectedCount = 0;
+  const rateLimiter = new TokenBucket(CONFIG.RATE_LIMITS.CONNECTION);
   
-  console.log(`🔌 New WebSocket connection: ${clientId.slice(0, 8)}...`);
+  // Answer a rejected message with its error code; persistent offenders are disconnected
+  const rejectMessage = ({ code, message, errors = [], ...details }, type) => {
+    recordRejection(code, type);
+    ws.send(JSON.stringify({
+      type: 'error',
+      code,
+      message,
+      ...(errors.length > 0 && { errors }),
+      ...details
+    }));
+    if (++rejectedCount >= CONFIG.MAX_REJECTED_MESSAGES) {
+      log.warn('Closing connection after too many rejected messages', { rejected: rejectedCount });
+      ws.close(1008, 'Too many rejected messages');
+    }
+  };
+  
+  log.info('WebSocket connected');
   
   // Set up authentication timeout
   authTimeout = setTimeout(() => {
     if (!room) {
-      console.log(`⏰ Authentication timeout for ${clientId.slice(0, 8)}...`);
+      log.info('Authentication timeout');
       ws.close(1000, 'Authentication timeout');
     }
   }, CONFIG.AUTH_TIMEOUT);
@@ -424,21 +2465,52 @@ wss.on('connection', (ws, req) => {
   }, CONFIG.HEARTBEAT_INTERVAL);
   
   ws.on('message', async (data) => {
+    // Rate limits come first so floods are dropped before any parsing
+    const limiter = !rateLimiter.take() ? rateLimiter : room && !room.rateLimiter.take() ? room.rateLimiter : null;
+    if (limiter) {
+      rejectMessage({
+        code: ERROR_CODES.RATE_LIMITED,
+        message: limiter === rateLimiter ? 'Too many messages' : 'Too many messages in this room',
+        retryAfterMs: limiter.retryAfterMs()
+      });
+      return;
+    }
+    
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      rejectMessage({ code: ERROR_CODES.INVALID_JSON, message: 'Invalid message format' });
+      return;
+    }
+    
+    const rejection = validateMessage(message, ws.role || (joining ? 'joining' : 'none'));
+    if (rejection) {
+      rejectMessage(rejection, message && message.type);
+      return;
+    }
+    wsMessagesReceived.inc({ type: message.type });
+    
     try {
-      const message = JSON.parse(data.toString());
-      
       // Handle authentication
       if (message.type === 'hello') {
+        // A second hello during this one's awaits would otherwise join too
+        joining = true;
         clearTimeout(authTimeout);
         
-        const { role, code } = message;
-        if (!role || !code) {
+        const { role } = message;
+        // Clients holding an invitation may leave out the room code
+        const invitationClaims = role === 'client' && message.invite && invitationService
+          ? invitationService.verify(message.invite)
+          : null;
+        const code = message.code || (invitationClaims && invitationClaims.room);
+        if (!['client', 'controller'].includes(role) || !code) {
           ws.close(1000, 'Invalid authentication');
           return;
         }
         
-        // Validate room code
-        if (!rooms.has(code)) {
+        // Validate room code; the room may have been created on another host
+        if (!await loadRoom(code)) {
           ws.send(JSON.stringify({
             type: 'error',
             message: 'Invalid room code'
@@ -447,10 +2519,34 @@ wss.on('connection', (ws, req) => {
           return;
         }
         
+        // Controllers need the room's controller secret, or an operator token
+        // (message.token or the session cookie) allowed to manage the room
+        let operator = null;
+        if (role === 'controller') {
+          const target = rooms.get(code);
+          operator = authService && !message.secret
+            ? await authService.authenticate(message.token || tokenFromRequest(req))
+            : null;
+          if (!secretMatches(message.secret, target.controllerSecretHash) && !canManageRoom(operator, target)) {
+            ws.send(JSON.stringify({
+              type: 'error',
+              message: 'Controller authentication failed'
+            }));
+            ws.close(1008, 'Controller authentication failed');
+            return;
+          }
+        }
+        
         room = rooms.get(code);
         
+        // A returning client can take up its previous clientId without a new invitation
+        const resumed = role === 'client' && message.clientId && message.resumeToken
+          ? await resumeClient(room, message.clientId, message.resumeToken)
+          : null;
+        
         // Check room capacity
-        if (role === 'client' && room.clients.size >= CONFIG.MAX_CLIENTS_PER_ROOM) {
+        if (role === 'client' && room.clientCount() >= CONFIG.MAX_CLIENTS_PER_ROOM &&
+            !(resumed && room.clients.has(resumed._id))) {
           ws.send(JSON.stringify({
             type: 'error',
             message: 'Room is full'
@@ -459,29 +2555,102 @@ wss.on('connection', (ws, req) => {
           return;
         }
         
+        // Validate and use up the client's invitation
+        let invitation = null;
+        if (role === 'client' && !resumed && (message.invite || room.settings.requireInvitation)) {
+          const result = !message.invite
+            ? { error: 'This room requires an invitation' }
+            : !invitationService
+              ? { error: 'Invitations are unavailable' }
+              : invitationClaims && invitationClaims.room !== code
+                ? { error: 'Invitation is for a different room' }
+                : await invitationService.consume(message.invite);
+          if (result.error) {
+            room = null;
+            ws.send(JSON.stringify({
+              type: 'error',
+              message: result.error
+            }));
+            ws.close(1008, 'Invitation rejected');
+            return;
+          }
+          invitation = result.invitation;
+        }
+        
+        let resumeToken = null;
+        if (resumed) {
+          log.info('Resuming session', { resumedClientId: resumed._id });
+          clientId = resumed._id;
+          log = logger.child({ clientId });
+          room.lastSeqs.set(clientId, Math.max(resumed.lastSeq || 0, room.lastSeqs.get(clientId) || 0));
+          // The previous connection may not have noticed it dropped yet
+          const previous = room.clients.get(clientId);
+          if (previous) previous.close(1000, 'Session resumed elsewhere');
+          publishRoomEvent(code, 'client_resumed', { clientId });
+        } else if (role === 'client') {
+          resumeToken = await registerClient(room, clientId, invitation);
+        }
+        
         // Add client to room
-        room.addClient(clientId, ws, role);
+        room.addClient(clientId, ws, role, { invitation, resumeToken, resumed: !!resumed, fingerprintKey: message.fingerprintKey, operator });
+        if (role === 'controller') {
+          await room.replayAlerts(ws);
+          room.requestRoomKeys();
+          publishRoomEvent(code, 'controller_joined');
+        }
         
         // Store session
+        const invitationId = invitation ? invitation.id : resumed && resumed.invitationId;
         clientSessions.set(clientId, {
           roomCode: code,
           role,
           connectedAt: Date.now(),
-          ip: req.socket.remoteAddress
+          ip: req.socket.remoteAddress,
+          ...(invitationId && { invitationId }),
+          ...(resumed && { resumed: true })
         });
         
-        console.log(`✅ ${role} authenticated in room ${code}`);
+        log = log.child({ roomCode: code });
+        log.info('Authenticated', { role, resumed: !!resumed });
       }
       
       // Handle metrics from clients
       else if (message.type === 'metrics' && room && ws.role === 'client') {
-        const { payload } = message;
-        if (payload) {
-          room.addMetrics(clientId, {
-            ...payload,
-            ip: req.socket.remoteAddress,
-            userAgent: req.headers['user-agent'] || 'unknown'
-          });
+        const { seq } = message;
+        // Resent from the client's outbox after a reconnect: already stored
+        if (seq !== undefined && room.isDuplicate(clientId, seq)) {
+          ws.send(JSON.stringify({ type: 'ack', seq, duplicate: true }));
+          return;
+        }
+        
+        const { metrics, errors, discrepancies } = PasswordAnalysis.normalizeMetrics(message.payload);
+        if (!metrics) {
+          rejectMessage({
+            code: ERROR_CODES.INVALID_PAYLOAD,
+            message: 'Invalid metrics payload',
+            errors,
+            ...(seq !== undefined && { seq })
+          }, message.type);
+          return;
+        }
+        
+        if (discrepancies.length > 0) {
+          log.warn('Metrics disagree with the pattern', { seq, discrepancies: discrepancies.length });
+        }
+        
+        room.addMetrics(clientId, room.protectClientInfo({
+          ...metrics,
+          ...room.checkPolicy(metrics), // before segments may be redacted
+          ...(message.payload.reuseFingerprint && { reuseFingerprint: message.payload.reuseFingerprint }),
+          ...(discrepancies.length > 0 && { discrepancies }),
+          ...(seq !== undefined && { seq }),
+          ip: req.socket.remoteAddress,
+          userAgent: req.headers['user-agent'] || 'unknown'
+        }));
+        
+        if (seq !== undefined) {
+          await room.recordSeq(clientId, seq);
+          ws.send(JSON.stringify({ type: 'ack', seq }));
         }
       }
       
@@ -489,11 +2658,80 @@ wss.on('connection', (ws, req) => {
       else if (message.type === 'room_settings' && room && ws.role === 'controller') {
         const { settings } = message;
         if (settings) {
-          room.settings = { ...room.settings, ...settings };
+          if (settings.breachSeverityTiers !== undefined) {
+            const tiers = validateBreachSeverityTiers(settings.breachSeverityTiers);
+            if (!tiers) {
+              rejectMessage({
+                code: ERROR_CODES.INVALID_SETTINGS,
+                message: `breachSeverityTiers must be a list of { minCount, severity } with severity one of ${ALERT_SEVERITIES.join(', ')}`
+              }, message.type);
+              return;
+            }
+            settings.breachSeverityTiers = tiers;
+          }
+          const { alertRules, alertSinks, ...roomSettings } = settings;
+          // Sinks make the host connect to any address; the controller secret
+          // alone is not enough to choose one
+          if (alertSinks !== undefined && !canManageRoom(ws.operator, room)) {
+            rejectMessage({
+              code: ERROR_CODES.NOT_ALLOWED,
+              message: 'Alert sinks can only be changed by an operator who manages the room'
+            }, message.type);
+            return;
+          }
+          const rules = alertRules !== undefined ? validateRules(alertRules) : null;
+          const sinks = alertSinks !== undefined ? validateSinks(alertSinks, room.alertSinks) : null;
+          for (const [result, label] of [[rules, 'alert rules'], [sinks, 'alert sinks']]) {
+            if (result && result.errors.length > 0) {
+              rejectMessage({
+                code: ERROR_CODES.INVALID_SETTINGS,
+                message: `Invalid ${label}`,
+                errors: result.errors
+              }, message.type);
+              return;
+            }
+          }
+          room.settings = { ...room.settings, ...roomSettings };
+          try {
+            if (rules) await room.setAlertRules(rules.rules);
+            if (sinks) await room.setAlertSinks(sinks.sinks);
+            await room.saveSettings();
+            publishRoomEvent(room.code, 'changed');
+          } catch (error) {
+            log.error('Failed to save room settings', { error });
+          }
           room.sendToController({
             type: 'settings_updated',
-            settings: room.settings
+            settings: room.settings,
+            alertRules: room.alertEngine.rules,
+            alertSinks: room.alertSinks.map(redactSink)
+          });
+        }
+      }
+      
+      // Pass the room key, wrapped for one client, on to that client
+      else if (message.type === 'fingerprint_key' && room && ws.role === 'controller') {
+        const { clientId: target, ...wrapped } = message;
+        room.sendToRoomClient(target, wrapped);
+      }
+      
+      // Handle invitation requests from controller
+      else if (message.type === 'create_invitation' && room && ws.role === 'controller') {
+        try {
+          const created = await createInvitation(room, {
+            label: message.label,
+            maxUses: message.maxUses,
+            expiresInMinutes: message.expiresInMinutes
+          }, `http://${req.headers.host}`);
+          room.sendToController({
+            type: 'invitation_created',
+            ...created
           });
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            message: `Failed to create invitation: ${error.message}`
+          }));
         }
       }
       
@@ -503,10 +2741,10 @@ wss.on('connection', (ws, req) => {
       }
       
     } catch (error) {
-      console.error('WebSocket message error:', error);
+      log.error('WebSocket message error', { type: message.type, error });
       ws.send(JSON.stringify({
         type: 'error',
-        message: 'Invalid message format'
+        message: 'Failed to process message'
       }));
     }
   });
@@ -515,26 +2753,22 @@ wss.on('connection', (ws, req) => {
     clearInterval(heartbeat);
     clearTimeout(authTimeout);
     
-    if (room) {
-      room.removeClient(clientId, ws.role);
-      
-      // Remove empty rooms after delay
-      if (room.clients.size === 0 && !room.controller) {
-        setTimeout(() => {
-          if (room.clients.size === 0 && !room.controller) {
-            console.log(`🗑️ Removing empty room ${room.code}`);
-            rooms.delete(room.code);
-          }
-        }, 60000); // 1 minute delay
-      }
+    // Empty rooms stay until they expire, so clients can come back
+    const replaced = room && ws.role && !room.removeClient(clientId, ws.role, ws);
+    if (!replaced) {
+      clientSessions.delete(clientId);
     }
-    
-    clientSessions.delete(clientId);
-    console.log(`🔌 WebSocket closed: ${clientId.slice(0, 8)}... (${code}: ${reason})`);
+    log.info('WebSocket closed', { code, reason: reason.toString() });
   });
   
   ws.on('error', (error) => {
-    console.error(`WebSocket error for ${clientId.slice(0, 8)}:`, error);
+    // ws closes the connection itself (1009) when a frame exceeds maxPayload
+    if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+      recordRejection(ERROR_CODES.FRAME_TOO_LARGE);
+      log.warn('Oversized frame');
+      return;
+    }
+    log.error('WebSocket error', { error });
   });
   
   ws.on('pong', () => {
@@ -545,25 +2779,64 @@ wss.on('connection', (ws, req) => {
 // ======== Cleanup Tasks ========
 async function cleanupOldMetrics() {
   try {
-    const cutoffDate = new Date(Date.now() - CONFIG.METRICS_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    // Metrics of rooms with their own retention carry expiresAt and go by the TTL index
+    const cutoffDate = new Date(Date.now() - CONFIG.METRICS_RETENTION_DAYS * DAY_MS);
     const result = await metricsCollection.deleteMany({
-      timestamp: { $lt: cutoffDate }
+      timestamp: { $lt: cutoffDate },
+      expiresAt: { $exists: false }
     });
     
     if (result.deletedCount > 0) {
-      console.log(`🧹 Cleaned up ${result.deletedCount} old metrics`);
+      logger.info('Cleaned up old metrics', { deleted: result.deletedCount });
+    }
+    
+    const alertCutoff = new Date(Date.now() - CONFIG.ALERT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const alertResult = await alertsCollection.deleteMany({
+      status: 'resolved',
+      resolvedAt: { $lt: alertCutoff }
+    });
+    
+    if (alertResult.deletedCount > 0) {
+      logger.info('Cleaned up resolved alerts', { deleted: alertResult.deletedCount });
     }
   } catch (error) {
-    console.error('Cleanup failed:', error);
+    logger.error('Cleanup failed', { error });
   }
 }
 
 // Run cleanup every 24 hours
 setInterval(cleanupOldMetrics, CONFIG.CLEANUP_INTERVAL);
 
+// Drop rooms whose expiry passed; MongoDB's TTL index removes their sessions documents
+async function expireRooms() {
+  const now = Date.now();
+  for (const room of rooms.values()) {
+    if (room.expiresAt > now) continue;
+    // Another host may have kept the room alive
+    const session = sessionsCollection && await sessionsCollection.findOne({ roomCode: room.code });
+    if (session && session.expiresAt.getTime() > now) {
+      room.expiresAt = session.expiresAt.getTime();
+      continue;
+    }
+    logger.info('Room expired', { roomCode: room.code });
+    room.closeConnections(1001, 'Room expired');
+    rooms.delete(room.code);
+  }
+}
+
+setInterval(() => {
+  expireRooms().catch(error => logger.error('Room expiry check failed', { error }));
+}, CONFIG.ROOM_EXPIRY_CHECK_INTERVAL);
+
 // ======== Graceful Shutdown ========
 process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down gracefully...');
+  logger.info('Shutting down');
+  
+  if (alertDispatcher) alertDispatcher.stop();
+  
+  // Leave the cluster view right away rather than after NODE_TIMEOUT
+  await backplane.publish('nodes', { node: CONFIG.NODE_ID, leaving: true });
+  await backplane.close();
   
   // Close all WebSocket connections
   wss.clients.forEach(client => {
@@ -572,42 +2845,83 @@ process.on('SIGINT', async () => {
   
   // Close server
   server.close(() => {
-    console.log('✅ Server closed');
+    logger.info('Server closed');
+    logger.close();
     process.exit(0);
   });
   
   // Force exit after 5 seconds
   setTimeout(() => {
-    console.log('⚠️ Forced shutdown');
+    logger.warn('Forced shutdown');
     process.exit(1);
   }, 5000);
 });
 
 // ======== Start Server ========
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no operators yet
+async function bootstrapAdmin() {
+  try {
+    if (await authService.countOperators() > 0) return;
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+      await authService.createOperator(ADMIN_USERNAME, ADMIN_PASSWORD, 'admin');
+      logger.info('Created admin operator', { username: ADMIN_USERNAME });
+    } else {
+      logger.warn('No operators yet: set ADMIN_USERNAME and ADMIN_PASSWORD, or run OPERATOR_PASSWORD=... node auth.js add-operator <username> --role admin');
+    }
+  } catch (error) {
+    logger.error('Failed to create admin operator', { error });
+  }
+}
+
+// Bring back the rooms that had not expired when the server stopped
+async function restoreRooms() {
+  try {
+    const sessions = await sessionsCollection.find({ expiresAt: { $gt: new Date() } }).toArray();
+    for (const session of sessions) {
+      try {
+        rooms.set(session.roomCode, await MetricsRoom.restore(session));
+      } catch (error) {
+        logger.error('Failed to restore room', { roomCode: session.roomCode, error });
+      }
+    }
+    if (rooms.size > 0) {
+      logger.info('Restored rooms', { rooms: rooms.size });
+    }
+  } catch (error) {
+    logger.error('Failed to restore rooms', { error });
+  }
+}
+
 async function startServer() {
   // Connect to database
   const dbConnected = await connectDB();
   if (!dbConnected) {
-    console.log('⚠️ Starting server without database connection');
+    logger.warn('Starting server without database connection');
+  } else {
+    await bootstrapAdmin();
+    await restoreRooms();
   }
   
+  await backplane.connect();
+  setInterval(sendNodeHeartbeat, CONFIG.NODE_HEARTBEAT_INTERVAL);
+  sendNodeHeartbeat();
+  
   // Start HTTP server
   server.listen(CONFIG.PORT, () => {
-    console.log('\n🚀 Metrics Host Server Started!');
-    console.log('================================');
-    console.log(`📍 Local:   http://localhost:${CONFIG.PORT}`);
-    console.log(`🌐 Network: http://${getLocalIp()}:${CONFIG.PORT}`);
-    console.log(`🔌 WebSocket: ws://${getLocalIp()}:${CONFIG.PORT}`);
-    console.log(`📊 API:     http://localhost:${CONFIG.PORT}/api/info`);
-    console.log(`📱 Dashboard: http://localhost:${CONFIG.PORT}/dashboard`);
-    console.log('================================\n');
-    
-    if (dbConnected) {
-      console.log('✅ MongoDB connected');
-    } else {
-      console.log('❌ MongoDB disconnected - some features may not work');
+    logger.info('Metrics Host Server started', {
+      local: `http://localhost:${CONFIG.PORT}`,
+      network: `http://${getLocalIp()}:${CONFIG.PORT}`,
+      webSocket: `ws://${getLocalIp()}:${CONFIG.PORT}`,
+      dashboard: `http://localhost:${CONFIG.PORT}/dashboard`,
+      node: CONFIG.NODE_ID,
+      backplane: CONFIG.BACKPLANE_URL ? 'shared' : 'single host',
+      database: dbConnected ? 'connected' : 'disconnected'
+    });
+    if (!dbConnected) {
+      logger.error('MongoDB disconnected - some features may not work');
     }
   });
 }
 
-startServer().catch(console.error);
+startServer().catch(error => logger.error('Failed to start server', { error }));
@@ -0,0 +1,162 @@
+// passphrase-wordlist.js - Bundled wordlist for passphrase generation
+// Browser: <script src="passphrase-wordlist.js"></script>  -> window.PassphraseWordlist
+// Node:    const PassphraseWordlist = require("./passphrase-wordlist");
+//
+// 1296 (6^4) distinct, lowercase words of 4 to 8 letters, so each word is
+// worth log2(1296) = 10.34 bits and can also be picked with four dice
+// (see diceIndex). Sorted alphabetically; do not add or remove words without
+// keeping the count a power of six.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PassphraseWordlist = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const words = `
+    able acid acorn acre actor adapt adobe afar agent agile
+    aging agree ahead aide aisle alarm album alert alien alike
+    alive alley allow alloy almond aloe alpha alpine amber amid
+    amino ample amuse angel anger angle ankle anvil apex apple
+    apron aqua arch arena argue armor aroma array arrow artist
+    ascend aside aspen asset atlas atom attic audio audit aura
+    autumn avid avoid awake award axis axle bacon badge bagel
+    baker balm bamboo banana band banjo barn baron basil basin
+    basket batch bath baton beach beacon bead beak beam bean
+    bear beard beaver bench berry bike bingo birch bird bison
+    blade blank blast blaze blend blimp blink bliss block bloom
+    blot blouse blue blunt blur board boast boat body bolt
+    bonus book boost boot booth border boss botany bottle bounce
+    bowl brain brand brass brave bread breeze brick brief bring
+    brisk broad brook broom brush bubble bucket buddy budget buffet
+    bugle build bulb bulk bunch bundle bunny burger burst bush
+    butter button buzz cabin cable cactus cadet cafe cage cake
+    calf calm camel camera camp canal candle candy canoe canvas
+    canyon cape carbon card cargo carpet carrot cart carve case
+    castle catch cave cedar cell cello cement cereal chain chair
+    chalk champ chant charm chart chase cheek cheer cheese chef
+    cherry chess chest chick chief chili chime chin chip chirp
+    choir chop chord chorus cider cinema circle citrus city civic
+    clam clap clay clean clerk click cliff climb cling clip
+    cloak clock cloth cloud clover clown club clue coach coast
+    coat cobra cocoa coconut code coffee coil coin cola cold
+    colt comet comic comma coral cord core cork corn cosmic
+    cotton couch cougar count cove cover coyote crab craft crane
+    crate crater crawl crayon cream creek crest crew crib cricket
+    crisp crop cross crow crown crumb crust cube cuff curb
+    curl curry curve cushion cycle cymbal daisy dance dart dash
+    data dawn deal decade decal decoy deer delta demo denim
+    dent depot depth desert desk detail dial diary dice diesel
+    dime diner dingo dinner disco dish dive dock doctor dodge
+    doll dolphin dome donkey donut door dove dozen draft dragon
+    drama drape draw dream dress drift drill drink drip drive
+    drone drum duck dune dusk dust duty dwarf eagle early
+    earth easel east echo edge eight elbow elder ember emblem
+    emerald empty enamel energy engine enjoy entry envoy epic equal
+    erase errand essay estate event exact exit expert extra fabric
+    face fact fade fair fairy falcon fame fancy farm fashion
+    feast feather fence fern ferry fiber fiddle field film filter
+    final finch finger fire first fish fist flag flame flash
+    flask fleet flint flip float flock flood floor flour flower
+    fluid flute foam focus foil folk font food forest forge
+    fork form fort forum fossil frame fresh fridge frog frost
+    fruit fudge fuel fungus funnel gadget galaxy gale gallon game
+    garage garden garlic gate gather gauge gazelle gear gecko genie
+    gentle geyser ghost giant gift ginger giraffe glad glass glide
+    globe glove glow glue goat gold golf goose gorilla gown
+    grace grain grand grape graph grass gravel gravy great green
+    grid grill grin grip grove growl guard guava guest guide
+    guitar gulf guru gust habit hail hair half hall halo
+    hammer hamster hand happy harbor hard harp harvest hatch hawk
+    hazel head heap heart heat hedge heel helmet herb herd
+    hero heron hike hill hinge hippo hobby hockey hold hole
+    holly home honey hook hope horn horse hose host hotel
+    hound hour house humor hunt hymn icicle icon idea igloo
+    image inch index inlet input insect iris iron island ivory
+    jacket jade jaguar jazz jeans jelly jewel jigsaw jockey joke
+    jolly journal juice jumbo jump jungle junior kale kayak keen
+    kettle kick kind king kiosk kite kitten kiwi knee knife
+    knit knob knot koala label lace ladder lagoon lake lamb
+    lamp lance land lane lantern laser latch laugh lava lawn
+    layer leaf league lean leash leather ledge lemon lens leopard
+    letter level lever lilac lily limb lime limit linen lion
+    liquid list lizard llama load loaf lobby lobster local lock
+    locket lodge loft logic lolly loop lotus loud lounge loyal
+    lucky lumber lunar lunch lung lute lyric macaw magic magnet
+    mail major mango manor maple marble march mare market marsh
+    mask mason mast match meadow meal medal melody melon memo
+    menu merit mesa metal meteor mild mile milk mill mimic
+    mind mineral mint minute mirror mist mitten moat model modem
+    mole moment monk month moose morning moss motel moth motor
+    mound mouse mouth movie muffin mule museum music mustard myth
+    nail name napkin narrow navy neat neck nectar needle neon
+    nerve nest nickel night ninja noble node noodle noon north
+    nose note novel number nurse nylon oasis ocean octave odor
+    offer office olive omega onion opal open opera optic orange
+    orbit orchid order organ otter ounce outer oval oven owner
+    oxygen oyster pace paddle page pail paint palace palm panda
+    panel panther paper parade parcel park parrot party pasta pastel
+    patch path patio pause peach peak peanut pear pearl pebble
+    pecan pedal pelican pencil penny pepper perch permit petal phone
+    photo piano pickle picnic pier pigeon pilot pine pink pint
+    pipe pirate pitch pixel pizza plaid plain planet plank plant
+    plate plaza plot plow plug plum plume plus pocket poem
+    poet point polar pole polka pond pony pool poppy porch
+    port poster potato pouch powder prairie prism prize probe prose
+    proud prune puddle pulse puma pump pumpkin punch pupil puppet
+    puppy purple purse puzzle pyramid quail quake quart queen quest
+    quick quiet quill quilt quiz quota rabbit race radar radio
+    raft rail rain raisin rake ramp ranch range rapid raven
+    razor ready realm recipe reef region relay relic remedy rental
+    reply rescue resort retro rhino rhyme ribbon rice ridge ring
+    rink ripple river road robin robot rock rocket rodeo roof
+    rookie room root rope rose rotor round route rover royal
+    ruby rudder ruler rumble runway rust saddle safari saga sage
+    sail salad salmon salon salsa salt sand sandal satin sauce
+    sauna scale scarf scene scent school scoop scout scrap screen
+    script scroll seal season seat second secret seed shade shadow
+    shark shawl sheep shelf shell shield shift shine ship shirt
+    shoe shore shovel shrimp shrub siesta signal silk silver siren
+    sketch skill skirt skunk slate sled sleep sleeve slice slide
+    slope sloth smile smoke snack snail snake snow soap soccer
+    sock sofa soil solar solid sonar song sonic soup south
+    space spade spark sphere spice spider spike spine spiral splash
+    sponge spoon sport spray spring sprout spruce spur squad squid
+    stable stadium staff stage stair stamp star statue steam steel
+    stem step stew stick stone stool storm story stove straw
+    stream street stripe studio sugar suit summer summit sunset surf
+    swamp swan sweater swift swing sword syrup table tablet taco
+    tail talent tango tank tape target tart task taxi teacher
+    team teapot teddy temple tennis tent terrace theory thimble thorn
+    thread throne thumb thunder ticket tide tiger tile timber tiny
+    toast toffee token tomato tonic tool topaz torch tornado tortoise
+    total totem towel tower town track tractor trail train tram
+    travel tray treat tree trend tribe trick trophy trout truck
+    trumpet trunk tulip tuna tundra tunnel turkey turnip turtle tutor
+    tuxedo twig twin umpire union unit upper urban urge usher
+    vacuum valley valve vanilla vapor vase vault velvet vendor venue
+    verb verse vest veteran video view villa vine vinyl violet
+    violin visa visit visor vital vivid vocal voice volcano voyage
+    wafer wagon waist walnut walrus wand warm wasp watch water
+    wave wealth weasel weaver wedge weed week whale wheat wheel
+    whisk whistle widget width willow wind window wing winter wire
+    wise wish wizard wolf wombat wonder wood wool word work
+    world worm wrap wreath wren wrist yacht yard yarn year
+    yeast yellow yeti yield yoga yogurt yolk young zebra zenith
+    zero zest zigzag zinc zipper zone
+  `.trim().split(/\s+/);
+
+  // Index of the word for four dice rolled in order (each 1-6), as on a
+  // printed diceware list: 1111 is the first word, 6666 the last.
+  function diceIndex(rolls) {
+    return rolls.reduce((index, roll) => index * 6 + (roll - 1), 0);
+  }
+
+  return {
+    words,
+    diceIndex
+  };
+});
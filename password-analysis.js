@@ -0,0 +1,435 @@
+// password-analysis.js - Shared password analysis library
+// Browser: load password-wordlist.js and password-strength.js first, then
+//          <script src="password-analysis.js"></script>  -> window.PasswordAnalysis
+// Node:    const PasswordAnalysis = require("./password-analysis");
+//
+// Every page and metrics-host.js use this one implementation so the metrics a
+// client reports and the metrics the host stores follow the same schema.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./password-strength'));
+  } else {
+    root.PasswordAnalysis = factory(root.PasswordStrength);
+  }
+})(typeof self !== 'undefined' ? self : this, function (PasswordStrength) {
+  'use strict';
+
+  // Bump whenever a field is added, removed or changes meaning.
+  // v2: guesses come from the pattern-aware estimator instead of charset size.
+  // v3: per-attacker-model crack times (crackTimes).
+  // v4: breach prevalence (breachCount).
+  const SCHEMA_VERSION = 4;
+
+  // Fields sent over the WebSocket / stored by the host, in display order.
+  const METRICS_FIELDS = [
+    'schemaVersion', 'entropy', 'guesses', 'guessesLog10', 'score', 'time',
+    'crackTimes', 'pattern', 'length', 'segments', 'breached', 'breachCount', 'ts'
+  ];
+
+  // Guess rates for the attack scenarios used in security reviews.
+  // Editable per browser via saveAttackerModels().
+  const DEFAULT_ATTACKER_MODELS = [
+    { id: 'online_throttled', label: 'Online, throttled', guessesPerSecond: 100 / 3600 },
+    { id: 'online_unthrottled', label: 'Online, unthrottled', guessesPerSecond: 10 },
+    { id: 'offline_slow_hash', label: 'Offline, slow hash (bcrypt/argon2)', guessesPerSecond: 1e4 },
+    { id: 'offline_fast_hash', label: 'Offline, fast hash (MD5/SHA-1)', guessesPerSecond: 1e10 }
+  ];
+
+  const ATTACKER_MODELS_STORAGE_KEY = 'attackerModels';
+  const MAX_ATTACKER_MODELS = 16;
+
+  const LOG2_10 = Math.log2(10);
+
+  // Upper bound (exclusive) on guesses for each crack-time bucket.
+  const CRACK_TIME_BUCKETS = [
+    { label: 'Instant', maxAttempts: 1e6 },
+    { label: 'Seconds', maxAttempts: 1e9 },
+    { label: 'Minutes', maxAttempts: 1e12 },
+    { label: 'Hours', maxAttempts: 1e15 },
+    { label: 'Days', maxAttempts: 1e18 },
+    { label: 'Years', maxAttempts: Infinity }
+  ];
+
+  const CHARSETS = { l: 26, U: 26, D: 10, S: 32 };
+
+  // ======== Pattern & Entropy ========
+  function charClass(char) {
+    if (/[A-Z]/.test(char)) return 'U';
+    if (/[a-z]/.test(char)) return 'l';
+    if (/[0-9]/.test(char)) return 'D';
+    return 'S';
+  }
+
+  function passwordPattern(password) {
+    return Array.from(password).map(charClass).join('');
+  }
+
+  function charsetSizeFromPattern(pattern) {
+    return Object.keys(CHARSETS)
+      .filter(cls => pattern.includes(cls))
+      .reduce((sum, cls) => sum + CHARSETS[cls], 0);
+  }
+
+  function entropyFromPattern(pattern) {
+    return pattern.length * Math.log2(charsetSizeFromPattern(pattern) || 1);
+  }
+
+  function crackTimeBucket(attempts) {
+    return CRACK_TIME_BUCKETS.find(bucket => attempts < bucket.maxAttempts).label;
+  }
+
+  // ======== Attacker Models ========
+  const TIME_UNITS = [
+    ['second', 1],
+    ['minute', 60],
+    ['hour', 3600],
+    ['day', 86400],
+    ['month', 86400 * 31],
+    ['year', 86400 * 365],
+    ['century', 86400 * 365 * 100]
+  ];
+
+  function displayTime(seconds) {
+    if (seconds < 1) return 'less than a second';
+    if (seconds >= TIME_UNITS[TIME_UNITS.length - 1][1]) return 'centuries';
+    let unit = TIME_UNITS[0];
+    for (const candidate of TIME_UNITS) {
+      if (seconds >= candidate[1]) unit = candidate;
+    }
+    const count = Math.round(seconds / unit[1]);
+    return `${count} ${unit[0]}${count === 1 ? '' : 's'}`;
+  }
+
+  function isValidAttackerModel(model) {
+    return model && typeof model.id === 'string' && /^[a-z0-9_]{1,40}$/.test(model.id) &&
+      typeof model.label === 'string' && model.label.length <= 80 &&
+      Number.isFinite(model.guessesPerSecond) && model.guessesPerSecond > 0;
+  }
+
+  // Worst-case time for each attacker model to reach the estimated guess count.
+  function estimateCrackTimes(guessesLog10, models = DEFAULT_ATTACKER_MODELS) {
+    const crackTimes = {};
+    for (const model of models) {
+      const secondsLog10 = guessesLog10 - Math.log10(model.guessesPerSecond);
+      const seconds = Math.min(Math.pow(10, secondsLog10), Number.MAX_VALUE);
+      crackTimes[model.id] = {
+        guessesPerSecond: model.guessesPerSecond,
+        seconds,
+        display: displayTime(seconds)
+      };
+    }
+    return crackTimes;
+  }
+
+  function defaultStorage() {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  }
+
+  // Saved attacker models, falling back to the defaults when none are stored.
+  function loadAttackerModels(storage = defaultStorage()) {
+    try {
+      const saved = storage && JSON.parse(storage.getItem(ATTACKER_MODELS_STORAGE_KEY));
+      if (Array.isArray(saved) && saved.length > 0 && saved.every(isValidAttackerModel)) return saved;
+    } catch (error) {
+      // Corrupt entry: fall through to the defaults
+    }
+    return DEFAULT_ATTACKER_MODELS.map(model => ({ ...model }));
+  }
+
+  function saveAttackerModels(models, storage = defaultStorage()) {
+    if (!Array.isArray(models) || models.length === 0 || models.length > MAX_ATTACKER_MODELS ||
+        !models.every(isValidAttackerModel)) {
+      throw new Error('Invalid attacker models');
+    }
+    if (storage) storage.setItem(ATTACKER_MODELS_STORAGE_KEY, JSON.stringify(models));
+    return models;
+  }
+
+  function resetAttackerModels(storage = defaultStorage()) {
+    if (storage) storage.removeItem(ATTACKER_MODELS_STORAGE_KEY);
+    return loadAttackerModels(storage);
+  }
+
+  function roundEntropy(entropy) {
+    return Math.round(entropy * 10) / 10;
+  }
+
+  function roundLog10(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Derived fields shared by analyzePassword and normalizeMetrics.
+  function fromGuessesLog10(guessesLog10) {
+    const guesses = Math.min(Math.round(Math.pow(10, guessesLog10)), Number.MAX_VALUE);
+    return {
+      entropy: roundEntropy(guessesLog10 * LOG2_10),
+      guesses,
+      guessesLog10: roundLog10(guessesLog10),
+      score: PasswordStrength.scoreFromGuessesLog10(guessesLog10),
+      time: crackTimeBucket(guesses)
+    };
+  }
+
+  function suggestionFor(score, feedback) {
+    if (score >= 3) return 'This password is fairly strong. Avoid reuse and rotate regularly.';
+    return feedback.suggestions[0] || 'Use a few words, avoid common phrases.';
+  }
+
+  // Matched segments without their tokens, safe to send off the device.
+  function toSegments(sequence) {
+    return sequence.map(match => ({
+      pattern: match.pattern,
+      i: match.i,
+      j: match.j,
+      guessesLog10: roundLog10(match.guessesLog10),
+      ...(match.dictionaryName && { dictionary: match.dictionaryName })
+    }));
+  }
+
+  // ======== Analysis ========
+
+  // Analyze a password locally. `breachCount` is the result of
+  // checkPasswordBreach (null until a check ran, 0 when not found);
+  // `userInputs` are context words (username, company, ...) to penalise;
+  // `attackerModels` defaults to the saved (or built-in) profiles.
+  function analyzePassword(password, options = {}) {
+    const pattern = passwordPattern(password);
+    const estimate = PasswordStrength.estimateGuesses(password, { userInputs: options.userInputs });
+    const attackerModels = options.attackerModels || loadAttackerModels();
+
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      ...fromGuessesLog10(estimate.guessesLog10),
+      crackTimes: estimateCrackTimes(estimate.guessesLog10, attackerModels),
+      pattern,
+      length: pattern.length,
+      segments: toSegments(estimate.sequence),
+      ...breachFields(options.breachCount),
+      ts: Date.now(),
+      // Local-only fields: never part of the metrics payload
+      matches: estimate.sequence,
+      feedback: estimate.feedback,
+      suggestion: suggestionFor(estimate.score, estimate.feedback)
+    };
+  }
+
+  function breachFields(breachCount) {
+    if (!Number.isInteger(breachCount) || breachCount < 0) return { breached: null, breachCount: null };
+    return { breached: breachCount > 0, breachCount };
+  }
+
+  // Strip an analysis down to the versioned metrics payload.
+  function toMetrics(analysis, overrides = {}) {
+    const merged = { ...analysis, ...overrides };
+    const metrics = {};
+    for (const field of METRICS_FIELDS) {
+      metrics[field] = merged[field];
+    }
+    return metrics;
+  }
+
+  // ======== Breach Check (k-anonymity) ========
+  function getSubtle() {
+    if (typeof crypto !== 'undefined' && crypto.subtle) return crypto.subtle;
+    return require('crypto').webcrypto.subtle;
+  }
+
+  async function sha1Hex(password) {
+    const digest = await getSubtle().digest('SHA-1', new TextEncoder().encode(password));
+    return Array.from(new Uint8Array(digest))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase();
+  }
+
+  const DEFAULT_BREACH_RANGE_URL = 'https://api.pwnedpasswords.com/range/';
+  const BREACH_RANGE_URL_STORAGE_KEY = 'breachRangeUrl';
+
+  // Range endpoint of a metrics host, derived from its WebSocket URL.
+  function rangeUrlFromServerUrl(serverUrl) {
+    const url = new URL(serverUrl);
+    url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+    url.pathname = '/range/';
+    url.search = '';
+    return url.toString();
+  }
+
+  function loadBreachRangeUrl(storage = defaultStorage()) {
+    return (storage && storage.getItem(BREACH_RANGE_URL_STORAGE_KEY)) || DEFAULT_BREACH_RANGE_URL;
+  }
+
+  function saveBreachRangeUrl(rangeUrl, storage = defaultStorage()) {
+    if (!storage) return;
+    if (rangeUrl) storage.setItem(BREACH_RANGE_URL_STORAGE_KEY, rangeUrl);
+    else storage.removeItem(BREACH_RANGE_URL_STORAGE_KEY);
+  }
+
+  // Occurrence count of `suffix` in a range response ("SUFFIX:COUNT" lines).
+  function parseRangeCount(text, suffix) {
+    for (const line of text.split('\n')) {
+      const [lineSuffix, count] = line.trim().split(':');
+      if (lineSuffix && lineSuffix.toUpperCase() === suffix) return parseInt(count, 10) || 0;
+    }
+    return 0;
+  }
+
+  // Number of times the password appears in the breach corpus (0 = not found).
+  // `rangeUrl` defaults to the saved endpoint, else the public HIBP API.
+  async function checkPasswordBreach(password, options = {}) {
+    const rangeUrl = options.rangeUrl || loadBreachRangeUrl();
+    const hash = await sha1Hex(password);
+    const prefix = hash.slice(0, 5);
+    const suffix = hash.slice(5);
+    const res = await fetch(`${rangeUrl}${prefix}`);
+    if (!res.ok) throw new Error(`Breach range request failed (${res.status})`);
+    const text = await res.text();
+    return parseRangeCount(text, suffix);
+  }
+
+  // ======== Validation (used by the host) ========
+
+  // Reported crack times are recomputed from the guess count; only the
+  // client's guess rates are kept. Missing ones fall back to the defaults.
+  function validateCrackTimes(crackTimes, errors) {
+    if (crackTimes === undefined) return DEFAULT_ATTACKER_MODELS;
+    const entries = crackTimes && typeof crackTimes === 'object' ? Object.entries(crackTimes) : null;
+    const models = (entries || []).map(([id, value]) => ({
+      id,
+      label: id,
+      guessesPerSecond: value && value.guessesPerSecond
+    }));
+    if (!entries || models.length > MAX_ATTACKER_MODELS || !models.every(isValidAttackerModel)) {
+      errors.push('crackTimes must map model ids to a positive guessesPerSecond');
+      return [];
+    }
+    return models;
+  }
+
+  function validateSegments(segments, length, errors) {
+    if (segments === undefined) return [];
+    if (!Array.isArray(segments) || segments.length > length) {
+      errors.push('segments must be an array no longer than the password');
+      return [];
+    }
+    const valid = segments.every(segment =>
+      segment && PasswordStrength.PATTERNS.includes(segment.pattern) &&
+      Number.isInteger(segment.i) && Number.isInteger(segment.j) &&
+      segment.i >= 0 && segment.i <= segment.j && segment.j < length &&
+      Number.isFinite(segment.guessesLog10)
+    );
+    if (!valid) {
+      errors.push('segments contain an invalid entry');
+      return [];
+    }
+    return segments.map(segment => ({
+      pattern: segment.pattern,
+      i: segment.i,
+      j: segment.j,
+      guessesLog10: roundLog10(segment.guessesLog10),
+      ...(typeof segment.dictionary === 'string' && { dictionary: segment.dictionary.slice(0, 32) })
+    }));
+  }
+
+  // Validate a reported metrics payload. The host never sees the password,
+  // so the reported guess count is accepted only up to the brute-force bound
+  // implied by the pattern; every other derived field is recomputed.
+  // Older payloads (schemaVersion 1 or none) are upgraded.
+  // Returns { metrics, errors, discrepancies }; metrics is null when invalid.
+  function normalizeMetrics(payload) {
+    const errors = [];
+    if (!payload || typeof payload !== 'object') {
+      return { metrics: null, errors: ['payload must be an object'], discrepancies: [] };
+    }
+
+    const { pattern } = payload;
+    if (typeof pattern !== 'string' || !/^[UlDS]+$/.test(pattern)) {
+      errors.push('pattern must be a non-empty U/l/D/S mask');
+    }
+    if (payload.length !== undefined && payload.length !== (pattern || '').length) {
+      errors.push('length does not match pattern');
+    }
+    if (payload.breached !== undefined && payload.breached !== null && typeof payload.breached !== 'boolean') {
+      errors.push('breached must be a boolean or null');
+    }
+    if (payload.breachCount !== undefined && payload.breachCount !== null &&
+        !(Number.isSafeInteger(payload.breachCount) && payload.breachCount >= 0)) {
+      errors.push('breachCount must be a non-negative integer or null');
+    }
+    if (payload.schemaVersion !== undefined && payload.schemaVersion > SCHEMA_VERSION) {
+      errors.push(`unsupported schemaVersion ${payload.schemaVersion}`);
+    }
+    const segments = validateSegments(payload.segments, (pattern || '').length, errors);
+    const attackerModels = validateCrackTimes(payload.crackTimes, errors);
+    if (errors.length > 0) return { metrics: null, errors, discrepancies: [] };
+
+    const discrepancies = [];
+    const upperBoundLog10 = entropyFromPattern(pattern) / LOG2_10;
+    let guessesLog10 = upperBoundLog10;
+    if (Number.isFinite(payload.guessesLog10) && payload.guessesLog10 >= 0) {
+      guessesLog10 = payload.guessesLog10;
+    } else if (Number.isFinite(payload.entropy) && payload.entropy >= 0) {
+      guessesLog10 = payload.entropy / LOG2_10;
+    }
+    if (guessesLog10 > upperBoundLog10 + 0.01) {
+      discrepancies.push({ field: 'guessesLog10', reported: guessesLog10, computed: roundLog10(upperBoundLog10) });
+      guessesLog10 = upperBoundLog10;
+    }
+
+    const ts = typeof payload.ts === 'string' ? Date.parse(payload.ts) : payload.ts;
+    const metrics = {
+      schemaVersion: SCHEMA_VERSION,
+      ...fromGuessesLog10(guessesLog10),
+      crackTimes: estimateCrackTimes(guessesLog10, attackerModels),
+      pattern,
+      length: pattern.length,
+      segments,
+      ...breachFields(payload.breachCount),
+      ts: Number.isFinite(ts) ? ts : Date.now()
+    };
+
+    // Both sides round entropy to 0.1 and the host starts from a guess count
+    // rounded to 0.01, so honest payloads can differ by a little over 0.1
+    if (typeof payload.entropy === 'number' && Math.abs(payload.entropy - metrics.entropy) > 0.2) {
+      discrepancies.push({ field: 'entropy', reported: payload.entropy, computed: metrics.entropy });
+    }
+    if (metrics.breachCount === null && typeof payload.breached === 'boolean') {
+      // Older clients only reported a boolean; the count stays unknown
+      metrics.breached = payload.breached;
+    } else if (typeof payload.breached === 'boolean' && payload.breached !== metrics.breached) {
+      discrepancies.push({ field: 'breached', reported: payload.breached, computed: metrics.breached });
+    }
+    if (payload.time !== undefined && payload.time !== metrics.time) {
+      discrepancies.push({ field: 'time', reported: payload.time, computed: metrics.time });
+    }
+
+    return { metrics, errors, discrepancies };
+  }
+
+  return {
+    SCHEMA_VERSION,
+    METRICS_FIELDS,
+    CRACK_TIME_BUCKETS,
+    DEFAULT_ATTACKER_MODELS,
+    passwordPattern,
+    charsetSizeFromPattern,
+    entropyFromPattern,
+    crackTimeBucket,
+    fromGuessesLog10,
+    displayTime,
+    estimateCrackTimes,
+    loadAttackerModels,
+    saveAttackerModels,
+    resetAttackerModels,
+    analyzePassword,
+    toMetrics,
+    sha1Hex,
+    DEFAULT_BREACH_RANGE_URL,
+    rangeUrlFromServerUrl,
+    loadBreachRangeUrl,
+    saveBreachRangeUrl,
+    parseRangeCount,
+    checkPasswordBreach,
+    normalizeMetrics
+  };
+});
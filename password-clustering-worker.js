@@ -0,0 +1,26 @@
+// password-clustering-worker.js - Runs PasswordClustering off the page's main thread
+//
+//   const worker = new Worker('password-clustering-worker.js');
+//   worker.postMessage({ id, mode, file });   // a File, or { text } instead
+//   worker.onmessage = ({ data }) => ...      // { id, type: 'progress' | 'result' | 'error', ... }
+//
+// Progress messages carry { stage, done, total }; the result is what
+// clusterPasswords returns.
+
+importScripts('password-wordlist.js', 'password-strength.js', 'password-clustering.js');
+
+self.onmessage = async ({ data }) => {
+  const { id, mode, file, text, maxClusters } = data;
+  try {
+    self.postMessage({ id, type: 'progress', stage: 'reading', done: 0, total: 0 });
+    const input = file ? await file.text() : text;
+    const result = await PasswordClustering.clusterPasswords(PasswordClustering.splitLines(input), {
+      mode,
+      maxClusters,
+      onProgress: progress => self.postMessage({ id, type: 'progress', ...progress })
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
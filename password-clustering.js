@@ -0,0 +1,284 @@
+// password-clustering.js - Groups a password list into clusters with a risk score
+// Browser: load password-wordlist.js and password-strength.js first, then
+//          <script src="password-clustering.js"></script>  -> window.PasswordClustering
+//          (or run it off the main thread with password-clustering-worker.js)
+// Node:    const PasswordClustering = require("./password-clustering");
+//
+//   const result = await clusterPasswords(splitLines(text), { mode: 'base' });
+//
+// Modes:
+//   hash        identical passwords (labelled by their SHA-256)
+//   mask        hashcat mask, e.g. Summer2024! -> ?u?l?l?l?l?l?d?d?d?d?s
+//   base        base word: lowercased, l33t undone, digits and symbols dropped
+//               (P@ssw0rd2024! -> password)
+//   similarity  passwords one edit apart (a character added, removed or
+//               changed); each joins its most common neighbour, so a cluster
+//               is a common password with the variants that lead to it
+//
+// Lists of a million lines are handled: passwords are counted once, every
+// mode is linear in the number of distinct passwords, and only the largest
+// clusters are scored.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./password-strength'));
+  } else {
+    root.PasswordClustering = factory(root.PasswordStrength);
+  }
+})(typeof self !== 'undefined' ? self : this, function (PasswordStrength) {
+  'use strict';
+
+  const MODES = ['hash', 'mask', 'base', 'similarity'];
+
+  const DEFAULTS = {
+    MAX_CLUSTERS: 500, // largest clusters returned and scored
+    EXAMPLES: 3
+  };
+
+  // Hashcat's built-in charsets and their sizes
+  const MASK_CHARSETS = { '?l': 26, '?u': 26, '?d': 10, '?s': 33, '?b': 256 };
+
+  // Guesses from which a cluster counts as strong (risk 0); 10^14 is about
+  // three hours of an offline attack on a fast hash
+  const SAFE_GUESSES_LOG10 = 14;
+
+  const L33T = { '4': 'a', '@': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '9': 'g', '1': 'i', '!': 'i', '|': 'l', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't' };
+
+  const PROGRESS_INTERVAL = 50000; // passwords between progress reports
+
+  function splitLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  // ======== Keys ========
+  const encoder = new TextEncoder();
+
+  function hashcatMask(password) {
+    let mask = '';
+    for (const char of password) {
+      if (/[a-z]/.test(char)) mask += '?l';
+      else if (/[A-Z]/.test(char)) mask += '?u';
+      else if (/[0-9]/.test(char)) mask += '?d';
+      else if (char >= ' ' && char <= '~') mask += '?s';
+      else mask += '?b'.repeat(encoder.encode(char).length); // one per UTF-8 byte
+    }
+    return mask;
+  }
+
+  // log10 of the number of candidates a mask covers
+  function maskKeyspaceLog10(mask) {
+    let log10 = 0;
+    for (let i = 0; i < mask.length; i += 2) log10 += Math.log10(MASK_CHARSETS[mask.slice(i, i + 2)]);
+    return log10;
+  }
+
+  // The word a password is built on. Digits and symbols around the letters
+  // are affixes and dropped; between letters they are read as l33t, and so is
+  // a symbol right in front of the first letter (@dmin, $ecret). Empty when
+  // the password has no letters.
+  function baseWord(password) {
+    const lower = password.toLowerCase();
+    const letters = [...lower.matchAll(/\p{L}/gu)];
+    if (letters.length === 0) return '';
+    let start = letters[0].index;
+    const end = letters[letters.length - 1].index + letters[letters.length - 1][0].length;
+    if (start === 1 && L33T[lower[0]] && !/[0-9]/.test(lower[0])) start = 0;
+    return Array.from(lower.slice(start, end), char => L33T[char] || char)
+      .filter(char => /\p{L}/u.test(char))
+      .join('');
+  }
+
+  // ======== Counting ========
+  // Distinct passwords (first-seen order) with how often each occurs
+  function countPasswords(lines, onProgress) {
+    const index = new Map();
+    const passwords = [];
+    const counts = [];
+    lines.forEach((password, i) => {
+      const known = index.get(password);
+      if (known === undefined) {
+        index.set(password, passwords.length);
+        passwords.push(password);
+        counts.push(1);
+      } else {
+        counts[known]++;
+      }
+      if (onProgress && i % PROGRESS_INTERVAL === 0) onProgress({ stage: 'counting', done: i, total: lines.length });
+    });
+    return { index, passwords, counts, total: lines.length };
+  }
+
+  // ======== Similarity ========
+  // Root (most common password of its cluster) for every distinct password.
+  // Neighbours one edit apart are found without comparing pairs:
+  //   - insertions and deletions: a password with one character removed is
+  //     looked up among the passwords;
+  //   - substitutions: passwords of the same length that match with the
+  //     character at the same position removed.
+  // Each password points to its most common neighbour when that neighbour is
+  // more common than itself (ties go to the one seen first); following the
+  // pointers ends at a root, which cannot form a cycle.
+  function similarityRoots({ index, passwords, counts }, onProgress) {
+    const n = passwords.length;
+    const better = (a, b) => counts[a] > counts[b] || (counts[a] === counts[b] && a < b);
+    const best = new Int32Array(n).fill(-1);
+    const consider = (i, j) => {
+      if (best[i] === -1 || better(j, best[i])) best[i] = j;
+    };
+
+    const byLength = new Map();
+    for (let i = 0; i < n; i++) {
+      const password = passwords[i];
+      const length = password.length;
+      if (!byLength.has(length)) byLength.set(length, []);
+      byLength.get(length).push(i);
+      for (let p = 0; p < length; p++) {
+        if (p > 0 && password[p] === password[p - 1]) continue; // same deletion as p - 1
+        const j = index.get(password.slice(0, p) + password.slice(p + 1));
+        if (j !== undefined) {
+          consider(i, j);
+          consider(j, i);
+        }
+      }
+      if (onProgress && i % PROGRESS_INTERVAL === 0) onProgress({ stage: 'similarity', done: i, total: 2 * n });
+    }
+
+    let done = n;
+    for (const [length, group] of byLength) {
+      for (let p = 0; p < length; p++) {
+        // Everyone sharing a key is one substitution from everyone else; the
+        // two best of each key are enough to give every member its best
+        const keys = group.map(i => passwords[i].slice(0, p) + passwords[i].slice(p + 1));
+        const top = new Map();
+        group.forEach((i, k) => {
+          const entry = top.get(keys[k]);
+          if (!entry) top.set(keys[k], [i, -1]);
+          else if (better(i, entry[0])) top.set(keys[k], [i, entry[0]]);
+          else if (entry[1] === -1 || better(i, entry[1])) entry[1] = i;
+        });
+        group.forEach((i, k) => {
+          const [first, second] = top.get(keys[k]);
+          const j = first === i ? second : first;
+          if (j !== -1) consider(i, j);
+        });
+      }
+      done += group.length;
+      if (onProgress) onProgress({ stage: 'similarity', done, total: 2 * n });
+    }
+
+    const roots = new Int32Array(n);
+    for (let i = 0; i < n; i++) roots[i] = best[i] !== -1 && better(best[i], i) ? best[i] : i;
+    for (let i = 0; i < n; i++) {
+      let root = i;
+      while (roots[root] !== root) root = roots[root];
+      for (let j = i; roots[j] !== root; ) {
+        const next = roots[j];
+        roots[j] = root;
+        j = next;
+      }
+    }
+    return roots;
+  }
+
+  // ======== Risk ========
+  // 0 (strong and rare) to 100 (instantly guessable and covering the whole
+  // list): how guessable the cluster is, from the estimated guesses for its
+  // most common password (for masks, the mask's keyspace), weighted by how
+  // much of the list it covers, on a log scale so a password shared by a
+  // handful of accounts already counts.
+  function riskScore({ guessesLog10, count, total }) {
+    const guessability = 1 - Math.min(Math.max(guessesLog10 / SAFE_GUESSES_LOG10, 0), 1);
+    const reach = total > 1 ? Math.log(1 + count) / Math.log(1 + total) : 1;
+    return Math.round(100 * guessability * (0.5 + 0.5 * reach));
+  }
+
+  function getSubtle() {
+    if (typeof crypto !== 'undefined' && crypto.subtle) return crypto.subtle;
+    return require('crypto').webcrypto.subtle;
+  }
+
+  async function sha256Hex(text) {
+    const digest = await getSubtle().digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // ======== Clustering ========
+
+  // Cluster `lines` (one password each) by `mode`. Returns
+  // { mode, total, distinct, clusterCount, clusters } with the maxClusters
+  // largest clusters: { key, count, share, distinct, examples, guessesLog10,
+  // risk } and, for masks, keyspaceLog10. onProgress({ stage, done, total })
+  // is called along the way.
+  async function clusterPasswords(lines, { mode = 'hash', maxClusters = DEFAULTS.MAX_CLUSTERS, onProgress = null } = {}) {
+    if (!MODES.includes(mode)) throw new Error(`mode must be one of ${MODES.join(', ')}`);
+    const counted = countPasswords(lines, onProgress);
+    const { passwords, counts, total } = counted;
+
+    let keyOf;
+    if (mode === 'hash') keyOf = i => i;
+    else if (mode === 'mask') keyOf = i => hashcatMask(passwords[i]);
+    else if (mode === 'base') keyOf = i => baseWord(passwords[i]) || '(no letters)';
+    else {
+      const roots = similarityRoots(counted, onProgress);
+      keyOf = i => roots[i];
+    }
+
+    // key -> { count, members: distinct passwords, most common first }
+    const groups = new Map();
+    passwords.forEach((password, i) => {
+      const key = keyOf(i);
+      const group = groups.get(key);
+      if (group) {
+        group.count += counts[i];
+        group.members.push(i);
+      } else {
+        groups.set(key, { count: counts[i], members: [i] });
+      }
+    });
+
+    if (onProgress) onProgress({ stage: 'scoring', done: 0, total: Math.min(groups.size, maxClusters) });
+    const largest = Array.from(groups, ([key, group]) => ({ key, ...group }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, maxClusters);
+
+    const clusters = [];
+    for (const group of largest) {
+      const members = group.members.sort((a, b) => counts[b] - counts[a] || a - b);
+      const top = passwords[members[0]];
+      const keyspaceLog10 = mode === 'mask' ? maskKeyspaceLog10(group.key) : null;
+      const guessesLog10 = keyspaceLog10 !== null ? keyspaceLog10 : PasswordStrength.estimateGuesses(top).guessesLog10;
+      clusters.push({
+        key: mode === 'hash' ? await sha256Hex(top) : mode === 'similarity' ? top : group.key,
+        count: group.count,
+        share: group.count / total,
+        distinct: members.length,
+        examples: members.slice(0, DEFAULTS.EXAMPLES).map(i => passwords[i]),
+        guessesLog10: Math.round(guessesLog10 * 100) / 100,
+        ...(keyspaceLog10 !== null && { keyspaceLog10: Math.round(keyspaceLog10 * 100) / 100 }),
+        risk: riskScore({ guessesLog10, count: group.count, total })
+      });
+    }
+
+    return { mode, total, distinct: passwords.length, clusterCount: groups.size, clusters };
+  }
+
+  // hashcat .hcmask file for mask clusters, most common first
+  function toHcmask(clusters) {
+    return clusters.map(cluster => cluster.key).join('\n') + '\n';
+  }
+
+  return {
+    MODES,
+    DEFAULTS,
+    MASK_CHARSETS,
+    SAFE_GUESSES_LOG10,
+    splitLines,
+    hashcatMask,
+    maskKeyspaceLog10,
+    baseWord,
+    countPasswords,
+    riskScore,
+    clusterPasswords,
+    toHcmask
+  };
+});
@@ -0,0 +1,276 @@
+// password-generator.js - Cryptographically secure password, passphrase and PIN generator
+// Browser: load passphrase-wordlist.js, password-policy.js and (for the policy
+//          mode) password-wordlist.js, password-strength.js and
+//          password-analysis.js first, then
+//          <script src="password-generator.js"></script>  -> window.PasswordGenerator
+// Node:    const PasswordGenerator = require("./password-generator");
+//
+//   const { password, entropyBits } = generate({ mode: 'passphrase', words: 6 });
+//
+// Every choice is drawn from crypto.getRandomValues with rejection sampling,
+// so each character or word is uniform over its set, and entropyBits is the
+// exact size (log2) of the set the result was drawn from:
+//
+//   random         characters from the selected classes, each class at least once
+//   passphrase     words from the bundled 1296-word list
+//   pronounceable  alternating consonants and vowels
+//   pin            digits
+//   policy         random characters meeting a password policy (password-policy.js)
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./passphrase-wordlist'), require('./password-policy'), () => require('./password-analysis'));
+  } else {
+    root.PasswordGenerator = factory(root.PassphraseWordlist, root.PasswordPolicy, () => root.PasswordAnalysis);
+  }
+})(typeof self !== 'undefined' ? self : this, function (PassphraseWordlist, PasswordPolicy, getPasswordAnalysis) {
+  'use strict';
+
+  const CHARSETS = {
+    upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    lower: 'abcdefghijklmnopqrstuvwxyz',
+    digit: '0123456789',
+    symbol: '!@#$%^&*()-_=+[]{}|;:,.<>?'
+  };
+
+  // Characters easily misread for one another, left out with excludeAmbiguous
+  const AMBIGUOUS = 'Il1O0o|';
+
+  const CONSONANTS = 'bcdfghjklmnprstvz';
+  const VOWELS = 'aeiou';
+
+  const SEPARATORS = ['-', ' ', '.', '_', ''];
+
+  const MODES = ['random', 'passphrase', 'pronounceable', 'pin', 'policy'];
+
+  const DEFAULTS = {
+    mode: 'random',
+    length: 16,
+    pinLength: 6,
+    words: 6,
+    separator: '-',
+    classes: ['upper', 'lower', 'digit', 'symbol']
+  };
+
+  const LIMITS = {
+    MIN_LENGTH: 4,
+    MAX_LENGTH: 128,
+    MIN_WORDS: 3,
+    MAX_WORDS: 20,
+    MAX_COUNT: 100,
+    MAX_POLICY_ATTEMPTS: 100 // candidates drawn before policy generation gives up
+  };
+
+  // ======== Randomness ========
+  function getRandomValues(array) {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) return crypto.getRandomValues(array);
+    return require('crypto').webcrypto.getRandomValues(array);
+  }
+
+  // Uniform integer in [0, n): 32-bit draws at or above the largest multiple
+  // of n are discarded instead of folded in, which would favour small values.
+  function randomInt(n) {
+    if (!Number.isInteger(n) || n < 1 || n > 2 ** 32) throw new Error('randomInt needs 1 <= n <= 2^32');
+    const limit = 2 ** 32 - (2 ** 32 % n);
+    const buffer = new Uint32Array(1);
+    for (;;) {
+      getRandomValues(buffer);
+      if (buffer[0] < limit) return buffer[0] % n;
+    }
+  }
+
+  function pick(items) {
+    return items[randomInt(items.length)];
+  }
+
+  // ======== Entropy ========
+  // log2 of a BigInt, from its top 53 bits
+  function log2Big(n) {
+    const bits = n.toString(2).length;
+    const shift = Math.max(0, bits - 53);
+    return Math.log2(Number(n >> BigInt(shift))) + shift;
+  }
+
+  function roundBits(bits) {
+    return Math.round(bits * 100) / 100;
+  }
+
+  // Strings of `length` over the union of `sets` that use every set at least
+  // once, by inclusion-exclusion over the sets left out
+  function countWithEach(sets, length) {
+    const total = sets.reduce((sum, set) => sum + set.length, 0);
+    let count = 0n;
+    for (let mask = 0; mask < 2 ** sets.length; mask++) {
+      let size = total;
+      let excluded = 0;
+      sets.forEach((set, i) => {
+        if (mask & (1 << i)) {
+          size -= set.length;
+          excluded++;
+        }
+      });
+      const term = BigInt(size) ** BigInt(length);
+      count += excluded % 2 === 0 ? term : -term;
+    }
+    return count;
+  }
+
+  // ======== Modes ========
+  function characterSets(classes, excludeAmbiguous) {
+    return classes.map(cls => Array.from(CHARSETS[cls]).filter(char => !excludeAmbiguous || !AMBIGUOUS.includes(char)));
+  }
+
+  // Uniform over strings that use every class: draw from the whole alphabet
+  // and redraw the string when a class is missing
+  function randomCharacters({ length, classes, excludeAmbiguous }) {
+    const sets = characterSets(classes, excludeAmbiguous);
+    const alphabet = sets.flat();
+    let password;
+    do {
+      password = Array.from({ length }, () => pick(alphabet)).join('');
+    } while (!sets.every(set => set.some(char => password.includes(char))));
+    return { password, entropyBits: log2Big(countWithEach(sets, length)) };
+  }
+
+  function passphrase({ words, separator }) {
+    const list = PassphraseWordlist.words;
+    return {
+      password: Array.from({ length: words }, () => pick(list)).join(separator),
+      entropyBits: words * Math.log2(list.length)
+    };
+  }
+
+  function pronounceable({ length }) {
+    let password = '';
+    let entropyBits = 0;
+    for (let i = 0; i < length; i++) {
+      const letters = i % 2 === 0 ? CONSONANTS : VOWELS;
+      password += pick(letters);
+      entropyBits += Math.log2(letters.length);
+    }
+    return { password, entropyBits };
+  }
+
+  function pin({ length }) {
+    return {
+      password: Array.from({ length }, () => pick(CHARSETS.digit)).join(''),
+      entropyBits: length * Math.log2(10)
+    };
+  }
+
+  // Random characters of every class (so the policy's composition rules hold),
+  // as long as the policy asks for; candidates the policy still rejects (too
+  // guessable, blocklisted, context words) are redrawn. Those are a vanishing
+  // share of the set, so entropyBits is that of the whole set.
+  function forPolicy({ length, policy, excludeAmbiguous }) {
+    const PasswordAnalysis = getPasswordAnalysis();
+    const userInputs = PasswordPolicy.policyUserInputs(policy);
+    for (let attempt = 0; attempt < LIMITS.MAX_POLICY_ATTEMPTS; attempt++) {
+      const result = randomCharacters({ length, classes: DEFAULTS.classes, excludeAmbiguous });
+      const analysis = PasswordAnalysis.analyzePassword(result.password, { userInputs });
+      if (PasswordPolicy.evaluatePolicy(policy, analysis, { password: result.password }).compliant) return result;
+    }
+    throw new Error('Could not generate a password meeting the policy');
+  }
+
+  const GENERATORS = {
+    random: randomCharacters,
+    passphrase,
+    pronounceable,
+    pin,
+    policy: forPolicy
+  };
+
+  // ======== Options ========
+  function toInteger(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return Number.isInteger(number) ? number : NaN;
+  }
+
+  function toBoolean(value) {
+    return value === true || value === 'true' || value === '1';
+  }
+
+  // Validate generator options; numbers and lists may also be given as query
+  // string text ("12", "upper,lower"). `policy` (policy mode) is a resolved
+  // password policy. Returns { options } or { errors }.
+  function parseOptions(input = {}) {
+    const errors = [];
+    const mode = input.mode || DEFAULTS.mode;
+    if (!MODES.includes(mode)) errors.push(`mode must be one of ${MODES.join(', ')}`);
+    const options = { mode, excludeAmbiguous: toBoolean(input.excludeAmbiguous) };
+
+    const lengthOption = (fallback, min, max) => {
+      const length = input.length === undefined || input.length === '' ? fallback : toInteger(input.length);
+      if (!(length >= min && length <= max)) errors.push(`length must be an integer between ${min} and ${max}`);
+      return length;
+    };
+
+    if (mode === 'random' || mode === 'pronounceable') {
+      options.length = lengthOption(DEFAULTS.length, LIMITS.MIN_LENGTH, LIMITS.MAX_LENGTH);
+    } else if (mode === 'pin') {
+      options.length = lengthOption(DEFAULTS.pinLength, LIMITS.MIN_LENGTH, LIMITS.MAX_LENGTH);
+    }
+
+    if (mode === 'random') {
+      const classes = input.classes === undefined
+        ? DEFAULTS.classes
+        : (Array.isArray(input.classes) ? input.classes : String(input.classes).split(',')).map(cls => cls.trim());
+      if (classes.length === 0 || !classes.every(cls => Object.prototype.hasOwnProperty.call(CHARSETS, cls))) {
+        errors.push(`classes must be a list of ${Object.keys(CHARSETS).join(', ')}`);
+      }
+      options.classes = Array.from(new Set(classes));
+      if (options.length < options.classes.length) errors.push('length must be at least the number of classes');
+    }
+
+    if (mode === 'passphrase') {
+      const words = input.words === undefined || input.words === '' ? DEFAULTS.words : toInteger(input.words);
+      if (!(words >= LIMITS.MIN_WORDS && words <= LIMITS.MAX_WORDS)) {
+        errors.push(`words must be an integer between ${LIMITS.MIN_WORDS} and ${LIMITS.MAX_WORDS}`);
+      }
+      const separator = input.separator === undefined ? DEFAULTS.separator : input.separator;
+      if (!SEPARATORS.includes(separator)) {
+        errors.push(`separator must be one of ${SEPARATORS.map(sep => JSON.stringify(sep)).join(', ')}`);
+      }
+      Object.assign(options, { words, separator });
+    }
+
+    if (mode === 'policy') {
+      const policy = input.policy || PasswordPolicy.resolvePolicy();
+      // At least 16 characters unless the policy asks for more, within its maximum
+      const fallback = Math.max(policy.minLength, DEFAULTS.length);
+      const length = input.length === undefined || input.length === ''
+        ? (policy.maxLength !== null ? Math.min(fallback, policy.maxLength) : fallback)
+        : toInteger(input.length);
+      const max = policy.maxLength !== null ? Math.min(policy.maxLength, LIMITS.MAX_LENGTH) : LIMITS.MAX_LENGTH;
+      const min = Math.max(policy.minLength, LIMITS.MIN_LENGTH, DEFAULTS.classes.length);
+      if (!(length >= min && length <= max)) errors.push(`length must be an integer between ${min} and ${max} for this policy`);
+      Object.assign(options, { length, policy });
+    }
+
+    if (errors.length > 0) return { errors };
+    return { options };
+  }
+
+  // ======== Generation ========
+
+  // Generate one password; throws on invalid options. Returns
+  // { password, mode, length, entropyBits }.
+  function generate(input = {}) {
+    const { options, errors } = parseOptions(input);
+    if (!options) throw new Error(errors.join('; '));
+    const { password, entropyBits } = GENERATORS[options.mode](options);
+    return { password, mode: options.mode, length: Array.from(password).length, entropyBits: roundBits(entropyBits) };
+  }
+
+  return {
+    CHARSETS,
+    MODES,
+    DEFAULTS,
+    LIMITS,
+    SEPARATORS,
+    randomInt,
+    parseOptions,
+    generate
+  };
+});
@@ -0,0 +1,254 @@
+// password-policy.js - Organisation password policies and compliance checks
+// Browser: <script src="password-policy.js"></script>  -> window.PasswordPolicy
+// Node:    const PasswordPolicy = require("./password-policy");
+//
+// A policy is a built-in profile with optional overrides:
+//
+//   { profile: 'nist-800-63b', minLength: 15, blocklist: ['acme', 'roadrunner'] }
+//
+//   const policy = resolvePolicy(config);
+//   const { compliant, violations } = evaluatePolicy(policy, analysis, { password });
+//
+// evaluatePolicy works from the metrics payload (length, pattern, guesses,
+// breach status, matched segments), so the pages and metrics-host.js reach
+// the same verdict. Blocklisted terms are only checked where the password
+// itself is available; elsewhere they are reported as unchecked.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PasswordPolicy = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Character classes composition rules can require, by their pattern mask letter.
+  const COMPOSITION_CLASSES = {
+    upper: { mask: 'U', message: 'Add uppercase letters.' },
+    lower: { mask: 'l', message: 'Add lowercase letters.' },
+    digit: { mask: 'D', message: 'Add numbers.' },
+    symbol: { mask: 'S', message: 'Add symbols.' }
+  };
+
+  // NIST SP 800-63B: a length floor, room for long passphrases, no composition
+  // rules, and a blocklist of breached, predictable and context-specific
+  // passwords (the estimator stands in for "dictionary words, repetitive or
+  // sequential characters"). 8 characters is the floor with a second factor;
+  // use minLength 15 where the password is the only factor.
+  // legacy: the composition rules the pages used to apply.
+  const PROFILES = {
+    'nist-800-63b': {
+      label: 'NIST SP 800-63B',
+      minLength: 8,
+      maxLength: 64,
+      composition: [],
+      minGuessesLog10: 6,
+      blockBreached: true,
+      blockContextWords: true,
+      blocklist: []
+    },
+    legacy: {
+      label: 'Legacy composition rules',
+      minLength: 12,
+      maxLength: null,
+      composition: ['upper', 'lower', 'digit', 'symbol'],
+      minGuessesLog10: null,
+      blockBreached: false,
+      blockContextWords: false,
+      blocklist: []
+    }
+  };
+
+  const DEFAULT_PROFILE = 'nist-800-63b';
+
+  const LIMITS = {
+    MAX_LENGTH: 1024,
+    MAX_GUESSES_LOG10: 30,
+    MAX_BLOCKLIST_TERMS: 500,
+    MAX_TERM_LENGTH: 64
+  };
+
+  const POLICY_STORAGE_KEY = 'passwordPolicy';
+
+  // Common character substitutions undone before blocklist matching
+  const L33T = { '4': 'a', '@': 'a', '8': 'b', '3': 'e', '6': 'g', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't' };
+
+  function unleet(text) {
+    return Array.from(text, char => L33T[char] || char).join('');
+  }
+
+  // ======== Policies ========
+
+  // The full policy for a configuration: its profile's rules with the overrides applied.
+  function resolvePolicy(config = {}) {
+    const profile = config.profile || DEFAULT_PROFILE;
+    const { label, ...rules } = PROFILES[profile];
+    const overrides = {};
+    for (const key of Object.keys(rules)) {
+      if (config[key] !== undefined) overrides[key] = config[key];
+    }
+    return { profile, label, ...rules, ...overrides };
+  }
+
+  function isTerm(term) {
+    return typeof term === 'string' && term.trim().length >= 3 && term.length <= LIMITS.MAX_TERM_LENGTH;
+  }
+
+  // Validate a policy configuration { profile, minLength, maxLength,
+  // composition, minGuessesLog10, blockBreached, blockContextWords, blocklist };
+  // null leaves a rule to the profile. Returns { policy, errors } with only
+  // the given keys in policy.
+  function validatePolicy(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { policy: null, errors: ['Password policy must be an object'] };
+    }
+
+    const policy = {};
+    const keys = ['profile', ...Object.keys(PROFILES[DEFAULT_PROFILE]).filter(key => key !== 'label')];
+    const unknown = Object.keys(input).filter(key => !keys.includes(key));
+    if (unknown.length > 0) errors.push(`Unknown policy settings: ${unknown.join(', ')}`);
+    const given = key => input[key] !== undefined && input[key] !== null;
+
+    if (given('profile') && !Object.prototype.hasOwnProperty.call(PROFILES, input.profile)) {
+      errors.push(`profile must be one of ${Object.keys(PROFILES).join(', ')}`);
+    }
+    for (const key of ['minLength', 'maxLength']) {
+      if (given(key) && !(Number.isInteger(input[key]) && input[key] >= 1 && input[key] <= LIMITS.MAX_LENGTH)) {
+        errors.push(`${key} must be an integer between 1 and ${LIMITS.MAX_LENGTH}`);
+      }
+    }
+    if (given('minLength') && given('maxLength') && input.maxLength < input.minLength) {
+      errors.push('maxLength must not be less than minLength');
+    }
+    if (given('composition') && !(Array.isArray(input.composition) &&
+        input.composition.every(cls => Object.prototype.hasOwnProperty.call(COMPOSITION_CLASSES, cls)))) {
+      errors.push(`composition must be a list of ${Object.keys(COMPOSITION_CLASSES).join(', ')}`);
+    }
+    if (given('minGuessesLog10') && !(Number.isFinite(input.minGuessesLog10) &&
+        input.minGuessesLog10 >= 0 && input.minGuessesLog10 <= LIMITS.MAX_GUESSES_LOG10)) {
+      errors.push(`minGuessesLog10 must be a number between 0 and ${LIMITS.MAX_GUESSES_LOG10}`);
+    }
+    for (const key of ['blockBreached', 'blockContextWords']) {
+      if (given(key) && typeof input[key] !== 'boolean') errors.push(`${key} must be a boolean`);
+    }
+    if (given('blocklist') && !(Array.isArray(input.blocklist) && input.blocklist.length <= LIMITS.MAX_BLOCKLIST_TERMS &&
+        input.blocklist.every(isTerm))) {
+      errors.push(`blocklist must be a list of at most ${LIMITS.MAX_BLOCKLIST_TERMS} terms of 3 to ${LIMITS.MAX_TERM_LENGTH} characters`);
+    }
+    if (errors.length > 0) return { policy: null, errors };
+
+    for (const key of keys) {
+      if (!given(key)) continue;
+      if (key === 'composition') policy[key] = Array.from(new Set(input[key]));
+      else if (key === 'blocklist') policy[key] = Array.from(new Set(input[key].map(term => term.trim().toLowerCase())));
+      else policy[key] = input[key];
+    }
+    // A length override must still fit with the profile's other bound
+    const resolved = resolvePolicy(policy);
+    if (resolved.maxLength !== null && resolved.maxLength < resolved.minLength) {
+      return { policy: null, errors: [`maxLength (${resolved.maxLength}) must not be less than minLength (${resolved.minLength})`] };
+    }
+    return { policy, errors };
+  }
+
+  // ======== Evaluation ========
+
+  // Check `metrics` (an analysis or a metrics payload) against a resolved
+  // policy. `options.password`, when given, is also checked against the
+  // blocklist. Returns { compliant, violations: [{ rule, message }], unchecked }
+  // where unchecked lists rules that could not be decided (e.g. the breach
+  // check has not run); they do not count against compliance.
+  function evaluatePolicy(policy, metrics, options = {}) {
+    const violations = [];
+    const unchecked = [];
+    const pattern = metrics.pattern || '';
+    const length = Number.isInteger(metrics.length) ? metrics.length : pattern.length;
+
+    if (length < policy.minLength) {
+      violations.push({ rule: 'minLength', message: `Password should be at least ${policy.minLength} characters.` });
+    }
+    if (policy.maxLength !== null && length > policy.maxLength) {
+      violations.push({ rule: 'maxLength', message: `Password should be at most ${policy.maxLength} characters.` });
+    }
+    for (const cls of policy.composition) {
+      if (!pattern.includes(COMPOSITION_CLASSES[cls].mask)) {
+        violations.push({ rule: 'composition', class: cls, message: COMPOSITION_CLASSES[cls].message });
+      }
+    }
+    if (policy.minGuessesLog10 !== null && metrics.guessesLog10 < policy.minGuessesLog10) {
+      violations.push({
+        rule: 'minGuesses',
+        message: `Too easy to guess (about 10^${metrics.guessesLog10} guesses; the policy requires 10^${policy.minGuessesLog10}).`
+      });
+    }
+    if (policy.blockBreached) {
+      if (metrics.breached === true) {
+        violations.push({ rule: 'breached', message: 'This password appears in known breaches.' });
+      } else if (metrics.breached !== false) {
+        unchecked.push('breached');
+      }
+    }
+    if (policy.blockContextWords && (metrics.segments || []).some(segment =>
+      segment.pattern === 'dictionary' && (segment.dictionary || segment.dictionaryName) === 'user_inputs')) {
+      violations.push({ rule: 'contextWords', message: 'Avoid your name, username and other words about you or the organisation.' });
+    }
+    if (policy.blocklist.length > 0) {
+      if (typeof options.password === 'string') {
+        const lower = options.password.toLowerCase();
+        const candidates = [lower, unleet(lower)];
+        const found = policy.blocklist.filter(term => candidates.some(text => text.includes(term)));
+        if (found.length > 0) {
+          violations.push({ rule: 'blocklist', terms: found, message: `Avoid blocked terms: ${found.join(', ')}.` });
+        }
+      } else {
+        unchecked.push('blocklist');
+      }
+    }
+
+    return { compliant: violations.length === 0, violations, unchecked };
+  }
+
+  // Words the strength estimator should treat as context (blocklist terms
+  // and the caller's own, e.g. the username), so they also lower the guess count.
+  function policyUserInputs(policy, userInputs = []) {
+    return Array.from(new Set([...policy.blocklist, ...userInputs.filter(Boolean)]));
+  }
+
+  // ======== Saved Policy (browser) ========
+  function defaultStorage() {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  }
+
+  // The saved policy configuration, falling back to the default profile.
+  function loadPolicy(storage = defaultStorage()) {
+    try {
+      const saved = storage && JSON.parse(storage.getItem(POLICY_STORAGE_KEY));
+      if (saved && validatePolicy(saved).policy) return saved;
+    } catch (error) {
+      // Corrupt entry: fall through to the default
+    }
+    return { profile: DEFAULT_PROFILE };
+  }
+
+  function savePolicy(config, storage = defaultStorage()) {
+    const { policy, errors } = validatePolicy(config);
+    if (!policy) throw new Error(errors.join('; '));
+    if (storage) storage.setItem(POLICY_STORAGE_KEY, JSON.stringify(policy));
+    return policy;
+  }
+
+  return {
+    PROFILES,
+    DEFAULT_PROFILE,
+    COMPOSITION_CLASSES,
+    LIMITS,
+    resolvePolicy,
+    validatePolicy,
+    evaluatePolicy,
+    policyUserInputs,
+    loadPolicy,
+    savePolicy
+  };
+});
@@ -0,0 +1,791 @@
+// password-strength.js - Pattern-aware password strength estimator
+// Browser: load password-wordlist.js first, then
+//          <script src="password-strength.js"></script>  -> window.PasswordStrength
+// Node:    const PasswordStrength = require("./password-strength");
+//
+// Splits a password into the cheapest sequence of guessable pieces
+// (dictionary words, l33t, keyboard walks, repeats, sequences, dates, years,
+// brute force) and estimates how many guesses an attacker needs, following
+// the approach of Dropbox's zxcvbn. All arithmetic on guess counts is done
+// in log10 so long passwords do not overflow.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./password-wordlist'));
+  } else {
+    root.PasswordStrength = factory(root.PasswordWordlist);
+  }
+})(typeof self !== 'undefined' ? self : this, function (PasswordWordlist) {
+  'use strict';
+
+  // ======== Constants ========
+  const REFERENCE_YEAR = new Date().getFullYear();
+  const MIN_YEAR_SPACE = 20;
+  const BRUTEFORCE_CARDINALITY = 10;
+  const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+  const MIN_SUBMATCH_GUESSES_SINGLE_CHAR = 10;
+  const MIN_SUBMATCH_GUESSES_MULTI_CHAR = 50;
+  const MAX_SEQUENCE_DELTA = 5;
+  // Characters beyond this are not matched, to bound matching cost; they are
+  // scored at the analyzed part's average rate (see estimateGuesses)
+  const MAX_ANALYZED_LENGTH = 100;
+
+  // Score thresholds (log10 guesses) for the 0-4 strength score
+  const SCORE_THRESHOLDS = [3, 6, 8, 10];
+
+  const PATTERNS = ['dictionary', 'spatial', 'repeat', 'sequence', 'date', 'year', 'bruteforce'];
+
+  const L33T_TABLE = {
+    a: ['4', '@'],
+    b: ['8'],
+    c: ['(', '{', '[', '<'],
+    e: ['3'],
+    g: ['6', '9'],
+    i: ['1', '!', '|'],
+    l: ['1', '|', '7'],
+    o: ['0'],
+    s: ['$', '5'],
+    t: ['+', '7'],
+    x: ['%'],
+    z: ['2']
+  };
+
+  // Keyboard rows as (unshifted, shifted) pairs. `offset` shifts each row
+  // right so that slanted neighbours line up (q sits below 1 and 2).
+  const KEYBOARDS = {
+    qwerty: {
+      slanted: true,
+      rows: [
+        { offset: 0, keys: ['`~', '1!', '2@', '3#', '4$', '5%', '6^', '7&', '8*', '9(', '0)', '-_', '=+'] },
+        { offset: 1, keys: ['qQ', 'wW', 'eE', 'rR', 'tT', 'yY', 'uU', 'iI', 'oO', 'pP', '[{', ']}', '\\|'] },
+        { offset: 1, keys: ['aA', 'sS', 'dD', 'fF', 'gG', 'hH', 'jJ', 'kK', 'lL', ';:', '\'"'] },
+        { offset: 1, keys: ['zZ', 'xX', 'cC', 'vV', 'bB', 'nN', 'mM', ',<', '.>', '/?'] }
+      ]
+    },
+    keypad: {
+      slanted: false,
+      rows: [
+        { offset: 1, keys: ['/', '*', '-'] },
+        { offset: 0, keys: ['7', '8', '9', '+'] },
+        { offset: 0, keys: ['4', '5', '6'] },
+        { offset: 0, keys: ['1', '2', '3'] },
+        { offset: 1, keys: ['0', '.'] }
+      ]
+    }
+  };
+
+  // ======== Math Helpers ========
+  function nCk(n, k) {
+    if (k > n) return 0;
+    if (k === 0) return 1;
+    let r = 1;
+    for (let d = 1; d <= k; d++) {
+      r *= n;
+      r /= d;
+      n -= 1;
+    }
+    return r;
+  }
+
+  function log10Factorial(n) {
+    let sum = 0;
+    for (let i = 2; i <= n; i++) sum += Math.log10(i);
+    return sum;
+  }
+
+  // log10(10^a + 10^b)
+  function log10Sum(a, b) {
+    const hi = Math.max(a, b);
+    const lo = Math.min(a, b);
+    return hi + Math.log10(1 + Math.pow(10, lo - hi));
+  }
+
+  // ======== Keyboard Graphs ========
+  function buildAdjacencyGraph({ slanted, rows }) {
+    const positions = new Map(); // "x,y" -> key token
+    rows.forEach((row, y) => {
+      row.keys.forEach((token, col) => positions.set(`${col + row.offset},${y}`, token));
+    });
+
+    const directions = slanted
+      ? [[-1, 0], [0, -1], [1, -1], [1, 0], [0, 1], [-1, 1]]
+      : [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+
+    const graph = {};
+    for (const [coords, token] of positions) {
+      const [x, y] = coords.split(',').map(Number);
+      const neighbours = directions.map(([dx, dy]) => positions.get(`${x + dx},${y + dy}`) || null);
+      for (const char of token) graph[char] = neighbours;
+    }
+    return graph;
+  }
+
+  function graphStats(graph) {
+    const keys = Object.keys(graph);
+    const degrees = keys.map(k => graph[k].filter(Boolean).length);
+    return {
+      startingPositions: keys.length,
+      averageDegree: degrees.reduce((a, b) => a + b, 0) / keys.length
+    };
+  }
+
+  const GRAPHS = {};
+  for (const name of Object.keys(KEYBOARDS)) {
+    const graph = buildAdjacencyGraph(KEYBOARDS[name]);
+    GRAPHS[name] = { graph, ...graphStats(graph) };
+  }
+
+  // ======== Dictionaries ========
+  let rankedCache = null;
+
+  function buildRankedDictionary(words) {
+    const ranked = new Map();
+    words.forEach((word, index) => {
+      const key = String(word).toLowerCase();
+      if (!ranked.has(key)) ranked.set(key, index + 1);
+    });
+    return ranked;
+  }
+
+  function rankedDictionaries(userInputs) {
+    if (!rankedCache || rankedCache.version !== PasswordWordlist.version) {
+      const dictionaries = {};
+      for (const [name, words] of Object.entries(PasswordWordlist.lists)) {
+        dictionaries[name] = buildRankedDictionary(words);
+      }
+      rankedCache = { version: PasswordWordlist.version, dictionaries };
+    }
+
+    if (!userInputs || userInputs.length === 0) return rankedCache.dictionaries;
+    const inputs = userInputs
+      .map(input => String(input).toLowerCase().trim())
+      .filter(Boolean);
+    return { ...rankedCache.dictionaries, user_inputs: buildRankedDictionary(inputs) };
+  }
+
+  // ======== Matchers ========
+  function dictionaryMatch(password, dictionaries) {
+    const matches = [];
+    const lower = password.toLowerCase();
+    const n = password.length;
+    for (const [dictionaryName, ranked] of Object.entries(dictionaries)) {
+      for (let i = 0; i < n; i++) {
+        for (let j = i; j < n; j++) {
+          const word = lower.slice(i, j + 1);
+          if (ranked.has(word)) {
+            matches.push({
+              pattern: 'dictionary',
+              i,
+              j,
+              token: password.slice(i, j + 1),
+              matchedWord: word,
+              rank: ranked.get(word),
+              dictionaryName,
+              reversed: false,
+              l33t: false
+            });
+          }
+        }
+      }
+    }
+    return matches;
+  }
+
+  function reverseDictionaryMatch(password, dictionaries) {
+    const reversed = Array.from(password).reverse().join('');
+    return dictionaryMatch(reversed, dictionaries)
+      .filter(match => match.j > match.i)
+      .map(match => ({
+        ...match,
+        token: Array.from(match.token).reverse().join(''),
+        reversed: true,
+        i: password.length - 1 - match.j,
+        j: password.length - 1 - match.i
+      }));
+  }
+
+  // Every way to map the l33t characters present to a single letter each.
+  function enumerateL33tSubs(password) {
+    const candidates = {}; // l33t char -> letters it may stand for
+    for (const [letter, subs] of Object.entries(L33T_TABLE)) {
+      for (const sub of subs) {
+        if (password.includes(sub)) (candidates[sub] = candidates[sub] || []).push(letter);
+      }
+    }
+
+    let maps = [{}];
+    for (const [sub, letters] of Object.entries(candidates)) {
+      maps = maps
+        .flatMap(map => letters.map(letter => ({ ...map, [sub]: letter })))
+        .slice(0, 64);
+    }
+    return maps.filter(map => Object.keys(map).length > 0);
+  }
+
+  function l33tMatch(password, dictionaries) {
+    const matches = [];
+    for (const sub of enumerateL33tSubs(password)) {
+      const translated = Array.from(password).map(char => sub[char] || char).join('');
+      for (const match of dictionaryMatch(translated, dictionaries)) {
+        const token = password.slice(match.i, match.j + 1);
+        if (token.toLowerCase() === match.matchedWord || token.length < 2) continue;
+        const usedSub = {};
+        for (const [l33tChar, letter] of Object.entries(sub)) {
+          if (token.includes(l33tChar)) usedSub[l33tChar] = letter;
+        }
+        matches.push({ ...match, token, l33t: true, sub: usedSub });
+      }
+    }
+    return matches;
+  }
+
+  function spatialMatch(password) {
+    const matches = [];
+    for (const [graphName, { graph }] of Object.entries(GRAPHS)) {
+      let i = 0;
+      while (i < password.length - 1) {
+        let j = i + 1;
+        let lastDirection = null;
+        let turns = 0;
+        let shiftedCount = graphName === 'qwerty' && isShifted(password[i]) ? 1 : 0;
+
+        for (;;) {
+          const prev = password[j - 1];
+          const adjacents = graph[prev] || [];
+          let found = false;
+          if (j < password.length) {
+            const cur = password[j];
+            let direction = -1;
+            for (const adj of adjacents) {
+              direction++;
+              if (!adj) continue;
+              const index = adj.indexOf(cur);
+              if (index !== -1) {
+                found = true;
+                if (index === 1) shiftedCount++;
+                if (lastDirection !== direction) {
+                  turns++;
+                  lastDirection = direction;
+                }
+                break;
+              }
+            }
+          }
+          if (found) {
+            j++;
+          } else {
+            if (j - i > 2) {
+              matches.push({
+                pattern: 'spatial',
+                i,
+                j: j - 1,
+                token: password.slice(i, j),
+                graph: graphName,
+                turns,
+                shiftedCount
+              });
+            }
+            i = j;
+            break;
+          }
+        }
+      }
+    }
+    return matches;
+  }
+
+  function isShifted(char) {
+    return /[~!@#$%^&*()_+{}|:"<>?A-Z]/.test(char);
+  }
+
+  function repeatMatch(password, dictionaries) {
+    const matches = [];
+    const greedy = /(.+)\1+/g;
+    const lazy = /(.+?)\1+/g;
+    const lazyAnchored = /^(.+?)\1+$/;
+    let lastIndex = 0;
+
+    while (lastIndex < password.length) {
+      greedy.lastIndex = lastIndex;
+      lazy.lastIndex = lastIndex;
+      const greedyMatch = greedy.exec(password);
+      const lazyMatch = lazy.exec(password);
+      if (!greedyMatch) break;
+
+      let match;
+      let baseToken;
+      if (greedyMatch[0].length > lazyMatch[0].length) {
+        match = greedyMatch;
+        baseToken = lazyAnchored.exec(match[0])[1];
+      } else {
+        match = lazyMatch;
+        baseToken = match[1];
+      }
+
+      const i = match.index;
+      const j = i + match[0].length - 1;
+      const base = mostGuessableSequence(baseToken, omnimatch(baseToken, dictionaries));
+      matches.push({
+        pattern: 'repeat',
+        i,
+        j,
+        token: match[0],
+        baseToken,
+        baseGuessesLog10: base.guessesLog10,
+        repeatCount: match[0].length / baseToken.length
+      });
+      lastIndex = j + 1;
+    }
+    return matches;
+  }
+
+  function sequenceMatch(password) {
+    const matches = [];
+    if (password.length === 1) return matches;
+
+    const update = (i, j, delta) => {
+      if (j - i > 1 || Math.abs(delta) === 1) {
+        if (delta !== 0 && Math.abs(delta) <= MAX_SEQUENCE_DELTA) {
+          const token = password.slice(i, j + 1);
+          let sequenceName = 'unicode';
+          let sequenceSpace = 26;
+          if (/^[a-z]+$/.test(token)) {
+            sequenceName = 'lower';
+          } else if (/^[A-Z]+$/.test(token)) {
+            sequenceName = 'upper';
+          } else if (/^\d+$/.test(token)) {
+            sequenceName = 'digits';
+            sequenceSpace = 10;
+          }
+          matches.push({ pattern: 'sequence', i, j, token, sequenceName, sequenceSpace, ascending: delta > 0 });
+        }
+      }
+    };
+
+    let i = 0;
+    let lastDelta = null;
+    for (let k = 1; k < password.length; k++) {
+      const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+      if (lastDelta === null) lastDelta = delta;
+      if (delta === lastDelta) continue;
+      update(i, k - 1, lastDelta);
+      i = k - 1;
+      lastDelta = delta;
+    }
+    update(i, password.length - 1, lastDelta);
+    return matches.filter(match => match.j - match.i >= 2);
+  }
+
+  function yearMatch(password) {
+    const matches = [];
+    const regex = /19\d\d|20\d\d/g;
+    let match;
+    while ((match = regex.exec(password)) !== null) {
+      matches.push({
+        pattern: 'year',
+        i: match.index,
+        j: match.index + 3,
+        token: match[0],
+        year: parseInt(match[0], 10)
+      });
+    }
+    return matches;
+  }
+
+  function twoToFourDigitYear(year) {
+    if (year > 99) return year;
+    if (year > 50) return year + 1900;
+    return year + 2000;
+  }
+
+  // Interpret three integers as a day/month/year in any common order.
+  function mapIntsToDmy(ints) {
+    if (ints[1] > 31 || ints[1] <= 0) return null;
+    let over12 = 0;
+    let over31 = 0;
+    let under1 = 0;
+    for (const int of ints) {
+      if ((int > 99 && int < 1000) || int > 2050) return null;
+      if (int > 31) over31++;
+      if (int > 12) over12++;
+      if (int <= 0) under1++;
+    }
+    if (over31 >= 2 || over12 === 3 || under1 >= 2) return null;
+
+    const candidates = [[ints[2], ints.slice(0, 2)], [ints[0], ints.slice(1, 3)]];
+    for (const [year, rest] of candidates) {
+      if (year >= 1000 && year <= 2050) {
+        const dm = mapIntsToDm(rest);
+        return dm ? { year, month: dm.month, day: dm.day } : null;
+      }
+    }
+    for (const [year, rest] of candidates) {
+      const dm = mapIntsToDm(rest);
+      if (dm) return { year: twoToFourDigitYear(year), month: dm.month, day: dm.day };
+    }
+    return null;
+  }
+
+  function mapIntsToDm([a, b]) {
+    for (const [day, month] of [[a, b], [b, a]]) {
+      if (day >= 1 && day <= 31 && month >= 1 && month <= 12) return { day, month };
+    }
+    return null;
+  }
+
+  function dateMatch(password) {
+    const matches = [];
+
+    // Without separators: 4-8 digits split into three parts
+    for (let i = 0; i <= password.length - 4; i++) {
+      for (let j = i + 3; j <= i + 7 && j < password.length; j++) {
+        const token = password.slice(i, j + 1);
+        if (!/^\d+$/.test(token)) continue;
+        let best = null;
+        for (let a = 1; a <= 4; a++) {
+          for (let b = a + 1; b <= a + 4 && b < token.length; b++) {
+            if (token.length - b > 4) continue;
+            const dmy = mapIntsToDmy([token.slice(0, a), token.slice(a, b), token.slice(b)].map(Number));
+            if (!dmy) continue;
+            const distance = Math.abs(dmy.year - REFERENCE_YEAR);
+            if (!best || distance < Math.abs(best.year - REFERENCE_YEAR)) best = dmy;
+          }
+        }
+        if (best) matches.push({ pattern: 'date', i, j, token, separator: '', ...best });
+      }
+    }
+
+    // With separators: 1/1/91, 2023-01-31, 31.12.99
+    const separated = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/;
+    for (let i = 0; i <= password.length - 6; i++) {
+      for (let j = i + 5; j <= i + 9 && j < password.length; j++) {
+        const token = password.slice(i, j + 1);
+        const parts = separated.exec(token);
+        if (!parts) continue;
+        const dmy = mapIntsToDmy([parts[1], parts[3], parts[4]].map(Number));
+        if (dmy) matches.push({ pattern: 'date', i, j, token, separator: parts[2], ...dmy });
+      }
+    }
+
+    return matches;
+  }
+
+  function omnimatch(password, dictionaries) {
+    const matches = [
+      ...dictionaryMatch(password, dictionaries),
+      ...reverseDictionaryMatch(password, dictionaries),
+      ...l33tMatch(password, dictionaries),
+      ...spatialMatch(password),
+      ...repeatMatch(password, dictionaries),
+      ...sequenceMatch(password),
+      ...yearMatch(password),
+      ...dateMatch(password)
+    ];
+    return matches.sort((a, b) => (a.i - b.i) || (a.j - b.j));
+  }
+
+  // ======== Guess Estimation ========
+  function uppercaseVariations(token) {
+    if (/^[^A-Z]*$/.test(token) || token.toLowerCase() === token) return 1;
+    for (const regex of [/^[A-Z][^A-Z]+$/, /^[^A-Z]+[A-Z]$/, /^[^a-z]+$/]) {
+      if (regex.test(token)) return 2;
+    }
+    const upper = (token.match(/[A-Z]/g) || []).length;
+    const lower = (token.match(/[a-z]/g) || []).length;
+    let variations = 0;
+    for (let i = 1; i <= Math.min(upper, lower); i++) variations += nCk(upper + lower, i);
+    return variations;
+  }
+
+  function l33tVariations(match) {
+    if (!match.l33t) return 1;
+    let variations = 1;
+    const chars = Array.from(match.token.toLowerCase());
+    for (const [l33tChar, letter] of Object.entries(match.sub)) {
+      const subbed = chars.filter(c => c === l33tChar).length;
+      const unsubbed = chars.filter(c => c === letter).length;
+      if (subbed === 0 || unsubbed === 0) {
+        variations *= 2;
+      } else {
+        let possibilities = 0;
+        for (let i = 1; i <= Math.min(subbed, unsubbed); i++) possibilities += nCk(subbed + unsubbed, i);
+        variations *= possibilities;
+      }
+    }
+    return variations;
+  }
+
+  function spatialGuesses(match) {
+    const { startingPositions, averageDegree } = GRAPHS[match.graph];
+    const length = match.token.length;
+    let guesses = 0;
+    for (let i = 2; i <= length; i++) {
+      const possibleTurns = Math.min(match.turns, i - 1);
+      for (let j = 1; j <= possibleTurns; j++) {
+        guesses += nCk(i - 1, j - 1) * startingPositions * Math.pow(averageDegree, j);
+      }
+    }
+    if (match.shiftedCount) {
+      const shifted = match.shiftedCount;
+      const unshifted = length - shifted;
+      if (unshifted === 0) {
+        guesses *= 2;
+      } else {
+        let variations = 0;
+        for (let i = 1; i <= Math.min(shifted, unshifted); i++) variations += nCk(shifted + unshifted, i);
+        guesses *= variations;
+      }
+    }
+    return guesses;
+  }
+
+  function sequenceGuesses(match) {
+    const first = match.token.charAt(0);
+    let base = match.sequenceSpace;
+    if (['a', 'A', 'z', 'Z', '0', '1', '9'].includes(first)) {
+      base = 4;
+    }
+    if (!match.ascending) base *= 2;
+    return base * match.token.length;
+  }
+
+  function yearSpace(year) {
+    return Math.max(Math.abs(year - REFERENCE_YEAR), MIN_YEAR_SPACE);
+  }
+
+  // log10 of the guesses needed for a single match, ignoring its neighbours.
+  function matchGuessesLog10(match, passwordLength) {
+    if (match.guessesLog10 !== undefined) return match.guessesLog10;
+
+    let log;
+    switch (match.pattern) {
+      case 'bruteforce':
+        log = Math.max(
+          match.token.length * Math.log10(BRUTEFORCE_CARDINALITY),
+          Math.log10((match.token.length === 1 ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR : MIN_SUBMATCH_GUESSES_MULTI_CHAR) + 1)
+        );
+        break;
+      case 'dictionary':
+        log = Math.log10(match.rank * uppercaseVariations(match.token) * l33tVariations(match) * (match.reversed ? 2 : 1));
+        break;
+      case 'spatial':
+        log = Math.log10(spatialGuesses(match));
+        break;
+      case 'repeat':
+        log = match.baseGuessesLog10 + Math.log10(match.repeatCount);
+        break;
+      case 'sequence':
+        log = Math.log10(sequenceGuesses(match));
+        break;
+      case 'year':
+        log = Math.log10(yearSpace(match.year));
+        break;
+      case 'date':
+        log = Math.log10(yearSpace(match.year) * 365 * (match.separator ? 4 : 1));
+        break;
+      default:
+        log = match.token.length * Math.log10(BRUTEFORCE_CARDINALITY);
+    }
+
+    if (match.pattern !== 'bruteforce' && match.token.length < passwordLength) {
+      const minimum = match.token.length === 1 ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR : MIN_SUBMATCH_GUESSES_MULTI_CHAR;
+      log = Math.max(log, Math.log10(minimum));
+    }
+
+    match.guessesLog10 = log;
+    return log;
+  }
+
+  // Log10 guesses added by the characters past MAX_ANALYZED_LENGTH. A tail that
+  // keeps repeating the last `period` characters is more repeats of them, which
+  // only multiplies the repeat count; any other tail adds no more per character
+  // than the analyzed part did on average, and never more than brute force.
+  function tailGuessesLog10(password, analyzedLength, analyzedLog10) {
+    const tailLength = password.length - analyzedLength;
+    if (tailLength <= 0) return 0;
+    for (let period = 1; period <= analyzedLength / 2; period++) {
+      let i = analyzedLength;
+      while (i < password.length && password[i] === password[i - period]) i++;
+      if (i === password.length) return Math.log10(password.length / analyzedLength);
+    }
+    return tailLength * Math.min(analyzedLog10 / analyzedLength, Math.log10(BRUTEFORCE_CARDINALITY));
+  }
+
+  // ======== Optimal Match Sequence ========
+
+  // Dynamic programme over (end position, number of matches) that picks the
+  // sequence minimising l! * prod(guesses) + D^(l-1), as in zxcvbn.
+  function mostGuessableSequence(password, matches) {
+    const n = password.length;
+    if (n === 0) return { guessesLog10: 0, sequence: [] };
+
+    const byEnd = Array.from({ length: n }, () => []);
+    for (const match of matches) byEnd[match.j].push(match);
+
+    // optimal[k]: Map of sequence length -> { match, logPi, logG }
+    const optimal = Array.from({ length: n }, () => new Map());
+    const logD = Math.log10(MIN_GUESSES_BEFORE_GROWING_SEQUENCE);
+
+    const update = (match, length) => {
+      const k = match.j;
+      let logPi = matchGuessesLog10(match, n);
+      if (length > 1) logPi += optimal[match.i - 1].get(length - 1).logPi;
+      const logG = log10Sum(log10Factorial(length) + logPi, logD * (length - 1));
+
+      for (const [otherLength, other] of optimal[k]) {
+        if (otherLength > length) continue;
+        if (other.logG <= logG) return;
+      }
+      optimal[k].set(length, { match, logPi, logG });
+    };
+
+    const bruteforce = (i, j) => ({ pattern: 'bruteforce', i, j, token: password.slice(i, j + 1) });
+
+    for (let k = 0; k < n; k++) {
+      for (const match of byEnd[k]) {
+        if (match.i > 0) {
+          for (const length of Array.from(optimal[match.i - 1].keys())) update(match, length + 1);
+        } else {
+          update(match, 1);
+        }
+      }
+
+      update(bruteforce(0, k), 1);
+      for (let i = 1; i <= k; i++) {
+        const match = bruteforce(i, k);
+        for (const [length, previous] of Array.from(optimal[i - 1])) {
+          if (previous.match.pattern === 'bruteforce') continue;
+          update(match, length + 1);
+        }
+      }
+    }
+
+    let bestLength = null;
+    let bestLogG = Infinity;
+    for (const [length, candidate] of optimal[n - 1]) {
+      if (candidate.logG < bestLogG) {
+        bestLength = length;
+        bestLogG = candidate.logG;
+      }
+    }
+
+    const sequence = [];
+    let k = n - 1;
+    let length = bestLength;
+    while (k >= 0) {
+      const { match } = optimal[k].get(length);
+      sequence.unshift(match);
+      k = match.i - 1;
+      length--;
+    }
+
+    return { guessesLog10: bestLogG, sequence };
+  }
+
+  // ======== Feedback ========
+  const DEFAULT_SUGGESTIONS = [
+    'Use a few words, avoid common phrases.',
+    'No need for symbols, digits, or uppercase letters.'
+  ];
+
+  function dictionaryWarning(match, isSoleMatch) {
+    if (match.dictionaryName === 'passwords') {
+      if (isSoleMatch && !match.l33t && !match.reversed) {
+        if (match.rank <= 10) return 'This is a top-10 common password.';
+        if (match.rank <= 100) return 'This is a top-100 common password.';
+        return 'This is a very common password.';
+      }
+      return 'This is similar to a commonly used password.';
+    }
+    if (match.dictionaryName === 'english') {
+      return isSoleMatch ? 'A word by itself is easy to guess.' : '';
+    }
+    if (match.dictionaryName === 'names') {
+      return isSoleMatch ? 'Names and surnames by themselves are easy to guess.' : 'Common names and surnames are easy to guess.';
+    }
+    if (match.dictionaryName === 'user_inputs') {
+      return 'Avoid your name, username or other personal details.';
+    }
+    return '';
+  }
+
+  function getFeedback(score, sequence) {
+    if (sequence.length === 0) return { warning: '', suggestions: DEFAULT_SUGGESTIONS.slice() };
+    if (score > 2) return { warning: '', suggestions: [] };
+
+    const longest = sequence.reduce((a, b) => (b.token.length > a.token.length ? b : a));
+    const suggestions = ['Add another word or two. Uncommon words are better.'];
+    let warning = '';
+
+    switch (longest.pattern) {
+      case 'dictionary': {
+        warning = dictionaryWarning(longest, sequence.length === 1);
+        const word = longest.token;
+        if (/^[A-Z][^A-Z]+$/.test(word)) {
+          suggestions.push("Capitalization doesn't help very much.");
+        } else if (/^[^a-z]+$/.test(word) && word.toLowerCase() !== word) {
+          suggestions.push('All-uppercase is almost as easy to guess as all-lowercase.');
+        }
+        if (longest.reversed && word.length >= 4) suggestions.push("Reversed words aren't much harder to guess.");
+        if (longest.l33t) suggestions.push("Predictable substitutions like '@' instead of 'a' don't help very much.");
+        break;
+      }
+      case 'spatial':
+        warning = longest.turns === 1 ? 'Straight rows of keys are easy to guess.' : 'Short keyboard patterns are easy to guess.';
+        suggestions.push('Use a longer keyboard pattern with more turns.');
+        break;
+      case 'repeat':
+        warning = longest.baseToken.length === 1
+          ? 'Repeats like "aaa" are easy to guess.'
+          : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc".';
+        suggestions.push('Avoid repeated words and characters.');
+        break;
+      case 'sequence':
+        warning = 'Sequences like abc or 6543 are easy to guess.';
+        suggestions.push('Avoid sequences.');
+        break;
+      case 'year':
+        warning = 'Recent years are easy to guess.';
+        suggestions.push('Avoid recent years.', 'Avoid years that are associated with you.');
+        break;
+      case 'date':
+        warning = 'Dates are often easy to guess.';
+        suggestions.push('Avoid dates and years that are associated with you.');
+        break;
+    }
+
+    return { warning, suggestions };
+  }
+
+  // ======== Public API ========
+  function scoreFromGuessesLog10(guessesLog10) {
+    const index = SCORE_THRESHOLDS.findIndex(threshold => guessesLog10 < threshold);
+    return index === -1 ? SCORE_THRESHOLDS.length : index;
+  }
+
+  // Estimate the guesses needed to crack `password`. `options.userInputs`
+  // adds context words (username, company name, ...) as a top-ranked list.
+  function estimateGuesses(password, options = {}) {
+    const dictionaries = rankedDictionaries(options.userInputs);
+    const analyzed = password.slice(0, MAX_ANALYZED_LENGTH);
+    const result = mostGuessableSequence(analyzed, omnimatch(analyzed, dictionaries));
+    const { sequence } = result;
+    const guessesLog10 = result.guessesLog10 + tailGuessesLog10(password, analyzed.length, result.guessesLog10);
+    const score = scoreFromGuessesLog10(guessesLog10);
+
+    return {
+      guessesLog10,
+      guesses: Math.min(Math.pow(10, guessesLog10), Number.MAX_VALUE),
+      score,
+      sequence,
+      feedback: getFeedback(score, sequence)
+    };
+  }
+
+  return {
+    PATTERNS,
+    SCORE_THRESHOLDS,
+    estimateGuesses,
+    scoreFromGuessesLog10
+  };
+});
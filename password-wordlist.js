@@ -0,0 +1,116 @@
+// password-wordlist.js - Bundled offline wordlists for the strength estimator
+// Browser: <script src="password-wordlist.js"></script>  -> window.PasswordWordlist
+// Node:    const PasswordWordlist = require("./password-wordlist");
+//
+// Each list is ordered by frequency: the index of a word is its rank, and a
+// lower rank means an attacker tries it earlier. The lists are compact so the
+// pages stay light; extend them with PasswordWordlist.extend().
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PasswordWordlist = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const passwords = `
+    123456 password 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon
+    123123 baseball abc123 football monkey letmein 696969 shadow master 666666
+    qwertyuiop 123321 mustang 1234567890 michael 654321 superman 1qaz2wsx 7777777 121212
+    000000 qazwsx 123qwe killer trustno1 jordan jennifer zxcvbnm asdfgh hunter
+    buster soccer harley batman andrew tigger sunshine iloveyou 2000 charlie
+    robert thomas hockey ranger daniel starwars klaster 112233 george computer
+    michelle jessica pepper 1111 zxcvbn 555555 11111111 131313 freedom 777777
+    pass maggie 159753 aaaaaa ginger princess joshua cheese amanda summer
+    love ashley nicole chelsea biteme matthew access yankees 987654321 dallas
+    austin thunder taylor matrix welcome admin login passw0rd changeme secret
+    hello whatever qwerty123 password1 football1 iloveyou1 monkey1 letmein1 abc1234 qwe123
+    1q2w3e4r 1q2w3e 1qaz2wsx3edc zaq12wsx zaq1zaq1 q1w2e3r4 a1b2c3 aa123456 666666666 00000000
+    blink182 flower hannah samsung secret1 123abc 654321a google lovely cookie
+    daniel1 purple orange silver golden diamond midnight 8675309 tinkerbell snoopy
+    peanut chocolate butterfly liverpool arsenal barcelona chelsea1 london 147258369 147258
+    asdfghjkl asdf1234 qwertyu 1qazxsw2 passpass password123 password12 admin123 root toor
+    guest test test123 default master1 welcome1 hello123 sunshine1 princess1 starwars1
+  `.trim().split(/\s+/);
+
+  const english = `
+    the of and to in is you that it he was for on are as with his they at be this have
+    from one had word but not what all were when your can said there use each which she
+    do how their time if will way about many then them write would like so these her long
+    make thing see him two has look more day could come did number sound most people my
+    over know water than call first who may down side been now find any new work part take
+    get place made live where after back little only round man year came show every good me
+    give our under name very through just form great think say help low line turn cause much
+    mean before move right boy old too same tell does set three want air well also play small
+    end put home read hand port large spell add even land here must big high such follow act
+    why ask men change went light kind off need house picture try us again animal point mother
+    world near build self earth father head stand own page should country found answer school
+    grow study still learn plant cover food sun four thought let keep eye never last door
+    between city tree cross since hard start might story saw far sea draw left late run while
+    press close night real life few stop open seem together next white children begin got walk
+    example ease paper often always music those both mark book letter until mile river car feet
+    care second group carry took rain eat room friend began idea fish mountain north once base
+    hear horse cut sure watch color face wood main enough plain girl usual young ready above
+    ever red list though feel talk bird soon body dog family direct pose leave song measure
+    state product black short numeral class wind question happen complete ship area half rock
+    order fire south problem piece told knew pass farm top whole king size heard best hour better
+    true during hundred am remember step early hold west ground interest reach fast five sing
+    listen six table travel less morning ten simple several vowel toward war lay against pattern
+    slow center person money serve appear road map science rule govern pull cold notice voice
+    fall power town fine certain fly unit lead cry dark machine note wait plan figure star box
+    noun field rest correct able pound done beauty drive stood contain front teach week final
+    gave green oh quick develop sleep warm free minute strong special mind behind clear tail
+    produce fact street inch lot nothing course stay wheel full force blue object decide surface
+    deep moon island foot yet busy test record boat common gold possible plane age dry wonder
+    laugh thousand ago ran check game shape yes hot miss brought heat snow bed bring sit perhaps
+    fill east weight language among winter spring autumn summer happy angel heart baby sweet
+    secret magic dream hope lucky sunny flower apple orange banana cherry lemon tiger lion eagle
+    wolf bear shark snake rabbit kitty puppy horse pony unicorn rainbow pirate ninja wizard
+    knight castle dragon shadow ghost monster zombie hunter soldier captain doctor teacher
+    coffee pizza cookie candy sugar honey butter cheese chicken football soccer hockey tennis
+    guitar piano party beach ocean forest desert storm thunder lightning silver golden diamond
+    crystal purple yellow pink brown grey jesus god heaven church christmas holiday
+  `.trim().split(/\s+/);
+
+  const names = `
+    james john robert michael william david richard joseph thomas charles christopher daniel
+    matthew anthony mark donald steven paul andrew joshua kenneth kevin brian george edward
+    ronald timothy jason jeffrey ryan jacob gary nicholas eric jonathan stephen larry justin
+    scott brandon benjamin samuel frank gregory raymond alexander patrick jack dennis jerry
+    tyler aaron henry adam peter nathan zachary kyle walter harold jeremy ethan carl keith
+    mary patricia jennifer linda elizabeth barbara susan jessica sarah karen nancy lisa betty
+    margaret sandra ashley kimberly emily donna michelle dorothy carol amanda melissa deborah
+    stephanie rebecca sharon laura cynthia kathleen amy shirley angela helen anna brenda
+    pamela nicole emma samantha katherine christine debra rachel catherine carolyn janet ruth
+    maria heather diane virginia julie joyce victoria olivia kelly christina lauren joan
+    smith johnson williams brown jones garcia miller davis rodriguez martinez hernandez lopez
+    gonzalez wilson anderson taylor moore jackson martin lee perez thompson harris sanchez
+    clark ramirez lewis robinson walker young allen king wright scott torres nguyen hill
+    flores green adams nelson baker hall rivera campbell mitchell carter roberts
+  `.trim().split(/\s+/);
+
+  const lists = { passwords, english, names };
+  let version = 0;
+
+  // Append extra words (lowest priority) to a named list, creating it if needed.
+  function extend(listName, words) {
+    if (!lists[listName]) lists[listName] = [];
+    for (const word of words) {
+      const normalized = String(word).trim().toLowerCase();
+      if (normalized && !lists[listName].includes(normalized)) {
+        lists[listName].push(normalized);
+      }
+    }
+    version++;
+    return lists[listName];
+  }
+
+  return {
+    lists,
+    extend,
+    // Incremented by extend() so callers can invalidate derived caches
+    get version() { return version; }
+  };
+});
@@ -0,0 +1,187 @@
+// privacy.js - What may be stored about a client: IP anonymisation and field redaction
+//
+// A policy is { ipMode, redact }. ipMode decides what is kept of the client's
+// IP address, from least to most private:
+//
+//   full      the address as received
+//   hash      HMAC-SHA256 of the address under the host's key ("hash:<hex>"):
+//             rows from one address still group together, but the address
+//             cannot be recovered without the key
+//   truncate  the network only: IPv4 to /24, IPv6 to /48
+//   none      nothing
+//
+// redact lists fields removed before a record is stored. The host policy comes
+// from the environment; a room can only make it stricter:
+//
+//   const policy = mergePolicies(hostPolicy, room.settings.privacy);
+//   collection.insertOne(applyPrivacy(record, policy, key));
+
+const crypto = require("crypto");
+const net = require("net");
+
+const IP_MODES = ['full', 'hash', 'truncate', 'none'];
+
+const LIMITS = {
+  MIN_RETENTION_DAYS: 1,
+  MAX_RETENTION_DAYS: 3650
+};
+
+const KEY_ID = 'privacy'; // server_keys document holding the IP hashing key
+
+// IPv6 address as eight 16-bit groups, or null
+function expandIPv6(ip) {
+  let [head, tail] = ip.split('::');
+  const parse = part => (part ? part.split(':') : []);
+  let groups = parse(head);
+  let rest = tail !== undefined ? parse(tail) : [];
+  // An embedded IPv4 address (e.g. ::ffff:192.0.2.1) takes two groups
+  const last = tail !== undefined ? rest : groups;
+  if (last.length > 0 && net.isIPv4(last[last.length - 1])) {
+    const [a, b, c, d] = last.pop().split('.').map(Number);
+    last.push(((a << 8) | b).toString(16), ((c << 8) | d).toString(16));
+  }
+  if (tail !== undefined) {
+    groups = groups.concat(new Array(8 - groups.length - rest.length).fill('0'), rest);
+  }
+  return groups.length === 8 ? groups.map(group => parseInt(group, 16)) : null;
+}
+
+// Zero the host part of an address; null when it is not an IP address
+function truncateIp(ip) {
+  if (typeof ip !== 'string') return null;
+  const address = ip.split('%')[0]; // drop an IPv6 zone
+  if (net.isIPv4(address)) {
+    return address.split('.').slice(0, 3).concat('0').join('.');
+  }
+  if (!net.isIPv6(address)) return null;
+  // IPv4-mapped addresses are IPv4 clients behind a dual-stack socket
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return `::ffff:${truncateIp(mapped[1])}`;
+  const groups = expandIPv6(address);
+  if (!groups) return null;
+  const network = groups.slice(0, 3).concat(0, 0, 0, 0, 0).map(group => group.toString(16)).join(':');
+  return new URL(`http://[${network}]`).hostname.slice(1, -1); // canonical (compressed) form
+}
+
+function hashIp(ip, key) {
+  if (typeof ip !== 'string' || ip === '') return null;
+  if (!key) throw new Error('IP hashing needs a key');
+  return `hash:${crypto.createHmac('sha256', key).update(ip).digest('hex').slice(0, 32)}`;
+}
+
+function anonymizeIp(ip, mode, key) {
+  switch (mode) {
+    case 'full':
+      return ip === undefined ? null : ip;
+    case 'hash':
+      return hashIp(ip, key);
+    case 'truncate':
+      return truncateIp(ip);
+    default:
+      return null;
+  }
+}
+
+// Copy of `record` with the policy applied to its IP field and redacted fields removed
+function applyPrivacy(record, policy, key, { ipField = 'ip' } = {}) {
+  const result = { ...record };
+  if (Object.prototype.hasOwnProperty.call(result, ipField)) {
+    const ip = anonymizeIp(result[ipField], policy.ipMode, key);
+    if (ip === null) delete result[ipField];
+    else result[ipField] = ip;
+  }
+  for (const field of policy.redact) delete result[field];
+  return result;
+}
+
+// The stricter of two IP modes
+function stricterIpMode(a, b) {
+  return IP_MODES[Math.max(IP_MODES.indexOf(a), IP_MODES.indexOf(b))];
+}
+
+// Apply a room's settings on top of the host policy; they can only add privacy
+function mergePolicies(hostPolicy, roomPolicy) {
+  if (!roomPolicy) return hostPolicy;
+  return {
+    ipMode: roomPolicy.ipMode ? stricterIpMode(hostPolicy.ipMode, roomPolicy.ipMode) : hostPolicy.ipMode,
+    redact: Array.from(new Set([...hostPolicy.redact, ...(roomPolicy.redact || [])]))
+  };
+}
+
+function parseFieldList(value) {
+  return String(value || '').split(',').map(field => field.trim()).filter(Boolean);
+}
+
+// Host policy from PRIVACY_IP_MODE (default `defaultIpMode`) and
+// PRIVACY_REDACT_FIELDS (comma-separated); throws on unknown modes or fields
+function policyFromEnv(env, { redactable, defaultIpMode = 'full' }) {
+  const ipMode = env.PRIVACY_IP_MODE || defaultIpMode;
+  if (!IP_MODES.includes(ipMode)) {
+    throw new Error(`PRIVACY_IP_MODE must be one of ${IP_MODES.join(', ')}`);
+  }
+  const redact = parseFieldList(env.PRIVACY_REDACT_FIELDS);
+  const unknown = redact.filter(field => !redactable.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`PRIVACY_REDACT_FIELDS: cannot redact ${unknown.join(', ')}; allowed: ${redactable.join(', ')}`);
+  }
+  return { ipMode, redact };
+}
+
+// Validate a room's privacy settings { ipMode, redact, retentionDays }; null
+// clears a setting. Returns { settings, errors } with only the given keys in settings.
+function validatePrivacySettings(input, { redactable }) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { settings: null, errors: ['Privacy settings must be an object'] };
+  }
+
+  const settings = {};
+  const unknown = Object.keys(input).filter(key => !['ipMode', 'redact', 'retentionDays'].includes(key));
+  if (unknown.length > 0) errors.push(`Unknown settings: ${unknown.join(', ')}`);
+
+  if (input.ipMode !== undefined) {
+    if (input.ipMode !== null && !IP_MODES.includes(input.ipMode)) {
+      errors.push(`ipMode must be one of ${IP_MODES.join(', ')}`);
+    }
+    settings.ipMode = input.ipMode;
+  }
+  if (input.redact !== undefined) {
+    if (input.redact !== null && !(Array.isArray(input.redact) && input.redact.every(field => redactable.includes(field)))) {
+      errors.push(`redact must be a list of fields from ${redactable.join(', ')}`);
+    }
+    settings.redact = input.redact && Array.from(new Set(input.redact));
+  }
+  if (input.retentionDays !== undefined) {
+    const days = input.retentionDays;
+    if (days !== null && !(Number.isInteger(days) && days >= LIMITS.MIN_RETENTION_DAYS && days <= LIMITS.MAX_RETENTION_DAYS)) {
+      errors.push(`retentionDays must be an integer between ${LIMITS.MIN_RETENTION_DAYS} and ${LIMITS.MAX_RETENTION_DAYS}`);
+    }
+    settings.retentionDays = days;
+  }
+  return { settings: errors.length > 0 ? null : settings, errors };
+}
+
+// The IP hashing key: PRIVACY_IP_KEY, else a random key kept in `keysCollection`
+async function loadHashKey(keysCollection, env = process.env) {
+  if (env.PRIVACY_IP_KEY) return Buffer.from(env.PRIVACY_IP_KEY, 'utf8');
+  await keysCollection.updateOne(
+    { _id: KEY_ID },
+    { $setOnInsert: { key: crypto.randomBytes(32).toString('base64'), createdAt: new Date() } },
+    { upsert: true }
+  );
+  const doc = await keysCollection.findOne({ _id: KEY_ID });
+  return Buffer.from(doc.key, 'base64');
+}
+
+module.exports = {
+  IP_MODES,
+  LIMITS,
+  truncateIp,
+  hashIp,
+  anonymizeIp,
+  applyPrivacy,
+  mergePolicies,
+  policyFromEnv,
+  validatePrivacySettings,
+  loadHashKey
+};
@@ -0,0 +1,213 @@
+// prometheus.js - Counters, gauges and histograms in the Prometheus text and OpenMetrics formats
+//
+//   const registry = new Registry();
+//   const messages = registry.counter({ name: 'app_messages', help: 'Messages received', labelNames: ['type'] });
+//   messages.inc({ type: 'hello' });
+//   registry.gauge({ name: 'app_rooms', help: 'Rooms', collect: gauge => gauge.set({}, rooms.size) });
+//   res.type(contentType(format)).send(await registry.expose(format));
+//
+// Counters are named without the _total suffix, which is added to their
+// samples. Gauges with a `collect` function are reset and filled in again on
+// every scrape, so label sets that went away (e.g. deleted rooms) disappear.
+
+const { logger } = require("./logger");
+
+const FORMATS = {
+  prometheus: 'text/plain; version=0.0.4; charset=utf-8',
+  openmetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+};
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// The format a scraper asked for in its Accept header
+function negotiateFormat(accept) {
+  return /application\/openmetrics-text/.test(accept || '') ? 'openmetrics' : 'prometheus';
+}
+
+function contentType(format) {
+  return FORMATS[format];
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect = null }) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) throw new Error(`Invalid metric name ${name}`);
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.series = new Map(); // label values key -> { labels, ... }
+  }
+
+  // The series for `labels`, created on first use
+  seriesFor(labels = {}, create) {
+    const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, create(Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]))));
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) throw new Error('Counters can only increase');
+    this.seriesFor(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value += value;
+  }
+
+  samples() {
+    return Array.from(this.series.values(), ({ labels, value }) => [`${this.name}_total`, labels, value]);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  samples() {
+    return Array.from(this.series.values(), ({ labels, value }) => [this.name, labels, value]);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, seriesLabels => ({
+      labels: seriesLabels,
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Observe the seconds until the returned function is called
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  }
+
+  samples() {
+    const samples = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        samples.push([`${this.name}_bucket`, { ...labels, le: formatValue(bound) }, counts[i]]);
+      });
+      samples.push([`${this.name}_bucket`, { ...labels, le: '+Inf' }, count]);
+      samples.push([`${this.name}_sum`, labels, sum]);
+      samples.push([`${this.name}_count`, labels, count]);
+    }
+    return samples;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map(); // name -> metric
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  // Every metric in `format` ('prometheus' or 'openmetrics'); a failing
+  // collect function leaves its metric empty rather than failing the scrape
+  async expose(format = 'prometheus') {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        metric.reset();
+        try {
+          await metric.collect(metric);
+        } catch (error) {
+          logger.error('Failed to collect metric', { metric: metric.name, error });
+        }
+      }
+      // Prometheus text names the counter family after its samples, OpenMetrics without _total
+      const family = metric.type === 'counter' && format === 'prometheus' ? `${metric.name}_total` : metric.name;
+      lines.push(`# HELP ${family} ${escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${family} ${metric.type}`);
+      for (const [name, labels, value] of metric.samples()) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    }
+    if (format === 'openmetrics') lines.push('# EOF');
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  negotiateFormat,
+  contentType
+};
@@ -0,0 +1,133 @@
+// reuse-fingerprint.js - Room-keyed password fingerprints for reuse detection
+// Browser: <script src="reuse-fingerprint.js"></script>  -> window.ReuseFingerprint
+// Node:    const ReuseFingerprint = require("./reuse-fingerprint");
+//
+// Clients send an HMAC of the password under a key shared by the room, so the
+// host can see that two clients use the same password without learning it.
+// The key never reaches the host in the clear: the room's controller creates
+// it and hands it to each client wrapped with ECDH (P-256) and AES-GCM, the
+// host only relaying the exchange:
+//
+//   client:     const keyPair = await generateKeyPair();
+//               hello { fingerprintKey: await exportPublicKey(keyPair) }
+//   controller: const roomKey = createRoomKey();
+//               fingerprint_key { clientId, ...await wrapRoomKey(roomKey, fingerprintKey) }
+//   client:     const key = await unwrapRoomKey(message, keyPair);
+//               metrics { ..., reuseFingerprint: await fingerprint(key, password) }
+//
+// A fingerprint is "<keyId>.<mac>", so fingerprints made under a rotated key
+// never match those made under the old one.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ReuseFingerprint = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const KEY_BYTES = 32;
+  const MAC_BYTES = 16; // fingerprints are truncated to 128 bits
+  const KEY_ID_PATTERN = /^[0-9a-f]{8}$/;
+  const FINGERPRINT_PATTERN = /^[0-9a-f]{8}\.[A-Za-z0-9_-]{22}$/;
+  const CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+
+  function getCrypto() {
+    if (typeof crypto !== 'undefined' && crypto.subtle) return crypto;
+    return require('crypto').webcrypto;
+  }
+
+  // ======== Encoding ========
+  function toBase64Url(bytes) {
+    let binary = '';
+    for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+
+  function randomBytes(length) {
+    return getCrypto().getRandomValues(new Uint8Array(length));
+  }
+
+  // ======== Room Keys (controller) ========
+
+  // A new room key { keyId, secret }; keep it with the controller, never on the host
+  function createRoomKey() {
+    return {
+      keyId: Array.from(randomBytes(4), b => b.toString(16).padStart(2, '0')).join(''),
+      secret: toBase64Url(randomBytes(KEY_BYTES))
+    };
+  }
+
+  function isRoomKey(value) {
+    return !!value && typeof value === 'object' && KEY_ID_PATTERN.test(value.keyId) &&
+      typeof value.secret === 'string' && /^[A-Za-z0-9_-]{43}$/.test(value.secret);
+  }
+
+  // Encrypt a room key for the client that sent `clientPublicKey`, under a
+  // fresh ECDH key of our own. Returns { keyId, publicKey, iv, ciphertext }.
+  async function wrapRoomKey(roomKey, clientPublicKey) {
+    const { subtle } = getCrypto();
+    const clientKey = await subtle.importKey('raw', fromBase64Url(clientPublicKey), CURVE, false, []);
+    const ephemeral = await subtle.generateKey(CURVE, true, ['deriveKey']);
+    const aesKey = await subtle.deriveKey({ name: 'ECDH', public: clientKey }, ephemeral.privateKey,
+      { name: 'AES-GCM', length: 256 }, false, ['encrypt']);
+    const iv = randomBytes(12);
+    const ciphertext = await subtle.encrypt({ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(roomKey.keyId) },
+      aesKey, fromBase64Url(roomKey.secret));
+    return {
+      keyId: roomKey.keyId,
+      publicKey: await exportPublicKey(ephemeral),
+      iv: toBase64Url(iv),
+      ciphertext: toBase64Url(ciphertext)
+    };
+  }
+
+  // ======== Client ========
+
+  async function generateKeyPair() {
+    return getCrypto().subtle.generateKey(CURVE, false, ['deriveKey']);
+  }
+
+  async function exportPublicKey(keyPair) {
+    return toBase64Url(await getCrypto().subtle.exportKey('raw', keyPair.publicKey));
+  }
+
+  // Decrypt a wrapped room key ({ keyId, publicKey, iv, ciphertext }) with the
+  // client's key pair. Returns { keyId, key } with an HMAC key that cannot be
+  // exported; throws when the message was not made for this key pair.
+  async function unwrapRoomKey(wrapped, keyPair) {
+    const { subtle } = getCrypto();
+    if (!KEY_ID_PATTERN.test(wrapped.keyId)) throw new Error('Invalid key id');
+    const senderKey = await subtle.importKey('raw', fromBase64Url(wrapped.publicKey), CURVE, false, []);
+    const aesKey = await subtle.deriveKey({ name: 'ECDH', public: senderKey }, keyPair.privateKey,
+      { name: 'AES-GCM', length: 256 }, false, ['decrypt']);
+    const secret = await subtle.decrypt({ name: 'AES-GCM', iv: fromBase64Url(wrapped.iv), additionalData: new TextEncoder().encode(wrapped.keyId) },
+      aesKey, fromBase64Url(wrapped.ciphertext));
+    const key = await subtle.importKey('raw', secret, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return { keyId: wrapped.keyId, key };
+  }
+
+  // "<keyId>.<mac>" for a password under an unwrapped room key
+  async function fingerprint(roomKey, password) {
+    const mac = await getCrypto().subtle.sign('HMAC', roomKey.key, new TextEncoder().encode(password));
+    return `${roomKey.keyId}.${toBase64Url(new Uint8Array(mac).slice(0, MAC_BYTES))}`;
+  }
+
+  return {
+    FINGERPRINT_PATTERN,
+    KEY_ID_PATTERN,
+    createRoomKey,
+    isRoomKey,
+    wrapRoomKey,
+    generateKeyPair,
+    exportPublicKey,
+    unwrapRoomKey,
+    fingerprint
+  };
+});
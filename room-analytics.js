@@ -0,0 +1,223 @@
+// room-analytics.js - Aggregated metrics for a room, computed by MongoDB
+//
+// parseAnalyticsQuery() turns the query string of
+// GET /api/rooms/:roomCode/analytics into a filter and options, and
+// analyticsPipeline() builds one aggregation over client_metrics that returns
+// every aggregate at once (a $facet per chart):
+//
+//   summary             count, clients, average/min/max entropy
+//   entropyHistogram    counts per entropyBinSize-bit bin
+//   crackTimes          counts per crack-time bucket (the stored `time` label)
+//   breach              breached / not breached / not checked
+//   topPatterns         most common U/l/D/S masks
+//   lengthDistribution  counts per password length
+//   timeSeries          count, average entropy and breaches per interval
+
+const PasswordAnalysis = require("./password-analysis");
+
+const INTERVALS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+const LIMITS = {
+  DEFAULT_RANGE_MS: 24 * 60 * 60 * 1000,
+  MAX_TIME_BUCKETS: 1500,
+  DEFAULT_ENTROPY_BIN: 10,
+  MIN_ENTROPY_BIN: 1,
+  MAX_ENTROPY_BIN: 64,
+  DEFAULT_TOP_PATTERNS: 10,
+  MAX_TOP_PATTERNS: 50
+};
+
+function parseDate(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (isNaN(date.getTime())) {
+    errors.push(`${name} must be an ISO date or a timestamp in milliseconds`);
+    return null;
+  }
+  return date;
+}
+
+function parseInteger(value, name, { min, max, fallback }, errors) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    errors.push(`${name} must be an integer between ${min} and ${max}`);
+    return fallback;
+  }
+  return number;
+}
+
+// Validate the query string. Returns { options } or { errors }.
+function parseAnalyticsQuery(query = {}) {
+  const errors = [];
+  const to = parseDate(query.to, 'to', errors) || new Date();
+  const from = parseDate(query.from, 'from', errors) || new Date(to.getTime() - LIMITS.DEFAULT_RANGE_MS);
+  if (from >= to) errors.push('from must be before to');
+
+  const interval = query.interval || 'hour';
+  if (!Object.prototype.hasOwnProperty.call(INTERVALS, interval)) {
+    errors.push(`interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+  } else if ((to - from) / INTERVALS[interval] > LIMITS.MAX_TIME_BUCKETS) {
+    errors.push(`A ${interval} interval gives more than ${LIMITS.MAX_TIME_BUCKETS} points for this range; use a coarser interval or a shorter range`);
+  }
+
+  const clientId = query.clientId || null;
+  if (clientId !== null && !/^[a-f0-9]{1,32}$/.test(clientId)) {
+    errors.push('clientId has an invalid format');
+  }
+
+  const entropyBinSize = parseInteger(query.entropyBinSize, 'entropyBinSize', {
+    min: LIMITS.MIN_ENTROPY_BIN,
+    max: LIMITS.MAX_ENTROPY_BIN,
+    fallback: LIMITS.DEFAULT_ENTROPY_BIN
+  }, errors);
+  const topPatterns = parseInteger(query.topPatterns, 'topPatterns', {
+    min: 1,
+    max: LIMITS.MAX_TOP_PATTERNS,
+    fallback: LIMITS.DEFAULT_TOP_PATTERNS
+  }, errors);
+
+  if (errors.length > 0) return { errors };
+  return { options: { from, to, interval, clientId, entropyBinSize, topPatterns } };
+}
+
+function analyticsPipeline(roomCode, { from, to, interval, clientId, entropyBinSize, topPatterns }) {
+  const match = {
+    roomCode,
+    timestamp: { $gte: from, $lt: to },
+    ...(clientId && { clientId })
+  };
+  const countBy = (key) => [
+    { $group: { _id: key, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ];
+
+  return [
+    { $match: match },
+    {
+      $facet: {
+        summary: [{
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            clients: { $addToSet: '$clientId' },
+            avgEntropy: { $avg: '$entropy' },
+            minEntropy: { $min: '$entropy' },
+            maxEntropy: { $max: '$entropy' }
+          }
+        }, {
+          $project: { _id: 0, count: 1, clients: { $size: '$clients' }, avgEntropy: 1, minEntropy: 1, maxEntropy: 1 }
+        }],
+        entropyHistogram: countBy({
+          $multiply: [{ $floor: { $divide: [{ $ifNull: ['$entropy', 0] }, entropyBinSize] } }, entropyBinSize]
+        }),
+        crackTimes: countBy('$time'),
+        breach: countBy('$breached'),
+        topPatterns: [
+          { $group: { _id: '$pattern', count: { $sum: 1 }, avgEntropy: { $avg: '$entropy' } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: topPatterns }
+        ],
+        lengthDistribution: countBy('$length'),
+        timeSeries: [
+          {
+            $group: {
+              _id: { $dateTrunc: { date: '$timestamp', unit: interval } },
+              count: { $sum: 1 },
+              avgEntropy: { $avg: '$entropy' },
+              breached: { $sum: { $cond: [{ $eq: ['$breached', true] }, 1, 0] } }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ];
+}
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 10) / 10 : null;
+}
+
+// Reshape the $facet result for the API: fixed bucket order, zero-filled
+// crack-time buckets and time series, and a breach rate over checked metrics
+function formatAnalytics(result, { from, to, interval, entropyBinSize }) {
+  const summary = result.summary[0] || { count: 0, clients: 0, avgEntropy: null, minEntropy: null, maxEntropy: null };
+
+  const crackTimeCounts = new Map(result.crackTimes.map(bucket => [bucket._id, bucket.count]));
+  const breachCounts = new Map(result.breach.map(bucket => [bucket._id, bucket.count]));
+  const breached = breachCounts.get(true) || 0;
+  const notBreached = breachCounts.get(false) || 0;
+
+  // Fill intervals without metrics so the series has no gaps
+  const step = INTERVALS[interval];
+  const points = new Map(result.timeSeries.map(point => [new Date(point._id).getTime(), point]));
+  const timeSeries = [];
+  const start = new Date(from);
+  if (interval === 'day') start.setUTCHours(0, 0, 0, 0);
+  else if (interval === 'hour') start.setUTCMinutes(0, 0, 0);
+  else start.setUTCSeconds(0, 0);
+  for (let time = start.getTime(); time < to.getTime(); time += step) {
+    const point = points.get(time);
+    timeSeries.push({
+      start: new Date(time),
+      count: point ? point.count : 0,
+      avgEntropy: point ? round(point.avgEntropy) : null,
+      breached: point ? point.breached : 0
+    });
+  }
+
+  return {
+    range: { from, to, interval },
+    summary: {
+      count: summary.count,
+      clients: summary.clients,
+      avgEntropy: round(summary.avgEntropy),
+      minEntropy: round(summary.minEntropy),
+      maxEntropy: round(summary.maxEntropy)
+    },
+    entropyHistogram: result.entropyHistogram.map(bin => ({
+      min: bin._id,
+      max: bin._id + entropyBinSize,
+      count: bin.count
+    })),
+    crackTimes: PasswordAnalysis.CRACK_TIME_BUCKETS.map(bucket => ({
+      label: bucket.label,
+      count: crackTimeCounts.get(bucket.label) || 0
+    })),
+    breach: {
+      breached,
+      notBreached,
+      unchecked: summary.count - breached - notBreached,
+      rate: breached + notBreached > 0 ? breached / (breached + notBreached) : null
+    },
+    topPatterns: result.topPatterns.map(pattern => ({
+      pattern: pattern._id,
+      count: pattern.count,
+      avgEntropy: round(pattern.avgEntropy)
+    })),
+    lengthDistribution: result.lengthDistribution
+      .filter(bucket => bucket._id !== null)
+      .map(bucket => ({ length: bucket._id, count: bucket.count })),
+    timeSeries
+  };
+}
+
+// Run the aggregation for a room; `options` come from parseAnalyticsQuery
+async function roomAnalytics(collection, roomCode, options) {
+  const [result] = await collection.aggregate(analyticsPipeline(roomCode, options)).toArray();
+  return formatAnalytics(result, options);
+}
+
+module.exports = {
+  INTERVALS,
+  LIMITS,
+  parseAnalyticsQuery,
+  analyticsPipeline,
+  formatAnalytics,
+  roomAnalytics
+};
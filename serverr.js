@@ -10,6 +10,9 @@ const maxmind = fs.existsSync("./GeoLite2-City.mmdb") ? require("maxmind") : nul
 const fetch = require("node-fetch");
 const http = require("http");
 const WebSocket = require("ws");
+const crypto = require("crypto");
+const { applyPrivacy, policyFromEnv, loadHashKey, truncateIp, anonymizeIp } = require("./privacy");
+const { logger, requestLogging } = require("./logger");
 
 // ======== MongoDB setup without .env file ========
 const { MongoClient } = require("mongodb");
@@ -22,11 +25,25 @@ async function connectDB() {
     await client.connect();
     return client.db("mydb").collection("attempts");
   } catch (e) {
-    console.error("Failed to connect to MongoDB:", e);
+    logger.error("Failed to connect to MongoDB", { error: e });
     throw e;
   }
 }
 
+// ======== Privacy ========
+// What is kept of each attempt: PRIVACY_IP_MODE (full, hash, truncate, none)
+// and PRIVACY_REDACT_FIELDS, e.g. "lat,lon,screen,memory_gb,cores" to drop the
+// precise location and device fingerprint
+const REDACTABLE_FIELDS = ["city", "lat", "lon", "asn", "org", "ua", "lang", "tz", "screen", "platform", "memory_gb", "cores"];
+const privacyPolicy = policyFromEnv(process.env, { redactable: REDACTABLE_FIELDS });
+let privacyKey = null;
+
+async function getPrivacyKey() {
+  if (privacyPolicy.ipMode !== "hash") return null;
+  if (!privacyKey) privacyKey = await loadHashKey(client.db("mydb").collection("server_keys"));
+  return privacyKey;
+}
+
 // ======== Utility: get LAN IPv4 address ========
 function getLocalIp() {
   const nets = os.networkInterfaces();
@@ -62,7 +79,7 @@ async function lookupGeo(ip) {
         };
       }
     } catch (e) {
-      console.error("MaxMind error:", e);
+      logger.error("MaxMind lookup failed", { error: e });
     }
   }
 
@@ -82,7 +99,7 @@ async function lookupGeo(ip) {
       };
     }
   } catch (e) {
-    console.error("GeoIP fallback failed:", e);
+    logger.error("GeoIP fallback failed", { error: e });
   }
 
   return blank;
@@ -91,6 +108,7 @@ async function lookupGeo(ip) {
 // ======== Express setup ========
 const app = express();
 app.set("trust proxy", true);
+app.use(requestLogging(logger));
 app.use(bodyParser.json());
 app.use(express.static("./public")); // serve static files like HTML/JS/CSS
 
@@ -109,10 +127,12 @@ app.post("/api/login", async (req, res) => {
   } = req.body || {};
 
   const success = false; // Replace with real auth
-  const geo = await lookupGeo(clientIp);
+  // Unless full addresses are kept, only the truncated address is looked up,
+  // so the public GeoIP fallback never sees the full one
+  const geo = await lookupGeo(privacyPolicy.ipMode === "full" ? clientIp : truncateIp(clientIp));
   const attempts = await connectDB();
 
-  await attempts.insertOne({
+  await attempts.insertOne(applyPrivacy({
     username,
     success: success ? 1 : 0,
     ts: new Date().toISOString(),
@@ -131,7 +151,7 @@ app.post("/api/login", async (req, res) => {
     platform: platform || null,
     memory_gb: Number(memory_gb) || null,
     cores: Number(cores) || null
-  });
+  }, privacyPolicy, await getPrivacyKey()));
 
   res.json({ ok: true, success, message: success ? "Login ok" : "Login failed", ip: clientIp, geo });
 });
@@ -147,6 +167,68 @@ app.get("/api/attempts", async (req, res) => {
   }
 });
 
+// ======== API: Data-subject requests ========
+// Export or erase the attempts of one person, found by username and/or IP
+// address (both must match when both are given). The address is matched in
+// its stored form, so it only identifies anyone in "full" and "hash" modes.
+// Both routes need "Authorization: Bearer <ATTEMPTS_ADMIN_TOKEN>" and are
+// disabled while that is unset.
+function requireAdminToken(req, res, next) {
+  const token = process.env.ATTEMPTS_ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({ ok: false, message: "Set ATTEMPTS_ADMIN_TOKEN to enable data-subject requests" });
+  }
+  const given = Buffer.from(String(req.get("authorization") || "").replace(/^Bearer /, ""));
+  const expected = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ ok: false, message: "Unauthorized" });
+  }
+  next();
+}
+
+async function subjectFilter(query) {
+  const username = typeof query.username === "string" ? query.username : "";
+  const ip = typeof query.ip === "string" ? query.ip : "";
+  if (!username && !ip) return { error: "username or ip is required" };
+  if (ip && !["full", "hash"].includes(privacyPolicy.ipMode)) {
+    return { error: `Addresses are stored in "${privacyPolicy.ipMode}" mode and cannot identify a person; use username` };
+  }
+  const filter = {};
+  if (username) filter.username = username;
+  if (ip) {
+    const stored = anonymizeIp(ip, privacyPolicy.ipMode, await getPrivacyKey());
+    if (!stored) return { error: "ip is not a valid address" };
+    filter.ip = stored;
+  }
+  return { filter };
+}
+
+app.get("/api/attempts/subject", requireAdminToken, async (req, res) => {
+  try {
+    const { filter, error } = await subjectFilter(req.query);
+    if (error) return res.status(400).json({ ok: false, message: error });
+    const attempts = await connectDB();
+    const rows = await attempts.find(filter, { projection: { _id: 0 } }).sort({ ts: 1 }).toArray();
+    res.attachment("attempts.json");
+    res.json({ ok: true, exportedAt: new Date().toISOString(), rows });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Database error" });
+  }
+});
+
+app.delete("/api/attempts/subject", requireAdminToken, async (req, res) => {
+  try {
+    const { filter, error } = await subjectFilter(req.query);
+    if (error) return res.status(400).json({ ok: false, message: error });
+    const attempts = await connectDB();
+    const { deletedCount } = await attempts.deleteMany(filter);
+    logger.info("Deleted login attempts for a data-subject request", { deleted: deletedCount });
+    res.json({ ok: true, deleted: deletedCount });
+  } catch (e) {
+    res.status(500).json({ ok: false, message: "Database error" });
+  }
+});
+
 // ======== API: Get WebSocket info ========
 app.get("/api/wsinfo", (req, res) => {
   const PORT = process.env.PORT || 5000;
@@ -191,7 +273,9 @@ const wss = new WebSocket.Server({ server });
 let clients = new Map();
 
 wss.on("connection", (ws) => {
-  console.log("New WebSocket client connected");
+  // Correlates the connection's log entries
+  const log = logger.child({ clientId: crypto.randomBytes(8).toString("hex") });
+  log.info("WebSocket client connected");
 
   ws.on("message", (message) => {
     try {
@@ -209,7 +293,7 @@ wss.on("connection", (ws) => {
         }
       }
     } catch (err) {
-      console.error("Invalid WS message", err);
+      log.warn("Invalid WS message", { error: err });
     }
   });
 
@@ -220,15 +304,16 @@ wss.on("connection", (ws) => {
         break;
       }
     }
-    console.log("WebSocket client disconnected");
+    log.info("WebSocket client disconnected");
   });
 });
 
 // ======== Start server ========
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-  console.log(`✅ Server running at:`);
-  console.log(`   Local:   http://localhost:${PORT}`);
-  console.log(`   Network: http://${getLocalIp()}:${PORT}`);
-  console.log(`WebSocket: ws://${getLocalIp()}:${PORT}`);
+  logger.info("Server running", {
+    local: `http://localhost:${PORT}`,
+    network: `http://${getLocalIp()}:${PORT}`,
+    webSocket: `ws://${getLocalIp()}:${PORT}`
+  });
 });
\ No newline at end of file
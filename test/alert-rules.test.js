@@ -0,0 +1,157 @@
+// alert-rules.test.js - Rule validation, metric and aggregate alerts, cooldowns
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlertRuleEngine, validateRules, validateBreachSeverityTiers, breachSeverity, DEFAULT_BREACH_SEVERITY_TIERS } = require('../alert-rules');
+
+const CLIENT_A = 'aaaaaaaaaaaaaaaa';
+const CLIENT_B = 'bbbbbbbbbbbbbbbb';
+const CLIENT_C = 'cccccccccccccccc';
+const NOW = 1700000000000;
+
+test('validateRules normalises rules and fills defaults', () => {
+  const { rules, errors } = validateRules([{ id: 'weak', type: 'metric', severity: 'info', condition: { field: 'score', op: 'lte', value: 1 } }]);
+  assert.deepEqual(errors, []);
+  assert.equal(rules[0].name, 'weak');
+  assert.equal(rules[0].enabled, true);
+  assert.equal(rules[0].cooldownSeconds, 300);
+});
+
+test('validateRules reports problems by rule index', () => {
+  const { rules, errors } = validateRules([
+    { id: 'BAD ID', type: 'metric', severity: 'loud', condition: { field: 'score', op: 'lt', value: 'x' } },
+    { id: 'agg', type: 'aggregate', severity: 'info', windowSeconds: 0, aggregate: { type: 'same_value', threshold: 0 } },
+    { id: 'dup', type: 'metric', severity: 'info', condition: { field: 'score', op: 'eq', value: 0 } },
+    { id: 'dup', type: 'metric', severity: 'info', condition: { field: 'score', op: 'eq', value: 0 } }
+  ]);
+  assert.equal(rules, null);
+  assert.ok(errors.some(error => error.startsWith('rules[0]: id')));
+  assert.ok(errors.some(error => error.startsWith('rules[0]: severity')));
+  assert.ok(errors.some(error => error.startsWith('rules[0]: condition.value')));
+  assert.ok(errors.some(error => error.startsWith('rules[1]: windowSeconds')));
+  assert.ok(errors.some(error => error.startsWith('rules[1]: aggregate.field')));
+  assert.ok(errors.includes('rules[3]: duplicate id dup'));
+});
+
+test('breach severity follows the tiers', () => {
+  assert.equal(breachSeverity(5, DEFAULT_BREACH_SEVERITY_TIERS), 'warning');
+  assert.equal(breachSeverity(5000, DEFAULT_BREACH_SEVERITY_TIERS), 'critical');
+  assert.equal(breachSeverity(null, DEFAULT_BREACH_SEVERITY_TIERS), 'critical');
+  assert.equal(breachSeverity(5, [{ minCount: 10, severity: 'info' }]), null);
+  assert.deepEqual(validateBreachSeverityTiers([{ minCount: 10, severity: 'info' }, { minCount: 1, severity: 'warning' }]).map(t => t.minCount), [1, 10]);
+  assert.equal(validateBreachSeverityTiers([{ minCount: 0, severity: 'info' }]), null);
+});
+
+test('the default rules raise breach and low-entropy alerts, most severe first', () => {
+  const engine = new AlertRuleEngine();
+  const alerts = engine.evaluate(CLIENT_A, { entropy: 10, breached: true, breachCount: 2000 }, {}, NOW);
+  assert.deepEqual(alerts.map(alert => alert.ruleId), ['breached_password', 'low_entropy']);
+  assert.equal(alerts[0].severity, 'critical');
+  assert.equal(alerts[0].clientId, CLIENT_A);
+  assert.match(alerts[0].message, /^Client aaaaaaaa attempted to use a breached password \(seen 2,000 times\)!$/);
+  assert.deepEqual(engine.evaluate(CLIENT_A, { entropy: 60, breached: false }, {}, NOW), []);
+});
+
+test('room breach tiers decide the severity', () => {
+  const engine = new AlertRuleEngine();
+  const context = { breachSeverityTiers: [{ minCount: 1, severity: 'info' }] };
+  const [alert] = engine.evaluate(CLIENT_A, { entropy: 60, breached: true, breachCount: 5000 }, context, NOW);
+  assert.equal(alert.severity, 'info');
+});
+
+test('same_value aggregates fire once the threshold of clients is reached', () => {
+  const engine = new AlertRuleEngine();
+  const reused = { entropy: 60, reuseFingerprint: '0a1b2c3d.AAAAAAAAAAAAAAAAAAAAAA' };
+  assert.deepEqual(engine.evaluate(CLIENT_A, reused, {}, NOW), []);
+  assert.deepEqual(engine.evaluate(CLIENT_A, reused, {}, NOW + 1000), []); // the same client again
+  const [alert] = engine.evaluate(CLIENT_B, reused, {}, NOW + 2000);
+  assert.equal(alert.ruleId, 'password_reuse');
+  assert.deepEqual(alert.clients, [CLIENT_A, CLIENT_B]);
+  assert.equal(alert.count, 2);
+  assert.equal(alert.message, '2 clients used the same password in the last 1440 minutes');
+  // Within the cooldown a third client does not raise it again
+  assert.deepEqual(engine.evaluate(CLIENT_C, reused, {}, NOW + 3000), []);
+});
+
+test('reuse alerts carry the count and clients but never the fingerprint', () => {
+  const fingerprint = '0a1b2c3d.AAAAAAAAAAAAAAAAAAAAAA';
+  const engine = new AlertRuleEngine([{
+    id: 'reuse', type: 'aggregate', severity: 'warning', windowSeconds: 60,
+    aggregate: { type: 'same_value', field: 'reuseFingerprint', threshold: 2 },
+    message: '{count} clients share {value}{reuseFingerprint}'
+  }]);
+  engine.evaluate(CLIENT_A, { reuseFingerprint: fingerprint }, {}, NOW);
+  const [alert] = engine.evaluate(CLIENT_B, { reuseFingerprint: fingerprint }, {}, NOW + 1000);
+  assert.equal(alert.count, 2);
+  assert.ok(!('value' in alert));
+  assert.equal(alert.message, '2 clients share ');
+  assert.ok(!JSON.stringify(alert).includes('AAAAAAAA'));
+
+  // Each fingerprint is still its own alert
+  const other = { reuseFingerprint: '0a1b2c3d.BBBBBBBBBBBBBBBBBBBBBB' };
+  engine.evaluate(CLIENT_A, other, {}, NOW + 2000);
+  assert.equal(engine.evaluate(CLIENT_C, other, {}, NOW + 3000).length, 1);
+});
+
+test('other same_value alerts include the shared value', () => {
+  const engine = new AlertRuleEngine([{
+    id: 'shared_pattern', type: 'aggregate', severity: 'info', windowSeconds: 60,
+    aggregate: { type: 'same_value', field: 'pattern', threshold: 2 }
+  }]);
+  engine.evaluate(CLIENT_A, { pattern: 'UlllDDDD' }, {}, NOW);
+  const [alert] = engine.evaluate(CLIENT_B, { pattern: 'UlllDDDD' }, {}, NOW + 1000);
+  assert.equal(alert.value, 'UlllDDDD');
+});
+
+test('aggregates only count metrics inside the window', () => {
+  const engine = new AlertRuleEngine([{
+    id: 'wave', type: 'aggregate', severity: 'warning', windowSeconds: 60, cooldownSeconds: 0,
+    condition: { field: 'score', op: 'lte', value: 1 },
+    aggregate: { type: 'distinct_clients', threshold: 2 }
+  }]);
+  assert.deepEqual(engine.evaluate(CLIENT_A, { score: 0 }, {}, NOW), []);
+  assert.deepEqual(engine.evaluate(CLIENT_B, { score: 0 }, {}, NOW + 61000), []);
+  assert.equal(engine.evaluate(CLIENT_C, { score: 1 }, {}, NOW + 62000).length, 1);
+});
+
+test('forget drops a client from the window', () => {
+  const engine = new AlertRuleEngine();
+  const reused = { reuseFingerprint: '0a1b2c3d.AAAAAAAAAAAAAAAAAAAAAA' };
+  engine.evaluate(CLIENT_A, reused, {}, NOW);
+  engine.forget(CLIENT_A);
+  assert.deepEqual(engine.evaluate(CLIENT_B, reused, {}, NOW + 1000), []);
+});
+
+test('metric rule cooldowns are per client', () => {
+  const engine = new AlertRuleEngine([{ id: 'weak', type: 'metric', severity: 'info', cooldownSeconds: 60, condition: { field: 'score', op: 'eq', value: 0 } }]);
+  assert.equal(engine.evaluate(CLIENT_A, { score: 0 }, {}, NOW).length, 1);
+  assert.equal(engine.evaluate(CLIENT_A, { score: 0 }, {}, NOW + 1000).length, 0);
+  assert.equal(engine.evaluate(CLIENT_B, { score: 0 }, {}, NOW + 1000).length, 1);
+  assert.equal(engine.evaluate(CLIENT_A, { score: 0 }, {}, NOW + 61000).length, 1);
+});
+
+test('replacing the rules keeps the cooldowns of rules that remain', () => {
+  const weak = { id: 'weak', type: 'metric', severity: 'info', cooldownSeconds: 60, condition: { field: 'score', op: 'eq', value: 0 } };
+  const engine = new AlertRuleEngine([weak]);
+  assert.equal(engine.evaluate(CLIENT_A, { score: 0 }, {}, NOW).length, 1);
+  engine.setRules([weak, { ...weak, id: 'other' }]);
+  assert.deepEqual(engine.evaluate(CLIENT_A, { score: 0 }, {}, NOW + 1000).map(alert => alert.ruleId), ['other']);
+  // A rule that is removed and added back starts afresh
+  engine.setRules([{ ...weak, id: 'other' }]);
+  engine.setRules([weak]);
+  assert.equal(engine.evaluate(CLIENT_A, { score: 0 }, {}, NOW + 2000).length, 1);
+});
+
+test('conditions combine with all and any, on dotted fields', () => {
+  const engine = new AlertRuleEngine([{
+    id: 'fast', type: 'metric', severity: 'warning', cooldownSeconds: 0,
+    condition: { all: [
+      { field: 'crackTimes.offline_fast_hash.seconds', op: 'lt', value: 1 },
+      { any: [{ field: 'pattern', op: 'in', value: ['lllll', 'DDDDD'] }, { field: 'breached', op: 'eq', value: true }] }
+    ] }
+  }]);
+  const fast = { crackTimes: { offline_fast_hash: { seconds: 0.1 } } };
+  assert.equal(engine.evaluate(CLIENT_A, { ...fast, pattern: 'DDDDD' }, {}, NOW).length, 1);
+  assert.equal(engine.evaluate(CLIENT_A, { ...fast, pattern: 'UlDDS' }, {}, NOW).length, 0);
+  assert.equal(engine.evaluate(CLIENT_A, { pattern: 'DDDDD' }, {}, NOW).length, 0);
+});
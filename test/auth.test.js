@@ -0,0 +1,176 @@
+// auth.test.js - Operator passwords, sessions and API tokens, and room access by role
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  AuthService, AUTH, requireRole, canViewRoom, canManageRoom, hashToken, secretMatches, tokenFromRequest
+} = require('../auth');
+
+// Just enough of MongoDB for AuthService, with documents kept by _id
+function memoryCollection() {
+  const docs = new Map();
+  const matches = (doc, query) => Object.entries(query).every(([key, value]) => doc[key] === value);
+  const removeWhere = query => {
+    let deletedCount = 0;
+    for (const [id, doc] of docs) {
+      if (matches(doc, query) && docs.delete(id)) deletedCount++;
+    }
+    return { deletedCount };
+  };
+  return {
+    docs,
+    async createIndex() {},
+    async insertOne(doc) {
+      if (docs.has(doc._id)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      docs.set(doc._id, { ...doc });
+    },
+    async findOne(query) { return docs.get(query._id) || null; },
+    async findOneAndUpdate(query, update, options = {}) {
+      const doc = docs.get(query._id);
+      if (!doc) return null;
+      const before = { ...doc };
+      Object.assign(doc, update.$set);
+      return options.returnDocument === 'after' ? { ...doc } : before;
+    },
+    async updateOne(query, update) {
+      const doc = docs.get(query._id);
+      if (doc) Object.assign(doc, update.$set);
+    },
+    async countDocuments(query = {}) {
+      return Array.from(docs.values()).filter(doc => matches(doc, query)).length;
+    },
+    async deleteOne(query) { return removeWhere(query); },
+    async deleteMany(query) { return removeWhere(query); }
+  };
+}
+
+function memoryDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, memoryCollection());
+      return collections.get(name);
+    }
+  };
+}
+
+const PASSWORD = 'correct horse battery';
+
+async function serviceWith(...operators) {
+  const auth = new AuthService(memoryDb());
+  await auth.init();
+  for (const [username, role] of operators) await auth.createOperator(username, PASSWORD, role);
+  return auth;
+}
+
+test('passwords are stored as scrypt hashes and verified on login', async () => {
+  const auth = await serviceWith(['alice', 'admin']);
+  const stored = auth.operators.docs.get('alice').passwordHash;
+  assert.match(stored, /^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.ok(!stored.includes(PASSWORD));
+
+  assert.equal(await auth.login('alice', 'wrong password!'), null);
+  assert.equal(await auth.login('nobody', PASSWORD), null);
+  const session = await auth.login('alice', PASSWORD);
+  assert.match(session.token, /^mhs_/);
+  assert.equal(session.operator.role, 'admin');
+  // Only the token's hash is kept
+  assert.ok(auth.sessions.docs.has(hashToken(session.token)));
+  assert.ok(!auth.sessions.docs.has(session.token));
+});
+
+test('each password gets its own salt', async () => {
+  const auth = await serviceWith(['alice', 'admin'], ['bobby', 'admin']);
+  assert.notEqual(auth.operators.docs.get('alice').passwordHash, auth.operators.docs.get('bobby').passwordHash);
+});
+
+test('operators are validated on creation', async () => {
+  const auth = await serviceWith(['alice', 'admin']);
+  await assert.rejects(auth.createOperator('Alice!', PASSWORD, 'admin'), /Username/);
+  await assert.rejects(auth.createOperator('carol', 'short', 'admin'), /Password/);
+  await assert.rejects(auth.createOperator('carol', PASSWORD, 'root'), /Role/);
+  await assert.rejects(auth.createOperator('alice', PASSWORD, 'viewer'), /already exists/);
+});
+
+test('repeated failed logins lock the account', async () => {
+  const auth = await serviceWith(['alice', 'admin']);
+  auth.failedLogins.set('alice', { count: AUTH.MAX_FAILED_LOGINS - 1, lockedUntil: 0 });
+  assert.equal(await auth.login('alice', 'wrong password!'), null);
+  await assert.rejects(auth.login('alice', PASSWORD), error => error.locked === true);
+});
+
+test('a bearer header takes precedence over the session cookie', () => {
+  const cookie = `theme=dark; ${AUTH.SESSION_COOKIE}=${encodeURIComponent('mhs_cookie')}`;
+  assert.equal(tokenFromRequest({ headers: { authorization: 'Bearer mht_header ', cookie } }), 'mht_header');
+  assert.equal(tokenFromRequest({ headers: { authorization: 'Basic abc', cookie } }), 'mhs_cookie');
+  assert.equal(tokenFromRequest({ headers: { cookie: `${AUTH.SESSION_COOKIE}=%E0%A4%A` } }), null);
+  assert.equal(tokenFromRequest({ headers: {} }), null);
+});
+
+test('sessions and API tokens authenticate their operator', async () => {
+  const auth = await serviceWith(['alice', 'owner']);
+  const { token: session } = await auth.login('alice', PASSWORD);
+  const { token: apiToken, tokenInfo } = await auth.createApiToken('alice', 'CI', 30);
+
+  assert.deepEqual(await auth.authenticate(session), { username: 'alice', role: 'owner', via: 'session' });
+  assert.deepEqual(await auth.authenticate(apiToken), { username: 'alice', role: 'owner', via: 'token' });
+  assert.ok(auth.apiTokens.docs.get(hashToken(apiToken)).lastUsedAt instanceof Date);
+  assert.equal(await auth.authenticate('mhs_unknown'), null);
+  assert.equal(await auth.authenticate('not-a-token'), null);
+  assert.equal(await auth.authenticate(null), null);
+
+  assert.ok(await auth.revokeApiToken('alice', tokenInfo.tokenId));
+  assert.equal(await auth.authenticate(apiToken), null);
+  await auth.logout(session);
+  assert.equal(await auth.authenticate(session), null);
+});
+
+test('expired sessions and tokens, and disabled operators, are refused', async () => {
+  const auth = await serviceWith(['alice', 'admin']);
+  const { token: session } = await auth.login('alice', PASSWORD);
+  const { token: apiToken } = await auth.createApiToken('alice', 'CI', 1);
+  auth.sessions.docs.get(hashToken(session)).expiresAt = new Date(Date.now() - 1000);
+  auth.apiTokens.docs.get(hashToken(apiToken)).expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await auth.authenticate(session), null);
+  assert.equal(await auth.authenticate(apiToken), null);
+
+  const { token: fresh } = await auth.login('alice', PASSWORD);
+  await auth.updateOperator('alice', { disabled: true });
+  assert.equal(await auth.authenticate(fresh), null);
+  assert.equal(await auth.login('alice', PASSWORD), null);
+});
+
+test('owners manage only their rooms; admins manage all; viewers only view', () => {
+  const room = { code: 'ROOM01', owner: 'alice' };
+  const alice = { username: 'alice', role: 'owner' };
+  const bob = { username: 'bob', role: 'owner' };
+  const admin = { username: 'root', role: 'admin' };
+  const viewer = { username: 'vera', role: 'viewer' };
+
+  assert.deepEqual([alice, bob, admin, viewer, null].map(operator => canViewRoom(operator, room)), [true, false, true, true, false]);
+  assert.deepEqual([alice, bob, admin, viewer, null].map(operator => canManageRoom(operator, room)), [true, false, true, false, false]);
+  // A viewer who happens to be named as the owner still cannot manage
+  assert.equal(canManageRoom({ username: 'alice', role: 'viewer' }, room), false);
+  assert.equal(canManageRoom(alice, null), false);
+});
+
+test('requireRole answers 401 without an operator and 403 for other roles', () => {
+  const run = (operator, ...roles) => {
+    const result = { status: 200 };
+    const res = { status(code) { result.status = code; return this; }, json(body) { result.body = body; return this; } };
+    requireRole(...roles)({ operator }, res, () => { result.next = true; });
+    return result;
+  };
+  assert.equal(run(null).status, 401);
+  assert.equal(run({ role: 'viewer' }, 'admin').status, 403);
+  assert.ok(run({ role: 'viewer' }).next);
+  assert.ok(run({ role: 'admin' }, 'admin').next);
+});
+
+test('secretMatches compares against the stored hash', () => {
+  const stored = hashToken('controller-secret');
+  assert.ok(secretMatches('controller-secret', stored));
+  assert.ok(!secretMatches('other-secret', stored));
+  assert.ok(!secretMatches(undefined, stored));
+  assert.ok(!secretMatches('controller-secret', null));
+});
@@ -0,0 +1,145 @@
+// backplane.test.js - RESP parsing and Redis pub/sub against the stand-in server
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn'; // before logger.js is loaded
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RespParser, RedisBackplane, InProcessBackplane, serve } = require('../backplane');
+
+test('replies split across chunks are returned once complete', () => {
+  const parser = new RespParser();
+  assert.deepEqual(parser.feed(Buffer.from('+O')), []);
+  assert.deepEqual(parser.feed(Buffer.from('K\r\n:4')), ['OK']);
+  assert.deepEqual(parser.feed(Buffer.from('2\r\n$5\r\nhel')), [42]);
+  assert.deepEqual(parser.feed(Buffer.from('lo\r\n$-1\r\n')), ['hello', null]);
+});
+
+test('bulk strings are measured in bytes and may contain CRLF', () => {
+  const parser = new RespParser();
+  const value = 'line 1\r\nlíne 2 ✓';
+  const frame = Buffer.concat([Buffer.from(`$${Buffer.byteLength(value)}\r\n`), Buffer.from(value), Buffer.from('\r\n')]);
+  // Byte by byte, so a multi-byte character is split too
+  const replies = [];
+  for (const byte of frame) replies.push(...parser.feed(Buffer.from([byte])));
+  assert.deepEqual(replies, [value]);
+});
+
+test('arrays nest and wait for every item', () => {
+  const parser = new RespParser();
+  assert.deepEqual(parser.feed(Buffer.from('*3\r\n$7\r\nmessage\r\n$1\r\na\r\n')), []);
+  assert.deepEqual(parser.feed(Buffer.from('*2\r\n:1\r\n*-1\r\n*0\r\n')), [['message', 'a', [1, null]], []]);
+});
+
+test('error replies become Error values and unknown types throw', () => {
+  const parser = new RespParser();
+  const [error] = parser.feed(Buffer.from('-ERR unknown command\r\n'));
+  assert.ok(error instanceof Error);
+  assert.equal(error.message, 'ERR unknown command');
+  assert.throws(() => new RespParser().feed(Buffer.from('?what\r\n')), /Unexpected RESP type/);
+});
+
+test('the in-process backplane delivers within one emitter', async () => {
+  const backplane = new InProcessBackplane();
+  const received = new Promise(resolve => backplane.subscribe('rooms', resolve));
+  await backplane.publish('rooms', { type: 'created' });
+  assert.deepEqual(await received, { type: 'created' });
+  await backplane.close();
+});
+
+// ======== Redis ========
+
+// The stand-in server on a free port, tracking its sockets so a test can drop them
+async function standIn(port = 0) {
+  const server = serve(port);
+  const sockets = new Set();
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    port: server.address().port,
+    stop: () => new Promise(resolve => {
+      for (const socket of sockets) socket.destroy();
+      server.close(resolve);
+    })
+  };
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// serve() reports every publish on the console
+function quietly(fn) {
+  return async () => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await fn();
+    } finally {
+      console.log = log;
+    }
+  };
+}
+
+test('hosts receive each other\'s messages on prefixed channels', quietly(async () => {
+  const server = await standIn();
+  const url = `redis://127.0.0.1:${server.port}`;
+  const a = new RedisBackplane(url);
+  const b = new RedisBackplane(url);
+  const other = new RedisBackplane(url, { prefix: 'other-deployment' });
+  try {
+    const received = [];
+    const unrelated = [];
+    b.subscribe('rooms', message => received.push(message));
+    other.subscribe('rooms', message => unrelated.push(message));
+    await Promise.all([a.connect(), b.connect(), other.connect()]);
+
+    await a.publish('rooms', { type: 'metrics', roomCode: 'ROOM01', seq: 1 });
+    await a.publish('nodes', { type: 'heartbeat' });
+    await waitFor(() => received.length === 1);
+    assert.deepEqual(received, [{ type: 'metrics', roomCode: 'ROOM01', seq: 1 }]);
+    assert.deepEqual(unrelated, []);
+
+    // Subscribing after connecting takes effect right away
+    const nodes = new Promise(resolve => b.subscribe('nodes', resolve));
+    await waitFor(() => b.subscriber.pending.length === 0);
+    await a.publish('nodes', { type: 'heartbeat', nodeId: 'a' });
+    assert.deepEqual(await nodes, { type: 'heartbeat', nodeId: 'a' });
+  } finally {
+    await Promise.all([a.close(), b.close(), other.close()]);
+    await server.stop();
+  }
+}));
+
+test('a dropped connection reconnects and renews its subscriptions', quietly(async () => {
+  let server = await standIn();
+  const { port } = server;
+  const url = `redis://127.0.0.1:${port}`;
+  const a = new RedisBackplane(url);
+  const b = new RedisBackplane(url);
+  try {
+    const received = [];
+    b.subscribe('rooms', message => received.push(message));
+    await Promise.all([a.connect(), b.connect()]);
+
+    await server.stop();
+    await waitFor(() => !a.publisher.ready && !b.subscriber.ready);
+    // Published while disconnected: dropped, not queued or thrown
+    await a.publish('rooms', { seq: 1 });
+
+    server = await standIn(port);
+    await waitFor(() => a.publisher.ready && b.subscriber.ready);
+    await a.publish('rooms', { seq: 2 });
+    await waitFor(() => received.length === 1);
+    assert.deepEqual(received, [{ seq: 2 }]);
+  } finally {
+    await Promise.all([a.close(), b.close()]);
+    await server.stop();
+  }
+}));
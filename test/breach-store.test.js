@@ -0,0 +1,159 @@
+// breach-store.test.js - Corpus imports, merging and range lookups
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BreachStore } = require('../breach-store');
+
+function getPath(doc, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+}
+
+function setPath(doc, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let target = doc;
+  for (const part of parts) target = target[part] = target[part] || {};
+  target[last] = value;
+}
+
+// Just enough of a MongoDB collection for BreachStore; counts the range
+// bodies written per document
+function memoryCollection() {
+  const docs = new Map();
+  const bodyWrites = new Map();
+  const matches = (doc, query) => Object.entries(query).every(([key, value]) => doc[key] === value);
+  return {
+    docs,
+    bodyWrites,
+    async createIndex() {},
+    async findOne(query) { return docs.get(query._id) || null; },
+    find(query) {
+      return Array.from(docs.values()).filter(doc => matches(doc, query)).map(doc => structuredClone(doc));
+    },
+    async bulkWrite(operations) {
+      for (const { updateOne: { filter, update, upsert } } of operations) {
+        let doc = docs.get(filter._id);
+        if (!doc) {
+          if (!upsert) continue;
+          doc = { _id: filter._id, ...update.$setOnInsert };
+          docs.set(filter._id, doc);
+        }
+        for (const [key, value] of Object.entries(update.$max || {})) {
+          if (!(getPath(doc, key) >= value)) setPath(doc, key, value);
+        }
+        Object.assign(doc, update.$set);
+        for (const key of Object.keys(update.$unset || {})) delete doc[key];
+        if (update.$set && update.$set.body !== undefined) {
+          bodyWrites.set(filter._id, (bodyWrites.get(filter._id) || 0) + 1);
+        }
+      }
+    },
+    async deleteMany(query) {
+      let deletedCount = 0;
+      for (const [id, doc] of docs) {
+        if (matches(doc, query)) deletedCount += docs.delete(id) ? 1 : 0;
+      }
+      return { deletedCount };
+    }
+  };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'breach-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const HASH_A = '21BD12DC183F740EE76F27B78EB39C8AD972A757'; // SHA-1 of "P@ssw0rd"
+const HASH_B = '21BD1' + '0'.repeat(35);
+const HASH_C = '7C4A8D09CA3762AF61E59520943DC26494F8941B'; // "123456"
+
+test('a single file is stored by prefix as sorted range lines', async (t) => {
+  const file = path.join(tempDir(t), 'pwned.txt');
+  fs.writeFileSync(file, `${HASH_A}:52579\r\n${HASH_C.toLowerCase()}:37359195\r\n${HASH_B}:3\r\nnot-a-hash:1\r\n${HASH_C}:0\r\n\r\n`);
+  const store = new BreachStore(memoryCollection());
+  const totals = await store.importPath(file);
+
+  assert.deepEqual(totals, { hashes: 3, skipped: 2 });
+  assert.equal(await store.getRange('21bd1'), `${HASH_B.slice(5)}:3\r\n${HASH_A.slice(5)}:52579\r\n`);
+  assert.equal(await store.lookup(HASH_A.toLowerCase()), 52579);
+  assert.equal(await store.lookup(HASH_C), 37359195);
+  assert.equal(await store.lookup('F'.repeat(40)), 0);
+  assert.equal(await store.getRange('FFFFF'), '');
+});
+
+test('a directory of range files takes the prefix from each file name', async (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, '21BD1.txt'), `${HASH_A.slice(5)}:52579\r\n${HASH_A}:1\r\n`);
+  fs.writeFileSync(path.join(dir, '7C4A8.txt'), `${HASH_C.slice(5)}:37359195\n`);
+  fs.writeFileSync(path.join(dir, 'README.txt'), 'not a range\n');
+  const store = new BreachStore(memoryCollection());
+  const totals = await store.importPath(dir);
+
+  assert.deepEqual(totals, { hashes: 2, skipped: 1 });
+  assert.equal(await store.lookup(HASH_A), 52579);
+  assert.equal(await store.lookup(HASH_C), 37359195);
+});
+
+test('importing again merges, keeping the higher count', async (t) => {
+  const dir = tempDir(t);
+  const older = path.join(dir, 'v1.txt');
+  const newer = path.join(dir, 'v2.txt');
+  fs.writeFileSync(older, `${HASH_A}:100\n${HASH_B}:3\n`);
+  fs.writeFileSync(newer, `${HASH_A}:250\n${HASH_B}:1\n${HASH_C}:7\n`);
+  const collection = memoryCollection();
+  const store = new BreachStore(collection);
+
+  await store.importPath(older);
+  await store.importPath(older);
+  assert.equal(collection.docs.get('sha1:21BD1').hashCount, 2);
+
+  await store.importPath(newer);
+  assert.equal(await store.getRange('21BD1'), `${HASH_B.slice(5)}:3\r\n${HASH_A.slice(5)}:250\r\n`);
+  assert.equal(collection.docs.get('sha1:21BD1').hashCount, 2);
+  assert.equal(await store.lookup(HASH_C), 7);
+  assert.equal(collection.docs.get('sha1:21BD1').pending, undefined);
+});
+
+test('unsorted input rebuilds each range once, however many flushes touch it', async (t) => {
+  const file = path.join(tempDir(t), 'unsorted.txt');
+  const lines = [];
+  for (let i = 0; i < 12000; i++) {
+    // 40 prefixes, interleaved so every flush touches all of them
+    const prefix = (i % 40).toString(16).toUpperCase().padStart(5, '0');
+    lines.push(`${prefix}${i.toString(16).toUpperCase().padStart(35, '0')}:${i + 1}`);
+  }
+  fs.writeFileSync(file, lines.join('\n'));
+  const collection = memoryCollection();
+  const store = new BreachStore(collection);
+  await store.importPath(file);
+
+  assert.equal(collection.docs.size, 40);
+  assert.deepEqual(new Set(collection.bodyWrites.values()), new Set([1]));
+  assert.equal(collection.docs.get('sha1:00000').hashCount, 300);
+  assert.equal(await store.lookup('00027' + (11999).toString(16).toUpperCase().padStart(35, '0')), 12000);
+});
+
+test('ranges only change once the import finishes, or a later one completes it', async () => {
+  const store = new BreachStore(memoryCollection());
+  await store.flush('sha1', new Map([['21BD1', new Map([[HASH_A.slice(5), 5]])]]));
+  assert.equal(await store.lookup(HASH_A), 0);
+  await store.finalize('ntlm');
+  assert.equal(await store.lookup(HASH_A), 0);
+  await store.finalize('sha1');
+  assert.equal(await store.lookup(HASH_A), 5);
+});
+
+test('hash types are kept apart', async (t) => {
+  const file = path.join(tempDir(t), 'ntlm.txt');
+  fs.writeFileSync(file, '8846F7EAEE8FB117AD06BDD830B7586C:1\n');
+  const store = new BreachStore(memoryCollection());
+  await store.importPath(file, { hashType: 'ntlm' });
+  assert.equal(await store.lookup('8846F7EAEE8FB117AD06BDD830B7586C', 'ntlm'), 1);
+  assert.equal(await store.getRange('8846F', 'sha1'), '');
+  assert.equal(await store.clear('ntlm'), 1);
+  await assert.rejects(store.importPath(file, { hashType: 'md5' }), /Unknown hash type/);
+});
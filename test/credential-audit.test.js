@@ -0,0 +1,128 @@
+// credential-audit.test.js - Upload parsing and audit jobs, up to the entry limit
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn'; // before logger.js is loaded
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const crypto = require('crypto');
+const { AuditService, LIMITS, parseAuditQuery, parseLine, readEntries } = require('../credential-audit');
+const { resolvePolicy } = require('../password-policy');
+
+// Just enough of a MongoDB collection for AuditService; result rows are only
+// counted unless `keepRows` is set, so a full-size job stays small in memory
+function memoryCollection({ keepRows = false } = {}) {
+  const docs = new Map();
+  const rows = [];
+  return {
+    docs,
+    rows,
+    rowCount: 0,
+    async createIndex() {},
+    async updateMany() { return {}; },
+    async insertOne(doc) { docs.set(doc._id, { ...doc }); },
+    async findOne(query) { return docs.get(query._id) || null; },
+    async updateOne(query, update) {
+      const doc = docs.get(query._id);
+      if (doc) Object.assign(doc, update.$set);
+      return { matchedCount: doc ? 1 : 0 };
+    },
+    async insertMany(batch) {
+      this.rowCount += batch.length;
+      if (keepRows) rows.push(...batch);
+    },
+    async deleteMany() { return { deletedCount: 0 }; }
+  };
+}
+
+function sha1(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').toUpperCase();
+}
+
+// A breach corpus holding the given passwords (SHA-1) with their counts
+function breachStoreWith(counts) {
+  const ranges = new Map();
+  for (const [password, count] of Object.entries(counts)) {
+    const hash = sha1(password);
+    ranges.set(hash.slice(0, 5), (ranges.get(hash.slice(0, 5)) || '') + `${hash.slice(5)}:${count}\r\n`);
+  }
+  return {
+    async stats() { return { sha1: { prefixes: ranges.size, hashes: Object.keys(counts).length } }; },
+    async getRange(prefix) { return ranges.get(prefix) || ''; }
+  };
+}
+
+async function runJob(service, jobs, job) {
+  await service.queue;
+  return jobs.docs.get(job.id);
+}
+
+test('parseAuditQuery checks format and delimiter', () => {
+  assert.deepEqual(parseAuditQuery({}).options, { format: 'plain', usernames: false, delimiter: ':' });
+  assert.deepEqual(parseAuditQuery({ format: 'ntlm', usernames: 'true', delimiter: '\t' }).options, { format: 'ntlm', usernames: true, delimiter: '\t' });
+  assert.equal(parseAuditQuery({ format: 'md5', delimiter: '|' }).errors.length, 2);
+});
+
+test('parseLine reads plaintext, hashes and pwdump lines', () => {
+  const plain = { format: 'plain', usernames: true, delimiter: ':' };
+  assert.deepEqual(parseLine('alice:Summer:2024', plain), { username: 'alice', secret: 'Summer:2024' });
+  assert.equal(parseLine('no-delimiter', plain), null);
+  assert.equal(parseLine('x'.repeat(LIMITS.MAX_PASSWORD_LENGTH + 1), { ...plain, usernames: false }), null);
+
+  const ntlm = { format: 'ntlm', usernames: false, delimiter: ':' };
+  const nt = '8846f7eaee8fb117ad06bdd830b7586c';
+  assert.deepEqual(parseLine(nt, ntlm), { username: null, secret: nt.toUpperCase() });
+  assert.deepEqual(parseLine(`CORP\\bob:1104:aad3b435b51404eeaad3b435b51404ee:${nt}:::`, ntlm), { username: 'CORP\\bob', secret: nt.toUpperCase() });
+  assert.equal(parseLine(nt.slice(1), ntlm), null);
+});
+
+test('readEntries skips comments and counts malformed lines', async () => {
+  const upload = Readable.from(['# export\n', 'alice:one\n', '\n', 'broken\n', 'bob:two\n']);
+  const { entries, skipped } = await readEntries(upload, { format: 'plain', usernames: true, delimiter: ':' });
+  assert.deepEqual(entries.map(entry => entry.username), ['alice', 'bob']);
+  assert.equal(skipped, 1);
+});
+
+test('a plaintext audit reports breaches, reuse and policy results', async () => {
+  const jobs = memoryCollection();
+  const results = memoryCollection({ keepRows: true });
+  const service = new AuditService(jobs, results, breachStoreWith({ 'Summer2024!': 12 }), { nodeId: 'test' });
+  const entries = [
+    { username: 'alice', secret: 'Summer2024!' },
+    { username: 'bob', secret: 'Summer2024!' },
+    { username: 'carol', secret: 'correct horse battery staple' }
+  ];
+  const job = await service.create({ owner: 'admin', format: 'plain', usernames: true, policy: resolvePolicy(), entries, skipped: 0 });
+  const done = await runJob(service, jobs, job);
+
+  assert.equal(done.status, 'completed');
+  assert.equal(done.summary.breached, 2);
+  assert.equal(done.summary.reuseGroups, 1);
+  assert.equal(done.summary.largestReuseGroup, 2);
+  assert.equal(done.summary.nonCompliant, 2);
+  assert.equal(done.summary.compliant, 1);
+  assert.deepEqual(results.rows.map(row => [row.username, row.breachCount, row.reuseGroup]),
+    [['alice', 12, 1], ['bob', 12, 1], ['carol', 0, null]]);
+  assert.ok(results.rows.every(row => !JSON.stringify(row).includes('Summer2024')), 'no password is stored');
+});
+
+// Every group must be counted without spreading them into one call, which
+// overflows the argument limit at around 120k groups
+test('an upload at the entry limit with every password shared completes', async () => {
+  const jobs = memoryCollection();
+  const results = memoryCollection();
+  const service = new AuditService(jobs, results, breachStoreWith({}), { nodeId: 'test' });
+  const entries = Array.from({ length: LIMITS.MAX_ENTRIES }, (_, i) => ({
+    username: null,
+    secret: Math.floor(i / 2).toString(16).toUpperCase().padStart(32, '0')
+  }));
+  entries[2] = entries[0]; // one group of three, and entries[3] left on its own
+  const job = await service.create({ owner: 'admin', format: 'ntlm', usernames: false, policy: resolvePolicy(), entries, skipped: 0 });
+  const done = await runJob(service, jobs, job);
+
+  assert.equal(done.status, 'completed', done.error);
+  assert.equal(done.summary.accounts, LIMITS.MAX_ENTRIES);
+  assert.equal(done.summary.largestReuseGroup, 3);
+  assert.equal(done.summary.reuseGroups, LIMITS.MAX_ENTRIES / 2 - 1);
+  assert.equal(results.rowCount, LIMITS.MAX_ENTRIES);
+});
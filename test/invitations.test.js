@@ -0,0 +1,161 @@
+// invitations.test.js - Token signatures, expiry, tampering and single-use consumption
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { InvitationService, LIMITS } = require('../invitations');
+
+delete process.env.INVITATION_SECRET; // keys come from the key store unless a test sets one
+
+// Just enough of a MongoDB collection for InvitationService.
+// findOneAndUpdate checks and updates in one step, as MongoDB does.
+function memoryCollection() {
+  const docs = new Map();
+  return {
+    docs,
+    async createIndex() {},
+    async insertOne(doc) { docs.set(doc._id, { ...doc }); },
+    async findOne(query) { return docs.get(query._id) || null; },
+    async updateOne(query, update, options = {}) {
+      let doc = docs.get(query._id);
+      if (doc && query.roomCode !== undefined && doc.roomCode !== query.roomCode) doc = null;
+      if (!doc && options.upsert) {
+        docs.set(query._id, { _id: query._id, ...update.$setOnInsert });
+        return { matchedCount: 0 };
+      }
+      if (doc) Object.assign(doc, update.$set);
+      return { matchedCount: doc ? 1 : 0 };
+    },
+    async findOneAndUpdate(query, update) {
+      await null; // let concurrent callers interleave up to here
+      const doc = docs.get(query._id);
+      if (!doc || doc.roomCode !== query.roomCode || doc.revoked === true ||
+          !(doc.expiresAt > query.expiresAt.$gt) || !(doc.uses < doc.maxUses)) {
+        return null;
+      }
+      doc.uses += update.$inc.uses;
+      Object.assign(doc, update.$set);
+      return { ...doc };
+    }
+  };
+}
+
+async function service(keys = memoryCollection()) {
+  const invitations = new InvitationService(memoryCollection(), keys);
+  await invitations.init();
+  return invitations;
+}
+
+// A token for `claims`, signed with the service's key like create() does
+function signed(invitations, claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', invitations.key).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+test('a created token verifies to its claims', async () => {
+  const invitations = await service();
+  const { token, invitation } = await invitations.create('ROOM01', { label: 'Lab <1>\n', maxUses: 2 });
+  const claims = invitations.verify(token);
+  assert.equal(claims.jti, invitation.id);
+  assert.equal(claims.room, 'ROOM01');
+  assert.equal(claims.exp, Math.floor(invitation.expiresAt.getTime() / 1000));
+  assert.equal(invitation.label, 'Lab 1');
+  assert.equal(invitation.uses, 0);
+});
+
+test('hosts sharing the key store accept each other\'s tokens', async () => {
+  const keys = memoryCollection();
+  const first = await service(keys);
+  const second = await service(keys);
+  const { token } = await first.create('ROOM01');
+  assert.ok(second.verify(token));
+  assert.equal((await service()).verify(token), null);
+});
+
+test('INVITATION_SECRET replaces the stored key', async () => {
+  process.env.INVITATION_SECRET = 'shared invitation secret';
+  try {
+    const keys = memoryCollection();
+    const first = await service(keys);
+    const { token } = await first.create('ROOM01');
+    assert.ok((await service()).verify(token));
+    assert.equal(keys.docs.size, 0);
+  } finally {
+    delete process.env.INVITATION_SECRET;
+  }
+});
+
+test('tampered, truncated and malformed tokens are rejected', async () => {
+  const invitations = await service();
+  const { token } = await invitations.create('ROOM01');
+  const [payload, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const otherRoom = Buffer.from(JSON.stringify({ ...claims, room: 'ROOM02' })).toString('base64url');
+
+  for (const bad of [
+    `${otherRoom}.${signature}`,
+    `${payload}.${signature.slice(0, -2)}`,
+    `${payload}.${signature}.extra`,
+    payload,
+    `${payload}.${'A'.repeat(600)}`,
+    null
+  ]) {
+    assert.equal(invitations.verify(bad), null, String(bad).slice(0, 40));
+  }
+  // Correctly signed, but not a version this host issues
+  assert.equal(invitations.verify(signed(invitations, { ...claims, v: 2 })), null);
+});
+
+test('expired tokens are rejected before any lookup', async () => {
+  const invitations = await service();
+  const { token } = await invitations.create('ROOM01');
+  const claims = invitations.verify(token);
+  const expired = signed(invitations, { ...claims, exp: Math.floor(Date.now() / 1000) - 1 });
+  assert.equal(invitations.verify(expired), null);
+  assert.deepEqual(await invitations.consume(expired), { error: 'Invalid or expired invitation' });
+  assert.equal(invitations.collection.docs.get(claims.jti).uses, 0);
+});
+
+test('an invitation expired in the database is refused even with a valid token', async () => {
+  const invitations = await service();
+  const { token, invitation } = await invitations.create('ROOM01');
+  invitations.collection.docs.get(invitation.id).expiresAt = new Date(Date.now() - 1000);
+  assert.deepEqual(await invitations.consume(token), { error: 'Invitation has already been used' });
+});
+
+test('a single-use invitation admits one client', async () => {
+  const invitations = await service();
+  const { token } = await invitations.create('ROOM01');
+  const first = await invitations.consume(token);
+  assert.equal(first.invitation.uses, 1);
+  assert.deepEqual(await invitations.consume(token), { error: 'Invitation has already been used' });
+});
+
+test('two concurrent consumes of a single-use token admit only one', async () => {
+  const invitations = await service();
+  const { token } = await invitations.create('ROOM01');
+  const results = await Promise.all([invitations.consume(token), invitations.consume(token)]);
+  assert.equal(results.filter(result => result.invitation).length, 1);
+  assert.deepEqual(results.find(result => result.error), { error: 'Invitation has already been used' });
+  assert.equal(invitations.collection.docs.get(invitations.verify(token).jti).uses, 1);
+});
+
+test('revoked and unknown invitations explain the refusal', async () => {
+  const invitations = await service();
+  const { token, invitation } = await invitations.create('ROOM01', { maxUses: 5 });
+  assert.equal(await invitations.revoke('ROOM02', invitation.id), false);
+  assert.equal(await invitations.revoke('ROOM01', invitation.id), true);
+  assert.deepEqual(await invitations.consume(token), { error: 'Invitation has been revoked' });
+
+  invitations.collection.docs.clear();
+  assert.deepEqual(await invitations.consume(token), { error: 'Invitation not found' });
+});
+
+test('create checks its options', async () => {
+  const invitations = await service();
+  await assert.rejects(invitations.create('ROOM01', { maxUses: 0 }), /maxUses/);
+  await assert.rejects(invitations.create('ROOM01', { maxUses: LIMITS.MAX_USES + 1 }), /maxUses/);
+  await assert.rejects(invitations.create('ROOM01', { expiresInMinutes: LIMITS.MAX_TTL_MINUTES + 1 }), /expiresInMinutes/);
+  await assert.rejects(invitations.create('ROOM01', { label: 42 }), /label/);
+});
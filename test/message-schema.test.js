@@ -0,0 +1,51 @@
+// message-schema.test.js - WebSocket message validation and rate limiting
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateMessage, TokenBucket, ERROR_CODES } = require('../message-schema');
+
+test('a valid hello is accepted before hello', () => {
+  assert.equal(validateMessage({ type: 'hello', role: 'client', code: 'ABC123' }, 'none'), null);
+});
+
+test('malformed messages and unknown types are rejected', () => {
+  for (const message of [null, [], 'hello', { role: 'client' }]) {
+    assert.equal(validateMessage(message, 'none').code, ERROR_CODES.INVALID_MESSAGE);
+  }
+  assert.equal(validateMessage({ type: 'nope' }, 'client').code, ERROR_CODES.UNKNOWN_TYPE);
+  assert.equal(validateMessage({ type: 'toString' }, 'client').code, ERROR_CODES.UNKNOWN_TYPE);
+});
+
+test('messages are limited to their roles', () => {
+  const metrics = validateMessage({ type: 'metrics', payload: {} }, 'none');
+  assert.equal(metrics.code, ERROR_CODES.NOT_ALLOWED);
+  assert.match(metrics.message, /before hello/);
+  assert.equal(validateMessage({ type: 'room_settings', settings: {} }, 'client').code, ERROR_CODES.NOT_ALLOWED);
+});
+
+test('nothing is accepted while a hello is being handled', () => {
+  const hello = validateMessage({ type: 'hello', role: 'client', code: 'ABC123' }, 'joining');
+  assert.equal(hello.code, ERROR_CODES.NOT_ALLOWED);
+  assert.match(hello.message, /while joining/);
+});
+
+test('unknown fields and bad formats are listed', () => {
+  const extra = validateMessage({ type: 'hello', role: 'client', code: 'ABC123', extra: 1 }, 'none');
+  assert.equal(extra.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.deepEqual(extra.errors, ['message.extra is not allowed']);
+
+  const key = validateMessage({ type: 'fingerprint_key', clientId: 'ab', keyId: 'zz' }, 'controller');
+  assert.ok(key.errors.includes('message.keyId has an invalid format'));
+  assert.ok(key.errors.includes('message.ciphertext is required'));
+});
+
+test('TokenBucket allows a burst, then refills at its rate', () => {
+  const bucket = new TokenBucket({ ratePerSecond: 2, burst: 3 });
+  const start = bucket.updatedAt;
+  assert.equal(bucket.take(1, start), true);
+  assert.equal(bucket.take(2, start), true);
+  assert.equal(bucket.take(1, start), false);
+  assert.equal(bucket.retryAfterMs(1), 500);
+  assert.equal(bucket.take(1, start + 500), true);
+  assert.equal(bucket.take(10, start + 60000), false); // never more than the burst
+});
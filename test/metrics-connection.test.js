@@ -0,0 +1,84 @@
+// metrics-connection.test.js - Outbox scoping across rooms and resumes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MetricsConnection = require('../metrics-connection');
+
+// Records what the connection sends; the test plays the host
+class FakeSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.readyState = 1;
+    this.OPEN = 1;
+    FakeSocket.last = this;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {}
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+function connect(outbox, roomCode) {
+  const connection = new MetricsConnection({
+    serverUrl: 'ws://metrics.test', roomCode, WebSocket: FakeSocket, outbox, storage: null
+  });
+  connection.fingerprintPublicKey = async () => null;
+  connection.connect();
+  return connection;
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('metrics queued before joining are sent once the room is known', async () => {
+  const outbox = new MetricsConnection.MemoryOutbox();
+  const connection = connect(outbox, 'ROOMA');
+  await connection.sendMetrics({ score: 1 });
+  FakeSocket.last.receive({ type: 'room_info', roomCode: 'ROOMA', clientId: 'c1' });
+  await tick();
+  assert.deepEqual(FakeSocket.last.sent.filter(m => m.type === 'metrics').map(m => m.payload), [{ score: 1 }]);
+  connection.close();
+});
+
+test('another room never receives queued metrics', async () => {
+  const outbox = new MetricsConnection.MemoryOutbox();
+  const first = connect(outbox, 'ROOMA');
+  FakeSocket.last.receive({ type: 'room_info', roomCode: 'ROOMA', clientId: 'c1' });
+  await first.sendMetrics({ score: 2 }); // sent but never acknowledged
+  first.close();
+
+  const second = connect(outbox, 'ROOMB');
+  FakeSocket.last.receive({ type: 'room_info', roomCode: 'ROOMB', clientId: 'c2' });
+  await tick();
+  assert.equal(FakeSocket.last.sent.filter(m => m.type === 'metrics').length, 0);
+  assert.equal((await outbox.list(JSON.stringify(['ws://metrics.test', 'ROOMA', 'c1']))).length, 1);
+  second.close();
+});
+
+test('a new clientId in the same room takes over the queue', async () => {
+  const outbox = new MetricsConnection.MemoryOutbox();
+  const connection = connect(outbox, 'ROOMA');
+  FakeSocket.last.receive({ type: 'room_info', roomCode: 'ROOMA', clientId: 'c1' });
+  connection.joined = false; // offline, as between a drop and the reconnect
+  await connection.sendMetrics({ score: 3 });
+  FakeSocket.last.receive({ type: 'room_info', roomCode: 'ROOMA', clientId: 'c3' });
+  await tick();
+  const sent = FakeSocket.last.sent.filter(m => m.type === 'metrics');
+  assert.deepEqual(sent.map(m => m.payload), [{ score: 3 }]);
+  connection.close();
+});
+
+test('entries past the maximum age expire in every scope', async () => {
+  const outbox = new MetricsConnection.MemoryOutbox();
+  await outbox.add('a', { seq: 1, payload: {}, createdAt: 0 });
+  await outbox.add('b', { seq: 1, payload: {}, createdAt: Date.now() });
+  await outbox.expire();
+  assert.equal((await outbox.list('a')).length, 0);
+  assert.equal((await outbox.list('b')).length, 1);
+});
@@ -0,0 +1,109 @@
+// password-analysis.test.js - Analysis, the metrics payload and breach range lookups
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const PasswordAnalysis = require('../password-analysis');
+
+const {
+  analyzePassword, toMetrics, normalizeMetrics, passwordPattern, entropyFromPattern,
+  parseRangeCount, checkPasswordBreach, sha1Hex, rangeUrlFromServerUrl,
+  loadAttackerModels, saveAttackerModels, METRICS_FIELDS, SCHEMA_VERSION
+} = PasswordAnalysis;
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+test('passwordPattern masks each character class', () => {
+  assert.equal(passwordPattern('Ab1!'), 'UlDS');
+  assert.equal(entropyFromPattern('DDDD'), 4 * Math.log2(10));
+});
+
+test('toMetrics keeps only the payload fields, never the password', () => {
+  const metrics = toMetrics(analyzePassword('Summer2024!', { breachCount: 3 }));
+  assert.deepEqual(Object.keys(metrics), METRICS_FIELDS);
+  assert.equal(metrics.schemaVersion, SCHEMA_VERSION);
+  assert.equal(metrics.pattern, 'UlllllDDDDS');
+  assert.equal(metrics.breached, true);
+  assert.equal(metrics.breachCount, 3);
+  assert.ok(!JSON.stringify(metrics).includes('Summer'));
+});
+
+test('an unchecked breach status is null', () => {
+  const metrics = toMetrics(analyzePassword('Summer2024!'));
+  assert.equal(metrics.breached, null);
+  assert.equal(metrics.breachCount, null);
+});
+
+test('normalizeMetrics accepts its own payloads unchanged', () => {
+  const metrics = toMetrics(analyzePassword('correct horse battery staple', { breachCount: 0 }));
+  const result = normalizeMetrics(JSON.parse(JSON.stringify(metrics)));
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.discrepancies, []);
+  assert.equal(result.metrics.guessesLog10, metrics.guessesLog10);
+  assert.equal(result.metrics.score, metrics.score);
+});
+
+test('normalizeMetrics caps the guess count at the pattern bound', () => {
+  const { metrics, discrepancies } = normalizeMetrics({ pattern: 'DDDD', guessesLog10: 30 });
+  assert.equal(metrics.guessesLog10, 4);
+  assert.equal(discrepancies[0].field, 'guessesLog10');
+});
+
+test('normalizeMetrics upgrades old payloads and rejects bad ones', () => {
+  const old = normalizeMetrics({ pattern: 'llllDD', entropy: 20, breached: true });
+  assert.equal(old.metrics.schemaVersion, SCHEMA_VERSION);
+  assert.equal(old.metrics.breached, true);
+  assert.equal(old.metrics.breachCount, null);
+
+  assert.equal(normalizeMetrics(null).metrics, null);
+  const invalid = normalizeMetrics({ pattern: 'xyz', length: 2, breachCount: -1, schemaVersion: SCHEMA_VERSION + 1 });
+  assert.equal(invalid.metrics, null);
+  assert.equal(invalid.errors.length, 4);
+});
+
+test('attacker models are saved and validated', () => {
+  const storage = memoryStorage();
+  const models = [{ id: 'gpu', label: 'GPU rig', guessesPerSecond: 1e11 }];
+  saveAttackerModels(models, storage);
+  assert.deepEqual(loadAttackerModels(storage), models);
+  assert.throws(() => saveAttackerModels([{ id: 'BAD', label: 'x', guessesPerSecond: 0 }], storage));
+  storage.setItem('attackerModels', 'not json');
+  assert.ok(loadAttackerModels(storage).length > 0);
+});
+
+test('parseRangeCount finds a suffix in CRLF or LF ranges', () => {
+  const range = '0018A45C4D1DEF81644B54AB7F969B88D65:1\r\n00D4F6E8FA6EECAD2A3AA415EEC418D38EC:2\r\n';
+  assert.equal(parseRangeCount(range, '00D4F6E8FA6EECAD2A3AA415EEC418D38EC'), 2);
+  assert.equal(parseRangeCount(range.replace(/\r/g, '').toLowerCase(), '0018A45C4D1DEF81644B54AB7F969B88D65'), 1);
+  assert.equal(parseRangeCount(range, 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF'), 0);
+});
+
+test('rangeUrlFromServerUrl points at the host range endpoint', () => {
+  assert.equal(rangeUrlFromServerUrl('wss://metrics.example:8443/?room=X'), 'https://metrics.example:8443/range/');
+  assert.equal(rangeUrlFromServerUrl('ws://10.0.0.5:8080'), 'http://10.0.0.5:8080/range/');
+});
+
+test('checkPasswordBreach sends only the hash prefix', async () => {
+  const hash = await sha1Hex('hunter2');
+  const requested = [];
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    res.end(`${hash.slice(5)}:17\r\n`);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const rangeUrl = `http://127.0.0.1:${server.address().port}/range/`;
+    assert.equal(await checkPasswordBreach('hunter2', { rangeUrl }), 17);
+    assert.equal(await checkPasswordBreach('not hunter2', { rangeUrl }), 0);
+    assert.equal(requested[0], `/range/${hash.slice(0, 5)}`);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,65 @@
+// password-clustering.test.js - Cluster keys, modes and risk scores
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PasswordClustering = require('../password-clustering');
+
+const { splitLines, hashcatMask, maskKeyspaceLog10, baseWord, riskScore, clusterPasswords, toHcmask, MODES } = PasswordClustering;
+
+const LIST = ['password1', 'Password1', 'password', 'password', 'password12', 'Summer2024!', 'Winter2023!', 'zq'];
+
+test('splitLines drops blank lines and carriage returns', () => {
+  assert.deepEqual(splitLines('a\r\nb\n\nc\n'), ['a', 'b', 'c']);
+});
+
+test('hashcatMask and its keyspace', () => {
+  assert.equal(hashcatMask('Summer2024!'), '?u?l?l?l?l?l?d?d?d?d?s');
+  assert.equal(maskKeyspaceLog10('?d?d'), 2);
+});
+
+test('baseWord undoes l33t and drops affixes', () => {
+  assert.equal(baseWord('P@ssw0rd2024!'), 'password');
+  assert.equal(baseWord('$ecret1'), 'secret');
+  assert.equal(baseWord('1234'), '');
+});
+
+test('riskScore falls with guesses and rises with reach', () => {
+  assert.ok(riskScore({ guessesLog10: 2, count: 5, total: 10 }) > riskScore({ guessesLog10: 10, count: 5, total: 10 }));
+  assert.ok(riskScore({ guessesLog10: 4, count: 50, total: 100 }) > riskScore({ guessesLog10: 4, count: 1, total: 100 }));
+  assert.equal(riskScore({ guessesLog10: 20, count: 5, total: 10 }), 0);
+});
+
+test('every mode counts each line once', async () => {
+  for (const mode of MODES) {
+    const result = await clusterPasswords(LIST, { mode });
+    assert.equal(result.total, LIST.length, mode);
+    assert.equal(result.distinct, 7, mode);
+    assert.equal(result.clusters.reduce((sum, cluster) => sum + cluster.count, 0), LIST.length, mode);
+  }
+});
+
+test('base and similarity modes group the variants of a word', async () => {
+  for (const mode of ['base', 'similarity']) {
+    const [largest] = (await clusterPasswords(LIST, { mode })).clusters;
+    assert.equal(largest.key, 'password', mode);
+    assert.equal(largest.count, 5, mode);
+    assert.equal(largest.distinct, 4, mode);
+  }
+});
+
+test('maxClusters keeps the largest clusters', async () => {
+  const result = await clusterPasswords(LIST, { mode: 'base', maxClusters: 1 });
+  assert.equal(result.clusterCount, 4);
+  assert.equal(result.clusters.length, 1);
+});
+
+test('unknown modes are rejected', async () => {
+  await assert.rejects(clusterPasswords(LIST, { mode: 'nope' }), /mode must be one of/);
+});
+
+test('toHcmask writes one mask per line, most common first', async () => {
+  const { clusters } = await clusterPasswords(LIST, { mode: 'mask' });
+  const lines = toHcmask(clusters).trim().split('\n');
+  assert.equal(lines.length, clusters.length);
+  assert.equal(lines[0], '?l?l?l?l?l?l?l?l');
+});
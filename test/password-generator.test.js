@@ -0,0 +1,75 @@
+// password-generator.test.js - Generator modes, option validation and entropy
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PasswordGenerator = require('../password-generator');
+const PasswordPolicy = require('../password-policy');
+
+const { generate, parseOptions, randomInt, CHARSETS, LIMITS } = PasswordGenerator;
+
+test('random passwords use every selected class', () => {
+  for (let i = 0; i < 20; i++) {
+    const { password, length } = generate({ length: 8 });
+    assert.equal(password.length, 8);
+    assert.equal(length, 8);
+    for (const chars of Object.values(CHARSETS)) {
+      assert.ok(Array.from(password).some(char => chars.includes(char)), `${password} misses one of ${chars}`);
+    }
+  }
+});
+
+test('random passwords only use the selected classes', () => {
+  const { password, entropyBits } = generate({ length: 12, classes: ['digit'] });
+  assert.match(password, /^[0-9]{12}$/);
+  assert.equal(entropyBits, Math.round(12 * Math.log2(10) * 100) / 100);
+});
+
+test('excludeAmbiguous leaves out look-alike characters', () => {
+  for (let i = 0; i < 20; i++) {
+    assert.doesNotMatch(generate({ length: 64, excludeAmbiguous: true }).password, /[Il1O0o|]/);
+  }
+});
+
+test('passphrases have the requested words and separator', () => {
+  const { password, mode } = generate({ mode: 'passphrase', words: 5, separator: '.' });
+  assert.equal(mode, 'passphrase');
+  assert.equal(password.split('.').length, 5);
+});
+
+test('pins are digits', () => {
+  assert.match(generate({ mode: 'pin' }).password, /^[0-9]{6}$/);
+});
+
+test('pronounceable passwords alternate consonants and vowels', () => {
+  const { password } = generate({ mode: 'pronounceable', length: 10 });
+  assert.match(password, /^([bcdfghjklmnprstvz][aeiou])+$/);
+});
+
+test('policy mode meets the policy', () => {
+  const policy = PasswordPolicy.resolvePolicy({ profile: 'legacy' });
+  const { password } = generate({ mode: 'policy', policy });
+  assert.ok(password.length >= policy.minLength);
+  for (const cls of policy.composition) {
+    assert.ok(Array.from(password).some(char => CHARSETS[cls].includes(char)), `${password} misses ${cls}`);
+  }
+});
+
+test('parseOptions rejects out-of-range lengths and unknown modes', () => {
+  assert.ok(parseOptions({ length: LIMITS.MIN_LENGTH - 1 }).errors.length > 0);
+  assert.ok(parseOptions({ length: LIMITS.MAX_LENGTH + 1 }).errors.length > 0);
+  assert.ok(parseOptions({ mode: 'nope' }).errors.length > 0);
+  assert.equal(parseOptions({ length: '20', classes: 'upper,lower' }).options.length, 20);
+  assert.throws(() => generate({ mode: 'nope' }), /mode must be one of/);
+});
+
+test('randomInt stays in range and rejects bad bounds', () => {
+  const seen = new Set();
+  for (let i = 0; i < 200; i++) {
+    const value = randomInt(3);
+    assert.ok(Number.isInteger(value) && value >= 0 && value < 3);
+    seen.add(value);
+  }
+  assert.equal(seen.size, 3);
+  assert.throws(() => randomInt(0));
+  assert.throws(() => randomInt(1.5));
+});
@@ -0,0 +1,74 @@
+// password-policy.test.js - Policy resolution, validation and compliance checks
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PasswordAnalysis = require('../password-analysis');
+const PasswordPolicy = require('../password-policy');
+
+const { resolvePolicy, validatePolicy, evaluatePolicy, policyUserInputs, DEFAULT_PROFILE, PROFILES } = PasswordPolicy;
+
+function metricsFor(password, breachCount) {
+  return PasswordAnalysis.toMetrics(PasswordAnalysis.analyzePassword(password, breachCount === undefined ? {} : { breachCount }));
+}
+
+const rules = result => result.violations.map(violation => violation.rule);
+
+test('resolvePolicy applies overrides on top of the profile', () => {
+  const policy = resolvePolicy({ profile: 'legacy', minLength: 16, unknown: true });
+  assert.equal(policy.profile, 'legacy');
+  assert.equal(policy.label, PROFILES.legacy.label);
+  assert.equal(policy.minLength, 16);
+  assert.deepEqual(policy.composition, PROFILES.legacy.composition);
+  assert.equal(policy.unknown, undefined);
+  assert.equal(resolvePolicy().profile, DEFAULT_PROFILE);
+});
+
+test('validatePolicy keeps only the given keys', () => {
+  const { policy, errors } = validatePolicy({ minLength: 15, blocklist: ['acme'] });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(Object.keys(policy).sort(), ['blocklist', 'minLength']);
+});
+
+test('validatePolicy reports every problem', () => {
+  const { policy, errors } = validatePolicy({ profile: 'nope', minLength: 0, extra: 1 });
+  assert.equal(policy, null);
+  assert.equal(errors.length, 3);
+  assert.equal(validatePolicy([]).policy, null);
+});
+
+test('a strong unbreached password complies with the default profile', () => {
+  const result = evaluatePolicy(resolvePolicy(), metricsFor('correct horse battery staple', 0));
+  assert.equal(result.compliant, true);
+  assert.deepEqual(result.unchecked, []);
+});
+
+test('breached passwords violate the default profile', () => {
+  const result = evaluatePolicy(resolvePolicy(), metricsFor('Summer2024!', 3));
+  assert.equal(result.compliant, false);
+  assert.ok(rules(result).includes('breached'));
+});
+
+test('an unchecked breach status is reported, not counted', () => {
+  const result = evaluatePolicy(resolvePolicy(), metricsFor('correct horse battery staple'));
+  assert.equal(result.compliant, true);
+  assert.deepEqual(result.unchecked, ['breached']);
+});
+
+test('legacy composition rules list each missing class', () => {
+  const result = evaluatePolicy(resolvePolicy({ profile: 'legacy' }), metricsFor('short'));
+  assert.deepEqual(rules(result), ['minLength', 'composition', 'composition', 'composition']);
+  assert.deepEqual(result.violations.filter(v => v.class).map(v => v.class), ['upper', 'digit', 'symbol']);
+});
+
+test('blocklisted terms are found through l33t substitutions', () => {
+  const policy = resolvePolicy({ blocklist: ['acme'] });
+  const metrics = metricsFor('xx4cm3-rocket-launch', 0);
+  const result = evaluatePolicy(policy, metrics, { password: 'xx4cm3-rocket-launch' });
+  assert.deepEqual(result.violations.find(v => v.rule === 'blocklist').terms, ['acme']);
+  assert.deepEqual(evaluatePolicy(policy, metrics).unchecked, ['blocklist']);
+});
+
+test('policyUserInputs merges the blocklist with context words', () => {
+  const policy = resolvePolicy({ blocklist: ['acme'] });
+  assert.deepEqual(policyUserInputs(policy, ['alice', '', 'acme']), ['acme', 'alice']);
+});
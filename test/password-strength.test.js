@@ -0,0 +1,72 @@
+// password-strength.test.js - Guess estimates, scores and feedback
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PasswordStrength = require('../password-strength');
+
+const { estimateGuesses, scoreFromGuessesLog10, SCORE_THRESHOLDS } = PasswordStrength;
+
+test('common passwords score 0', () => {
+  for (const password of ['password', '123456', 'qwerty', 'letmein']) {
+    const result = estimateGuesses(password);
+    assert.equal(result.score, 0, password);
+    assert.ok(result.feedback.warning, `${password} should have a warning`);
+  }
+});
+
+test('a long random password scores 4', () => {
+  const result = estimateGuesses('xK#9vQ!m2Lp$7wRz');
+  assert.equal(result.score, 4);
+  assert.ok(result.guessesLog10 > SCORE_THRESHOLDS[SCORE_THRESHOLDS.length - 1]);
+});
+
+test('the match sequence covers the whole password', () => {
+  const password = 'Summer2024!qwerty';
+  const { sequence } = estimateGuesses(password);
+  assert.equal(sequence.map(match => match.token).join(''), password);
+});
+
+test('keyboard walks, repeats, sequences and dates are recognised', () => {
+  const patterns = password => estimateGuesses(password).sequence.map(match => match.pattern);
+  assert.ok(patterns('qwsxdrfv').includes('spatial'));
+  assert.ok(patterns('aaaaaaaaaa').includes('repeat'));
+  assert.ok(patterns('abcdefghij').includes('sequence'));
+  assert.ok(patterns('13/05/1991').includes('date'));
+});
+
+test('user inputs lower the estimate', () => {
+  const without = estimateGuesses('roadrunner2024');
+  const withInputs = estimateGuesses('roadrunner2024', { userInputs: ['roadrunner'] });
+  assert.ok(withInputs.guessesLog10 < without.guessesLog10);
+});
+
+test('scoreFromGuessesLog10 follows the thresholds', () => {
+  assert.equal(scoreFromGuessesLog10(0), 0);
+  SCORE_THRESHOLDS.forEach((threshold, index) => {
+    assert.equal(scoreFromGuessesLog10(threshold - 0.01), index);
+    assert.equal(scoreFromGuessesLog10(threshold), index + 1);
+  });
+});
+
+// Only the first 100 characters are matched; the rest must not be scored as
+// brute force, or padding a weak password would make it look unbreakable
+test('long repeated and sequential inputs stay weak', () => {
+  const weak = [
+    'a'.repeat(200),
+    'a'.repeat(10000),
+    'abcdefghijklmnopqrstuvwxyz'.repeat(8),
+    '0123456789'.repeat(30),
+    'password'.repeat(40)
+  ];
+  for (const password of weak) {
+    const result = estimateGuesses(password);
+    assert.ok(result.score <= 2, `${password.slice(0, 12)}... x${password.length} scored ${result.score} (10^${result.guessesLog10})`);
+  }
+});
+
+test('characters past the analyzed length still add guesses', () => {
+  const head = 'xK#9vQ!m2Lp$7wRz'.repeat(7).slice(0, 100);
+  const short = estimateGuesses(head);
+  const long = estimateGuesses(head + 'Zt5&nB');
+  assert.ok(long.guessesLog10 > short.guessesLog10);
+});
@@ -0,0 +1,80 @@
+// privacy.test.js - IP anonymisation, redaction and policy merging
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const privacy = require('../privacy');
+
+const { truncateIp, hashIp, anonymizeIp, applyPrivacy, mergePolicies, policyFromEnv, validatePrivacySettings, loadHashKey, LIMITS } = privacy;
+
+const KEY = Buffer.from('test-key');
+
+test('truncateIp keeps the IPv4 /24 and the IPv6 /48', () => {
+  assert.equal(truncateIp('203.0.113.77'), '203.0.113.0');
+  assert.equal(truncateIp('2001:db8:abcd:12:1:2:3:4'), '2001:db8:abcd::');
+  assert.equal(truncateIp('::ffff:203.0.113.77'), '::ffff:203.0.113.0');
+  assert.equal(truncateIp('fe80::1%eth0'), 'fe80::');
+  assert.equal(truncateIp('not an ip'), null);
+  assert.equal(truncateIp(undefined), null);
+});
+
+test('hashIp is keyed and stable', () => {
+  const hashed = hashIp('203.0.113.77', KEY);
+  assert.match(hashed, /^hash:[0-9a-f]{32}$/);
+  assert.equal(hashIp('203.0.113.77', KEY), hashed);
+  assert.notEqual(hashIp('203.0.113.77', Buffer.from('other-key')), hashed);
+  assert.throws(() => hashIp('203.0.113.77', null), /needs a key/);
+});
+
+test('anonymizeIp follows the mode', () => {
+  assert.equal(anonymizeIp('203.0.113.77', 'full'), '203.0.113.77');
+  assert.equal(anonymizeIp('203.0.113.77', 'truncate'), '203.0.113.0');
+  assert.equal(anonymizeIp('203.0.113.77', 'hash', KEY), hashIp('203.0.113.77', KEY));
+  assert.equal(anonymizeIp('203.0.113.77', 'none'), null);
+});
+
+test('applyPrivacy drops the IP and redacted fields without touching the input', () => {
+  const record = { ip: '203.0.113.77', userAgent: 'x', entropy: 40 };
+  assert.deepEqual(applyPrivacy(record, { ipMode: 'none', redact: ['userAgent'] }), { entropy: 40 });
+  assert.deepEqual(applyPrivacy(record, { ipMode: 'truncate', redact: [] }), { ...record, ip: '203.0.113.0' });
+  assert.equal(record.ip, '203.0.113.77');
+});
+
+test('a room policy can only make the host policy stricter', () => {
+  const host = { ipMode: 'hash', redact: ['userAgent'] };
+  assert.equal(mergePolicies(host, { ipMode: 'full' }).ipMode, 'hash');
+  assert.equal(mergePolicies(host, { ipMode: 'none' }).ipMode, 'none');
+  assert.deepEqual(mergePolicies(host, { redact: ['userAgent', 'pattern'] }).redact, ['userAgent', 'pattern']);
+  assert.equal(mergePolicies(host, null), host);
+});
+
+test('policyFromEnv reads and checks the environment', () => {
+  const redactable = ['userAgent', 'pattern'];
+  assert.deepEqual(policyFromEnv({}, { redactable }), { ipMode: 'full', redact: [] });
+  assert.deepEqual(policyFromEnv({ PRIVACY_IP_MODE: 'truncate', PRIVACY_REDACT_FIELDS: ' userAgent , ' }, { redactable }),
+    { ipMode: 'truncate', redact: ['userAgent'] });
+  assert.throws(() => policyFromEnv({ PRIVACY_IP_MODE: 'partial' }, { redactable }), /PRIVACY_IP_MODE/);
+  assert.throws(() => policyFromEnv({ PRIVACY_REDACT_FIELDS: 'password' }, { redactable }), /cannot redact password/);
+});
+
+test('validatePrivacySettings checks each setting', () => {
+  const redactable = ['userAgent'];
+  assert.deepEqual(validatePrivacySettings({ ipMode: 'hash', retentionDays: 7 }, { redactable }),
+    { settings: { ipMode: 'hash', retentionDays: 7 }, errors: [] });
+  assert.deepEqual(validatePrivacySettings({ ipMode: null }, { redactable }).settings, { ipMode: null });
+  const invalid = validatePrivacySettings({ ipMode: 'x', redact: ['password'], retentionDays: LIMITS.MAX_RETENTION_DAYS + 1, other: 1 }, { redactable });
+  assert.equal(invalid.settings, null);
+  assert.equal(invalid.errors.length, 4);
+});
+
+test('loadHashKey prefers PRIVACY_IP_KEY, else keeps one random key', async () => {
+  assert.equal((await loadHashKey(null, { PRIVACY_IP_KEY: 'configured' })).toString(), 'configured');
+
+  const docs = new Map();
+  const keys = {
+    updateOne: async ({ _id }, { $setOnInsert }) => { if (!docs.has(_id)) docs.set(_id, { _id, ...$setOnInsert }); },
+    findOne: async ({ _id }) => docs.get(_id) || null
+  };
+  const first = await loadHashKey(keys, {});
+  assert.equal(first.length, 32);
+  assert.deepEqual(await loadHashKey(keys, {}), first);
+});
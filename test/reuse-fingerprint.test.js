@@ -0,0 +1,55 @@
+// reuse-fingerprint.test.js - Room key exchange and password fingerprints
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReuseFingerprint = require('../reuse-fingerprint');
+
+const { createRoomKey, isRoomKey, wrapRoomKey, generateKeyPair, exportPublicKey, unwrapRoomKey, fingerprint, FINGERPRINT_PATTERN } = ReuseFingerprint;
+
+// A client's unwrapped copy of `roomKey`, through the same exchange the pages use
+async function clientKey(roomKey) {
+  const keyPair = await generateKeyPair();
+  const wrapped = await wrapRoomKey(roomKey, await exportPublicKey(keyPair));
+  return unwrapRoomKey(wrapped, keyPair);
+}
+
+test('createRoomKey makes valid, distinct keys', () => {
+  const a = createRoomKey();
+  const b = createRoomKey();
+  assert.ok(isRoomKey(a));
+  assert.notEqual(a.secret, b.secret);
+  assert.equal(isRoomKey({ keyId: a.keyId, secret: 'short' }), false);
+  assert.equal(isRoomKey(null), false);
+});
+
+test('clients with the same room key agree on fingerprints', async () => {
+  const roomKey = createRoomKey();
+  const [alice, bob] = await Promise.all([clientKey(roomKey), clientKey(roomKey)]);
+  const first = await fingerprint(alice, 'Summer2024!');
+  assert.match(first, FINGERPRINT_PATTERN);
+  assert.ok(first.startsWith(`${roomKey.keyId}.`));
+  assert.equal(await fingerprint(bob, 'Summer2024!'), first);
+  assert.notEqual(await fingerprint(bob, 'Summer2025!'), first);
+});
+
+test('fingerprints under different room keys never match', async () => {
+  const [a, b] = await Promise.all([clientKey(createRoomKey()), clientKey(createRoomKey())]);
+  assert.notEqual(await fingerprint(a, 'hunter2'), await fingerprint(b, 'hunter2'));
+});
+
+test('a wrapped key only opens with the key pair it was made for', async () => {
+  const roomKey = createRoomKey();
+  const intended = await generateKeyPair();
+  const other = await generateKeyPair();
+  const wrapped = await wrapRoomKey(roomKey, await exportPublicKey(intended));
+  await assert.rejects(unwrapRoomKey(wrapped, other));
+});
+
+test('a wrapped key is bound to its key id', async () => {
+  const roomKey = createRoomKey();
+  const keyPair = await generateKeyPair();
+  const wrapped = await wrapRoomKey(roomKey, await exportPublicKey(keyPair));
+  const otherId = createRoomKey().keyId;
+  await assert.rejects(unwrapRoomKey({ ...wrapped, keyId: otherId }, keyPair));
+  await assert.rejects(unwrapRoomKey({ ...wrapped, keyId: 'not-hex' }, keyPair), /Invalid key id/);
+});